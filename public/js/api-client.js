@@ -140,26 +140,10 @@ class WhatsAppAPI {
                 // If Baileys handler is not available, try regular WA-JS endpoint
                 console.log('Baileys endpoint failed, trying regular endpoint:', baileysError.message);
 
-                // Convert file to base64 for regular endpoint
-                let imageDataForRegular;
-                if (imageData instanceof File) {
-                    imageDataForRegular = await new Promise((resolve, reject) => {
-                        const reader = new FileReader();
-                        reader.onload = (e) => resolve(e.target.result);
-                        reader.onerror = (e) => reject(new Error('Failed to read file'));
-                        reader.readAsDataURL(imageData);
-                    });
-                } else {
-                    imageDataForRegular = imageData;
-                }
-
+                // The regular endpoint accepts the same multipart upload
                 const response = await fetch(`${this.baseURL}/sessions/${sessionId}/status/image`, {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        content: imageDataForRegular,
-                        options: { ...options, caption }
-                    })
+                    body: formData
                 });
                 return await response.json();
             }
@@ -212,26 +196,10 @@ class WhatsAppAPI {
                 // If Baileys handler is not available, try regular WA-JS endpoint
                 console.log('Baileys endpoint failed, trying regular endpoint:', baileysError.message);
 
-                // Convert file to base64 for regular endpoint
-                let videoDataForRegular;
-                if (videoData instanceof File) {
-                    videoDataForRegular = await new Promise((resolve, reject) => {
-                        const reader = new FileReader();
-                        reader.onload = (e) => resolve(e.target.result);
-                        reader.onerror = (e) => reject(new Error('Failed to read file'));
-                        reader.readAsDataURL(videoData);
-                    });
-                } else {
-                    videoDataForRegular = videoData;
-                }
-
+                // The regular endpoint accepts the same multipart upload
                 const response = await fetch(`${this.baseURL}/sessions/${sessionId}/status/video`, {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        content: videoDataForRegular,
-                        options: { ...options, caption }
-                    })
+                    body: formData
                 });
                 return await response.json();
             }
@@ -3,7 +3,8 @@ const API_BASE_URL = 'https://whatsapp.social-crm.co.il';
 let currentSession = null;
 let sessions = [];
 let qrCheckInterval = null;
-let statusPollInterval = null;
+let sessionEventSource = null;
+let sessionEventTimeout = null;
 let currentPollingSessionId = null;
 let baileysSessions = new Map(); // Track Baileys sessions
 
@@ -69,24 +70,25 @@ function hideGlobalLoader() {
     }
 }
 
-// Helper function to handle authentication required responses
+// Helper function to handle SESSION_REQUIRES_AUTH error responses
 function handleAuthRequired(response) {
-    if (response.needsAuth && response.authData) {
+    const authData = response.code === 'SESSION_REQUIRES_AUTH' ? response.details?.authData : null;
+    if (authData) {
         // Show QR code modal with the auth data
-        if (response.authData.type === 'qr' && response.authData.qr) {
-            showQRCode(response.authData.qr);
+        if (authData.type === 'qr' && authData.qr) {
+            showQRCode(authData.qr);
             showToast('Please scan the QR code to authenticate', 'info');
-            // Start polling for authentication status
+            // Follow authentication progress on the event stream
             if (currentSession) {
-                pollSessionStatus(currentSession.sessionId, 'qr');
+                watchSessionEvents(currentSession.sessionId, 'qr');
             }
             return true;
-        } else if (response.authData.type === 'code' && response.authData.code) {
-            showPairingCode(response.authData.code);
+        } else if (authData.type === 'code' && authData.code) {
+            showPairingCode(authData.code);
             showToast('Please enter the pairing code in WhatsApp', 'info');
-            // Start polling for authentication status
+            // Follow authentication progress on the event stream
             if (currentSession) {
-                pollSessionStatus(currentSession.sessionId, 'code');
+                watchSessionEvents(currentSession.sessionId, 'code');
             }
             return true;
         }
@@ -304,8 +306,8 @@ async function selectSession(sessionId) {
                 const qrResponse = await api.getQRCode(sessionId);
                 if (qrResponse.qr) {
                     showQRCode(qrResponse.qr);
-                    // Start polling for authentication status
-                    pollSessionStatus(sessionId, 'qr');
+                    // Follow authentication progress on the event stream
+                    watchSessionEvents(sessionId, 'qr');
                 } else if (qrResponse.status === 'authenticated' || qrResponse.status === 'ready') {
                     // Session is already authenticated
                     showToast('Session is ready!', 'success');
@@ -324,7 +326,7 @@ async function selectSession(sessionId) {
                             const qrResponse = await api.getQRCode(sessionId);
                             if (qrResponse.qr) {
                                 showQRCode(qrResponse.qr);
-                                pollSessionStatus(sessionId, 'qr');
+                                watchSessionEvents(sessionId, 'qr');
                             }
                         } catch (err) {
                             console.error('Retry failed:', err);
@@ -462,17 +464,15 @@ document.getElementById('createSessionConfirm').addEventListener('click', async
                     const qrResult = await api.getBaileysQRCode(userId);
                     if (qrResult.qr) {
                         showQRCode(qrResult.qr, true); // true indicates Baileys
-                        pollBaileysStatus(userId);
                     } else {
                         showToast('Waiting for QR code...', 'info');
-                        // Poll for QR code
-                        setTimeout(() => pollBaileysQRCode(userId), 2000);
                     }
                 } catch (qrError) {
                     console.error('Failed to get QR code:', qrError);
                     showToast('Session created, waiting for QR code...', 'info');
-                    setTimeout(() => pollBaileysQRCode(userId), 2000);
                 }
+                // QR refreshes and the ready event arrive on the stream
+                watchBaileysEvents(userId);
             } else {
                 showToast(result.error || 'Failed to create Baileys session', 'error');
             }
@@ -492,7 +492,7 @@ document.getElementById('createSessionConfirm').addEventListener('click', async
                 }
 
                 showToast('Session created successfully', 'success');
-                pollSessionStatus(result.sessionId, authMethod);
+                watchSessionEvents(result.sessionId, authMethod);
                 setTimeout(() => loadSessions(), 2000);
             } else {
                 showToast(result.error || 'Failed to create session', 'error');
@@ -531,186 +531,186 @@ function showPairingCode(code, phoneNumber) {
 
 document.getElementById('closeQrModal').addEventListener('click', () => {
     document.getElementById('qrModal').classList.add('hidden');
-    // Stop polling when modal is closed
-    if (statusPollInterval) {
-        clearInterval(statusPollInterval);
-        statusPollInterval = null;
-        console.log('Stopped QR polling - modal closed');
+    // Stop listening when modal is closed
+    if (sessionEventSource) {
+        stopSessionEvents();
+        console.log('Stopped QR event stream - modal closed');
     }
 });
 
 document.getElementById('closePairingModal').addEventListener('click', () => {
     document.getElementById('pairingModal').classList.add('hidden');
-    // Stop polling when modal is closed
-    if (statusPollInterval) {
-        clearInterval(statusPollInterval);
-        statusPollInterval = null;
-        console.log('Stopped pairing polling - modal closed');
+    // Stop listening when modal is closed
+    if (sessionEventSource) {
+        stopSessionEvents();
+        console.log('Stopped pairing event stream - modal closed');
     }
 });
 
-// Poll session status and QR code updates
-async function pollSessionStatus(sessionId, authMethod = 'qr') {
-    let attempts = 0;
-    const maxAttempts = 90; // 3 minutes
-    let lastQRCode = null;
+// Close the auth event stream and its timeout
+function stopSessionEvents() {
+    if (sessionEventSource) {
+        sessionEventSource.close();
+        sessionEventSource = null;
+    }
+    if (sessionEventTimeout) {
+        clearTimeout(sessionEventTimeout);
+        sessionEventTimeout = null;
+    }
+    currentPollingSessionId = null;
+}
 
-    // Store current polling session ID for manual refresh
+// Follow a session's authentication via its SSE stream (QR refreshes, pairing codes, status changes)
+function watchSessionEvents(sessionId, authMethod = 'qr') {
+    stopSessionEvents();
+
+    // Store current session ID for manual QR refresh
     currentPollingSessionId = sessionId;
 
-    // Clear any existing polling interval
-    if (statusPollInterval) {
-        clearInterval(statusPollInterval);
-    }
+    const finish = async (message, type) => {
+        stopSessionEvents();
+        showToast(message, type);
+        document.getElementById('qrModal').classList.add('hidden');
+        document.getElementById('pairingModal').classList.add('hidden');
+        if (type === 'success') {
+            document.getElementById('reAuthSection').classList.add('hidden');
+            await loadSessions();
+        }
+    };
 
-    // Start polling
-    statusPollInterval = setInterval(async () => {
-        attempts++;
+    const handleStatus = (status) => {
+        if (status === 'ready' || status === 'authenticated') {
+            finish('Session authenticated successfully!', 'success');
+        } else if (status === 'failed') {
+            finish('Authentication failed. Please try again.', 'error');
+        }
+    };
 
-        try {
-            // Always check session status
-            const status = await api.getSessionStatus(sessionId);
-            console.log('Session status:', status);
-
-            if (status.status === 'ready' || status.status === 'authenticated') {
-                clearInterval(statusPollInterval);
-                statusPollInterval = null;
-                currentPollingSessionId = null;
-                showToast('Session authenticated successfully!', 'success');
-                document.getElementById('qrModal').classList.add('hidden');
-                document.getElementById('pairingModal').classList.add('hidden');
-                document.getElementById('reAuthSection').classList.add('hidden');
-                await loadSessions();
-                return;
-            }
+    sessionEventSource = new EventSource(`${API_BASE_URL}/sessions/${sessionId}/events`);
 
-            // Check if we've exceeded max attempts
-            if (attempts >= maxAttempts) {
-                clearInterval(statusPollInterval);
-                statusPollInterval = null;
-                currentPollingSessionId = null;
-                showToast('Authentication timed out. Please try again.', 'error');
-                document.getElementById('qrModal').classList.add('hidden');
-                document.getElementById('pairingModal').classList.add('hidden');
-                return;
-            }
+    sessionEventSource.addEventListener('snapshot', (e) => {
+        const { data } = JSON.parse(e.data);
+        if (data.sessions.length > 0) {
+            handleStatus(data.sessions[0].status);
+        }
+    });
 
-            // If waiting for authentication and using QR method
-            if (status.status === 'waiting_for_authentication' && authMethod === 'qr') {
-                // Only fetch QR if modal is open
-                if (!document.getElementById('qrModal').classList.contains('hidden')) {
-                    try {
-                        const qrResponse = await api.getQRCode(sessionId);
-                        console.log('QR Response:', qrResponse);
-
-                        // Update QR code if it has changed or if this is the first fetch
-                        if (qrResponse.qr && (qrResponse.qr !== lastQRCode || !lastQRCode)) {
-                            lastQRCode = qrResponse.qr;
-                            updateQRCodeDisplay(qrResponse.qr);
-                        }
-                    } catch (error) {
-                        console.error('Failed to get QR code:', error);
-                    }
-                }
-            }
+    sessionEventSource.addEventListener('status', (e) => {
+        const { data } = JSON.parse(e.data);
+        console.log('Session status:', data);
+        handleStatus(data.status);
+    });
 
-            // Handle failed status
-            if (status.status === 'failed') {
-                clearInterval(statusPollInterval);
-                statusPollInterval = null;
-                currentPollingSessionId = null;
-                showToast('Authentication failed. Please try again.', 'error');
-                document.getElementById('qrModal').classList.add('hidden');
-                document.getElementById('pairingModal').classList.add('hidden');
-            }
-        } catch (error) {
-            console.error('Status poll error:', error);
+    sessionEventSource.addEventListener('qr', (e) => {
+        const { data } = JSON.parse(e.data);
+        // Only refresh the QR while the modal is open
+        if (authMethod === 'qr' && data.qr && !document.getElementById('qrModal').classList.contains('hidden')) {
+            updateQRCodeDisplay(data.qr);
         }
-    }, 2000); // Poll every 2 seconds
+    });
+
+    sessionEventSource.addEventListener('pairingCodeGenerated', (e) => {
+        const { data } = JSON.parse(e.data);
+        if (data.code) {
+            showPairingCode(data.code, data.phoneNumber);
+        }
+    });
+
+    sessionEventSource.addEventListener('authenticated', () => handleStatus('authenticated'));
+    sessionEventSource.addEventListener('authenticationFailed', () => handleStatus('failed'));
+
+    sessionEventSource.onerror = () => {
+        // EventSource reconnects on its own
+        console.error('Session event stream interrupted, reconnecting...');
+    };
+
+    // Give up after 3 minutes
+    sessionEventTimeout = setTimeout(() => {
+        finish('Authentication timed out. Please try again.', 'error');
+    }, 3 * 60 * 1000);
 }
 
-// Baileys QR code polling
-async function pollBaileysQRCode(userId) {
-    let attempts = 0;
-    const maxAttempts = 30; // 1 minute with 2-second intervals
+// Follow a Baileys connection via its SSE stream
+function watchBaileysEvents(userId) {
+    const eventSource = new EventSource(`${API_BASE_URL}/sessions/baileys-${userId}/events`);
 
-    const qrPollInterval = setInterval(async () => {
-        attempts++;
+    const timeout = setTimeout(() => {
+        eventSource.close();
+        showToast('Baileys authentication timed out. Please try again.', 'error');
+        document.getElementById('qrModal').classList.add('hidden');
+    }, 3 * 60 * 1000);
 
-        try {
-            const qrResult = await api.getBaileysQRCode(userId);
-            if (qrResult.qr) {
-                clearInterval(qrPollInterval);
-                showQRCode(qrResult.qr, true);
-                pollBaileysStatus(userId);
-            } else if (attempts >= maxAttempts) {
-                clearInterval(qrPollInterval);
-                showToast('Failed to get QR code. Please try again.', 'error');
-            }
-        } catch (error) {
-            console.error('Failed to poll Baileys QR code:', error);
-            if (attempts >= maxAttempts) {
-                clearInterval(qrPollInterval);
-                showToast('Failed to get QR code. Please try again.', 'error');
-            }
+    eventSource.addEventListener('qr', (e) => {
+        const { data } = JSON.parse(e.data);
+        if (data.qr) {
+            showQRCode(data.qr, true);
         }
-    }, 2000);
-}
+    });
 
-// Baileys status polling
-async function pollBaileysStatus(userId) {
-    let attempts = 0;
-    const maxAttempts = 90; // 3 minutes
+    eventSource.addEventListener('ready', () => {
+        eventSource.close();
+        clearTimeout(timeout);
 
-    const statusPollInterval = setInterval(async () => {
-        attempts++;
+        // Update local Baileys session
+        const session = baileysSessions.get(userId);
+        if (session) {
+            session.status = 'ready';
+            baileysSessions.set(userId, session);
+        }
 
-        try {
-            const status = await api.getBaileysStatus(userId);
-            console.log('Baileys status:', status);
+        showToast('Baileys session authenticated successfully!', 'success');
+        document.getElementById('qrModal').classList.add('hidden');
+
+        // Refresh the main sessions view to show the Baileys session
+        // For now, we'll add it to the main sessions array for display
+        sessions.push({
+            sessionId: `baileys-${userId}`,
+            userId: userId,
+            status: 'ready',
+            type: 'baileys',
+            createdAt: new Date().toISOString(),
+            phoneNumber: null
+        });
+        renderSessionsList();
+    });
 
-            if (status.connected && status.authenticated) {
-                clearInterval(statusPollInterval);
+    eventSource.addEventListener('logout', () => {
+        eventSource.close();
+        clearTimeout(timeout);
+        showToast('Baileys authentication failed. Please try again.', 'error');
+        document.getElementById('qrModal').classList.add('hidden');
+    });
+}
 
-                // Update local Baileys session
-                const session = baileysSessions.get(userId);
-                if (session) {
-                    session.status = 'ready';
-                    baileysSessions.set(userId, session);
-                }
+// Keep the sessions list in sync with the global event stream
+function subscribeToGlobalEvents() {
+    const eventSource = new EventSource(`${API_BASE_URL}/events`);
+    let refreshTimer = null;
 
-                showToast('Baileys session authenticated successfully!', 'success');
-                document.getElementById('qrModal').classList.add('hidden');
+    eventSource.addEventListener('status', (e) => {
+        const { sessionId, data } = JSON.parse(e.data);
 
-                // Refresh the main sessions view to show the Baileys session
-                // For now, we'll add it to the main sessions array for display
-                sessions.push({
-                    sessionId: `baileys-${userId}`,
-                    userId: userId,
-                    status: 'ready',
-                    type: 'baileys',
-                    createdAt: new Date().toISOString(),
-                    phoneNumber: null
-                });
-                renderSessionsList();
-                return;
-            }
+        const session = sessions.find(s => s.sessionId === sessionId);
+        if (session) {
+            session.status = data.status;
+            renderSessionsList();
+        }
 
-            if (attempts >= maxAttempts) {
-                clearInterval(statusPollInterval);
-                showToast('Baileys authentication timed out. Please try again.', 'error');
-                document.getElementById('qrModal').classList.add('hidden');
-                return;
-            }
-        } catch (error) {
-            console.error('Baileys status poll error:', error);
-            if (attempts >= maxAttempts) {
-                clearInterval(statusPollInterval);
-                showToast('Baileys authentication failed. Please try again.', 'error');
-                document.getElementById('qrModal').classList.add('hidden');
-            }
+        // Batch bursts of transitions into a single reload
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(loadSessions, 1000);
+    });
+
+    eventSource.addEventListener('statusSent', (e) => {
+        const { sessionId, data } = JSON.parse(e.data);
+        if (currentSession?.sessionId === sessionId && !data.success) {
+            showToast(`${data.type} status failed: ${data.error}`, 'error');
         }
-    }, 2000);
+    });
+
+    eventSource.onerror = () => {
+        console.error('Global event stream interrupted, reconnecting...');
+    };
 }
 
 // Helper function to update QR code display
@@ -893,7 +893,7 @@ document.getElementById('sendImageStatus').addEventListener('click', async (e) =
         }
 
         if (result.success) {
-            showToast('Image status posted successfully', 'success');
+            showToast('Image status queued for posting', 'success');
             document.getElementById('statusImage').value = '';
             document.getElementById('imageCaption').value = '';
             document.getElementById('imageCaptionCount').textContent = '0';
@@ -962,7 +962,7 @@ document.getElementById('removeVideo').addEventListener('click', () => {
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z"></path>
         </svg>
         <span class="text-muted-foreground">Click to upload video</span>
-        <div class="text-xs text-muted-foreground mt-1">Supported: MP4, AVI, MOV (Max 30 seconds)</div>
+        <div class="text-xs text-muted-foreground mt-1">Supported: MP4, MOV (Max 60 seconds, 16MB)</div>
     `;
 });
 
@@ -1001,7 +1001,11 @@ document.getElementById('sendVideoStatus').addEventListener('click', async (e) =
         }
 
         if (result.success) {
-            showToast('Video status posted successfully', 'success');
+            const video = result.metadata && result.metadata.video;
+            showToast(video
+                ? `Video status queued for posting (${result.metadata.duration}s, ${video.displayWidth}x${video.displayHeight}, ${video.codec})`
+                : 'Video status queued for posting', 'success');
+            (result.warnings || []).forEach(warning => showToast(`Video: ${warning}`, 'info'));
             // Clear form
             document.getElementById('statusVideo').value = '';
             document.getElementById('videoCaption').value = '';
@@ -1013,7 +1017,7 @@ document.getElementById('sendVideoStatus').addEventListener('click', async (e) =
                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z"></path>
                 </svg>
                 <span class="text-muted-foreground">Click to upload video</span>
-                <div class="text-xs text-muted-foreground mt-1">Supported: MP4, AVI, MOV (Max 30 seconds)</div>
+                <div class="text-xs text-muted-foreground mt-1">Supported: MP4, MOV (Max 60 seconds, 16MB)</div>
             `;
         } else {
             showToast(result.error || 'Failed to post video status', 'error');
@@ -1037,8 +1041,8 @@ document.getElementById('reAuthBtn').addEventListener('click', async () => {
         const qrResponse = await api.getQRCode(currentSession.sessionId);
         if (qrResponse.qr) {
             showQRCode(qrResponse.qr);
-            // Start polling for authentication status
-            pollSessionStatus(currentSession.sessionId, 'qr');
+            // Follow authentication progress on the event stream
+            watchSessionEvents(currentSession.sessionId, 'qr');
         } else {
             showToast('No QR code available. Session may already be authenticated.', 'info');
         }
@@ -1145,7 +1149,7 @@ async function loadMyStatus(retryCount = 0) {
         const result = await api.getMyStatus(currentSession.sessionId);
 
         // Check if session needs authentication
-        if (result.needsAuth) {
+        if (result.code === 'SESSION_REQUIRES_AUTH') {
             document.getElementById('statusLoadingState').classList.add('hidden');
             document.getElementById('noStatusMessage').classList.remove('hidden');
 
@@ -1167,13 +1171,13 @@ async function loadMyStatus(retryCount = 0) {
             return;
         }
 
-        // Check if we got a 503 error (session starting up)
-        if (result.error && result.error.includes('starting up') && retryCount < 5) {
+        // Session is still starting up; retry as the server suggests
+        if (result.code === 'HANDLER_NOT_READY' && retryCount < 5) {
             showToast('Session is starting, please wait...', 'info');
             // Retry after a delay
             setTimeout(() => {
                 loadMyStatus(retryCount + 1);
-            }, 3000); // Wait 3 seconds before retry
+            }, (result.retryAfter || 3) * 1000);
             return;
         }
 
@@ -1343,6 +1347,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 loadSystemStats();
             } else if (targetTab === 'logs') {
                 loadLogs();
+            } else if (targetTab === 'rules') {
+                loadStatusRules();
+            } else if (targetTab === 'approvals') {
+                loadStatusDrafts();
             }
         });
     });
@@ -1644,6 +1652,26 @@ async function loadSystemStats() {
                         <div class="text-xl font-bold text-green-500">${stats.proxies.healthy || 0}</div>
                     </div>
                 ` : ''}
+                ${stats.browserPool ? `
+                    <div>
+                        <div class="text-sm text-muted-foreground">Live Browsers</div>
+                        <div class="text-xl font-bold">${stats.browserPool.live} / ${stats.browserPool.maxBrowsers}</div>
+                    </div>
+                    <div>
+                        <div class="text-sm text-muted-foreground">Hibernated Sessions</div>
+                        <div class="text-xl font-bold">${stats.browserPool.hibernated || 0}</div>
+                    </div>
+                ` : ''}
+                ${stats.restore && stats.restore.total > 0 ? `
+                    <div>
+                        <div class="text-sm text-muted-foreground">Session Restore${stats.restore.state === 'running' ? ` (wave ${stats.restore.wave})` : ''}</div>
+                        <div class="text-xl font-bold">${stats.restore.restored} / ${stats.restore.total}${stats.restore.deferred ? ` <span class="text-sm font-normal text-muted-foreground">(${stats.restore.deferred} deferred)</span>` : ''}</div>
+                    </div>
+                    <div>
+                        <div class="text-sm text-muted-foreground">Restore Failures${stats.restore.retrying ? ` (${stats.restore.retrying} retrying)` : ''}</div>
+                        <div class="text-xl font-bold ${stats.restore.failed ? 'text-red-500' : ''}">${stats.restore.failed}</div>
+                    </div>
+                ` : ''}
             </div>
         `;
     } catch (error) {
@@ -1651,6 +1679,484 @@ async function loadSystemStats() {
     }
 }
 
+// ============================================
+// Recurring Status Rules
+// ============================================
+
+let statusRules = [];
+
+// Load recurring rules
+async function loadStatusRules() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/status-rules`);
+        const result = await response.json();
+        statusRules = result.rules || [];
+        renderStatusRules();
+    } catch (error) {
+        console.error('Failed to load status rules:', error);
+        showToast('Failed to load status rules', 'error');
+    }
+}
+
+function describeRuleSchedule(schedule) {
+    if (!schedule) return 'N/A';
+    if (schedule.cron) {
+        return `<span class="font-mono">${escapeHtml(schedule.cron)}</span>${schedule.timezone ? ` <span class="text-xs text-muted-foreground">${escapeHtml(schedule.timezone)}</span>` : ''}`;
+    }
+    return `every ${escapeHtml(schedule.every)}`;
+}
+
+// Render rules table
+function renderStatusRules() {
+    const tbody = document.getElementById('rulesTableBody');
+    if (!tbody) return;
+    tbody.innerHTML = '';
+
+    if (statusRules.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="7" class="text-center py-8 text-muted-foreground">
+                    No recurring rules yet
+                </td>
+            </tr>
+        `;
+        return;
+    }
+
+    statusRules.forEach(rule => {
+        const row = document.createElement('tr');
+        row.className = 'border-b border-border hover:bg-muted/50';
+
+        const target = rule.sessionId ? `Session ${rule.sessionId}` : `User ${rule.userId}`;
+        const nextRun = rule.nextRunAt ? new Date(rule.nextRunAt).toLocaleString() : '—';
+        const lastRun = rule.lastRunAt
+            ? `${new Date(rule.lastRunAt).toLocaleString()} <span class="text-xs text-muted-foreground">(${rule.lastRun?.status || 'queued'})</span>`
+            : 'Never';
+        const statusColor = rule.status === 'active' ? 'bg-green-500' : 'bg-yellow-500';
+
+        row.innerHTML = `
+            <td class="py-3 text-sm">
+                <div>${escapeHtml(rule.name)}</div>
+                <div class="text-xs text-muted-foreground capitalize">${rule.type}</div>
+            </td>
+            <td class="py-3 text-sm font-mono">${escapeHtml(target)}</td>
+            <td class="py-3 text-sm">${describeRuleSchedule(rule.schedule)}</td>
+            <td class="py-3 text-sm text-muted-foreground">${nextRun}</td>
+            <td class="py-3 text-sm text-muted-foreground">${lastRun}</td>
+            <td class="py-3">
+                <div class="flex items-center gap-2">
+                    <span class="w-2 h-2 rounded-full ${statusColor}"></span>
+                    <span class="text-sm capitalize">${rule.status}</span>
+                </div>
+            </td>
+            <td class="py-3">
+                <div class="flex gap-2">
+                    <button onclick="toggleStatusRule('${rule.id}', '${rule.status}')"
+                            class="px-2 py-1 text-xs bg-orange-600 hover:bg-orange-700 text-white rounded transition-colors">
+                        ${rule.status === 'active' ? 'Pause' : 'Resume'}
+                    </button>
+                    <button onclick="showStatusRuleRuns('${rule.id}')"
+                            class="px-2 py-1 text-xs bg-blue-600 hover:bg-blue-700 text-white rounded transition-colors">
+                        Runs
+                    </button>
+                    <button onclick="deleteStatusRule('${rule.id}')"
+                            class="px-2 py-1 text-xs bg-red-600 hover:bg-red-700 text-white rounded transition-colors">
+                        Delete
+                    </button>
+                </div>
+            </td>
+        `;
+
+        tbody.appendChild(row);
+    });
+}
+
+// Pause or resume a rule
+async function toggleStatusRule(ruleId, currentStatus) {
+    const action = currentStatus === 'active' ? 'pause' : 'resume';
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/status-rules/${ruleId}/${action}`, {
+            method: 'POST'
+        });
+        const result = await response.json();
+
+        if (result.success) {
+            showToast(`Rule ${action === 'pause' ? 'paused' : 'resumed'}`, 'success');
+            await loadStatusRules();
+        } else {
+            showToast(result.error || `Failed to ${action} rule`, 'error');
+        }
+    } catch (error) {
+        console.error(`Failed to ${action} rule:`, error);
+        showToast(`Failed to ${action} rule`, 'error');
+    }
+}
+
+// Delete a rule
+async function deleteStatusRule(ruleId) {
+    if (!confirm('Are you sure you want to delete this rule?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/status-rules/${ruleId}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            showToast('Rule deleted successfully', 'success');
+            document.getElementById('ruleRunsPanel').classList.add('hidden');
+            await loadStatusRules();
+        } else {
+            showToast('Failed to delete rule', 'error');
+        }
+    } catch (error) {
+        console.error('Failed to delete rule:', error);
+        showToast('Failed to delete rule', 'error');
+    }
+}
+
+// Show the run history of a rule
+async function showStatusRuleRuns(ruleId) {
+    const rule = statusRules.find(r => r.id === ruleId);
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/status-rules/${ruleId}/runs`);
+        const result = await response.json();
+        const runs = result.runs || [];
+
+        document.getElementById('ruleRunsTitle').textContent = rule ? rule.name : ruleId;
+        const tbody = document.getElementById('ruleRunsTableBody');
+        tbody.innerHTML = '';
+
+        if (runs.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="3" class="text-center py-8 text-muted-foreground">
+                        This rule has not run yet
+                    </td>
+                </tr>
+            `;
+        }
+
+        runs.forEach(run => {
+            const row = document.createElement('tr');
+            row.className = 'border-b border-border';
+
+            const statusColor = {
+                succeeded: 'text-green-500',
+                partial: 'text-yellow-500',
+                failed: 'text-red-500',
+                skipped: 'text-muted-foreground'
+            }[run.status] || 'text-blue-500';
+
+            const sessionResults = run.jobs.map(job => `
+                <div class="text-xs">
+                    <span class="font-mono">${escapeHtml(job.sessionId)}</span>:
+                    ${escapeHtml(job.status)}${job.method ? ` via ${escapeHtml(job.method)}` : ''}${job.error ? ` — ${escapeHtml(job.error)}` : ''}
+                </div>
+            `).join('') || `<div class="text-xs text-muted-foreground">${escapeHtml(run.error || '')}</div>`;
+
+            row.innerHTML = `
+                <td class="py-3 text-sm text-muted-foreground">${new Date(run.firedAt).toLocaleString()}</td>
+                <td class="py-3 text-sm capitalize ${statusColor}">${run.status}</td>
+                <td class="py-3">${sessionResults}</td>
+            `;
+
+            tbody.appendChild(row);
+        });
+
+        document.getElementById('ruleRunsPanel').classList.remove('hidden');
+    } catch (error) {
+        console.error('Failed to load rule runs:', error);
+        showToast('Failed to load rule runs', 'error');
+    }
+}
+
+// Read a file input as a data URL
+function readFileAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(new Error('Failed to read file'));
+        reader.readAsDataURL(file);
+    });
+}
+
+// Rules tab event handlers
+document.addEventListener('DOMContentLoaded', () => {
+    const addRuleBtn = document.getElementById('addRuleBtn');
+    const addRuleModal = document.getElementById('addRuleModal');
+    const addRuleForm = document.getElementById('addRuleForm');
+
+    if (!addRuleBtn || !addRuleModal || !addRuleForm) return;
+
+    addRuleBtn.addEventListener('click', () => {
+        addRuleModal.classList.remove('hidden');
+    });
+
+    document.getElementById('closeAddRuleModal').addEventListener('click', () => {
+        addRuleModal.classList.add('hidden');
+        addRuleForm.reset();
+    });
+
+    document.getElementById('refreshRulesBtn').addEventListener('click', loadStatusRules);
+
+    document.getElementById('closeRuleRunsBtn').addEventListener('click', () => {
+        document.getElementById('ruleRunsPanel').classList.add('hidden');
+    });
+
+    document.getElementById('ruleStatusType').addEventListener('change', (e) => {
+        const isText = e.target.value === 'text';
+        document.getElementById('ruleTextFields').classList.toggle('hidden', !isText);
+        document.getElementById('ruleMediaFields').classList.toggle('hidden', isText);
+    });
+
+    document.getElementById('ruleScheduleType').addEventListener('change', (e) => {
+        document.getElementById('ruleScheduleValue').placeholder = e.target.value === 'cron' ? '0 9 * * 1-5' : '6h';
+    });
+
+    addRuleForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const button = e.target.querySelector('button[type="submit"]');
+        setButtonLoading(button, true, 'Creating...');
+
+        try {
+            const type = document.getElementById('ruleStatusType').value;
+            const scheduleType = document.getElementById('ruleScheduleType').value;
+            const scheduleValue = document.getElementById('ruleScheduleValue').value.trim();
+            const timezone = document.getElementById('ruleTimezone').value.trim();
+
+            const body = {
+                name: document.getElementById('ruleName').value.trim() || undefined,
+                [document.getElementById('ruleTargetType').value]: document.getElementById('ruleTargetId').value.trim(),
+                schedule: scheduleType === 'cron'
+                    ? { cron: scheduleValue, timezone: timezone || undefined }
+                    : { every: scheduleValue },
+                type,
+                options: {}
+            };
+
+            if (type === 'text') {
+                body.content = document.getElementById('ruleText').value;
+            } else {
+                const file = document.getElementById('ruleMedia').files[0];
+                if (!file) {
+                    showToast('Please select a media file', 'error');
+                    setButtonLoading(button, false);
+                    return;
+                }
+                body.content = await readFileAsDataURL(file);
+                const caption = document.getElementById('ruleCaption').value.trim();
+                if (caption) body.options.caption = caption;
+            }
+
+            const response = await fetch(`${API_BASE_URL}/status-rules`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                showToast(`Rule created, next run ${new Date(result.rule.nextRunAt).toLocaleString()}`, 'success');
+                addRuleModal.classList.add('hidden');
+                addRuleForm.reset();
+                document.getElementById('ruleTextFields').classList.remove('hidden');
+                document.getElementById('ruleMediaFields').classList.add('hidden');
+                await loadStatusRules();
+            } else {
+                showToast(result.error || 'Failed to create rule', 'error');
+            }
+        } catch (error) {
+            console.error('Failed to create rule:', error);
+            showToast('Failed to create rule', 'error');
+        }
+
+        setButtonLoading(button, false);
+    });
+});
+
+// ============================================
+// Status Drafts and Approvals
+// ============================================
+
+let statusDrafts = [];
+
+// Load drafts in the selected state
+async function loadStatusDrafts() {
+    const state = document.getElementById('draftStateFilter').value;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/status-drafts${state ? `?state=${state}` : ''}`);
+        const result = await response.json();
+        statusDrafts = result.drafts || [];
+        renderStatusDrafts();
+    } catch (error) {
+        console.error('Failed to load drafts:', error);
+        showToast('Failed to load drafts', 'error');
+    }
+}
+
+// Render drafts table
+function renderStatusDrafts() {
+    const tbody = document.getElementById('draftsTableBody');
+    if (!tbody) return;
+    tbody.innerHTML = '';
+
+    if (statusDrafts.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="text-center py-8 text-muted-foreground">
+                    No drafts in this state
+                </td>
+            </tr>
+        `;
+        return;
+    }
+
+    statusDrafts.forEach(draft => {
+        const row = document.createElement('tr');
+        row.className = 'border-b border-border hover:bg-muted/50';
+
+        const text = draft.type === 'text' ? draft.content : (draft.options?.caption || '');
+        const preview = draft.mediaId
+            ? `<a href="${API_BASE_URL}/status-drafts/${draft.id}/media" target="_blank" class="text-blue-500 hover:underline">View ${draft.type}</a>`
+            : '';
+        const lastReview = draft.reviews.length > 0 ? draft.reviews[draft.reviews.length - 1] : null;
+        const stateColor = {
+            pending_approval: 'bg-yellow-500',
+            approved: 'bg-blue-500',
+            published: 'bg-green-500',
+            rejected: 'bg-red-500',
+            failed: 'bg-red-500'
+        }[draft.state] || 'bg-gray-500';
+
+        const actions = [];
+        if (['draft', 'rejected', 'failed'].includes(draft.state)) {
+            actions.push(`<button onclick="submitStatusDraft('${draft.id}')"
+                            class="px-2 py-1 text-xs bg-blue-600 hover:bg-blue-700 text-white rounded transition-colors">Submit</button>`);
+        }
+        if (draft.state === 'pending_approval') {
+            actions.push(`<button onclick="decideStatusDraft('${draft.id}', 'approve')"
+                            class="px-2 py-1 text-xs bg-green-600 hover:bg-green-700 text-white rounded transition-colors">Approve</button>`);
+            actions.push(`<button onclick="decideStatusDraft('${draft.id}', 'reject')"
+                            class="px-2 py-1 text-xs bg-orange-600 hover:bg-orange-700 text-white rounded transition-colors">Reject</button>`);
+        }
+        if (draft.state !== 'published') {
+            actions.push(`<button onclick="deleteStatusDraft('${draft.id}')"
+                            class="px-2 py-1 text-xs bg-red-600 hover:bg-red-700 text-white rounded transition-colors">Delete</button>`);
+        }
+
+        row.innerHTML = `
+            <td class="py-3 text-sm">
+                <div class="max-w-xs truncate">${escapeHtml(text)}</div>
+                <div class="text-xs text-muted-foreground"><span class="capitalize">${draft.type}</span> ${preview}</div>
+            </td>
+            <td class="py-3 text-sm font-mono">${escapeHtml(draft.sessionId)}</td>
+            <td class="py-3 text-sm font-mono">${escapeHtml(draft.approverUserId || '—')}</td>
+            <td class="py-3 text-sm text-muted-foreground">${draft.scheduledAt ? new Date(draft.scheduledAt).toLocaleString() : 'On approval'}</td>
+            <td class="py-3">
+                <div class="flex items-center gap-2">
+                    <span class="w-2 h-2 rounded-full ${stateColor}"></span>
+                    <span class="text-sm">${draft.state.replace('_', ' ')}</span>
+                </div>
+                ${lastReview?.comment ? `<div class="text-xs text-muted-foreground">“${escapeHtml(lastReview.comment)}”</div>` : ''}
+                ${draft.lastError ? `<div class="text-xs text-red-500">${escapeHtml(draft.lastError)}</div>` : ''}
+            </td>
+            <td class="py-3">
+                <div class="flex gap-2">${actions.join('')}</div>
+            </td>
+        `;
+
+        tbody.appendChild(row);
+    });
+}
+
+// Send a draft for approval and show its one-time link
+async function submitStatusDraft(draftId) {
+    const approverUserId = prompt('Approver user ID (leave empty to keep the current approver or the session owner):');
+    if (approverUserId === null) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/status-drafts/${draftId}/submit`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ approverUserId: approverUserId.trim() || undefined })
+        });
+        const result = await response.json();
+
+        if (result.success) {
+            prompt('Draft submitted. Share this one-time approval link:', result.approvalUrl);
+            await loadStatusDrafts();
+        } else {
+            showToast(result.error || 'Failed to submit draft', 'error');
+        }
+    } catch (error) {
+        console.error('Failed to submit draft:', error);
+        showToast('Failed to submit draft', 'error');
+    }
+}
+
+// Approve or reject a pending draft
+async function decideStatusDraft(draftId, decision) {
+    const comment = prompt(`Comment for this ${decision === 'approve' ? 'approval' : 'rejection'} (optional):`);
+    if (comment === null) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/status-drafts/${draftId}/${decision}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ comment: comment.trim() || undefined })
+        });
+        const result = await response.json();
+
+        if (result.success) {
+            showToast(decision === 'approve' ? 'Draft approved' : 'Draft rejected', 'success');
+            await loadStatusDrafts();
+        } else {
+            showToast(result.error || `Failed to ${decision} draft`, 'error');
+        }
+    } catch (error) {
+        console.error(`Failed to ${decision} draft:`, error);
+        showToast(`Failed to ${decision} draft`, 'error');
+    }
+}
+
+// Delete a draft that has not been published
+async function deleteStatusDraft(draftId) {
+    if (!confirm('Are you sure you want to delete this draft?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/status-drafts/${draftId}`, {
+            method: 'DELETE'
+        });
+        const result = await response.json();
+
+        if (result.success) {
+            showToast('Draft deleted successfully', 'success');
+            await loadStatusDrafts();
+        } else {
+            showToast(result.error || 'Failed to delete draft', 'error');
+        }
+    } catch (error) {
+        console.error('Failed to delete draft:', error);
+        showToast('Failed to delete draft', 'error');
+    }
+}
+
+// Approvals tab event handlers
+document.addEventListener('DOMContentLoaded', () => {
+    const refreshDraftsBtn = document.getElementById('refreshDraftsBtn');
+    if (!refreshDraftsBtn) return;
+
+    refreshDraftsBtn.addEventListener('click', loadStatusDrafts);
+    document.getElementById('draftStateFilter').addEventListener('change', loadStatusDrafts);
+});
+
 // ============================================
 // Logs Management
 // ============================================
@@ -2131,8 +2637,9 @@ async function init() {
     // Check server status every 10 seconds
     setInterval(checkServerStatus, 10000);
 
-    // Refresh sessions every 5 seconds
-    setInterval(loadSessions, 5000);
+    // Session changes arrive on the event stream; a slow refresh covers missed events
+    subscribeToGlobalEvents();
+    setInterval(loadSessions, 60000);
 }
 
 // Start the app
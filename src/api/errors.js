@@ -0,0 +1,127 @@
+// ============================================
+// API Error Model
+// ============================================
+// Every error response uses one envelope:
+//   { success: false, error: <message>, code: <CODE>, retryable, retryAfter, details? }
+// Clients branch on `code`; `error` is for humans. retryAfter is in seconds and is
+// mirrored in the Retry-After header.
+
+const ERROR_CODES = {
+    // Request problems
+    VALIDATION_FAILED: { status: 400, message: 'Request validation failed' },
+    INVALID_REQUEST: { status: 400, message: 'Invalid request' },
+    API_KEY_REQUIRED: { status: 401, message: 'API key required' },
+    API_KEY_INVALID: { status: 401, message: 'Invalid API key' },
+    API_KEY_FORBIDDEN: { status: 403, message: 'API key is not allowed to perform this request' },
+    INVALID_STATE: { status: 409, message: 'Resource is not in a state that allows this operation' },
+    IDEMPOTENCY_KEY_IN_PROGRESS: { status: 409, message: 'A request with this Idempotency-Key is still being processed', retryable: true, retryAfter: 5 },
+    IDEMPOTENCY_KEY_REUSED: { status: 422, message: 'Idempotency-Key was already used for a different request' },
+    UNSUPPORTED_MEDIA_TYPE: { status: 415, message: 'Unsupported media type' },
+    MEDIA_PROCESSING_FAILED: { status: 422, message: 'Media could not be processed' },
+    MEDIA_LIMIT_EXCEEDED: { status: 422, message: 'Media exceeds WhatsApp status limits' },
+
+    // Missing resources
+    NOT_FOUND: { status: 404, message: 'Not found' },
+    SESSION_NOT_FOUND: { status: 404, message: 'Session not found' },
+    USER_NOT_FOUND: { status: 404, message: 'User not found' },
+    PROXY_NOT_FOUND: { status: 404, message: 'Proxy not found' },
+    JOB_NOT_FOUND: { status: 404, message: 'Scheduled job not found' },
+    RULE_NOT_FOUND: { status: 404, message: 'Rule not found' },
+    TEMPLATE_NOT_FOUND: { status: 404, message: 'Template not found' },
+    EVERGREEN_NOT_FOUND: { status: 404, message: 'Evergreen status not found' },
+    BROADCAST_NOT_FOUND: { status: 404, message: 'Broadcast not found' },
+    DELETION_NOT_FOUND: { status: 404, message: 'Status deletion not found' },
+    DRAFT_NOT_FOUND: { status: 404, message: 'Status draft not found' },
+    APPROVAL_LINK_INVALID: { status: 404, message: 'Approval link is invalid, already used or expired' },
+    WEBHOOK_NOT_FOUND: { status: 404, message: 'Webhook not found' },
+    DELIVERY_NOT_FOUND: { status: 404, message: 'Delivery not found' },
+    API_KEY_NOT_FOUND: { status: 404, message: 'API key not found' },
+
+    // Session and WhatsApp state
+    SESSION_REQUIRES_AUTH: { status: 409, message: 'Session requires authentication' },
+    SESSION_EXISTS: { status: 409, message: 'A session with this id already exists' },
+    QR_NOT_AVAILABLE: { status: 503, message: 'QR code is not available yet, please try again in a few seconds', retryable: true, retryAfter: 5 },
+    HANDLER_NOT_READY: { status: 503, message: 'Session is starting up, please try again in a few seconds', retryable: true, retryAfter: 5 },
+    SEND_FAILED: { status: 502, message: 'Failed to send status', retryable: true, retryAfter: 30 },
+    WHATSAPP_ERROR: { status: 502, message: 'WhatsApp operation failed', retryable: true, retryAfter: 10 },
+    PROXY_UNAVAILABLE: { status: 503, message: 'No proxies available', retryable: true, retryAfter: 60 },
+    BROWSER_POOL_EXHAUSTED: { status: 503, message: 'All browsers are busy, please try again shortly', retryable: true, retryAfter: 30 },
+
+    // Server side
+    FEATURE_DISABLED: { status: 501, message: 'This feature is disabled' },
+    INTERNAL_ERROR: { status: 500, message: 'Internal server error' }
+};
+
+class ApiError extends Error {
+    /**
+     * @param {string} code - Key of ERROR_CODES
+     * @param {string} message - Human readable message (defaults to the code's message)
+     * @param {object} details - Extra machine-readable context
+     * @param {object} options - { retryAfter } overriding the code's default hint
+     */
+    constructor(code, message = null, details = null, options = {}) {
+        const definition = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+        super(message || definition.message);
+        this.name = 'ApiError';
+        this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+        this.status = definition.status;
+        this.details = details;
+        this.retryable = definition.retryable || false;
+        this.retryAfter = options.retryAfter !== undefined ? options.retryAfter : definition.retryAfter || null;
+    }
+
+    toJSON() {
+        const body = {
+            success: false,
+            error: this.message,
+            code: this.code,
+            retryable: this.retryable,
+            retryAfter: this.retryAfter
+        };
+        if (this.details) body.details = this.details;
+        return body;
+    }
+}
+
+/**
+ * Convert any thrown value to an ApiError. Errors carrying a known `code`
+ * (e.g. thrown by the managers) keep it; anything else gets fallbackCode.
+ */
+const toApiError = (error, fallbackCode = 'INTERNAL_ERROR') => {
+    if (error instanceof ApiError) return error;
+    const code = error && ERROR_CODES[error.code] ? error.code : fallbackCode;
+    return new ApiError(code, error && error.message);
+};
+
+/**
+ * Send an error response: sendError(res, 'SESSION_NOT_FOUND') or sendError(res, 'SEND_FAILED', message, details)
+ */
+const sendError = (res, code, message = null, details = null) => {
+    return respondWithError(res, new ApiError(code, message, details));
+};
+
+/**
+ * Send a caught error, mapping unknown errors to fallbackCode
+ */
+const handleError = (res, error, fallbackCode = 'INTERNAL_ERROR') => {
+    const apiError = toApiError(error, fallbackCode);
+    if (apiError.status >= 500 && apiError.code === 'INTERNAL_ERROR') {
+        console.error('[API] Unhandled error:', error && error.stack ? error.stack : error);
+    }
+    return respondWithError(res, apiError);
+};
+
+const respondWithError = (res, apiError) => {
+    if (apiError.retryAfter) {
+        res.set('Retry-After', String(apiError.retryAfter));
+    }
+    return res.status(apiError.status).json(apiError.toJSON());
+};
+
+module.exports = {
+    ERROR_CODES,
+    ApiError,
+    toApiError,
+    sendError,
+    handleError
+};
@@ -0,0 +1,1902 @@
+const { validateSchema, coerceValue } = require('../utils/schemaValidator');
+const { ERROR_CODES, sendError } = require('./errors');
+
+// ============================================
+// OpenAPI 3 document for the REST API
+// ============================================
+// The same schemas drive request validation (see createRequestValidator),
+// so every route documented here rejects malformed input before it reaches a browser.
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const pathParam = (name, description, schema = ref('Id')) => ({
+    name, in: 'path', required: true, description, schema
+});
+
+const queryParam = (name, description, schema = { type: 'string' }) => ({
+    name, in: 'query', required: false, description, schema
+});
+
+const headerParam = (name, description, schema = { type: 'string' }) => ({
+    name, in: 'header', required: false, description, schema
+});
+
+const jsonBody = (schema, required = true) => ({
+    required,
+    content: { 'application/json': { schema: typeof schema === 'string' ? ref(schema) : schema } }
+});
+
+// JSON body or multipart upload (file field plus caption/options form fields)
+const uploadBody = (jsonSchema, uploadSchema) => ({
+    required: true,
+    content: {
+        'application/json': { schema: ref(jsonSchema) },
+        'multipart/form-data': { schema: ref(uploadSchema) }
+    }
+});
+
+const jsonResponse = (description, schema = ref('Success')) => ({
+    description,
+    content: { 'application/json': { schema: typeof schema === 'string' ? ref(schema) : schema } }
+});
+
+const errorResponses = {
+    400: { $ref: '#/components/responses/ValidationError' },
+    401: { $ref: '#/components/responses/Unauthorized' },
+    403: { $ref: '#/components/responses/Forbidden' },
+    default: { $ref: '#/components/responses/Error' }
+};
+
+const operation = (tag, summary, { params = [], body, responses = {}, security } = {}) => {
+    const op = {
+        tags: [tag],
+        summary,
+        parameters: params,
+        responses: {
+            200: jsonResponse('Success'),
+            ...errorResponses,
+            ...responses
+        }
+    };
+    if (body) op.requestBody = body;
+    if (security) op.security = security;
+    return op;
+};
+
+const notFound = description => ({ 404: jsonResponse(description, 'Error') });
+
+const baileys = summary => ({
+    ...operation('Baileys', summary, { params: [pathParam('userId', 'User id')] }),
+    deprecated: true,
+    description: 'Temporarily disabled; may respond with 501.'
+});
+
+const SESSION_ID = pathParam('sessionId', 'Session id');
+const USER_ID = pathParam('userId', 'User id');
+const TEMPLATE_ID = pathParam('templateId', 'Template id');
+const EVERGREEN_ID = pathParam('evergreenId', 'Evergreen status id');
+const DELETION_ID = pathParam('deletionId', 'Status deletion id');
+const DRAFT_ID = pathParam('draftId', 'Status draft id');
+const APPROVAL_TOKEN = pathParam('token', 'One-time approval token from the approval link', { type: 'string', minLength: 1, maxLength: 128 });
+const LIMIT = queryParam('limit', 'Maximum number of entries to return', { type: 'integer', minimum: 1, maximum: 1000 });
+const IDEMPOTENCY_KEY = headerParam('Idempotency-Key',
+    'Replaying a key returns the original response (with Idempotency-Replayed: true) instead of sending again',
+    { type: 'string', minLength: 1, maxLength: 255 });
+const idempotentResponses = {
+    409: jsonResponse('Request with this Idempotency-Key still in progress (IDEMPOTENCY_KEY_IN_PROGRESS) or session requires authentication', 'Error'),
+    422: jsonResponse('Idempotency-Key reused with a different request (IDEMPOTENCY_KEY_REUSED)', 'Error')
+};
+const EXPORT_FORMAT = queryParam('format', 'File format (default csv)', { type: 'string', enum: ['csv', 'xlsx'] });
+const exportResponse = {
+    description: 'One row per viewer: status id, publish time, viewer number, push name, view time, viewer id',
+    content: {
+        'text/csv': { schema: { type: 'string' } },
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: { type: 'string', format: 'binary' } }
+    }
+};
+const WAIT = queryParam('wait', 'Block until the send finishes instead of returning a job id', { type: 'boolean' });
+const mediaSendResponses = {
+    ...idempotentResponses,
+    200: jsonResponse('Sent (only with wait=true)'),
+    202: jsonResponse('Send queued; poll statusUrl for the outcome', 'StatusJobAccepted')
+};
+const draftSavedResponse = {
+    201: jsonResponse('Saved as a draft (request had `draft`); nothing was published', 'StatusDraftSaved')
+};
+const draftResponse = description => jsonResponse(description, {
+    type: 'object',
+    properties: { success: { type: 'boolean' }, draft: ref('StatusDraft') }
+});
+
+const schemas = {
+    Id: { type: 'string', minLength: 1, maxLength: 128 },
+    // Only enforced when creating users; lookups accept any existing id
+    UserId: {
+        type: 'string',
+        pattern: '^[A-Za-z0-9][A-Za-z0-9_.@+-]{0,127}$',
+        'x-pattern-message': 'must be 1-128 characters of letters, digits, _ . @ + or -',
+        example: 'customer-42'
+    },
+    PhoneNumber: {
+        type: 'string',
+        pattern: '^\\+?[0-9]{7,15}$',
+        'x-pattern-message': 'must be a phone number in international format, digits only (e.g. 972501234567)',
+        example: '972501234567'
+    },
+    ProxyString: {
+        type: 'string',
+        pattern: '^[^:\\s]+:\\S+@[^:@\\s]+:[0-9]{1,5}$',
+        'x-pattern-message': 'must use the format username:password@host:port',
+        example: 'user:pass@203.0.113.10:8080'
+    },
+    StatusType: { type: 'string', enum: ['text', 'image', 'video'] },
+    Timestamp: { type: 'string', format: 'date-time', example: '2030-01-01T09:00:00Z' },
+    StatusOptions: {
+        type: 'object',
+        description: 'Passed through to WA-JS. Unknown keys are forwarded unchanged.',
+        properties: {
+            caption: { type: 'string', maxLength: 1024 },
+            backgroundColor: {
+                type: ['string', 'integer'],
+                description: 'Hex color such as #0b6e4f',
+                pattern: '^#?[0-9A-Fa-f]{6}([0-9A-Fa-f]{2})?$',
+                'x-pattern-message': 'must be a hex color such as #0b6e4f'
+            },
+            font: { type: 'integer', minimum: 0, maximum: 10 },
+            textColor: {
+                type: ['string', 'integer'],
+                description: 'Hex color such as #ffffff',
+                pattern: '^#?[0-9A-Fa-f]{6}([0-9A-Fa-f]{2})?$',
+                'x-pattern-message': 'must be a hex color such as #ffffff'
+            },
+            waitForAck: { type: 'boolean' }
+        }
+    },
+    MediaContent: {
+        type: 'string',
+        minLength: 1,
+        description: 'Base64 data URL (data:image/png;base64,...) or raw base64'
+    },
+    EvergreenRequest: {
+        description: 'Republish the status shortly before it expires, until stopped',
+        oneOf: [
+            { type: 'boolean' },
+            {
+                type: 'object',
+                properties: {
+                    deletePrevious: { type: 'boolean', default: false, description: 'Remove the previous copy once the new one is up' }
+                }
+            }
+        ]
+    },
+    DeleteAfter: {
+        description: 'Remove the status this long after it is published (1 minute to 24 hours); not combinable with evergreen',
+        oneOf: [
+            { type: 'string', minLength: 1, example: '2h' },
+            { type: 'number', minimum: 60, description: 'Seconds' }
+        ]
+    },
+    DraftRequest: {
+        description: 'Save the status for approval instead of publishing it; not combinable with evergreen',
+        oneOf: [
+            { type: 'boolean' },
+            {
+                type: 'object',
+                properties: {
+                    submit: { type: 'boolean', default: false, description: 'Send it for approval right away and return the approval link' },
+                    approverUserId: { type: 'string', minLength: 1, description: "Defaults to the session's user" },
+                    scheduledAt: { ...ref('Timestamp'), description: 'Publish at this time once approved (right away if it has passed)' }
+                }
+            }
+        ]
+    },
+    TextStatusRequest: {
+        type: 'object',
+        required: ['content'],
+        properties: {
+            content: { type: 'string', minLength: 1, maxLength: 700 },
+            options: ref('StatusOptions'),
+            evergreen: ref('EvergreenRequest'),
+            deleteAfter: ref('DeleteAfter'),
+            draft: ref('DraftRequest')
+        }
+    },
+    MediaStatusRequest: {
+        type: 'object',
+        required: ['content'],
+        properties: {
+            content: ref('MediaContent'),
+            options: ref('StatusOptions'),
+            evergreen: ref('EvergreenRequest'),
+            deleteAfter: ref('DeleteAfter'),
+            draft: ref('DraftRequest')
+        }
+    },
+    ImageStatusUpload: {
+        type: 'object',
+        required: ['image'],
+        properties: {
+            image: { type: 'string', format: 'binary' },
+            caption: { type: 'string', maxLength: 1024 },
+            options: { type: 'string', description: 'JSON-encoded StatusOptions' },
+            evergreen: { type: 'string', description: '"true", or a JSON-encoded EvergreenRequest object' },
+            deleteAfter: { type: 'string', description: 'Duration such as "2h", or seconds' },
+            draft: { type: 'string', description: '"true", or a JSON-encoded DraftRequest object' }
+        }
+    },
+    VideoStatusUpload: {
+        type: 'object',
+        required: ['video'],
+        properties: {
+            video: { type: 'string', format: 'binary' },
+            caption: { type: 'string', maxLength: 1024 },
+            options: { type: 'string', description: 'JSON-encoded StatusOptions' },
+            evergreen: { type: 'string', description: '"true", or a JSON-encoded EvergreenRequest object' },
+            deleteAfter: { type: 'string', description: 'Duration such as "2h", or seconds' },
+            draft: { type: 'string', description: '"true", or a JSON-encoded DraftRequest object' }
+        }
+    },
+    CreateSessionRequest: {
+        type: 'object',
+        required: ['userId'],
+        properties: {
+            userId: ref('UserId'),
+            authMethod: { type: 'string', enum: ['qr', 'code'], default: 'qr' },
+            phoneNumber: ref('PhoneNumber'),
+            qrFormat: {
+                type: 'string',
+                enum: ['png', 'svg'],
+                description: 'Also return the QR code as a data: URL in authData.dataUrl, ready for an <img> tag'
+            }
+        }
+    },
+    SessionImportRequest: {
+        type: 'object',
+        required: ['bundle'],
+        properties: {
+            bundle: { type: 'string', description: 'Base64 of the ZIP from GET /sessions/{sessionId}/export' }
+        }
+    },
+    SessionImportUpload: {
+        type: 'object',
+        required: ['bundle'],
+        properties: {
+            bundle: { type: 'string', format: 'binary', description: 'ZIP from GET /sessions/{sessionId}/export' }
+        }
+    },
+    SessionImported: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            sessionId: ref('Id'),
+            userId: { type: 'string' },
+            status: ref('SessionStatus'),
+            phoneNumber: { type: 'string', nullable: true },
+            proxyInfo: {
+                type: 'object',
+                nullable: true,
+                properties: { host: { type: 'string' }, port: { type: 'integer' }, status: { type: 'string' } }
+            },
+            message: { type: 'string' }
+        }
+    },
+    ScheduleStatusRequest: {
+        type: 'object',
+        required: ['type', 'content', 'scheduledAt'],
+        properties: {
+            type: ref('StatusType'),
+            content: { type: 'string', minLength: 1 },
+            options: ref('StatusOptions'),
+            scheduledAt: ref('Timestamp'),
+            deleteAfter: ref('DeleteAfter')
+        }
+    },
+    RescheduleRequest: {
+        type: 'object',
+        required: ['scheduledAt'],
+        properties: { scheduledAt: ref('Timestamp') }
+    },
+    RuleSchedule: {
+        oneOf: [
+            { type: 'string', minLength: 1, description: 'Cron expression, e.g. "0 9 * * 1-5"' },
+            {
+                type: 'object',
+                required: ['cron'],
+                additionalProperties: false,
+                properties: {
+                    cron: { type: 'string', minLength: 1 },
+                    timezone: { type: 'string', example: 'Asia/Jerusalem' }
+                }
+            },
+            {
+                type: 'object',
+                required: ['every'],
+                additionalProperties: false,
+                properties: {
+                    every: { type: ['string', 'integer'], description: 'Duration such as "6h" or seconds' }
+                }
+            }
+        ]
+    },
+    StatusRuleRequest: {
+        type: 'object',
+        required: ['schedule', 'type', 'content'],
+        properties: {
+            name: { type: 'string', maxLength: 200 },
+            sessionId: ref('Id'),
+            userId: ref('Id'),
+            schedule: ref('RuleSchedule'),
+            type: ref('StatusType'),
+            content: { type: 'string', minLength: 1 },
+            options: ref('StatusOptions')
+        }
+    },
+    StatusRuleUpdate: {
+        type: 'object',
+        properties: {
+            name: { type: 'string', maxLength: 200 },
+            schedule: ref('RuleSchedule'),
+            type: ref('StatusType'),
+            content: { type: 'string', minLength: 1 },
+            options: ref('StatusOptions')
+        }
+    },
+    StatusTemplateRequest: {
+        type: 'object',
+        required: ['name', 'content'],
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 200 },
+            description: { type: 'string', maxLength: 500 },
+            type: { ...ref('StatusType'), default: 'text' },
+            content: {
+                type: 'string',
+                minLength: 1,
+                description: 'Text with {{placeholders}} ({{name|fallback}} for a default), or base64 media for image/video templates'
+            },
+            options: ref('StatusOptions')
+        }
+    },
+    StatusTemplateUpdate: {
+        type: 'object',
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 200 },
+            description: { type: 'string', maxLength: 500, nullable: true },
+            type: ref('StatusType'),
+            content: { type: 'string', minLength: 1 },
+            options: ref('StatusOptions')
+        }
+    },
+    TemplateVariables: {
+        type: 'object',
+        description: 'Placeholder name -> value',
+        additionalProperties: { type: ['string', 'number', 'boolean'] },
+        example: { firstName: 'Dana', promoCode: 'SPRING24' }
+    },
+    RenderTemplateRequest: {
+        type: 'object',
+        properties: {
+            userId: ref('Id'),
+            variables: ref('TemplateVariables'),
+            options: ref('StatusOptions')
+        }
+    },
+    TemplateStatusRequest: {
+        type: 'object',
+        required: ['templateId'],
+        properties: {
+            templateId: ref('Id'),
+            variables: { ...ref('TemplateVariables'), description: "Override the session user's variables" },
+            options: { ...ref('StatusOptions'), description: "Override the template's options" },
+            evergreen: ref('EvergreenRequest'),
+            deleteAfter: ref('DeleteAfter'),
+            draft: ref('DraftRequest')
+        }
+    },
+    DraftUpdateRequest: {
+        type: 'object',
+        description: 'Editing a submitted or rejected draft returns it to the draft state; the approval link stops working',
+        properties: {
+            content: { type: 'string', minLength: 1, description: 'Text, or base64/data URL media for image and video drafts' },
+            options: ref('StatusOptions'),
+            scheduledAt: { ...ref('Timestamp'), nullable: true, description: 'null publishes right after approval' },
+            deleteAfter: {
+                nullable: true,
+                description: 'Duration such as "2h", or seconds; null keeps the status until it expires',
+                oneOf: [{ type: 'string', minLength: 1 }, { type: 'number', minimum: 60 }]
+            }
+        }
+    },
+    DraftSubmitRequest: {
+        type: 'object',
+        properties: {
+            approverUserId: { type: 'string', minLength: 1, description: "Defaults to the previous approver, then the session's user" }
+        }
+    },
+    DraftDecisionRequest: {
+        type: 'object',
+        properties: { comment: { type: 'string', maxLength: 1000 } }
+    },
+    ApprovalDecisionRequest: {
+        type: 'object',
+        required: ['decision'],
+        properties: {
+            decision: { type: 'string', enum: ['approve', 'reject'] },
+            comment: { type: 'string', maxLength: 1000 }
+        }
+    },
+    UserVariablesRequest: {
+        type: 'object',
+        required: ['variables'],
+        properties: { variables: ref('TemplateVariables') }
+    },
+    UserTagsRequest: {
+        type: 'object',
+        required: ['tags'],
+        properties: { tags: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 64 }, maxItems: 50 } }
+    },
+    Duration: {
+        oneOf: [
+            { type: 'string', minLength: 1, example: '10s' },
+            { type: 'number', minimum: 0, description: 'Seconds' }
+        ]
+    },
+    BroadcastRequest: {
+        type: 'object',
+        required: ['type', 'content'],
+        description: 'At least one of sessionIds, userIds or tags must match a session',
+        properties: {
+            type: ref('StatusType'),
+            content: { type: 'string', minLength: 1, description: 'Text (max 700 characters), or base64/data URL media' },
+            options: ref('StatusOptions'),
+            sessionIds: { type: 'array', items: ref('Id') },
+            userIds: { type: 'array', items: ref('Id'), description: 'Every active session of these users' },
+            tags: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Every active session of users carrying any of these tags' },
+            concurrency: { type: 'integer', minimum: 1, maximum: 10, default: 3, description: 'Sessions sending at the same time' },
+            jitter: {
+                description: 'Random pause between two sends of one worker: a maximum ("10s") or { min, max }',
+                oneOf: [
+                    ref('Duration'),
+                    { type: 'object', properties: { min: ref('Duration'), max: ref('Duration') } }
+                ]
+            },
+            deleteAfter: ref('DeleteAfter')
+        }
+    },
+    BroadcastResult: {
+        type: 'object',
+        properties: {
+            sessionId: { type: 'string', nullable: true, description: 'null when a targeted user has no sessions' },
+            userId: { type: 'string', nullable: true },
+            status: { type: 'string', enum: ['pending', 'sending', 'sent', 'skipped', 'failed'] },
+            reason: {
+                type: 'string',
+                nullable: true,
+                enum: ['requires_auth', 'no_sessions'],
+                description: 'Why a session was skipped'
+            },
+            method: { type: 'string', nullable: true },
+            messageId: { type: 'string', nullable: true },
+            error: { type: 'string', nullable: true },
+            startedAt: { type: 'string', format: 'date-time', nullable: true },
+            finishedAt: { type: 'string', format: 'date-time', nullable: true }
+        }
+    },
+    BroadcastCounts: {
+        type: 'object',
+        properties: {
+            total: { type: 'integer' },
+            pending: { type: 'integer' },
+            sending: { type: 'integer' },
+            sent: { type: 'integer' },
+            skipped: { type: 'integer' },
+            failed: { type: 'integer' }
+        }
+    },
+    Broadcast: {
+        type: 'object',
+        properties: {
+            id: ref('Id'),
+            type: ref('StatusType'),
+            content: { type: 'object', description: '{ text } or { mediaHash, mimeType, size }', additionalProperties: true },
+            options: ref('StatusOptions'),
+            targets: { type: 'object', additionalProperties: true, description: 'Targets as requested' },
+            concurrency: { type: 'integer' },
+            jitter: { type: 'object', properties: { minMs: { type: 'integer' }, maxMs: { type: 'integer' } } },
+            status: { type: 'string', enum: ['running', 'completed', 'interrupted'], description: 'interrupted = the server restarted mid-broadcast' },
+            counts: ref('BroadcastCounts'),
+            results: { type: 'array', items: ref('BroadcastResult') },
+            createdAt: ref('Timestamp'),
+            finishedAt: { type: 'string', format: 'date-time', nullable: true }
+        }
+    },
+    WebhookRequest: {
+        type: 'object',
+        required: ['url'],
+        properties: {
+            url: { type: 'string', format: 'uri' },
+            userId: { type: 'string', minLength: 1, nullable: true },
+            events: { type: 'array', minItems: 1, items: { type: 'string' } },
+            secret: { type: 'string', minLength: 16 },
+            description: { type: 'string', maxLength: 500 }
+        }
+    },
+    WebhookUpdate: {
+        type: 'object',
+        properties: {
+            url: { type: 'string', format: 'uri' },
+            events: { type: 'array', minItems: 1, items: { type: 'string' } },
+            description: { type: 'string', maxLength: 500 },
+            active: { type: 'boolean' }
+        }
+    },
+    ApiKeyRequest: {
+        type: 'object',
+        required: ['name', 'scopes'],
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 200 },
+            scopes: { type: 'array', minItems: 1, items: { type: 'string' } },
+            userIds: { type: 'array', items: ref('Id'), nullable: true, description: 'Restrict the key to these users (null = all)' },
+            expiresAt: { type: 'string', format: 'date-time', nullable: true }
+        }
+    },
+    ApiKeyUpdate: {
+        type: 'object',
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 200 },
+            scopes: { type: 'array', minItems: 1, items: { type: 'string' } },
+            userIds: { type: 'array', items: ref('Id'), nullable: true, description: 'Restrict the key to these users (null = all)' },
+            expiresAt: { type: 'string', format: 'date-time', nullable: true },
+            active: { type: 'boolean' }
+        }
+    },
+    AddProxyRequest: {
+        type: 'object',
+        required: ['proxy'],
+        properties: {
+            proxy: ref('ProxyString'),
+            tags: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    ImportProxiesRequest: {
+        type: 'object',
+        required: ['proxies'],
+        properties: {
+            proxies: { type: 'array', minItems: 1, items: ref('ProxyString') },
+            tags: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    ImportProxyFileRequest: {
+        type: 'object',
+        required: ['filePath'],
+        properties: {
+            filePath: { type: 'string', minLength: 1 },
+            tags: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    DatabasePathRequest: {
+        type: 'object',
+        properties: { path: { type: 'string', minLength: 1 } }
+    },
+    LogEntryRequest: {
+        type: 'object',
+        required: ['message'],
+        properties: {
+            level: { type: 'string', enum: ['info', 'warn', 'error', 'debug'] },
+            message: { type: 'string', minLength: 1 },
+            source: { type: 'string' }
+        }
+    },
+    LoginRequest: {
+        type: 'object',
+        required: ['password'],
+        properties: { password: { type: 'string' } }
+    },
+    Success: {
+        type: 'object',
+        properties: { success: { type: 'boolean' } },
+        additionalProperties: true
+    },
+    StatusJob: {
+        type: 'object',
+        properties: {
+            id: ref('Id'),
+            sessionId: ref('Id'),
+            userId: { type: 'string', nullable: true },
+            type: { type: 'string', enum: ['image', 'video'] },
+            status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed'] },
+            method: { type: 'string', nullable: true, description: 'Send method reported by the status handler' },
+            messageId: { type: 'string', nullable: true },
+            error: {
+                type: 'object',
+                nullable: true,
+                properties: { code: { type: 'string' }, message: { type: 'string' } }
+            },
+            media: {
+                type: 'object',
+                description: 'Image preprocessing report, or parsed video metadata and warnings',
+                properties: {
+                    original: { type: 'object', additionalProperties: true },
+                    output: { type: 'object', additionalProperties: true },
+                    transformations: { type: 'array', items: ref('MediaTransformation') },
+                    metadata: ref('VideoMetadata'),
+                    warnings: { type: 'array', items: { type: 'string' } }
+                }
+            },
+            content: {
+                type: 'object',
+                description: 'Hash, type and size of the media being sent',
+                properties: { mediaHash: { type: 'string' }, mimeType: { type: 'string', nullable: true }, size: { type: 'integer' } }
+            },
+            options: ref('StatusOptions'),
+            handler: { type: 'string', description: 'Status handler class used for the send' },
+            template: {
+                type: 'object',
+                description: 'Set for sends made from a template',
+                properties: { id: ref('Id'), name: { type: 'string' } }
+            },
+            evergreenId: { type: 'string', description: 'Set when the status was sent as evergreen' },
+            deleteAfter: { type: 'string', description: 'Set when the status is removed early, e.g. "2h"' },
+            createdAt: ref('Timestamp'),
+            startedAt: { type: 'string', format: 'date-time', nullable: true },
+            finishedAt: { type: 'string', format: 'date-time', nullable: true }
+        }
+    },
+    SessionStatus: {
+        type: 'string',
+        enum: ['initializing', 'pending', 'waiting_for_authentication', 'requires_auth', 'authenticated', 'ready', 'active', 'idle', 'failed', 'terminated']
+    },
+    SessionTransition: {
+        type: 'object',
+        properties: {
+            id: ref('Id'),
+            sessionId: ref('Id'),
+            from: { type: 'string', nullable: true, description: 'null for the initial state' },
+            to: ref('SessionStatus'),
+            reason: { type: 'string', nullable: true, example: 'Auto-started but logged out' },
+            accepted: { type: 'boolean', description: 'false when the state machine refused the jump; the status stayed at `from`' },
+            at: ref('Timestamp')
+        }
+    },
+    BrowserPool: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            maxBrowsers: { type: 'integer', description: 'MAX_LIVE_BROWSERS' },
+            live: { type: 'integer', description: 'Open browsers, including ones starting' },
+            starting: { type: 'integer' },
+            available: { type: 'integer' },
+            utilization: { type: 'number', example: 0.85 },
+            hibernated: { type: 'integer', description: 'Logged-in sessions whose browser is closed (status idle)' },
+            idleTimeoutMs: { type: 'integer', nullable: true, description: 'null when idle hibernation is off' },
+            counters: {
+                type: 'object',
+                properties: {
+                    wakes: { type: 'integer', description: 'Browsers auto-started with a saved login' },
+                    idleHibernations: { type: 'integer' },
+                    capacityHibernations: { type: 'integer', description: 'Hibernated to make room for another session' },
+                    exhausted: { type: 'integer', description: 'Starts refused with BROWSER_POOL_EXHAUSTED' }
+                }
+            },
+            wakeLatencyMs: {
+                type: 'object',
+                description: 'Over the last 100 wakes; null until the first one',
+                properties: {
+                    samples: { type: 'integer' },
+                    avg: { type: 'integer', nullable: true },
+                    p50: { type: 'integer', nullable: true },
+                    p95: { type: 'integer', nullable: true },
+                    max: { type: 'integer', nullable: true }
+                }
+            },
+            sessions: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        sessionId: ref('Id'),
+                        userId: { type: 'string', nullable: true },
+                        status: { type: 'string', nullable: true },
+                        starting: { type: 'boolean' },
+                        busy: { type: 'integer', description: 'Operations in progress; busy sessions are never hibernated' },
+                        lastUsedAt: { type: 'string', format: 'date-time', nullable: true }
+                    }
+                }
+            }
+        }
+    },
+    SessionRestore: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            state: { type: 'string', enum: ['idle', 'running', 'done'] },
+            startedAt: { type: 'string', format: 'date-time', nullable: true },
+            finishedAt: { type: 'string', format: 'date-time', nullable: true },
+            total: { type: 'integer' },
+            restored: { type: 'integer', description: 'Browser started' },
+            restoring: { type: 'integer' },
+            queued: { type: 'integer' },
+            retrying: { type: 'integer' },
+            failed: { type: 'integer' },
+            skipped: { type: 'integer', description: 'Removed or logged out before their turn' },
+            deferred: { type: 'integer', description: 'Left hibernated because the browser pool was full; started on first use' },
+            wave: { type: 'integer', description: 'Waves started so far' },
+            parallelism: { type: 'integer', description: 'RESTORE_PARALLELISM' },
+            sessions: {
+                type: 'array',
+                description: 'In restore order',
+                items: {
+                    type: 'object',
+                    properties: {
+                        sessionId: ref('Id'),
+                        userId: { type: 'string' },
+                        rank: { type: 'integer', description: '0 scheduled work and priority user, 1 scheduled work, 2 priority user, 3 other' },
+                        workDueAt: { type: 'string', format: 'date-time', nullable: true, description: 'Earliest scheduled status, removal, republish or rule run' },
+                        priorityUser: { type: 'boolean', description: 'User carries one of RESTORE_PRIORITY_TAGS' },
+                        state: { type: 'string', enum: ['queued', 'restoring', 'restored', 'retrying', 'failed', 'skipped', 'deferred'] },
+                        attempts: { type: 'integer' },
+                        nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+                        error: { type: 'string', nullable: true },
+                        restoredAt: { type: 'string', format: 'date-time', nullable: true }
+                    }
+                }
+            }
+        }
+    },
+    StatusHistoryEntry: {
+        type: 'object',
+        properties: {
+            id: ref('Id'),
+            sessionId: ref('Id'),
+            userId: { type: 'string', nullable: true },
+            type: ref('StatusType'),
+            text: { type: 'string', nullable: true, description: 'Text statuses only' },
+            mediaHash: { type: 'string', nullable: true, description: 'sha256 of the media bytes that were sent' },
+            mimeType: { type: 'string', nullable: true },
+            size: { type: 'integer', nullable: true, description: 'Media size in bytes' },
+            options: ref('StatusOptions'),
+            handler: { type: 'string', nullable: true, description: 'Status handler class that published the status' },
+            method: { type: 'string', nullable: true, description: 'Send method reported by the handler' },
+            messageId: { type: 'string', nullable: true },
+            evergreenId: { type: 'string', nullable: true, description: 'Set for evergreen statuses and their republishes' },
+            broadcastId: { type: 'string', nullable: true, description: 'Set for sends made by a broadcast' },
+            draftId: { type: 'string', nullable: true, description: 'Set for statuses published from an approved draft' },
+            requestedAt: ref('Timestamp'),
+            sentAt: ref('Timestamp'),
+            removedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Set when the status was removed before it expired' }
+        }
+    },
+    StatusDeletion: {
+        type: 'object',
+        properties: {
+            id: ref('Id'),
+            sessionId: ref('Id'),
+            userId: { type: 'string', nullable: true },
+            messageId: { type: 'string', nullable: true },
+            source: {
+                type: 'object',
+                description: 'What sent the status: { jobId }, { scheduledJobId }, { broadcastId }, or empty for direct text sends',
+                additionalProperties: true
+            },
+            deleteAfter: { type: 'string', example: '2h' },
+            publishedAt: ref('Timestamp'),
+            deleteAt: ref('Timestamp'),
+            status: {
+                type: 'string',
+                enum: ['scheduled', 'running', 'deleted', 'failed', 'cancelled', 'expired'],
+                description: 'expired = WhatsApp dropped the status before it could be removed'
+            },
+            nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+            attempts: { type: 'integer' },
+            attemptLog: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: { at: ref('Timestamp'), success: { type: 'boolean' }, error: { type: 'string', nullable: true } }
+                }
+            },
+            lastError: { type: 'string', nullable: true },
+            deletedAt: { type: 'string', format: 'date-time', nullable: true },
+            createdAt: ref('Timestamp')
+        }
+    },
+    StatusDraft: {
+        type: 'object',
+        properties: {
+            id: ref('Id'),
+            sessionId: ref('Id'),
+            userId: { type: 'string', nullable: true },
+            type: ref('StatusType'),
+            content: { type: 'string', nullable: true, description: 'Text drafts only; see /status-drafts/{draftId}/media for media' },
+            mediaId: { type: 'string', nullable: true },
+            options: ref('StatusOptions'),
+            scheduledAt: { type: 'string', format: 'date-time', nullable: true },
+            deleteAfterMs: { type: 'integer', nullable: true },
+            state: {
+                type: 'string',
+                enum: ['draft', 'pending_approval', 'approved', 'rejected', 'published', 'failed'],
+                description: 'approved = handed to the scheduler; failed = publishing failed, edit or resubmit'
+            },
+            approverUserId: { type: 'string', nullable: true },
+            approvalExpiresAt: { type: 'string', format: 'date-time', nullable: true, description: 'Set while an approval link is outstanding' },
+            reviews: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        decision: { type: 'string', enum: ['approved', 'rejected'] },
+                        comment: { type: 'string', nullable: true },
+                        by: { type: 'string', nullable: true, example: 'dashboard' },
+                        at: ref('Timestamp')
+                    }
+                }
+            },
+            publishJobId: { type: 'string', nullable: true, description: 'Scheduler job publishing the approved draft' },
+            messageId: { type: 'string', nullable: true },
+            publishedAt: { type: 'string', format: 'date-time', nullable: true },
+            lastError: { type: 'string', nullable: true },
+            createdBy: { type: 'string', nullable: true },
+            createdAt: ref('Timestamp')
+        }
+    },
+    StatusDraftSaved: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            draftId: ref('Id'),
+            draft: ref('StatusDraft'),
+            approvalUrl: { type: 'string', description: 'One-time approval link; only when the draft was submitted' }
+        }
+    },
+    EvergreenStatus: {
+        type: 'object',
+        properties: {
+            id: ref('Id'),
+            sessionId: ref('Id'),
+            userId: { type: 'string', nullable: true },
+            type: ref('StatusType'),
+            content: { type: 'string', nullable: true, description: 'Text statuses only' },
+            mediaId: { type: 'string', nullable: true },
+            options: ref('StatusOptions'),
+            deletePrevious: { type: 'boolean' },
+            state: {
+                type: 'string',
+                enum: ['pending', 'active', 'stopped', 'failed'],
+                description: 'pending until the first send finishes; failed if it did not go out'
+            },
+            currentMessageId: { type: 'string', nullable: true },
+            publishedAt: { type: 'string', format: 'date-time', nullable: true, description: 'When the current copy went up' },
+            nextRepublishAt: { type: 'string', format: 'date-time', nullable: true },
+            republishJobId: { type: 'string', nullable: true, description: 'Latest scheduler job used to republish' },
+            republishCount: { type: 'integer' },
+            lastRepublishedAt: { type: 'string', format: 'date-time', nullable: true },
+            lastError: { type: 'string', nullable: true },
+            stoppedReason: { type: 'string', nullable: true },
+            createdAt: ref('Timestamp')
+        }
+    },
+    StatusViewSummary: {
+        type: 'object',
+        properties: {
+            id: ref('Id'),
+            sessionId: ref('Id'),
+            userId: { type: 'string', nullable: true },
+            messageId: { type: 'string' },
+            type: { type: 'string', nullable: true },
+            state: { type: 'string', enum: ['live', 'expired', 'removed'], description: 'removed = deleted before it expired' },
+            publishedAt: ref('Timestamp'),
+            expiresAt: ref('Timestamp'),
+            totalViewers: { type: 'integer', description: 'Highest view count observed' },
+            lastSnapshotAt: { type: 'string', format: 'date-time', nullable: true },
+            finalizedAt: { type: 'string', format: 'date-time', nullable: true },
+            snapshotCount: { type: 'integer' }
+        }
+    },
+    StatusViewAnalytics: {
+        type: 'object',
+        properties: {
+            messageId: { type: 'string' },
+            state: { type: 'string', enum: ['live', 'expired', 'removed'] },
+            publishedAt: ref('Timestamp'),
+            expiresAt: ref('Timestamp'),
+            totalViewers: { type: 'integer' },
+            snapshots: {
+                type: 'array',
+                items: { type: 'object', properties: { at: ref('Timestamp'), views: { type: 'integer' } } }
+            },
+            reach: {
+                type: 'array',
+                description: 'Cumulative viewers at the end of each bucket since publishing',
+                items: { type: 'object', properties: { minutes: { type: 'integer' }, at: ref('Timestamp'), viewers: { type: 'integer' } } }
+            },
+            viewers: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        viewerId: { type: 'string' },
+                        number: { type: 'string', nullable: true },
+                        pushName: { type: 'string', nullable: true },
+                        firstSeenAt: ref('Timestamp'),
+                        minutesAfterPublish: { type: 'integer' }
+                    }
+                }
+            }
+        }
+    },
+    StatusJobAccepted: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            jobId: ref('Id'),
+            status: { type: 'string', enum: ['queued'] },
+            statusUrl: { type: 'string', example: '/jobs/6f1c0d9e-...' },
+            evergreenId: { type: 'string', description: 'Set when the status was sent as evergreen' },
+            deleteAfter: { type: 'string', description: 'Set when the status is removed early; see /status/deletions once sent' },
+            transformations: { type: 'array', items: ref('MediaTransformation'), description: 'Image sends only' },
+            metadata: ref('VideoMetadata'),
+            warnings: { type: 'array', items: { type: 'string' }, description: 'Video sends only' }
+        }
+    },
+    VideoMetadata: {
+        type: 'object',
+        description: 'Parsed from the MP4/MOV container',
+        properties: {
+            container: { type: 'string', enum: ['mp4', 'mov'] },
+            brand: { type: 'string', nullable: true },
+            size: { type: 'integer', description: 'Bytes' },
+            duration: { type: 'number', description: 'Seconds' },
+            bitrate: { type: 'integer', nullable: true },
+            fastStart: { type: 'boolean', description: 'moov box precedes the media data' },
+            video: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                    codec: { type: 'string', example: 'h264' },
+                    fourcc: { type: 'string', example: 'avc1' },
+                    width: { type: 'integer' },
+                    height: { type: 'integer' },
+                    displayWidth: { type: 'integer' },
+                    displayHeight: { type: 'integer' },
+                    rotation: { type: 'integer', enum: [0, 90, 180, 270] },
+                    frameRate: { type: 'number', nullable: true }
+                }
+            },
+            audio: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                    codec: { type: 'string', example: 'aac' },
+                    fourcc: { type: 'string' },
+                    channels: { type: 'integer' },
+                    sampleRate: { type: 'integer' }
+                }
+            }
+        }
+    },
+    MediaTransformation: {
+        type: 'object',
+        description: 'A preprocessing step applied to an image before sending',
+        properties: {
+            type: { type: 'string', enum: ['detect', 'convert', 'orient', 'resize', 'reencode', 'strip-metadata'] }
+        },
+        additionalProperties: true,
+        example: { type: 'resize', from: { width: 4032, height: 3024 }, to: { width: 1600, height: 1200 } }
+    },
+    Error: {
+        type: 'object',
+        required: ['success', 'error', 'code', 'retryable'],
+        properties: {
+            success: { type: 'boolean', example: false },
+            error: { type: 'string', description: 'Human readable message; do not branch on it' },
+            code: { type: 'string', enum: Object.keys(ERROR_CODES), example: 'SESSION_NOT_FOUND' },
+            retryable: { type: 'boolean', description: 'Whether repeating the same request may succeed' },
+            retryAfter: { type: 'integer', nullable: true, description: 'Suggested wait in seconds (also sent as Retry-After)' },
+            details: {
+                type: 'object',
+                additionalProperties: true,
+                description: 'Code-specific context, e.g. authData for SESSION_REQUIRES_AUTH'
+            }
+        }
+    },
+    ValidationError: {
+        allOf: [
+            ref('Error'),
+            {
+                type: 'object',
+                properties: {
+                    details: {
+                        type: 'object',
+                        properties: {
+                            errors: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        location: { type: 'string', enum: ['path', 'query', 'header', 'body'] },
+                                        path: { type: 'string', example: 'body.userId' },
+                                        message: { type: 'string', example: 'is required' }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        ]
+    }
+};
+
+const paths = {
+    // Dashboard authentication
+    '/login': {
+        post: operation('Dashboard', 'Log in to the dashboard', { body: jsonBody('LoginRequest'), security: [] })
+    },
+    '/logout': {
+        post: operation('Dashboard', 'Log out of the dashboard', { security: [] })
+    },
+    '/check-auth': {
+        get: operation('Dashboard', 'Check dashboard login state', { security: [] })
+    },
+    '/health': {
+        get: operation('System', 'Health check with statistics', { security: [] })
+    },
+    '/session-restore': {
+        get: operation('System', 'Progress of the startup session restore', {
+            responses: { 200: jsonResponse('Restore progress', ref('SessionRestore')) }
+        })
+    },
+    '/browser-pool': {
+        get: operation('System', 'Live browser occupancy, hibernations and wake latency', {
+            responses: { 200: jsonResponse('Browser pool metrics', ref('BrowserPool')) }
+        })
+    },
+
+    // Sessions
+    '/sessions/create': {
+        post: operation('Sessions', 'Create session (QR or pairing code)', {
+            body: jsonBody('CreateSessionRequest')
+        })
+    },
+    '/sessions': {
+        get: operation('Sessions', 'List all sessions')
+    },
+    '/sessions/{sessionId}': {
+        delete: operation('Sessions', 'Remove session', { params: [SESSION_ID] })
+    },
+    '/sessions/{sessionId}/status': {
+        get: operation('Sessions', 'Get session status', { params: [SESSION_ID], responses: notFound('Session not found') })
+    },
+    '/sessions/{sessionId}/transitions': {
+        get: operation('Sessions', 'List session status changes, newest first', {
+            params: [
+                SESSION_ID,
+                queryParam('since', 'Only changes at or after this time', ref('Timestamp')),
+                queryParam('accepted', 'true for applied changes only, false for rejected jumps only', { type: 'boolean' }),
+                queryParam('limit', 'Page size (default 100)', { type: 'integer', minimum: 1, maximum: 500 }),
+                queryParam('offset', 'Entries to skip', { type: 'integer', minimum: 0 })
+            ],
+            responses: {
+                200: jsonResponse('Transition history', {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        sessionId: ref('Id'),
+                        status: ref('SessionStatus'),
+                        transitions: { type: 'array', items: ref('SessionTransition') },
+                        total: { type: 'integer' },
+                        limit: { type: 'integer' },
+                        offset: { type: 'integer' }
+                    }
+                }),
+                ...notFound('Session not found')
+            }
+        })
+    },
+    '/sessions/{sessionId}/export': {
+        get: operation('Sessions', 'Export a logged-in session as a portable bundle', {
+            params: [SESSION_ID],
+            responses: {
+                200: {
+                    description: 'ZIP with session.json (metadata and proxy, including its credentials) and the Chromium profile. '
+                        + 'A running browser is closed first. Stop using the session here once it is imported elsewhere.',
+                    content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } }
+                },
+                ...notFound('Session or profile directory not found'),
+                409: jsonResponse('Session is not logged in (SESSION_REQUIRES_AUTH), has sends in progress or its profile is too large (INVALID_STATE)', 'Error')
+            }
+        })
+    },
+    '/sessions/import': {
+        post: operation('Sessions', 'Import a session bundle from another host', {
+            body: uploadBody('SessionImportRequest', 'SessionImportUpload'),
+            responses: {
+                201: jsonResponse('Imported under its original id as idle; the browser starts with the saved login on first use', 'SessionImported'),
+                409: jsonResponse('A session with this id exists here (SESSION_EXISTS)', 'Error')
+            }
+        })
+    },
+    '/sessions/{sessionId}/qr': {
+        get: operation('Sessions', 'Get QR code for authentication', {
+            params: [
+                SESSION_ID,
+                queryParam('format', 'Return the code itself as text, or rendered as an image, instead of JSON', {
+                    type: 'string', enum: ['text', 'png', 'svg']
+                }),
+                queryParam('size', 'Image width and height in pixels (default 256); PNGs round down to whole pixels per module', {
+                    type: 'integer', minimum: 64, maximum: 2048
+                }),
+                queryParam('margin', 'Quiet zone around the code in modules (default 4)', { type: 'integer', minimum: 0, maximum: 16 })
+            ],
+            responses: {
+                200: {
+                    description: 'JSON with the raw code, or with `format` the code as text/plain, image/png or image/svg+xml',
+                    content: {
+                        'application/json': { schema: ref('Success') },
+                        'text/plain': { schema: { type: 'string' } },
+                        'image/png': { schema: { type: 'string', format: 'binary' } },
+                        'image/svg+xml': { schema: { type: 'string' } }
+                    }
+                },
+                ...notFound('Session not found'),
+                409: jsonResponse('With `format`: session is already authenticated or uses a pairing code (INVALID_STATE)', 'Error'),
+                503: jsonResponse('With `format`: WhatsApp has not shown a QR code yet (QR_NOT_AVAILABLE)', 'Error')
+            }
+        })
+    },
+    '/sessions/{sessionId}/recover': {
+        post: operation('Sessions', 'Recover existing session', { params: [SESSION_ID], responses: notFound('Session not found') })
+    },
+    '/sessions/{sessionId}/events': {
+        get: operation('Events', 'Live session events (SSE)', {
+            params: [SESSION_ID],
+            responses: { 200: { description: 'text/event-stream', content: { 'text/event-stream': {} } } }
+        })
+    },
+    '/events': {
+        get: operation('Events', 'Live events for all sessions (SSE)', {
+            params: [queryParam('userId', 'Only events for this user')],
+            responses: { 200: { description: 'text/event-stream', content: { 'text/event-stream': {} } } }
+        })
+    },
+
+    // Status operations
+    '/sessions/{sessionId}/status/text': {
+        post: operation('Status', 'Send text status', {
+            params: [SESSION_ID, IDEMPOTENCY_KEY],
+            body: jsonBody('TextStatusRequest'),
+            responses: { ...idempotentResponses, ...draftSavedResponse }
+        })
+    },
+    '/sessions/{sessionId}/status/image': {
+        post: operation('Status', 'Send image status', {
+            params: [SESSION_ID, IDEMPOTENCY_KEY, WAIT],
+            body: uploadBody('MediaStatusRequest', 'ImageStatusUpload'),
+            responses: {
+                ...mediaSendResponses,
+                ...draftSavedResponse,
+                415: jsonResponse('Content is not a supported image (UNSUPPORTED_MEDIA_TYPE)', 'Error'),
+                422: jsonResponse('Image could not be decoded (MEDIA_PROCESSING_FAILED) or Idempotency-Key reused', 'Error')
+            }
+        })
+    },
+    '/sessions/{sessionId}/status/video': {
+        post: operation('Status', 'Send video status', {
+            params: [SESSION_ID, IDEMPOTENCY_KEY, WAIT],
+            body: uploadBody('MediaStatusRequest', 'VideoStatusUpload'),
+            responses: {
+                ...mediaSendResponses,
+                ...draftSavedResponse,
+                415: jsonResponse('Not a readable MP4/MOV file (UNSUPPORTED_MEDIA_TYPE)', 'Error'),
+                422: jsonResponse('Clip exceeds status limits (MEDIA_LIMIT_EXCEEDED, details carry metadata) or Idempotency-Key reused', 'Error')
+            }
+        })
+    },
+    '/sessions/{sessionId}/status/from-template': {
+        post: operation('Status', 'Send a status rendered from a template', {
+            params: [SESSION_ID, IDEMPOTENCY_KEY, WAIT],
+            body: jsonBody('TemplateStatusRequest'),
+            responses: {
+                ...idempotentResponses,
+                200: jsonResponse('Text template sent, or media template sent with wait=true'),
+                202: jsonResponse('Media template send queued; poll statusUrl for the outcome', 'StatusJobAccepted'),
+                ...draftSavedResponse,
+                400: jsonResponse('Template variables missing (details.missing) or rendered text too long', 'Error'),
+                ...notFound('Session or template not found')
+            }
+        })
+    },
+    '/broadcast/status': {
+        post: operation('Status', 'Publish one status to many sessions', {
+            params: [IDEMPOTENCY_KEY, queryParam('wait', 'Block until every session is done instead of returning a broadcast id', { type: 'boolean' })],
+            body: jsonBody('BroadcastRequest'),
+            responses: {
+                ...idempotentResponses,
+                200: jsonResponse('Finished report (only with wait=true)', {
+                    type: 'object',
+                    properties: { success: { type: 'boolean' }, broadcast: ref('Broadcast') }
+                }),
+                202: jsonResponse('Broadcast started; poll statusUrl for the report', {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        broadcastId: ref('Id'),
+                        status: { type: 'string', enum: ['running'] },
+                        statusUrl: { type: 'string', example: '/broadcasts/mf3k2...' },
+                        counts: ref('BroadcastCounts'),
+                        results: { type: 'array', items: ref('BroadcastResult') }
+                    }
+                }),
+                400: jsonResponse('No session matches the targets, or invalid media', 'Error')
+            }
+        })
+    },
+    '/broadcasts': {
+        get: operation('Status', 'List broadcasts, newest first', {
+            params: [
+                queryParam('status', 'Filter by state', { type: 'string', enum: ['running', 'completed', 'interrupted'] }),
+                queryParam('limit', 'Maximum number of broadcasts (default 50)', { type: 'integer', minimum: 1, maximum: 500 })
+            ],
+            responses: {
+                200: jsonResponse('Broadcasts', { type: 'object', properties: { success: { type: 'boolean' }, broadcasts: { type: 'array', items: ref('Broadcast') } } })
+            }
+        })
+    },
+    '/broadcasts/{broadcastId}': {
+        get: operation('Status', 'Get a broadcast and its per-session report', {
+            params: [pathParam('broadcastId', 'Broadcast id')],
+            responses: {
+                200: jsonResponse('Broadcast', { type: 'object', properties: { success: { type: 'boolean' }, broadcast: ref('Broadcast') } }),
+                ...notFound('Broadcast not found')
+            }
+        })
+    },
+    '/status-drafts': {
+        get: operation('Status Drafts', 'List status drafts, newest first', {
+            params: [
+                queryParam('sessionId', 'Filter by session'),
+                queryParam('state', 'Filter by state', {
+                    type: 'string',
+                    enum: ['draft', 'pending_approval', 'approved', 'rejected', 'published', 'failed']
+                })
+            ],
+            responses: {
+                200: jsonResponse('Drafts', { type: 'object', properties: { success: { type: 'boolean' }, drafts: { type: 'array', items: ref('StatusDraft') } } })
+            }
+        })
+    },
+    '/status-drafts/{draftId}': {
+        get: operation('Status Drafts', 'Get a draft and its reviews', {
+            params: [DRAFT_ID],
+            responses: { 200: draftResponse('Draft'), ...notFound('Draft not found') }
+        }),
+        put: operation('Status Drafts', 'Edit a draft', {
+            params: [DRAFT_ID],
+            body: jsonBody('DraftUpdateRequest'),
+            responses: {
+                200: draftResponse('Updated draft, back in the draft state'),
+                409: jsonResponse('Draft is approved or published (INVALID_STATE)', 'Error'),
+                ...notFound('Draft not found')
+            }
+        }),
+        delete: operation('Status Drafts', 'Delete a draft (an approved draft is withdrawn from the scheduler)', {
+            params: [DRAFT_ID],
+            responses: {
+                409: jsonResponse('Draft is published or being published (INVALID_STATE)', 'Error'),
+                ...notFound('Draft not found')
+            }
+        })
+    },
+    '/status-drafts/{draftId}/media': {
+        get: operation('Status Drafts', 'Download the media of an image or video draft', {
+            params: [DRAFT_ID],
+            responses: {
+                200: { description: 'Media bytes', content: { 'image/*': {}, 'video/*': {} } },
+                ...notFound('Draft not found or has no media')
+            }
+        })
+    },
+    '/status-drafts/{draftId}/submit': {
+        post: operation('Status Drafts', 'Send a draft for approval and create a one-time approval link', {
+            params: [DRAFT_ID],
+            body: jsonBody('DraftSubmitRequest', false),
+            responses: {
+                200: jsonResponse('Pending approval', {
+                    type: 'object',
+                    properties: { success: { type: 'boolean' }, draft: ref('StatusDraft'), approvalUrl: { type: 'string' } }
+                }),
+                409: jsonResponse('Draft is already pending, approved or published (INVALID_STATE)', 'Error'),
+                ...notFound('Draft or approver not found')
+            }
+        })
+    },
+    '/status-drafts/{draftId}/approve': {
+        post: operation('Status Drafts', 'Approve a pending draft; it is published right away or at its scheduledAt', {
+            params: [DRAFT_ID],
+            body: jsonBody('DraftDecisionRequest', false),
+            responses: {
+                200: draftResponse('Approved'),
+                409: jsonResponse('Draft is not pending approval (INVALID_STATE)', 'Error'),
+                ...notFound('Draft not found')
+            }
+        })
+    },
+    '/status-drafts/{draftId}/reject': {
+        post: operation('Status Drafts', 'Reject a pending draft', {
+            params: [DRAFT_ID],
+            body: jsonBody('DraftDecisionRequest', false),
+            responses: {
+                200: draftResponse('Rejected'),
+                409: jsonResponse('Draft is not pending approval (INVALID_STATE)', 'Error'),
+                ...notFound('Draft not found')
+            }
+        })
+    },
+    '/approve/{token}': {
+        get: operation('Status Drafts', 'Approval page opened from the one-time link', {
+            params: [APPROVAL_TOKEN],
+            security: [],
+            responses: { 200: { description: 'HTML page', content: { 'text/html': {} } } }
+        })
+    },
+    '/approvals/{token}': {
+        get: operation('Status Drafts', 'Preview the draft behind an approval link', {
+            params: [APPROVAL_TOKEN],
+            security: [],
+            responses: {
+                200: jsonResponse('Draft preview', {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        draft: {
+                            type: 'object',
+                            properties: {
+                                type: ref('StatusType'),
+                                content: { type: 'string', nullable: true },
+                                caption: { type: 'string', nullable: true },
+                                hasMedia: { type: 'boolean' },
+                                scheduledAt: { type: 'string', format: 'date-time', nullable: true },
+                                deleteAfter: { type: 'string', nullable: true },
+                                approverUserId: { type: 'string' },
+                                expiresAt: ref('Timestamp')
+                            }
+                        }
+                    }
+                }),
+                ...notFound('Link is invalid, already used or expired (APPROVAL_LINK_INVALID)')
+            }
+        }),
+        post: operation('Status Drafts', 'Approve or reject through the link; the link then stops working', {
+            params: [APPROVAL_TOKEN],
+            security: [],
+            body: jsonBody('ApprovalDecisionRequest'),
+            responses: {
+                200: jsonResponse('Decision recorded', {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        state: { type: 'string', enum: ['approved', 'rejected'] },
+                        scheduledAt: { type: 'string', format: 'date-time', nullable: true }
+                    }
+                }),
+                ...notFound('Link is invalid, already used or expired (APPROVAL_LINK_INVALID)')
+            }
+        })
+    },
+    '/approvals/{token}/media': {
+        get: operation('Status Drafts', 'Media of the draft behind an approval link', {
+            params: [APPROVAL_TOKEN],
+            security: [],
+            responses: {
+                200: { description: 'Media bytes', content: { 'image/*': {}, 'video/*': {} } },
+                ...notFound('Link is invalid, or the draft has no media')
+            }
+        })
+    },
+    '/jobs/{jobId}': {
+        get: operation('Status', 'Get media send job', {
+            params: [pathParam('jobId', 'Job id returned by the image/video send routes')],
+            responses: {
+                200: jsonResponse('Job state', { type: 'object', properties: { success: { type: 'boolean' }, job: ref('StatusJob') } }),
+                ...notFound('Job not found')
+            }
+        })
+    },
+    '/sessions/{sessionId}/status/my': {
+        get: operation('Status', 'Get my status', { params: [SESSION_ID] })
+    },
+    '/sessions/{sessionId}/status/history': {
+        get: operation('Status', 'List statuses published through this server', {
+            params: [
+                SESSION_ID,
+                queryParam('from', 'Only statuses sent at or after this time', ref('Timestamp')),
+                queryParam('to', 'Only statuses sent before this time', ref('Timestamp')),
+                queryParam('type', 'Filter by status type', ref('StatusType')),
+                queryParam('evergreenId', 'Only the first send and republishes of this evergreen status'),
+                queryParam('limit', 'Page size (default 50)', { type: 'integer', minimum: 1, maximum: 500 }),
+                queryParam('offset', 'Entries to skip', { type: 'integer', minimum: 0 })
+            ],
+            responses: {
+                200: jsonResponse('Newest first', {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        statuses: { type: 'array', items: ref('StatusHistoryEntry') },
+                        total: { type: 'integer' },
+                        limit: { type: 'integer' },
+                        offset: { type: 'integer' }
+                    }
+                }),
+                ...notFound('Session not found')
+            }
+        })
+    },
+    '/sessions/{sessionId}/status/evergreen': {
+        get: operation('Status', 'List evergreen statuses', {
+            params: [
+                SESSION_ID,
+                queryParam('state', 'Filter by state', { type: 'string', enum: ['pending', 'active', 'stopped', 'failed'] })
+            ],
+            responses: {
+                200: jsonResponse('Newest first', {
+                    type: 'object',
+                    properties: { success: { type: 'boolean' }, evergreens: { type: 'array', items: ref('EvergreenStatus') } }
+                }),
+                ...notFound('Session not found')
+            }
+        })
+    },
+    '/sessions/{sessionId}/status/evergreen/{evergreenId}': {
+        get: operation('Status', 'Get an evergreen status and its publications', {
+            params: [SESSION_ID, EVERGREEN_ID],
+            responses: {
+                200: jsonResponse('Evergreen status with its first send and every republish, newest first', {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        evergreen: ref('EvergreenStatus'),
+                        publications: { type: 'array', items: ref('StatusHistoryEntry') }
+                    }
+                }),
+                ...notFound('Evergreen status not found')
+            }
+        }),
+        delete: operation('Status', 'Stop republishing an evergreen status (the current copy stays until it expires)', {
+            params: [SESSION_ID, EVERGREEN_ID],
+            responses: {
+                200: jsonResponse('Stopped', { type: 'object', properties: { success: { type: 'boolean' }, evergreen: ref('EvergreenStatus') } }),
+                409: jsonResponse('Already stopped or failed (INVALID_STATE)', 'Error'),
+                ...notFound('Evergreen status not found')
+            }
+        })
+    },
+    '/sessions/{sessionId}/status/deletions': {
+        get: operation('Status', 'List planned and finished deleteAfter removals', {
+            params: [
+                SESSION_ID,
+                queryParam('status', 'Filter by status', {
+                    type: 'string',
+                    enum: ['scheduled', 'running', 'deleted', 'failed', 'cancelled', 'expired']
+                })
+            ],
+            responses: {
+                200: jsonResponse('Ordered by removal time', {
+                    type: 'object',
+                    properties: { success: { type: 'boolean' }, deletions: { type: 'array', items: ref('StatusDeletion') } }
+                }),
+                ...notFound('Session not found')
+            }
+        })
+    },
+    '/sessions/{sessionId}/status/deletions/{deletionId}': {
+        delete: operation('Status', 'Cancel a planned removal (the status then expires after 24 hours)', {
+            params: [SESSION_ID, DELETION_ID],
+            responses: {
+                200: jsonResponse('Cancelled', { type: 'object', properties: { success: { type: 'boolean' }, deletion: ref('StatusDeletion') } }),
+                409: jsonResponse('Removal already ran or was cancelled (INVALID_STATE)', 'Error'),
+                ...notFound('Status deletion not found')
+            }
+        })
+    },
+    '/sessions/{sessionId}/status/{msgId}': {
+        delete: operation('Status', 'Remove status', { params: [SESSION_ID, pathParam('msgId', 'Status message id')] })
+    },
+    '/sessions/{sessionId}/status/{msgId}/viewers': {
+        get: operation('Status', 'Get viewers for specific status', { params: [SESSION_ID, pathParam('msgId', 'Status message id')] })
+    },
+    '/sessions/{sessionId}/status/analytics': {
+        get: operation('Status', 'List tracked statuses with viewer totals', {
+            params: [
+                SESSION_ID,
+                queryParam('state', 'Filter by tracking state', { type: 'string', enum: ['live', 'expired', 'removed'] }),
+                queryParam('from', 'Only statuses published at or after this time', ref('Timestamp')),
+                queryParam('to', 'Only statuses published before this time', ref('Timestamp'))
+            ],
+            responses: {
+                200: jsonResponse('Newest first', {
+                    type: 'object',
+                    properties: { success: { type: 'boolean' }, statuses: { type: 'array', items: ref('StatusViewSummary') } }
+                }),
+                ...notFound('Session not found')
+            }
+        })
+    },
+    '/sessions/{sessionId}/status/viewers/export': {
+        get: operation('Status', 'Export viewers of all statuses in a date range', {
+            params: [
+                SESSION_ID,
+                EXPORT_FORMAT,
+                queryParam('from', 'Only statuses published at or after this time', ref('Timestamp')),
+                queryParam('to', 'Only statuses published before this time', ref('Timestamp'))
+            ],
+            responses: { 200: exportResponse, ...notFound('Session not found') }
+        })
+    },
+    '/sessions/{sessionId}/status/{msgId}/viewers/export': {
+        get: operation('Status', 'Export viewers of a status', {
+            params: [SESSION_ID, pathParam('msgId', 'Status message id'), EXPORT_FORMAT],
+            responses: { 200: exportResponse, ...notFound('Session not found') }
+        })
+    },
+    '/sessions/{sessionId}/status/{msgId}/analytics': {
+        get: operation('Status', 'Reach curve and first-seen time per viewer for a status', {
+            params: [
+                SESSION_ID,
+                pathParam('msgId', 'Status message id'),
+                queryParam('bucketMinutes', 'Reach curve bucket width (default 60)', { type: 'integer', minimum: 1, maximum: 1440 })
+            ],
+            responses: {
+                200: jsonResponse('Analytics', {
+                    type: 'object',
+                    properties: { success: { type: 'boolean' }, analytics: ref('StatusViewAnalytics') }
+                }),
+                ...notFound('No analytics recorded for this status')
+            }
+        })
+    },
+    '/sessions/{sessionId}/status/viewers/total': {
+        get: operation('Status', 'Get total viewers for all statuses', { params: [SESSION_ID] })
+    },
+
+    // Scheduled statuses
+    '/sessions/{sessionId}/status/schedule': {
+        post: operation('Scheduled Statuses', 'Schedule a status for later', {
+            params: [SESSION_ID],
+            body: jsonBody('ScheduleStatusRequest')
+        })
+    },
+    '/sessions/{sessionId}/status/scheduled': {
+        get: operation('Scheduled Statuses', 'List scheduled statuses', {
+            params: [SESSION_ID, queryParam('status', 'Filter by job status')]
+        })
+    },
+    '/sessions/{sessionId}/status/scheduled/{jobId}': {
+        get: operation('Scheduled Statuses', 'Get a scheduled status', {
+            params: [SESSION_ID, pathParam('jobId', 'Job id')],
+            responses: notFound('Scheduled job not found')
+        }),
+        put: operation('Scheduled Statuses', 'Reschedule a status', {
+            params: [SESSION_ID, pathParam('jobId', 'Job id')],
+            body: jsonBody('RescheduleRequest')
+        }),
+        delete: operation('Scheduled Statuses', 'Cancel a scheduled status', {
+            params: [SESSION_ID, pathParam('jobId', 'Job id')]
+        })
+    },
+
+    // Status templates
+    '/status-templates': {
+        post: operation('Status Templates', 'Create template', { body: jsonBody('StatusTemplateRequest') }),
+        get: operation('Status Templates', 'List templates', {
+            params: [queryParam('type', 'Filter by status type', ref('StatusType'))]
+        })
+    },
+    '/status-templates/{templateId}': {
+        get: operation('Status Templates', 'Get template', { params: [TEMPLATE_ID], responses: notFound('Template not found') }),
+        put: operation('Status Templates', 'Update template', { params: [TEMPLATE_ID], body: jsonBody('StatusTemplateUpdate') }),
+        delete: operation('Status Templates', 'Delete template', { params: [TEMPLATE_ID] })
+    },
+    '/status-templates/{templateId}/render': {
+        post: operation('Status Templates', 'Preview a template for a user without sending', {
+            params: [TEMPLATE_ID],
+            body: jsonBody('RenderTemplateRequest'),
+            responses: notFound('Template or user not found')
+        })
+    },
+
+    // Recurring status rules
+    '/status-rules': {
+        post: operation('Status Rules', 'Create recurring rule (cron or interval)', { body: jsonBody('StatusRuleRequest') }),
+        get: operation('Status Rules', 'List rules', {
+            params: [
+                queryParam('sessionId', 'Filter by session'),
+                queryParam('userId', 'Filter by user'),
+                queryParam('status', 'Filter by rule status', { type: 'string', enum: ['active', 'paused'] })
+            ]
+        })
+    },
+    '/status-rules/{ruleId}': {
+        get: operation('Status Rules', 'Get rule details', { params: [pathParam('ruleId', 'Rule id')], responses: notFound('Rule not found') }),
+        put: operation('Status Rules', 'Update rule', { params: [pathParam('ruleId', 'Rule id')], body: jsonBody('StatusRuleUpdate') }),
+        delete: operation('Status Rules', 'Delete rule', { params: [pathParam('ruleId', 'Rule id')] })
+    },
+    '/status-rules/{ruleId}/pause': {
+        post: operation('Status Rules', 'Pause rule', { params: [pathParam('ruleId', 'Rule id')] })
+    },
+    '/status-rules/{ruleId}/resume': {
+        post: operation('Status Rules', 'Resume rule', { params: [pathParam('ruleId', 'Rule id')] })
+    },
+    '/status-rules/{ruleId}/runs': {
+        get: operation('Status Rules', 'List rule runs and results', { params: [pathParam('ruleId', 'Rule id'), LIMIT] })
+    },
+
+    // Webhooks
+    '/webhooks': {
+        post: operation('Webhooks', 'Register webhook (global or per user)', { body: jsonBody('WebhookRequest') }),
+        get: operation('Webhooks', 'List webhooks', { params: [queryParam('userId', 'Filter by user')] })
+    },
+    '/webhooks/{webhookId}': {
+        get: operation('Webhooks', 'Get webhook details', { params: [pathParam('webhookId', 'Webhook id')], responses: notFound('Webhook not found') }),
+        put: operation('Webhooks', 'Update webhook', { params: [pathParam('webhookId', 'Webhook id')], body: jsonBody('WebhookUpdate') }),
+        delete: operation('Webhooks', 'Remove webhook', { params: [pathParam('webhookId', 'Webhook id')] })
+    },
+    '/webhooks/{webhookId}/rotate-secret': {
+        post: operation('Webhooks', 'Rotate signing secret', { params: [pathParam('webhookId', 'Webhook id')] })
+    },
+    '/webhooks/{webhookId}/test': {
+        post: operation('Webhooks', 'Send test event', { params: [pathParam('webhookId', 'Webhook id')] })
+    },
+    '/webhooks/{webhookId}/deliveries': {
+        get: operation('Webhooks', 'Delivery log', {
+            params: [
+                pathParam('webhookId', 'Webhook id'),
+                queryParam('status', 'Filter by delivery status', { type: 'string', enum: ['pending', 'succeeded', 'failed'] }),
+                LIMIT
+            ]
+        })
+    },
+    '/webhooks/{webhookId}/deliveries/{deliveryId}/redeliver': {
+        post: operation('Webhooks', 'Retry a delivery', {
+            params: [pathParam('webhookId', 'Webhook id'), pathParam('deliveryId', 'Delivery id')]
+        })
+    },
+
+    // API keys
+    '/api-keys': {
+        post: operation('API Keys', 'Create key (scopes, optional userIds)', { body: jsonBody('ApiKeyRequest') }),
+        get: operation('API Keys', 'List keys with usage')
+    },
+    '/api-keys/{keyId}': {
+        get: operation('API Keys', 'Get key details and usage', { params: [pathParam('keyId', 'Key id')], responses: notFound('API key not found') }),
+        put: operation('API Keys', 'Update name/scopes/userIds/expiry/active', { params: [pathParam('keyId', 'Key id')], body: jsonBody('ApiKeyUpdate') }),
+        delete: operation('API Keys', 'Revoke key', { params: [pathParam('keyId', 'Key id')] })
+    },
+
+    // Users
+    '/users': {
+        get: operation('Users', 'List all users', { params: [queryParam('tag', 'Only users carrying this tag')] })
+    },
+    '/users/{userId}': {
+        get: operation('Users', 'Get user details', { params: [USER_ID], responses: notFound('User not found') }),
+        delete: operation('Users', 'Delete user and all sessions', { params: [USER_ID] })
+    },
+    '/users/{userId}/variables': {
+        get: operation('Users', 'Get template variables', { params: [USER_ID], responses: notFound('User not found') }),
+        put: operation('Users', 'Replace template variables', { params: [USER_ID], body: jsonBody('UserVariablesRequest') })
+    },
+    '/users/{userId}/tags': {
+        put: operation('Users', 'Replace user tags (broadcast targeting)', {
+            params: [USER_ID],
+            body: jsonBody('UserTagsRequest'),
+            responses: notFound('User not found')
+        })
+    },
+    '/users/{userId}/sessions': {
+        get: operation('Users', 'Get user sessions', { params: [USER_ID] })
+    },
+    '/users/{userId}/sessions/active': {
+        get: operation('Users', 'Get active user sessions', { params: [USER_ID] })
+    },
+    '/users/{userId}/proxy': {
+        get: operation('Proxies', "Get user's proxy", { params: [USER_ID] })
+    },
+    '/users/{userId}/proxy/rotate': {
+        post: operation('Proxies', "Rotate user's proxy", { params: [USER_ID] })
+    },
+
+    // Proxies
+    '/proxies': {
+        get: operation('Proxies', 'List all proxies'),
+        post: operation('Proxies', 'Add single proxy', { body: jsonBody('AddProxyRequest') })
+    },
+    '/proxies/statistics': {
+        get: operation('Proxies', 'Proxy statistics')
+    },
+    '/proxies/import': {
+        post: operation('Proxies', 'Bulk import proxies', { body: jsonBody('ImportProxiesRequest') })
+    },
+    '/proxies/import/file': {
+        post: operation('Proxies', 'Import proxies from a file on the server', { body: jsonBody('ImportProxyFileRequest') })
+    },
+    '/proxies/health-check': {
+        post: operation('Proxies', 'Health check all proxies')
+    },
+    '/proxies/{proxyId}': {
+        get: operation('Proxies', 'Get proxy details', { params: [pathParam('proxyId', 'Proxy id')], responses: notFound('Proxy not found') }),
+        delete: operation('Proxies', 'Remove proxy', { params: [pathParam('proxyId', 'Proxy id')] })
+    },
+    '/proxies/{proxyId}/health-check': {
+        post: operation('Proxies', 'Health check a proxy', { params: [pathParam('proxyId', 'Proxy id')] })
+    },
+    '/proxy-assignments': {
+        get: operation('Proxies', 'List proxy assignments')
+    },
+
+    // Database
+    '/database/backup': {
+        post: operation('Database', 'Create database backup', { body: jsonBody('DatabasePathRequest', false) })
+    },
+    '/database/restore': {
+        post: operation('Database', 'Restore database from backup', {
+            body: jsonBody({ ...schemas.DatabasePathRequest, required: ['path'] })
+        })
+    },
+
+    // Logs
+    '/logs': {
+        get: operation('Logs', 'Get server logs', {
+            params: [
+                queryParam('level', 'Filter by level', { type: 'string', enum: ['info', 'warn', 'error', 'debug'] }),
+                queryParam('source', 'Filter by source'),
+                LIMIT
+            ]
+        }),
+        post: operation('Logs', 'Add manual log entry', { body: jsonBody('LogEntryRequest') }),
+        delete: operation('Logs', 'Clear logs')
+    },
+
+    // Baileys direct WebSocket endpoints (temporarily disabled)
+    '/baileys/connect/{userId}': {
+        post: baileys('Connect Baileys for user')
+    },
+    '/baileys/qr/{userId}': {
+        get: baileys('Get Baileys QR code')
+    },
+    '/baileys/status/text/{userId}': {
+        post: baileys('Send text status via Baileys WebSocket')
+    },
+    '/baileys/status/image/{userId}': {
+        post: baileys('Send image status via Baileys WebSocket')
+    },
+    '/baileys/status/video/{userId}': {
+        post: baileys('Send video status via Baileys WebSocket')
+    },
+    '/baileys/status/{userId}': {
+        get: baileys('Get Baileys connection status')
+    },
+    '/baileys/disconnect/{userId}': {
+        delete: baileys('Disconnect Baileys')
+    }
+};
+
+/**
+ * Build the OpenAPI document
+ * @param {object} options - { serverUrl }
+ */
+const buildOpenApiSpec = ({ serverUrl = '/' } = {}) => ({
+    openapi: '3.0.3',
+    info: {
+        title: 'WhatsApp Status Automation API',
+        version: require('../../package.json').version,
+        description: 'Multi-user WhatsApp Web automation: sessions, status publishing, scheduling, webhooks and proxies. '
+            + 'Authenticate with an API key (Authorization: Bearer <key> or X-API-Key). '
+            + 'Errors share one envelope with a stable `code` and retry hints (`retryable`, `retryAfter`). '
+            + 'Status sends accept an Idempotency-Key header so retries never publish twice.'
+    },
+    servers: [{ url: serverUrl }],
+    security: [{ BearerAuth: [] }, { ApiKeyHeader: [] }],
+    components: {
+        securitySchemes: {
+            BearerAuth: { type: 'http', scheme: 'bearer' },
+            ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        },
+        responses: {
+            ValidationError: jsonResponse('Request failed validation', 'ValidationError'),
+            Unauthorized: jsonResponse('Missing, invalid or expired API key', 'Error'),
+            Forbidden: jsonResponse('API key lacks the required scope or user access', 'Error'),
+            Error: jsonResponse('Error envelope; branch on `code`', 'Error')
+        },
+        schemas
+    },
+    paths
+});
+
+// ============================================
+// Request validation
+// ============================================
+
+/**
+ * Express middleware validating path params, query and body of documented routes.
+ * Malformed requests get a 400 VALIDATION_FAILED error and never reach a handler.
+ */
+const createRequestValidator = (spec) => {
+    const { components } = spec;
+
+    const routes = [];
+    Object.entries(spec.paths).forEach(([path, methods]) => {
+        const names = [];
+        const pattern = path.replace(/\{(\w+)\}/g, (match, name) => {
+            names.push(name);
+            return '([^/]+)';
+        });
+        Object.entries(methods).forEach(([method, op]) => {
+            routes.push({ method: method.toUpperCase(), regex: new RegExp(`^${pattern}/?$`), names, op });
+        });
+    });
+    // Literal segments win over parameters (e.g. /proxies/statistics vs /proxies/{proxyId})
+    routes.sort((a, b) => a.names.length - b.names.length);
+
+    return (req, res, next) => {
+        let match = null;
+        const route = routes.find(candidate => {
+            if (candidate.method !== req.method) return false;
+            match = req.path.match(candidate.regex);
+            return Boolean(match);
+        });
+        if (!route) return next();
+
+        const details = [];
+        const check = (location, value, schema, path) => {
+            validateSchema(value, schema, { path, components })
+                .forEach(error => details.push({ location, ...error }));
+        };
+
+        const pathValues = {};
+        route.names.forEach((name, index) => {
+            try {
+                pathValues[name] = decodeURIComponent(match[index + 1]);
+            } catch (error) {
+                pathValues[name] = match[index + 1];
+            }
+        });
+
+        (route.op.parameters || []).forEach(param => {
+            const raw = param.in === 'path' ? pathValues[param.name]
+                : param.in === 'header' ? req.get(param.name) : req.query[param.name];
+            if (raw === undefined || raw === '') {
+                if (param.required) details.push({ location: param.in, path: `${param.in}.${param.name}`, message: 'is required' });
+                return;
+            }
+            check(param.in, coerceValue(raw, param.schema, components), param.schema, `${param.in}.${param.name}`);
+        });
+
+        const body = route.op.requestBody;
+        if (body) {
+            const multipart = body.content['multipart/form-data'] && req.is('multipart/form-data');
+            // Uploaded files are checked for presence only; their name stands in for the content
+            const fields = { ...(req.body || {}) };
+            Object.entries(req.files || {}).forEach(([field, file]) => {
+                fields[field] = [].concat(file)[0].name || field;
+            });
+
+            const hasBody = Object.keys(fields).length > 0;
+            if (hasBody || body.required) {
+                const schema = body.content[multipart ? 'multipart/form-data' : 'application/json'].schema;
+                check('body', fields, schema, 'body');
+            }
+        }
+
+        if (details.length === 0) return next();
+
+        const summary = details.slice(0, 3).map(detail => `${detail.path} ${detail.message}`).join('; ');
+        sendError(res, 'VALIDATION_FAILED',
+            `Validation failed: ${summary}${details.length > 3 ? ` (+${details.length - 3} more)` : ''}`,
+            { errors: details });
+    };
+};
+
+module.exports = {
+    buildOpenApiSpec,
+    createRequestValidator
+};
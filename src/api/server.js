@@ -4,8 +4,42 @@ const session = require('express-session');
 const fileUpload = require('express-fileupload');
 const { SessionManager } = require('../core/SessionManager');
 const WebSocketStatusHandler = require('../core/WebSocketStatusHandler');
+const StatusScheduler = require('../core/StatusScheduler');
+const StatusRuleManager = require('../core/StatusRuleManager');
+const StatusTemplateManager = require('../core/StatusTemplateManager');
+const StatusEvergreenManager = require('../core/StatusEvergreenManager');
+const StatusBroadcastManager = require('../core/StatusBroadcastManager');
+const StatusDeletionManager = require('../core/StatusDeletionManager');
+const StatusDraftManager = require('../core/StatusDraftManager');
+const WebhookManager = require('../core/WebhookManager');
+const ApiKeyManager = require('../core/ApiKeyManager');
+const IdempotencyManager = require('../core/IdempotencyManager');
+const StatusJobManager = require('../core/StatusJobManager');
+const StatusViewerCollector = require('../core/StatusViewerCollector');
+const ImagePreprocessor = require('../core/ImagePreprocessor');
+const { buildOpenApiSpec, createRequestValidator } = require('./openapi');
+const { ApiError, sendError, handleError } = require('./errors');
+const { inspectVideo, checkStatusVideo, STATUS_VIDEO_LIMITS } = require('../utils/videoInspector');
+const { describeStatusContent, extractMessageId } = require('../utils/statusUtils');
+const { toCsv, toXlsx } = require('../utils/spreadsheet');
+const { formatDuration } = require('../utils/duration');
+const { toPng, toSvg, toDataUrl } = require('../utils/qrCode');
+const { getUploadedFile, readUploadedFile, retainUpload, removeUpload, cleanupUploads, parseFormOptions } = require('../utils/uploads');
 require('dotenv').config();
 
+// Longest text status WhatsApp accepts
+const TEXT_STATUS_MAX_LENGTH = 700;
+
+// Columns of the viewer CSV/XLSX exports
+const VIEWER_EXPORT_COLUMNS = [
+    { key: 'statusId', header: 'Status ID' },
+    { key: 'publishedAt', header: 'Status Published At' },
+    { key: 'number', header: 'Viewer Number' },
+    { key: 'pushName', header: 'Push Name' },
+    { key: 'viewedAt', header: 'Viewed At' },
+    { key: 'viewerId', header: 'Viewer ID' }
+];
+
 // ============================================
 // Express API Server
 // ============================================
@@ -14,12 +48,32 @@ class WhatsAppAPI {
         this.app = express();
         this.port = port;
         this.sessionManager = new SessionManager('./data/whatsapp.db.json');
+        this.statusScheduler = new StatusScheduler(this.sessionManager);
+        this.statusRules = new StatusRuleManager(this.sessionManager, this.statusScheduler);
+        this.statusTemplates = new StatusTemplateManager(this.sessionManager, this.statusScheduler);
+        this.statusEvergreen = new StatusEvergreenManager(this.sessionManager, this.statusScheduler);
+        this.statusDeletions = new StatusDeletionManager(this.sessionManager, this.statusScheduler);
+        this.statusBroadcasts = new StatusBroadcastManager(this.sessionManager, this.statusDeletions);
+        this.statusDrafts = new StatusDraftManager(this.sessionManager, this.statusScheduler);
+        this.webhookManager = new WebhookManager(this.sessionManager);
+        this.apiKeys = new ApiKeyManager(this.sessionManager);
+        this.idempotency = new IdempotencyManager(this.sessionManager);
+        this.statusJobs = new StatusJobManager(this.sessionManager);
+        this.viewerCollector = new StatusViewerCollector(this.sessionManager);
+        this.imagePreprocessor = new ImagePreprocessor();
+        this.videoLimits = {
+            ...STATUS_VIDEO_LIMITS,
+            maxDuration: parseFloat(process.env.VIDEO_MAX_DURATION) || STATUS_VIDEO_LIMITS.maxDuration,
+            maxSize: (parseFloat(process.env.VIDEO_MAX_SIZE_MB) * 1024 * 1024) || STATUS_VIDEO_LIMITS.maxSize
+        };
+        this.openApiSpec = buildOpenApiSpec();
 
         // Baileys status handlers for direct WebSocket (separate from main system)
         this.baileysHandlers = new Map();
         this.baileysQRCodes = new Map();
 
         this.setupMiddleware();
+        this.setupEventStreams();
         this.setupRoutes();
 
         // Clean up inactive sessions every 30 minutes
@@ -64,20 +118,27 @@ class WhatsAppAPI {
         this.app.use(bodyParser.json({ limit: '100mb' }));
         this.app.use(bodyParser.urlencoded({ extended: true, limit: '100mb', parameterLimit: 50000 }));
 
-        // File upload middleware
+        // File upload middleware; uploads go to temp files so large videos never sit in memory
         this.app.use(fileUpload({
             limits: { fileSize: 100 * 1024 * 1024 }, // 100MB limit
-            useTempFiles: false,
+            useTempFiles: true,
             tempFileDir: '/tmp/'
         }));
+        this.app.use(cleanupUploads());
 
         // CORS
         this.app.use((req, res, next) => {
             res.header('Access-Control-Allow-Origin', '*');
-            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, Idempotency-Key');
             res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
             next();
         });
+
+        // API key authentication for every REST route (dashboard sessions pass through)
+        this.app.use(this.apiKeys.middleware());
+
+        // Reject malformed requests using the OpenAPI schemas
+        this.app.use(createRequestValidator(this.openApiSpec));
     }
 
     // Helper function to wait for re-authentication
@@ -111,6 +172,623 @@ class WhatsAppAPI {
         };
     }
 
+    /**
+     * Start a session if needed and return its automation once the status handler is usable.
+     * Throws SESSION_NOT_FOUND, SESSION_REQUIRES_AUTH or HANDLER_NOT_READY.
+     * waitSeconds polls for WA-JS after a cold start; awaitReauth holds the request
+     * open while a session re-authenticates instead of failing straight away.
+     */
+    async getStatusAutomation(sessionId, { waitSeconds = 0, awaitReauth = false } = {}) {
+        const requiresAuth = (metadata, message = 'Session requires authentication. Please log in first.') =>
+            new ApiError('SESSION_REQUIRES_AUTH', message, {
+                status: metadata?.status || null,
+                authData: metadata?.authData || null
+            });
+
+        // Don't start a browser for a session that is waiting for the user to log in
+        const blockedStatuses = awaitReauth ? ['waiting_for_authentication'] : ['requires_auth', 'waiting_for_authentication'];
+        const initial = this.sessionManager.sessionMetadata.get(sessionId);
+        if (initial && blockedStatuses.includes(initial.status)) {
+            throw requiresAuth(initial);
+        }
+
+        // Auto-start session if it exists but not running
+        const result = await this.sessionManager.autoStartSession(sessionId);
+        if (!result) {
+            throw new ApiError('SESSION_NOT_FOUND');
+        }
+
+        let automation = result.automation || result;
+        const metadata = this.sessionManager.sessionMetadata.get(sessionId);
+
+        if (metadata && metadata.status === 'requires_auth') {
+            if (!awaitReauth || metadata.authData) {
+                throw requiresAuth(metadata, 'Session requires re-authentication');
+            }
+
+            // Wait a bit for auth data to be generated
+            await new Promise(resolve => setTimeout(resolve, 3000));
+            const updated = this.sessionManager.sessionMetadata.get(sessionId);
+            if (updated && updated.authData) {
+                throw requiresAuth(updated, 'Session requires re-authentication');
+            }
+
+            const authResult = await this.waitForReAuthentication(sessionId);
+            if (!authResult.success) {
+                throw requiresAuth({ status: authResult.status }, authResult.error === 'Re-authentication timeout'
+                    ? 'Re-authentication timeout. Please check WhatsApp and scan the QR code.'
+                    : 'Re-authentication failed. Please try again.');
+            }
+
+            // Re-get the automation instance as it might have been updated
+            automation = this.sessionManager.getSession(sessionId);
+        }
+
+        const createStatusHandler = (instance) => {
+            try {
+                const StatusHandler = require('../core/StatusHandler');
+                instance.statusHandler = new StatusHandler(instance.page, instance);
+                console.log(`[${sessionId}] StatusHandler initialized`);
+            } catch (e) {
+                console.log(`[${sessionId}] StatusHandler initialization failed:`, e.message);
+            }
+        };
+
+        // Sends initialize the handler immediately for ultra-fast response
+        if (!automation.statusHandler && automation.page && waitSeconds === 0) {
+            createStatusHandler(automation);
+        }
+
+        // Otherwise wait for WA-JS to be ready if the session was just started
+        for (let attempt = 1; !automation.statusHandler && attempt <= waitSeconds; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            automation = this.sessionManager.getSession(sessionId) || automation;
+
+            if (!automation.statusHandler && automation.page) {
+                const isReady = await automation.page.evaluate(() => {
+                    return window.WPP && window.WPP.isReady && window.WPP.isReady() &&
+                           window.WPP.conn && window.WPP.conn.isAuthenticated();
+                }).catch(() => false);
+
+                if (isReady) {
+                    createStatusHandler(automation);
+                }
+            }
+        }
+
+        if (!automation.statusHandler) {
+            throw new ApiError('HANDLER_NOT_READY', null, {
+                status: this.sessionManager.sessionMetadata.get(sessionId)?.status || null
+            });
+        }
+
+        return automation;
+    }
+
+    /**
+     * Read image/video status input from either a multipart upload (`image`/`video`
+     * file field plus `caption` and JSON `options`) or a JSON body with base64 `content`.
+     * Uploaded files are passed to the status handler by path, never as base64.
+     */
+    getMediaStatusInput(req, type) {
+        const upload = getUploadedFile(req, type);
+
+        if (!upload) {
+            if (req.is('multipart/form-data')) {
+                throw new ApiError('VALIDATION_FAILED', `Validation failed: body.${type} is required`, {
+                    errors: [{ location: 'body', path: `body.${type}`, message: 'is required' }]
+                });
+            }
+            return { content: req.body.content, options: req.body.options || {}, upload: null };
+        }
+
+        let options;
+        try {
+            options = parseFormOptions(req.body.options);
+        } catch (error) {
+            throw new ApiError('VALIDATION_FAILED', 'Validation failed: body.options must be a JSON object', {
+                errors: [{ location: 'body', path: 'body.options', message: 'must be a JSON object' }]
+            });
+        }
+        if (req.body.caption) {
+            options.caption = req.body.caption;
+        }
+
+        return {
+            content: { filePath: upload.tempFilePath, mimeType: upload.mimetype, fileName: upload.name },
+            options,
+            upload
+        };
+    }
+
+    /**
+     * Inspect a video status payload against the status limits. Hard limits reject
+     * the request before the browser upload starts; softer issues become warnings.
+     */
+    async inspectStatusVideo(content) {
+        const source = content && content.filePath
+            ? content.filePath
+            : Buffer.from(String(content).replace(/^data:[^,]*,/, ''), 'base64');
+
+        let metadata;
+        try {
+            metadata = await inspectVideo(source);
+        } catch (error) {
+            throw new ApiError('UNSUPPORTED_MEDIA_TYPE', `Video could not be read: ${error.message}`);
+        }
+
+        const { errors, warnings } = checkStatusVideo(metadata, this.videoLimits);
+        if (errors.length > 0) {
+            throw new ApiError('MEDIA_LIMIT_EXCEEDED', `Video rejected: ${errors.join('; ')}`, { metadata, errors, warnings });
+        }
+        return { metadata, warnings };
+    }
+
+    /**
+     * Send a text status right away, publishing the outcome to event subscribers
+     * @param {object} evergreen - Record from startEvergreen(), activated once the send succeeds
+     * @returns {Promise<object>} Status handler result
+     */
+    async sendTextStatusNow(sessionId, automation, content, options = {}, evergreen = null) {
+        const requestedAt = new Date();
+        let result;
+        try {
+            result = await this.sessionManager.browserPool.whileBusy(sessionId, () => automation.statusHandler.sendTextStatus(content, options));
+        } catch (statusError) {
+            console.error(`[${sessionId}] Text status send error:`, statusError.message);
+            this.sessionManager.publishSendResult(sessionId, 'text', null, statusError);
+            if (evergreen) this.statusEvergreen.fail(evergreen.id, statusError);
+            throw this.toSendError(sessionId, statusError);
+        }
+
+        this.sessionManager.updateSessionStatus(sessionId, 'active', 'Sent text status');
+
+        if (!result || !result.success) {
+            const sendFailure = new ApiError('SEND_FAILED', 'Status send failed - no result returned', { result: result || null });
+            this.sessionManager.publishSendResult(sessionId, 'text', result, sendFailure);
+            if (evergreen) this.statusEvergreen.fail(evergreen.id, sendFailure);
+            throw sendFailure;
+        }
+
+        this.sessionManager.publishSendResult(sessionId, 'text', result, null, {
+            content: await describeStatusContent('text', content),
+            options,
+            handler: automation.statusHandler.constructor.name,
+            requestedAt,
+            evergreenId: evergreen ? evergreen.id : null
+        });
+        if (evergreen) {
+            this.statusEvergreen.activate(evergreen.id, { messageId: extractMessageId(result), publishedAt: new Date() });
+        }
+        return result;
+    }
+
+    /**
+     * Send a status through a Baileys handler, publishing and recording the outcome like
+     * browser sends. Baileys connections have no session record, so they are keyed by
+     * `baileys-<userId>`, the id their connection events use.
+     * @param {object} described - What was sent, from describeStatusContent()
+     * @param {Function} send - Performs the handler call
+     * @returns {Promise<object>} Baileys handler result
+     */
+    async sendBaileysStatus(userId, handler, type, described, options, send) {
+        const sessionId = `baileys-${userId}`;
+        const requestedAt = new Date();
+        let result;
+        try {
+            // Baileys handlers throw on failure and report no success flag of their own
+            result = { success: true, ...(await send()) };
+            if (!result.success) {
+                throw new ApiError('SEND_FAILED', 'Status send failed', { result });
+            }
+        } catch (error) {
+            this.sessionManager.publishSendResult(sessionId, type, null, error);
+            throw error;
+        }
+
+        this.sessionManager.publishSendResult(sessionId, type, result, null, {
+            userId,
+            content: described,
+            options,
+            handler: handler.constructor.name,
+            requestedAt
+        });
+        return result;
+    }
+
+    /**
+     * Register a status about to be sent as evergreen when the request asked for it
+     * @param {*} requested - The request's `evergreen` field
+     * @returns {object|null} Pending evergreen record
+     */
+    startEvergreen(sessionId, type, content, options, requested) {
+        const spec = StatusEvergreenManager.parseRequest(requested);
+        if (!spec) return null;
+        return this.statusEvergreen.create({ sessionId, type, content, options, deletePrevious: spec.deletePrevious });
+    }
+
+    /**
+     * Check the request's `evergreen` and `deleteAfter` fields before anything is sent
+     * @returns {number|null} deleteAfter in milliseconds
+     */
+    parseStatusLifetime(body = {}) {
+        let evergreen;
+        let deleteAfterMs;
+        try {
+            evergreen = StatusEvergreenManager.parseRequest(body.evergreen);
+            deleteAfterMs = StatusDeletionManager.parseDeleteAfter(body.deleteAfter);
+        } catch (error) {
+            throw new ApiError('INVALID_REQUEST', error.message);
+        }
+        if (evergreen && deleteAfterMs) {
+            throw new ApiError('INVALID_REQUEST', 'deleteAfter cannot be combined with evergreen');
+        }
+        return deleteAfterMs;
+    }
+
+    /**
+     * Read the request's `draft` field. Drafts wait for approval, so they cannot be evergreen.
+     * Call after parseStatusLifetime(), which validates `evergreen`.
+     * @returns {object|null} { submit, approverUserId, scheduledAt }
+     */
+    parseDraftRequest(body = {}) {
+        let draft;
+        try {
+            draft = StatusDraftManager.parseRequest(body.draft);
+        } catch (error) {
+            throw new ApiError('INVALID_REQUEST', error.message);
+        }
+        if (draft && StatusEvergreenManager.parseRequest(body.evergreen)) {
+            throw new ApiError('INVALID_REQUEST', 'draft cannot be combined with evergreen');
+        }
+        if (draft && draft.approverUserId && !this.sessionManager.getUser(draft.approverUserId)) {
+            throw new ApiError('USER_NOT_FOUND', `Approver ${draft.approverUserId} does not exist`);
+        }
+        return draft;
+    }
+
+    /**
+     * Store a status for approval instead of sending it. Media is prepared as for a
+     * send, so the approver sees exactly what will be published. Responds 201.
+     */
+    async saveStatusDraft(req, res, { sessionId, type, content, mediaId = null, options = {}, deleteAfterMs = null, draft, details = {} }) {
+        const prepared = type === 'text' || mediaId
+            ? { content, cleanup: async () => {}, summary: {} }
+            : await this.prepareMediaStatus(type, content);
+
+        let saved;
+        try {
+            saved = this.statusDrafts.create({
+                sessionId,
+                type,
+                content: prepared.content,
+                mediaId,
+                options,
+                scheduledAt: draft.scheduledAt,
+                deleteAfterMs,
+                createdBy: this.describeActor(req)
+            });
+        } catch (error) {
+            throw error instanceof ApiError ? error : new ApiError('INVALID_REQUEST', error.message);
+        } finally {
+            prepared.cleanup();
+        }
+
+        const submitted = draft.submit
+            ? this.statusDrafts.submit(saved.id, { approverUserId: draft.approverUserId, publicUrl: this.requestBaseUrl(req) })
+            : null;
+
+        res.status(201).json({
+            success: true,
+            message: submitted ? 'Status draft submitted for approval' : 'Status saved as draft',
+            draftId: saved.id,
+            draft: this.statusDrafts.sanitize(submitted ? submitted.draft : saved),
+            ...(submitted && { approvalUrl: submitted.approvalUrl }),
+            ...details,
+            ...prepared.summary
+        });
+    }
+
+    sendDraftMedia(res, draft) {
+        const media = draft.mediaId && this.statusScheduler.mediaStore.read(draft.mediaId);
+        if (!media) {
+            return sendError(res, 'NOT_FOUND', 'This draft has no media');
+        }
+        res.type(media.mimetype).send(media.buffer);
+    }
+
+    /**
+     * Send a raw QR code as text, PNG or SVG (`size` in pixels, `margin` in modules)
+     */
+    sendQrCode(res, code, { format, size, margin }) {
+        const options = {
+            size: size ? parseInt(size, 10) : 256,
+            margin: margin !== undefined ? parseInt(margin, 10) : 4
+        };
+
+        // WhatsApp rotates the code every few seconds
+        res.set('Cache-Control', 'no-store');
+        if (format === 'png') return res.type('image/png').send(toPng(code, options));
+        if (format === 'svg') return res.type('image/svg+xml').send(toSvg(code, options));
+        res.type('text/plain').send(code);
+    }
+
+    /**
+     * Who made a request, for audit fields
+     */
+    describeActor(req) {
+        if (!req.apiKey) return 'api';
+        return req.apiKey.id === 'dashboard' ? 'dashboard' : `apiKey:${req.apiKey.id}`;
+    }
+
+    requestBaseUrl(req) {
+        return `${req.protocol}://${req.get('host')}`;
+    }
+
+    /**
+     * Normalize an image, or check a video against the status limits
+     * @returns {Promise<object>} { content, cleanup, media, summary } media is stored on jobs,
+     *   summary is echoed in responses; cleanup() removes temp files created for the content
+     */
+    async prepareMediaStatus(type, content) {
+        if (type === 'image') {
+            // Normalize format, resolution, size and metadata before the page sees the image
+            const media = await this.imagePreprocessor.process(content);
+            const { original, output, transformations } = media;
+            return { content: media.content, cleanup: media.cleanup, media: { original, output, transformations }, summary: { transformations } };
+        }
+
+        // Reject clips WhatsApp would refuse before spending time on the browser upload
+        const media = await this.inspectStatusVideo(content);
+        return { content, cleanup: async () => {}, media, summary: media };
+    }
+
+    /**
+     * Prepare image/video content and queue the send as a background job. Responds
+     * 202 with the job id, or waits for the outcome when the client sent ?wait=true.
+     * `details` is stored on the job and echoed in the response. `evergreen` is the
+     * request's evergreen field; the status is republished before expiry once sent.
+     * With `deleteAfterMs` the status is removed that long after it is sent.
+     */
+    async queueMediaStatus(req, res, { sessionId, type, content, options = {}, upload = null, details = {}, evergreen = null, deleteAfterMs = null }) {
+        // Rejected before the media is processed
+        StatusEvergreenManager.parseRequest(evergreen);
+
+        const prepared = await this.prepareMediaStatus(type, content);
+
+        let automation;
+        let described;
+        let evergreenRecord;
+        try {
+            automation = await this.getStatusAutomation(sessionId);
+            // Hashed now: uploads and preprocessed files are gone once the send finishes
+            described = await describeStatusContent(type, prepared.content);
+            // Keeps its own copy of the media for republishing
+            evergreenRecord = this.startEvergreen(sessionId, type, prepared.content, options, evergreen);
+        } catch (error) {
+            prepared.cleanup();
+            throw error;
+        }
+        if (evergreenRecord) {
+            details = { ...details, evergreenId: evergreenRecord.id };
+        }
+        if (deleteAfterMs) {
+            details = { ...details, deleteAfter: formatDuration(deleteAfterMs) };
+        }
+
+        // Uploads can take minutes; answer with a job id unless the client asks to wait
+        if (upload) retainUpload(upload);
+        const send = type === 'image'
+            ? () => automation.statusHandler.sendImageStatus(prepared.content, options)
+            : () => automation.statusHandler.sendVideoStatus(prepared.content, options);
+        const job = this.statusJobs.create(sessionId, type,
+            () => send().finally(() => {
+                removeUpload(upload);
+                prepared.cleanup();
+            }),
+            {
+                ...details,
+                media: prepared.media,
+                content: described,
+                options,
+                handler: automation.statusHandler.constructor.name
+            });
+
+        // The browser stays open while the job waits behind earlier sends and uploads
+        const completion = this.sessionManager.browserPool.whileBusy(sessionId, () => this.statusJobs.waitForJob(job.id));
+        completion.catch(error => {
+            console.error(`[${sessionId}] Waiting for ${type} status job ${job.id} failed:`, error.message);
+        });
+
+        if (evergreenRecord || deleteAfterMs) {
+            completion.then(finished => {
+                if (finished.status !== 'succeeded') {
+                    if (evergreenRecord) this.statusEvergreen.fail(evergreenRecord.id, finished.error);
+                    return;
+                }
+                if (evergreenRecord) {
+                    this.statusEvergreen.activate(evergreenRecord.id, { messageId: finished.messageId, publishedAt: finished.finishedAt });
+                }
+                if (deleteAfterMs) {
+                    this.statusDeletions.schedule({
+                        sessionId,
+                        messageId: finished.messageId,
+                        deleteAfterMs,
+                        publishedAt: finished.finishedAt,
+                        source: { jobId: job.id }
+                    });
+                }
+            }).catch(error => {
+                console.error(`[${sessionId}] Follow-up of ${type} status job ${job.id} failed:`, error.message);
+                if (!evergreenRecord) return;
+                try {
+                    this.statusEvergreen.fail(evergreenRecord.id, error);
+                } catch (failError) {
+                    console.error(`[Evergreen] Could not mark ${evergreenRecord.id} as failed:`, failError.message);
+                }
+            });
+        }
+
+        const label = type === 'image' ? 'Image' : 'Video';
+        if (req.query.wait !== 'true') {
+            return res.status(202).json({
+                success: true,
+                message: `${label} status queued`,
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/jobs/${job.id}`,
+                ...details,
+                ...prepared.summary
+            });
+        }
+
+        const finished = await completion;
+        if (finished.status === 'failed') {
+            throw this.toSendError(sessionId, new Error(finished.error.message));
+        }
+
+        res.json({
+            success: true,
+            message: `${label} status sent successfully`,
+            jobId: finished.id,
+            method: finished.method,
+            messageId: finished.messageId,
+            ...details,
+            ...prepared.summary
+        });
+    }
+
+    /**
+     * Send viewer rows as a CSV or XLSX download. Live statuses are snapshotted
+     * first when the session's browser is open, so the export is current.
+     */
+    async sendViewerExport(req, res, { sessionId, messageId, from, to }) {
+        const format = req.query.format || 'csv';
+        await this.viewerCollector.snapshotSession(sessionId).catch(error => {
+            console.error(`[${sessionId}] Viewer refresh before export failed:`, error.message);
+        });
+
+        const rows = this.viewerCollector.getViewerRows(sessionId, { messageId, from, to });
+        const baseName = `viewers-${sessionId}${messageId ? `-${messageId}` : ''}`.replace(/[^\w.-]+/g, '_');
+
+        if (format === 'xlsx') {
+            res.attachment(`${baseName}.xlsx`);
+            return res.send(toXlsx(VIEWER_EXPORT_COLUMNS, rows, 'Viewers'));
+        }
+        res.attachment(`${baseName}.csv`);
+        res.type('text/csv; charset=utf-8');
+        // BOM so Excel opens UTF-8 push names correctly
+        res.send(`\ufeff${toCsv(VIEWER_EXPORT_COLUMNS, rows)}`);
+    }
+
+    /**
+     * Classify a failed send: sessions that lost their login need re-authentication, anything else can be retried
+     */
+    toSendError(sessionId, error) {
+        if (error instanceof ApiError) {
+            return error;
+        }
+
+        const metadata = this.sessionManager.sessionMetadata.get(sessionId);
+        if (metadata && ['requires_auth', 'waiting_for_authentication'].includes(metadata.status)) {
+            return new ApiError('SESSION_REQUIRES_AUTH', `Failed to send status: ${error.message}`, {
+                status: metadata.status,
+                authData: metadata.authData || null
+            });
+        }
+        return new ApiError('SEND_FAILED', `Failed to send status: ${error.message}`);
+    }
+
+    // ============================================
+    // Server-Sent Events
+    // ============================================
+
+    setupEventStreams() {
+        this.eventStreamClients = new Set();
+        this.recentEvents = []; // Replay buffer for reconnecting clients (Last-Event-ID)
+        this.eventSequence = 0;
+
+        this.sessionManager.events.on('session-event', (event) => {
+            const entry = { id: ++this.eventSequence, ...event };
+            this.recentEvents.push(entry);
+            if (this.recentEvents.length > 200) {
+                this.recentEvents.shift();
+            }
+
+            for (const client of this.eventStreamClients) {
+                this.writeStreamEvent(client, entry);
+            }
+        });
+
+        // Comment lines keep proxies from closing idle streams
+        this.eventStreamHeartbeat = setInterval(() => {
+            for (const client of this.eventStreamClients) {
+                client.res.write(': ping\n\n');
+            }
+        }, 25 * 1000);
+    }
+
+    /**
+     * Start an SSE response. Filters: sessionId (one session) or userId (all of a user's sessions).
+     * userIds limits the stream to the users an API key is restricted to.
+     */
+    openEventStream(req, res, { sessionId = null, userId = null, userIds = null } = {}) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 3000\n\n');
+
+        const client = { res, sessionId, userId, userIds };
+
+        // Current state first, so clients never need an extra status request
+        const snapshot = sessionId
+            ? [this.sessionManager.sessionMetadata.get(sessionId)].filter(Boolean)
+            : this.sessionManager.getAllSessions()
+                .filter(session => !userId || session.userId === userId)
+                .filter(session => !userIds || userIds.includes(session.userId));
+        this.writeStreamEvent(client, {
+            event: 'snapshot',
+            data: {
+                sessions: snapshot.map(session => ({
+                    sessionId: session.id || session.sessionId,
+                    userId: session.userId,
+                    status: session.status,
+                    phoneNumber: session.phoneNumber || null,
+                    authData: session.authData || null
+                }))
+            },
+            timestamp: new Date().toISOString()
+        });
+
+        const lastEventId = parseInt(req.headers['last-event-id']);
+        if (!isNaN(lastEventId)) {
+            this.recentEvents
+                .filter(event => event.id > lastEventId)
+                .forEach(event => this.writeStreamEvent(client, event));
+        }
+
+        this.eventStreamClients.add(client);
+        req.on('close', () => {
+            this.eventStreamClients.delete(client);
+        });
+    }
+
+    writeStreamEvent(client, entry) {
+        if (client.sessionId && entry.sessionId && entry.sessionId !== client.sessionId) return;
+        if (client.userId && entry.userId && entry.userId !== client.userId) return;
+        if (client.userIds && entry.userId && !client.userIds.includes(entry.userId)) return;
+
+        const { id, event, ...payload } = entry;
+        const lines = [];
+        if (id) lines.push(`id: ${id}`);
+        lines.push(`event: ${event}`);
+        lines.push(`data: ${JSON.stringify(payload)}`);
+        client.res.write(`${lines.join('\n')}\n\n`);
+    }
+
     setupRoutes() {
         // Authentication routes for dashboard only
         this.app.post('/login', (req, res) => {
@@ -121,7 +799,7 @@ class WhatsAppAPI {
                 req.session.authenticated = true;
                 res.json({ success: true });
             } else {
-                res.status(401).json({ success: false, error: 'Invalid password' });
+                sendError(res, 'API_KEY_INVALID', 'Invalid password');
             }
         });
 
@@ -134,6 +812,15 @@ class WhatsAppAPI {
             res.json({ authenticated: !!req.session.authenticated });
         });
 
+        // API documentation
+        this.app.get('/openapi.json', (req, res) => {
+            res.json(this.openApiSpec);
+        });
+
+        this.app.get('/docs', (req, res) => {
+            res.sendFile(require('path').join(__dirname, '..', '..', 'public', 'docs.html'));
+        });
+
         // ============================================
         // BAILEYS DIRECT WEBSOCKET ENDPOINTS (NO BROWSER)
         // ============================================
@@ -163,12 +850,15 @@ class WhatsAppAPI {
                 handler.setEventHandlers({
                     onQRCode: (qr) => {
                         this.baileysQRCodes.set(userId, qr);
+                        this.sessionManager.publishEvent(`baileys-${userId}`, 'qr', { qr, userId });
                         console.log(`[Baileys-${userId}] QR Code ready for scanning`);
                     },
                     onConnected: () => {
+                        this.sessionManager.publishEvent(`baileys-${userId}`, 'ready', { userId });
                         console.log(`[Baileys-${userId}] Successfully connected via WebSocket`);
                     },
                     onDisconnected: () => {
+                        this.sessionManager.publishEvent(`baileys-${userId}`, 'logout', { userId });
                         console.log(`[Baileys-${userId}] Disconnected`);
                         this.baileysHandlers.delete(userId);
                         this.baileysQRCodes.delete(userId);
@@ -189,25 +879,16 @@ class WhatsAppAPI {
                         needsAuth: !handler.isAuthenticated
                     });
                 } else {
-                    res.status(500).json({
-                        success: false,
-                        error: 'Failed to initiate Baileys connection'
-                    });
+                    sendError(res, 'INTERNAL_ERROR', 'Failed to initiate Baileys connection');
                 }
                 */
 
                 // Temporary response while Baileys is disabled
-                res.status(501).json({
-                    success: false,
-                    error: 'Baileys functionality temporarily disabled'
-                });
+                sendError(res, 'FEATURE_DISABLED', 'Baileys functionality temporarily disabled');
 
             } catch (error) {
                 console.error(`[Baileys-${userId}] Connection error:`, error.message);
-                res.status(500).json({
-                    success: false,
-                    error: `Baileys connection failed: ${error.message}`
-                });
+                sendError(res, 'INTERNAL_ERROR', `Baileys connection failed: ${error.message}`);
             }
         });
 
@@ -223,10 +904,7 @@ class WhatsAppAPI {
                     userId: userId
                 });
             } else {
-                res.status(404).json({
-                    success: false,
-                    error: 'QR code not available. Please connect first.'
-                });
+                sendError(res, 'SESSION_NOT_FOUND', 'QR code not available. Please connect first.');
             }
         });
 
@@ -237,14 +915,12 @@ class WhatsAppAPI {
 
             try {
                 if (!this.baileysHandlers.has(userId)) {
-                    return res.status(404).json({
-                        success: false,
-                        error: 'Baileys not connected for this user. Please connect first.'
-                    });
+                    return sendError(res, 'SESSION_NOT_FOUND', 'Baileys not connected for this user. Please connect first.');
                 }
 
                 const handler = this.baileysHandlers.get(userId);
-                const result = await handler.sendTextStatus(content, options);
+                const result = await this.sendBaileysStatus(userId, handler, 'text', await describeStatusContent('text', content), options,
+                    () => handler.sendTextStatus(content, options));
 
                 res.json({
                     success: true,
@@ -256,10 +932,7 @@ class WhatsAppAPI {
 
             } catch (error) {
                 console.error(`[Baileys-${userId}] Status send error:`, error.message);
-                res.status(500).json({
-                    success: false,
-                    error: error.message
-                });
+                handleError(res, error, 'SEND_FAILED');
             }
         });
 
@@ -270,22 +943,19 @@ class WhatsAppAPI {
 
             try {
                 if (!this.baileysHandlers.has(userId)) {
-                    return res.status(404).json({
-                        success: false,
-                        error: 'Baileys not connected for this user. Please connect first.'
-                    });
+                    return sendError(res, 'SESSION_NOT_FOUND', 'Baileys not connected for this user. Please connect first.');
                 }
 
-                if (!req.files || !req.files.image) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Image file is required'
-                    });
+                const upload = getUploadedFile(req, 'image');
+                if (!upload) {
+                    return sendError(res, 'VALIDATION_FAILED', 'Image file is required');
                 }
 
                 const handler = this.baileysHandlers.get(userId);
-                const imageBuffer = req.files.image.data;
-                const result = await handler.sendImageStatus(imageBuffer, caption, options);
+                const imageBuffer = await readUploadedFile(upload);
+                const described = { ...(await describeStatusContent('image', imageBuffer)), mimeType: upload.mimetype || null };
+                const result = await this.sendBaileysStatus(userId, handler, 'image', described, { caption, ...options },
+                    () => handler.sendImageStatus(imageBuffer, caption, options));
 
                 res.json({
                     success: true,
@@ -297,10 +967,7 @@ class WhatsAppAPI {
 
             } catch (error) {
                 console.error(`[Baileys-${userId}] Image status send error:`, error.message);
-                res.status(500).json({
-                    success: false,
-                    error: error.message
-                });
+                handleError(res, error, 'SEND_FAILED');
             }
         });
 
@@ -311,22 +978,19 @@ class WhatsAppAPI {
 
             try {
                 if (!this.baileysHandlers.has(userId)) {
-                    return res.status(404).json({
-                        success: false,
-                        error: 'Baileys not connected for this user. Please connect first.'
-                    });
+                    return sendError(res, 'SESSION_NOT_FOUND', 'Baileys not connected for this user. Please connect first.');
                 }
 
-                if (!req.files || !req.files.video) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Video file is required'
-                    });
+                const upload = getUploadedFile(req, 'video');
+                if (!upload) {
+                    return sendError(res, 'VALIDATION_FAILED', 'Video file is required');
                 }
 
                 const handler = this.baileysHandlers.get(userId);
-                const videoBuffer = req.files.video.data;
-                const result = await handler.sendVideoStatus(videoBuffer, caption, options);
+                const videoBuffer = await readUploadedFile(upload);
+                const described = { ...(await describeStatusContent('video', videoBuffer)), mimeType: upload.mimetype || null };
+                const result = await this.sendBaileysStatus(userId, handler, 'video', described, { caption, ...options },
+                    () => handler.sendVideoStatus(videoBuffer, caption, options));
 
                 res.json({
                     success: true,
@@ -338,10 +1002,7 @@ class WhatsAppAPI {
 
             } catch (error) {
                 console.error(`[Baileys-${userId}] Video status send error:`, error.message);
-                res.status(500).json({
-                    success: false,
-                    error: error.message
-                });
+                handleError(res, error, 'SEND_FAILED');
             }
         });
 
@@ -386,10 +1047,7 @@ class WhatsAppAPI {
 
             } catch (error) {
                 console.error(`[Baileys-${userId}] Disconnect error:`, error.message);
-                res.status(500).json({
-                    success: false,
-                    error: error.message
-                });
+                handleError(res, error);
             }
         });
 
@@ -406,14 +1064,14 @@ class WhatsAppAPI {
         // Session management
         this.app.post('/sessions/create', async (req, res) => {
             try {
-                const { userId, phoneNumber, authMethod = 'qr' } = req.body;
+                const { userId, phoneNumber, authMethod = 'qr', qrFormat } = req.body;
 
                 if (!userId) {
-                    return res.status(400).json({ error: 'userId is required' });
+                    return sendError(res, 'VALIDATION_FAILED', 'userId is required');
                 }
 
                 if (authMethod === 'code' && !phoneNumber) {
-                    return res.status(400).json({ error: 'phoneNumber is required for pairing code authentication' });
+                    return sendError(res, 'VALIDATION_FAILED', 'phoneNumber is required for pairing code authentication');
                 }
 
                 const sessionId = await this.sessionManager.createSession(userId, phoneNumber);
@@ -444,20 +1102,24 @@ class WhatsAppAPI {
                 });
 
                 automation.on('authenticated', (data) => {
-                    this.sessionManager.updateSessionStatus(data.sessionId, 'authenticated');
+                    this.sessionManager.updateSessionStatus(data.sessionId, 'authenticated', 'Logged in');
                 });
 
                 automation.on('ready', (data) => {
-                    this.sessionManager.updateSessionStatus(data.sessionId, 'ready');
+                    this.sessionManager.updateSessionStatus(data.sessionId, 'ready', 'WhatsApp Web ready');
                 });
 
                 automation.on('authenticationFailed', (data) => {
                     console.log(`[${data.sessionId}] Authentication failed: ${data.reason}`);
-                    this.sessionManager.updateSessionStatus(data.sessionId, 'failed');
+                    this.sessionManager.updateSessionStatus(data.sessionId, 'failed', `Authentication failed: ${data.reason}`);
                 });
 
                 // Initialize and wait for QR/code generation
-                await automation.initialize();
+                try {
+                    await automation.initialize();
+                } finally {
+                    this.sessionManager.browserPool.release(sessionId);
+                }
 
                 // Wait for WA-JS to be ready
                 try {
@@ -485,7 +1147,7 @@ class WhatsAppAPI {
 
                 if (isLoggedIn) {
                     // Already authenticated
-                    this.sessionManager.updateSessionStatus(sessionId, 'ready');
+                    this.sessionManager.updateSessionStatus(sessionId, 'ready', 'Already logged in');
                     // Use WebSocket-based handler exclusively
                     automation.statusHandler = new WebSocketStatusHandler(automation.page, automation);
 
@@ -538,10 +1200,7 @@ class WhatsAppAPI {
                                 phoneNumber: phoneNumber
                             };
                         } else {
-                            return res.status(500).json({
-                                error: 'Failed to generate pairing code',
-                                sessionId
-                            });
+                            return sendError(res, 'WHATSAPP_ERROR', 'Failed to generate pairing code', { sessionId });
                         }
                     } else {
                         // QR Code authentication
@@ -593,7 +1252,8 @@ class WhatsAppAPI {
                         if (qrCode) {
                             authData = {
                                 type: 'qr_code',
-                                qr: qrCode
+                                qr: qrCode,
+                                ...(qrFormat && { dataUrl: toDataUrl(qrCode, qrFormat) })
                             };
                             console.log(`[${sessionId}] QR code ready for response`);
                         }
@@ -644,6 +1304,9 @@ class WhatsAppAPI {
                         this.sessionManager.updateSessionPhoneNumber(sessionId, data.phoneNumber);
                     });
 
+                    this.sessionManager.updateSessionStatus(sessionId, 'waiting_for_authentication',
+                        authMethod === 'code' ? 'Pairing code generated' : 'QR code generated');
+
                     // Start authentication monitoring in background - DO NOT await
                     // This keeps the browser alive while waiting for authentication
                     automation.handleLogin(authMethod, phoneNumber).then(async (loginSuccess) => {
@@ -658,24 +1321,24 @@ class WhatsAppAPI {
 
                                 // Use WebSocket-based handler exclusively
                     automation.statusHandler = new WebSocketStatusHandler(automation.page, automation);
-                                this.sessionManager.updateSessionStatus(sessionId, 'ready');
+                                this.sessionManager.updateSessionStatus(sessionId, 'ready', 'WPP fully ready after login');
                                 console.log(`[${sessionId}] Session fully ready with WPP.isFullReady confirmed`);
 
                                 // Keep browser alive for status operations
                                 console.log(`[${sessionId}] Keeping browser alive for status operations`);
                             } catch (error) {
                                 console.error(`[${sessionId}] WPP.isFullReady timeout:`, error.message);
-                                this.sessionManager.updateSessionStatus(sessionId, 'failed');
+                                this.sessionManager.updateSessionStatus(sessionId, 'failed', 'WPP.isFullReady timeout');
                                 await this.sessionManager.removeSession(sessionId);
                             }
                         } else {
-                            this.sessionManager.updateSessionStatus(sessionId, 'failed');
+                            this.sessionManager.updateSessionStatus(sessionId, 'failed', 'Login did not complete');
                             console.log(`[${sessionId}] Authentication failed, cleaning up session`);
                             await this.sessionManager.removeSession(sessionId);
                         }
                     }).catch(async (error) => {
                         console.error(`Session ${sessionId} login error:`, error);
-                        this.sessionManager.updateSessionStatus(sessionId, 'failed');
+                        this.sessionManager.updateSessionStatus(sessionId, 'failed', `Login error: ${error.message}`);
                         await this.sessionManager.removeSession(sessionId);
                     });
 
@@ -692,16 +1355,18 @@ class WhatsAppAPI {
                 }
             } catch (error) {
                 console.error('Session creation error:', error);
-                res.status(500).json({ error: error.message });
+                handleError(res, error);
             }
         });
 
         this.app.get('/sessions', (req, res) => {
-            const regularSessions = this.sessionManager.getAllSessions();
+            const regularSessions = this.sessionManager.getAllSessions()
+                .filter(session => this.apiKeys.allowsUser(req.apiKey, session.userId));
 
             // Add Baileys sessions
             const baileysSessions = [];
             for (const [userId, handler] of this.baileysHandlers.entries()) {
+                if (!this.apiKeys.allowsUser(req.apiKey, userId)) continue;
                 const status = handler.getStatus();
                 baileysSessions.push({
                     sessionId: `baileys-${userId}`,
@@ -724,27 +1389,133 @@ class WhatsAppAPI {
             });
         });
 
+        // Live session events (Server-Sent Events)
+        this.app.get('/events', (req, res) => {
+            const userId = req.query.userId || null;
+            if (userId && !this.apiKeys.allowsUser(req.apiKey, userId)) {
+                return sendError(res, 'API_KEY_FORBIDDEN', 'API key is not allowed to access this user');
+            }
+            this.openEventStream(req, res, { userId, userIds: req.apiKey ? req.apiKey.userIds : null });
+        });
+
+        this.app.get('/sessions/:sessionId/events', (req, res) => {
+            const { sessionId } = req.params;
+            const isBaileys = sessionId.startsWith('baileys-');
+            if (!isBaileys && !this.sessionManager.sessionsCollection.findById(sessionId)) {
+                return sendError(res, 'SESSION_NOT_FOUND');
+            }
+            this.openEventStream(req, res, { sessionId });
+        });
+
         this.app.get('/sessions/:sessionId/status', (req, res) => {
             const metadata = this.sessionManager.sessionMetadata.get(req.params.sessionId);
             if (!metadata) {
-                return res.status(404).json({ error: 'Session not found' });
+                return sendError(res, 'SESSION_NOT_FOUND');
             }
             res.json(metadata);
         });
 
+        // Live browser occupancy, hibernations and wake latency
+        this.app.get('/browser-pool', (req, res) => {
+            const metrics = this.sessionManager.browserPool.getMetrics();
+            res.json({
+                success: true,
+                ...metrics,
+                sessions: metrics.sessions.filter(session => this.apiKeys.allowsUser(req.apiKey, session.userId))
+            });
+        });
+
+        // Startup restore order and outcome per session
+        this.app.get('/session-restore', (req, res) => {
+            const progress = this.sessionManager.restorePlanner.getProgress({ sessions: true });
+            res.json({
+                success: true,
+                ...progress,
+                sessions: progress.sessions.filter(session => this.apiKeys.allowsUser(req.apiKey, session.userId))
+            });
+        });
+
+        // Status change history, including rejected jumps, for debugging flapping sessions
+        this.app.get('/sessions/:sessionId/transitions', (req, res) => {
+            const session = this.sessionManager.sessionsCollection.findById(req.params.sessionId);
+            if (!session) {
+                return sendError(res, 'SESSION_NOT_FOUND');
+            }
+
+            const { since, accepted, limit, offset } = req.query;
+            const page = this.sessionManager.getSessionTransitions(session.id, {
+                since,
+                accepted: accepted === undefined ? undefined : accepted === 'true',
+                limit,
+                offset
+            });
+            res.json({ success: true, sessionId: session.id, status: session.status, ...page });
+        });
+
+        // Portable bundle of a logged-in session (profile, metadata, proxy) for moving it to another host
+        this.app.get('/sessions/:sessionId/export', async (req, res) => {
+            try {
+                const bundle = await this.sessionManager.exportSession(req.params.sessionId);
+                res.attachment(`session-${req.params.sessionId}.zip`);
+                res.type('application/zip');
+                res.send(bundle);
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
+
+        // Recreate a session from an export bundle (multipart `bundle` file or base64 JSON)
+        this.app.post('/sessions/import', async (req, res) => {
+            try {
+                const upload = getUploadedFile(req, 'bundle');
+                const buffer = upload
+                    ? await readUploadedFile(upload)
+                    : Buffer.from(String(req.body.bundle || '').replace(/^data:[^,]*,/, ''), 'base64');
+
+                const session = await this.sessionManager.importSession(buffer, {
+                    allowsUser: userId => this.apiKeys.allowsUser(req.apiKey, userId)
+                });
+
+                res.status(201).json({
+                    success: true,
+                    sessionId: session.id,
+                    userId: session.userId,
+                    status: session.status,
+                    phoneNumber: session.phoneNumber,
+                    proxyInfo: session.proxyInfo,
+                    message: 'Session imported. It starts with its saved login on first use.'
+                });
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
+
         this.app.get('/sessions/:sessionId/qr', async (req, res) => {
             // Auto-start session if it exists but not running
-            const result = await this.sessionManager.autoStartSession(req.params.sessionId);
+            let result;
+            try {
+                result = await this.sessionManager.autoStartSession(req.params.sessionId);
+            } catch (error) {
+                return handleError(res, error);
+            }
             if (!result) {
-                return res.status(404).json({ error: 'Session not found' });
+                return sendError(res, 'SESSION_NOT_FOUND');
             }
 
             // Check if result contains auth data
             const automation = result.automation || result;
             const metadata = this.sessionManager.sessionMetadata.get(req.params.sessionId);
+            // text, png or svg instead of JSON
+            const { format } = req.query;
 
             // If session needs auth and we have auth data, return it
             if (metadata && metadata.status === 'requires_auth' && metadata.authData) {
+                if (format) {
+                    if (metadata.authData.type !== 'qr') {
+                        return sendError(res, 'INVALID_STATE', 'Session is waiting for a pairing code, not a QR scan');
+                    }
+                    return this.sendQrCode(res, metadata.authData.qr, req.query);
+                }
                 return res.json({
                     sessionId: req.params.sessionId,
                     status: metadata.status,
@@ -757,6 +1528,9 @@ class WhatsAppAPI {
                 const sessionStatus = this.sessionManager.sessionMetadata.get(req.params.sessionId)?.status;
 
                 if (sessionStatus === 'ready' || sessionStatus === 'authenticated') {
+                    if (format) {
+                        return sendError(res, 'INVALID_STATE', 'Session already authenticated');
+                    }
                     return res.json({
                         qr: null,
                         status: sessionStatus,
@@ -771,6 +1545,15 @@ class WhatsAppAPI {
                     return null;
                 });
 
+                if (format) {
+                    // currentQRUrl holds the last code seen, unless this automation keeps a screenshot there
+                    const code = authCode?.fullCode || (typeof automation.currentQRUrl === 'string' ? automation.currentQRUrl : null);
+                    if (!code) {
+                        return sendError(res, 'QR_NOT_AVAILABLE');
+                    }
+                    return this.sendQrCode(res, code, req.query);
+                }
+
                 if (authCode && authCode.fullCode) {
                     res.json({
                         qr: authCode.fullCode,
@@ -794,6 +1577,9 @@ class WhatsAppAPI {
                 }
             } catch (error) {
                 console.error('Error getting QR:', error);
+                if (format) {
+                    return handleError(res, error, 'QR_NOT_AVAILABLE');
+                }
                 res.json({
                     qr: automation.currentQRUrl,
                     status: this.sessionManager.sessionMetadata.get(req.params.sessionId)?.status,
@@ -807,420 +1593,808 @@ class WhatsAppAPI {
                 await this.sessionManager.removeSession(req.params.sessionId);
                 res.json({ success: true });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error);
             }
         });
 
         // Status operations
-        this.app.post('/sessions/:sessionId/status/text', async (req, res) => {
+        this.app.post('/sessions/:sessionId/status/text', this.idempotency.middleware(), async (req, res) => {
+            const { sessionId } = req.params;
             try {
-                // Check session status first
-                const sessionStatus = this.sessionManager.sessionMetadata.get(req.params.sessionId)?.status;
-
-                // Don't attempt to start session if it's waiting for authentication
-                if (sessionStatus === 'requires_auth' || sessionStatus === 'waiting_for_authentication') {
-                    const metadata = this.sessionManager.sessionMetadata.get(req.params.sessionId);
-                    return res.status(503).json({
-                        error: 'Session requires authentication. Please log in first.',
-                        status: sessionStatus,
-                        needsAuth: true,
-                        authData: metadata?.authData || null
-                    });
+                const deleteAfterMs = this.parseStatusLifetime(req.body);
+                const draft = this.parseDraftRequest(req.body);
+                const { content, options } = req.body;
+                if (draft) {
+                    return await this.saveStatusDraft(req, res, { sessionId, type: 'text', content, options: options || {}, deleteAfterMs, draft });
                 }
 
-                // Auto-start session if it exists but not running
-                let result = await this.sessionManager.autoStartSession(req.params.sessionId);
+                const automation = await this.getStatusAutomation(sessionId);
+                const evergreen = this.startEvergreen(sessionId, 'text', content, options || {}, req.body.evergreen);
 
-                if (!result) {
-                    return res.status(404).json({ error: 'Session not found' });
-                }
+                // Actually wait for the status to be sent and get the real result
+                const result = await this.sendTextStatusNow(sessionId, automation, content, options || {}, evergreen);
+                const deletion = deleteAfterMs && this.statusDeletions.schedule({ sessionId, messageId: extractMessageId(result), deleteAfterMs });
+                res.json({
+                    success: true,
+                    message: 'Text status sent successfully',
+                    method: result.method,
+                    result: result.result,
+                    ...(evergreen && { evergreenId: evergreen.id }),
+                    ...(deletion && { deletionId: deletion.id, deleteAt: deletion.deleteAt })
+                });
 
-                // Handle auth data if returned
-                let automation = result.automation || result;
-                const metadata = this.sessionManager.sessionMetadata.get(req.params.sessionId);
+                // Don't close browser - keep it open for subsequent operations
+                // await this.sessionManager.closeBrowserIfNotAwaitingAuth(req.params.sessionId);
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
 
-                // If session needs re-auth and we have auth data, return it
-                if (metadata && metadata.status === 'requires_auth' && metadata.authData) {
-                    return res.status(401).json({
-                        error: 'Session requires re-authentication',
-                        status: metadata.status,
-                        needsAuth: true,
-                        authData: metadata.authData
-                    });
+        this.app.post('/sessions/:sessionId/status/image', this.idempotency.middleware(), async (req, res) => {
+            const { sessionId } = req.params;
+            try {
+                const deleteAfterMs = this.parseStatusLifetime(req.body);
+                const draft = this.parseDraftRequest(req.body);
+                const { content, options, upload } = this.getMediaStatusInput(req, 'image');
+                if (draft) {
+                    return await this.saveStatusDraft(req, res, { sessionId, type: 'image', content, options, deleteAfterMs, draft });
                 }
-
-                // Initialize status handler immediately for ultra-fast response
-                if (!automation.statusHandler && automation?.page) {
-                    try {
-                        const StatusHandler = require('../core/StatusHandler');
-                        automation.statusHandler = new StatusHandler(automation.page, automation);
-                        console.log(`[${req.params.sessionId}] StatusHandler initialized immediately for fast response`);
-                    } catch (e) {
-                        console.log(`[${req.params.sessionId}] StatusHandler initialization failed:`, e.message);
-                    }
+                await this.queueMediaStatus(req, res, { sessionId, type: 'image', content, options, upload, evergreen: req.body.evergreen, deleteAfterMs });
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
+
+        this.app.post('/sessions/:sessionId/status/video', this.idempotency.middleware(), async (req, res) => {
+            const { sessionId } = req.params;
+            try {
+                const deleteAfterMs = this.parseStatusLifetime(req.body);
+                const draft = this.parseDraftRequest(req.body);
+                const { content, options, upload } = this.getMediaStatusInput(req, 'video');
+                if (draft) {
+                    return await this.saveStatusDraft(req, res, { sessionId, type: 'video', content, options, deleteAfterMs, draft });
                 }
+                await this.queueMediaStatus(req, res, { sessionId, type: 'video', content, options, upload, evergreen: req.body.evergreen, deleteAfterMs });
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
 
-                // If still no status handler, return error immediately - no waiting
-                if (!automation.statusHandler) {
-                    return res.status(503).json({
-                        error: 'Status handler not available - session may not be ready',
-                        status: this.sessionManager.sessionMetadata.get(req.params.sessionId)?.status
-                    });
+        this.app.post('/sessions/:sessionId/status/from-template', this.idempotency.middleware(), async (req, res) => {
+            const { sessionId } = req.params;
+            try {
+                const session = this.sessionManager.sessionsCollection.findById(sessionId);
+                if (!session) {
+                    throw new ApiError('SESSION_NOT_FOUND');
                 }
 
-                const { content, options } = req.body;
+                const { templateId, variables, options } = req.body;
+                const deleteAfterMs = this.parseStatusLifetime(req.body);
+                const draft = this.parseDraftRequest(req.body);
+                const rendered = this.statusTemplates.render(templateId, { userId: session.userId, variables, options });
+                const details = { template: rendered.template };
 
-                // Actually wait for the status to be sent and get the real result
-                try {
-                    const result = await automation.statusHandler.sendTextStatus(content, options || {});
+                if (rendered.type === 'text' && rendered.content.length > TEXT_STATUS_MAX_LENGTH) {
+                    throw new ApiError('INVALID_REQUEST', `Rendered text is ${rendered.content.length} characters, the limit is ${TEXT_STATUS_MAX_LENGTH}`, {
+                        templateId,
+                        length: rendered.content.length
+                    });
+                }
+                if (rendered.type !== 'text' && !this.statusScheduler.mediaStore.exists(rendered.mediaId)) {
+                    throw new ApiError('INVALID_STATE', 'Template media is no longer available', { templateId });
+                }
 
-                    this.sessionManager.updateSessionStatus(req.params.sessionId, 'active');
+                if (draft) {
+                    return await this.saveStatusDraft(req, res, {
+                        sessionId,
+                        type: rendered.type,
+                        content: rendered.content,
+                        mediaId: rendered.mediaId,
+                        options: rendered.options,
+                        deleteAfterMs,
+                        draft,
+                        details
+                    });
+                }
 
-                    if (result && result.success) {
-                        res.json({
-                            success: true,
-                            message: 'Text status sent successfully',
-                            method: result.method,
-                            result: result.result
-                        });
-                    } else {
-                        res.status(500).json({
-                            success: false,
-                            error: 'Status send failed - no result returned',
-                            details: result
-                        });
-                    }
-                } catch (statusError) {
-                    console.error(`[${req.params.sessionId}] Text status send error:`, statusError.message);
-                    res.status(500).json({
-                        success: false,
-                        error: `Failed to send status: ${statusError.message}`,
-                        needsAuth: statusError.message.includes('authentication') || statusError.message.includes('not ready')
+                if (rendered.type !== 'text') {
+                    const content = this.statusScheduler.mediaStore.load(rendered.mediaId);
+                    return await this.queueMediaStatus(req, res, {
+                        sessionId,
+                        type: rendered.type,
+                        content,
+                        options: rendered.options,
+                        details,
+                        evergreen: req.body.evergreen,
+                        deleteAfterMs
                     });
                 }
 
-                // Don't close browser - keep it open for subsequent operations
-                // await this.sessionManager.closeBrowserIfNotAwaitingAuth(req.params.sessionId);
+                const automation = await this.getStatusAutomation(sessionId);
+                const evergreen = this.startEvergreen(sessionId, 'text', rendered.content, rendered.options, req.body.evergreen);
+                const result = await this.sendTextStatusNow(sessionId, automation, rendered.content, rendered.options, evergreen);
+                const deletion = deleteAfterMs && this.statusDeletions.schedule({ sessionId, messageId: extractMessageId(result), deleteAfterMs });
+                res.json({
+                    success: true,
+                    message: 'Text status sent successfully',
+                    method: result.method,
+                    result: result.result,
+                    ...details,
+                    ...(evergreen && { evergreenId: evergreen.id }),
+                    ...(deletion && { deletionId: deletion.id, deleteAt: deletion.deleteAt }),
+                    content: rendered.content
+                });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error);
             }
         });
 
-        this.app.post('/sessions/:sessionId/status/image', async (req, res) => {
+        // One status to many sessions
+        this.app.post('/broadcast/status', this.idempotency.middleware(), async (req, res) => {
             try {
-                // Check session status first
-                const sessionStatus = this.sessionManager.sessionMetadata.get(req.params.sessionId)?.status;
+                const { type, content, options = {}, sessionIds, userIds, tags, concurrency, jitter } = req.body;
+                const deleteAfterMs = StatusDeletionManager.parseDeleteAfter(req.body.deleteAfter);
+                if (type === 'text' && content.length > TEXT_STATUS_MAX_LENGTH) {
+                    throw new ApiError('INVALID_REQUEST', `Text is ${content.length} characters, the limit is ${TEXT_STATUS_MAX_LENGTH}`);
+                }
+                const prepared = type === 'text'
+                    ? { content, cleanup: async () => {}, summary: {} }
+                    : await this.prepareMediaStatus(type, content);
 
-                // Don't attempt to start session if it's waiting for authentication
-                if (sessionStatus === 'requires_auth' || sessionStatus === 'waiting_for_authentication') {
-                    const metadata = this.sessionManager.sessionMetadata.get(req.params.sessionId);
-                    return res.status(503).json({
-                        error: 'Session requires authentication. Please log in first.',
-                        status: sessionStatus,
-                        needsAuth: true,
-                        authData: metadata?.authData || null
+                let broadcast;
+                try {
+                    broadcast = await this.statusBroadcasts.create({
+                        type,
+                        content: prepared.content,
+                        options,
+                        sessionIds,
+                        userIds,
+                        tags,
+                        concurrency,
+                        jitter,
+                        deleteAfterMs,
+                        allowsUser: userId => this.apiKeys.allowsUser(req.apiKey, userId),
+                        cleanup: () => prepared.cleanup()
                     });
+                } catch (error) {
+                    prepared.cleanup();
+                    throw error;
                 }
 
-                // Auto-start session if it exists but not running
-                let result = await this.sessionManager.autoStartSession(req.params.sessionId);
-
-                if (!result) {
-                    return res.status(404).json({ error: 'Session not found' });
+                if (req.query.wait !== 'true') {
+                    return res.status(202).json({
+                        success: true,
+                        message: 'Broadcast started',
+                        broadcastId: broadcast.id,
+                        status: broadcast.status,
+                        statusUrl: `/broadcasts/${broadcast.id}`,
+                        counts: broadcast.counts,
+                        results: broadcast.results,
+                        ...prepared.summary
+                    });
                 }
 
-                // Handle auth data if returned
-                let automation = result.automation || result;
-                const metadata = this.sessionManager.sessionMetadata.get(req.params.sessionId);
+                const finished = await this.statusBroadcasts.waitForBroadcast(broadcast.id);
+                res.json({ success: true, broadcast: finished, ...prepared.summary });
+            } catch (error) {
+                handleError(res, error, 'INVALID_REQUEST');
+            }
+        });
 
-                // If session needs re-auth and we have auth data, return it
-                if (metadata && metadata.status === 'requires_auth' && metadata.authData) {
-                    return res.status(401).json({
-                        error: 'Session requires re-authentication',
-                        status: metadata.status,
-                        needsAuth: true,
-                        authData: metadata.authData
-                    });
+        this.app.get('/broadcasts', (req, res) => {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+            const broadcasts = this.statusBroadcasts.getBroadcasts({ status: req.query.status, limit })
+                .filter(broadcast => broadcast.results.every(result => !result.userId || this.apiKeys.allowsUser(req.apiKey, result.userId)));
+            res.json({ success: true, broadcasts });
+        });
+
+        this.app.get('/broadcasts/:broadcastId', (req, res) => {
+            const broadcast = this.statusBroadcasts.getBroadcast(req.params.broadcastId);
+            if (!broadcast) {
+                return sendError(res, 'BROADCAST_NOT_FOUND');
+            }
+            res.json({ success: true, broadcast });
+        });
+
+        // Status drafts, created by the send routes with `draft` and published once approved
+        this.app.get('/status-drafts', (req, res) => {
+            const { sessionId, state } = req.query;
+            const drafts = this.statusDrafts.getDrafts({ sessionId, state })
+                .filter(draft => this.apiKeys.allowsUser(req.apiKey, draft.userId)
+                    || (draft.approverUserId && this.apiKeys.allowsUser(req.apiKey, draft.approverUserId)))
+                .map(draft => this.statusDrafts.sanitize(draft));
+            res.json({ success: true, drafts });
+        });
+
+        this.app.get('/status-drafts/:draftId', (req, res) => {
+            const draft = this.statusDrafts.getDraft(req.params.draftId);
+            if (!draft) {
+                return sendError(res, 'DRAFT_NOT_FOUND');
+            }
+            res.json({ success: true, draft: this.statusDrafts.sanitize(draft) });
+        });
+
+        this.app.get('/status-drafts/:draftId/media', (req, res) => {
+            const draft = this.statusDrafts.getDraft(req.params.draftId);
+            if (!draft) {
+                return sendError(res, 'DRAFT_NOT_FOUND');
+            }
+            this.sendDraftMedia(res, draft);
+        });
+
+        this.app.put('/status-drafts/:draftId', async (req, res) => {
+            try {
+                const draft = this.statusDrafts.getDraft(req.params.draftId);
+                if (!draft) {
+                    return sendError(res, 'DRAFT_NOT_FOUND');
                 }
 
-                // Initialize status handler immediately for ultra-fast response
-                if (!automation.statusHandler && automation?.page) {
-                    try {
-                        const StatusHandler = require('../core/StatusHandler');
-                        automation.statusHandler = new StatusHandler(automation.page, automation);
-                        console.log(`[${req.params.sessionId}] StatusHandler initialized immediately for fast response`);
-                    } catch (e) {
-                        console.log(`[${req.params.sessionId}] StatusHandler initialization failed:`, e.message);
-                    }
+                const { content, options, scheduledAt } = req.body;
+                const changes = { options, scheduledAt };
+                if (req.body.deleteAfter !== undefined) {
+                    changes.deleteAfterMs = StatusDeletionManager.parseDeleteAfter(req.body.deleteAfter);
                 }
 
-                // If still no status handler, return error immediately - no waiting
-                if (!automation.statusHandler) {
-                    return res.status(503).json({
-                        error: 'Status handler not available - session may not be ready',
-                        status: this.sessionManager.sessionMetadata.get(req.params.sessionId)?.status
-                    });
+                // Replacement media goes through the same preparation as a send
+                const prepared = content !== undefined && draft.type !== 'text'
+                    ? await this.prepareMediaStatus(draft.type, content)
+                    : { content, cleanup: async () => {} };
+                try {
+                    changes.content = prepared.content;
+                    res.json({ success: true, draft: this.statusDrafts.sanitize(this.statusDrafts.update(draft.id, changes)) });
+                } finally {
+                    prepared.cleanup();
                 }
+            } catch (error) {
+                handleError(res, error, 'INVALID_REQUEST');
+            }
+        });
 
-                const { content, options } = req.body;
-                // Send status without waiting for the result to prevent delays and double sends
-                automation.statusHandler.sendImageStatus(content, options || {}).catch(error => {
-                    console.error(`[${req.params.sessionId}] Image status send error:`, error);
+        this.app.post('/status-drafts/:draftId/submit', (req, res) => {
+            try {
+                const { draft, approvalUrl } = this.statusDrafts.submit(req.params.draftId, {
+                    approverUserId: req.body.approverUserId,
+                    publicUrl: this.requestBaseUrl(req)
                 });
+                res.json({ success: true, draft: this.statusDrafts.sanitize(draft), approvalUrl });
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
 
-                this.sessionManager.updateSessionStatus(req.params.sessionId, 'active');
-                res.json({ success: true, message: 'Image status sent successfully' });
-
-                // Don't close browser - keep it open for subsequent operations
-                // await this.sessionManager.closeBrowserIfNotAwaitingAuth(req.params.sessionId);
+        this.app.post('/status-drafts/:draftId/approve', (req, res) => {
+            try {
+                const draft = this.statusDrafts.decide(req.params.draftId, {
+                    approve: true,
+                    comment: req.body.comment || null,
+                    by: this.describeActor(req)
+                });
+                res.json({ success: true, draft: this.statusDrafts.sanitize(draft) });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error);
             }
         });
 
-        this.app.post('/sessions/:sessionId/status/video', async (req, res) => {
+        this.app.post('/status-drafts/:draftId/reject', (req, res) => {
             try {
-                // Check session status first
-                const sessionStatus = this.sessionManager.sessionMetadata.get(req.params.sessionId)?.status;
+                const draft = this.statusDrafts.decide(req.params.draftId, {
+                    approve: false,
+                    comment: req.body.comment || null,
+                    by: this.describeActor(req)
+                });
+                res.json({ success: true, draft: this.statusDrafts.sanitize(draft) });
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
 
-                // Don't attempt to start session if it's waiting for authentication
-                if (sessionStatus === 'requires_auth' || sessionStatus === 'waiting_for_authentication') {
-                    const metadata = this.sessionManager.sessionMetadata.get(req.params.sessionId);
-                    return res.status(503).json({
-                        error: 'Session requires authentication. Please log in first.',
-                        status: sessionStatus,
-                        needsAuth: true,
-                        authData: metadata?.authData || null
-                    });
+        this.app.delete('/status-drafts/:draftId', (req, res) => {
+            try {
+                if (!this.statusDrafts.remove(req.params.draftId)) {
+                    return sendError(res, 'DRAFT_NOT_FOUND');
                 }
+                res.json({ success: true });
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
 
-                // Auto-start session if it exists but not running
-                let result = await this.sessionManager.autoStartSession(req.params.sessionId);
+        // One-time approval links; the token in the URL is the only credential
+        this.app.get('/approve/:token', (req, res) => {
+            res.sendFile(require('path').join(__dirname, '..', '..', 'public', 'approve.html'));
+        });
 
-                if (!result) {
-                    return res.status(404).json({ error: 'Session not found' });
+        this.app.get('/approvals/:token', (req, res) => {
+            const draft = this.statusDrafts.findByToken(req.params.token);
+            if (!draft) {
+                return sendError(res, 'APPROVAL_LINK_INVALID');
+            }
+            res.json({
+                success: true,
+                draft: {
+                    type: draft.type,
+                    content: draft.content,
+                    caption: draft.options?.caption || null,
+                    hasMedia: Boolean(draft.mediaId),
+                    scheduledAt: draft.scheduledAt,
+                    deleteAfter: draft.deleteAfterMs ? formatDuration(draft.deleteAfterMs) : null,
+                    approverUserId: draft.approverUserId,
+                    expiresAt: draft.approval.expiresAt
                 }
+            });
+        });
 
-                // Handle auth data if returned
-                let automation = result.automation || result;
-                const metadata = this.sessionManager.sessionMetadata.get(req.params.sessionId);
+        this.app.get('/approvals/:token/media', (req, res) => {
+            const draft = this.statusDrafts.findByToken(req.params.token);
+            if (!draft) {
+                return sendError(res, 'APPROVAL_LINK_INVALID');
+            }
+            this.sendDraftMedia(res, draft);
+        });
 
-                // If session needs re-auth and we have auth data, return it
-                if (metadata && metadata.status === 'requires_auth' && metadata.authData) {
-                    return res.status(401).json({
-                        error: 'Session requires re-authentication',
-                        status: metadata.status,
-                        needsAuth: true,
-                        authData: metadata.authData
-                    });
+        this.app.post('/approvals/:token', (req, res) => {
+            try {
+                const draft = this.statusDrafts.findByToken(req.params.token);
+                if (!draft) {
+                    return sendError(res, 'APPROVAL_LINK_INVALID');
                 }
 
-                // Initialize status handler immediately for ultra-fast response
-                if (!automation.statusHandler && automation?.page) {
-                    try {
-                        const StatusHandler = require('../core/StatusHandler');
-                        automation.statusHandler = new StatusHandler(automation.page, automation);
-                        console.log(`[${req.params.sessionId}] StatusHandler initialized immediately for fast response`);
-                    } catch (e) {
-                        console.log(`[${req.params.sessionId}] StatusHandler initialization failed:`, e.message);
-                    }
+                const { decision, comment } = req.body;
+                if (!['approve', 'reject'].includes(decision)) {
+                    return sendError(res, 'INVALID_REQUEST', "decision must be 'approve' or 'reject'");
                 }
+                const decided = this.statusDrafts.decide(draft.id, {
+                    approve: decision === 'approve',
+                    comment: comment || null,
+                    by: `link:${draft.approverUserId}`
+                });
+                res.json({ success: true, state: decided.state, scheduledAt: decided.scheduledAt });
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
 
-                // If still no status handler, return error immediately - no waiting
-                if (!automation.statusHandler) {
-                    return res.status(503).json({
-                        error: 'Status handler not available - session may not be ready',
-                        status: this.sessionManager.sessionMetadata.get(req.params.sessionId)?.status
-                    });
+        // Background media send jobs
+        this.app.get('/jobs/:jobId', (req, res) => {
+            const job = this.statusJobs.getJob(req.params.jobId);
+            if (!job) {
+                return sendError(res, 'JOB_NOT_FOUND', 'Job not found');
+            }
+            res.json({ success: true, job });
+        });
+
+        // Scheduled status publishing
+        this.app.post('/sessions/:sessionId/status/schedule', (req, res) => {
+            try {
+                const { type, content, options = {}, scheduledAt } = req.body;
+                const deleteAfterMs = StatusDeletionManager.parseDeleteAfter(req.body.deleteAfter);
+                const job = this.statusScheduler.schedule(req.params.sessionId, { type, content, options, scheduledAt, deleteAfterMs });
+                res.json({ success: true, job });
+            } catch (error) {
+                handleError(res, error, 'INVALID_REQUEST');
+            }
+        });
+
+        this.app.get('/sessions/:sessionId/status/scheduled', (req, res) => {
+            try {
+                const jobs = this.statusScheduler.getJobs(req.params.sessionId, { status: req.query.status });
+                res.json({ success: true, jobs });
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
+
+        this.app.get('/sessions/:sessionId/status/scheduled/:jobId', (req, res) => {
+            const job = this.statusScheduler.getJob(req.params.jobId);
+            if (!job || job.sessionId !== req.params.sessionId) {
+                return sendError(res, 'JOB_NOT_FOUND');
+            }
+            res.json({ success: true, job });
+        });
+
+        this.app.put('/sessions/:sessionId/status/scheduled/:jobId', (req, res) => {
+            try {
+                const existing = this.statusScheduler.getJob(req.params.jobId);
+                if (!existing || existing.sessionId !== req.params.sessionId) {
+                    return sendError(res, 'JOB_NOT_FOUND');
                 }
 
-                const { content, options } = req.body;
-                // Send status without waiting for the result to prevent delays and double sends
-                automation.statusHandler.sendVideoStatus(content, options || {}).catch(error => {
-                    console.error(`[${req.params.sessionId}] Video status send error:`, error);
-                });
+                const job = this.statusScheduler.reschedule(req.params.jobId, req.body.scheduledAt);
+                res.json({ success: true, job });
+            } catch (error) {
+                handleError(res, error, 'INVALID_REQUEST');
+            }
+        });
 
-                this.sessionManager.updateSessionStatus(req.params.sessionId, 'active');
-                res.json({ success: true, message: 'Video status sent successfully' });
+        this.app.delete('/sessions/:sessionId/status/scheduled/:jobId', (req, res) => {
+            try {
+                const existing = this.statusScheduler.getJob(req.params.jobId);
+                if (!existing || existing.sessionId !== req.params.sessionId) {
+                    return sendError(res, 'JOB_NOT_FOUND');
+                }
 
-                // Don't close browser - keep it open for subsequent operations
-                // await this.sessionManager.closeBrowserIfNotAwaitingAuth(req.params.sessionId);
+                const job = this.statusScheduler.cancel(req.params.jobId);
+                res.json({ success: true, job });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error, 'INVALID_REQUEST');
             }
         });
 
-        this.app.get('/sessions/:sessionId/status/my', async (req, res) => {
+        // Status templates
+        this.app.post('/status-templates', (req, res) => {
             try {
-                // Check session status first
-                let sessionStatus = this.sessionManager.sessionMetadata.get(req.params.sessionId)?.status;
+                const { name, description, type, content, options = {} } = req.body;
+                const template = this.statusTemplates.createTemplate({ name, description, type, content, options });
+                res.json({ success: true, template });
+            } catch (error) {
+                handleError(res, error, 'INVALID_REQUEST');
+            }
+        });
 
-                // Don't attempt to start session if it's waiting for initial authentication
-                if (sessionStatus === 'waiting_for_authentication') {
-                    return res.status(503).json({
-                        error: 'Session requires authentication. Please log in first.',
-                        status: sessionStatus,
-                        needsAuth: true
-                    });
+        this.app.get('/status-templates', (req, res) => {
+            res.json({ success: true, templates: this.statusTemplates.getTemplates({ type: req.query.type }) });
+        });
+
+        this.app.get('/status-templates/:templateId', (req, res) => {
+            const template = this.statusTemplates.getTemplate(req.params.templateId);
+            if (!template) {
+                return sendError(res, 'TEMPLATE_NOT_FOUND');
+            }
+            res.json({ success: true, template });
+        });
+
+        this.app.put('/status-templates/:templateId', (req, res) => {
+            try {
+                const template = this.statusTemplates.updateTemplate(req.params.templateId, req.body);
+                if (!template) {
+                    return sendError(res, 'TEMPLATE_NOT_FOUND');
                 }
+                res.json({ success: true, template });
+            } catch (error) {
+                handleError(res, error, 'INVALID_REQUEST');
+            }
+        });
 
-                // Auto-start session if it exists but not running
-                let result = await this.sessionManager.autoStartSession(req.params.sessionId);
+        this.app.delete('/status-templates/:templateId', (req, res) => {
+            if (!this.statusTemplates.deleteTemplate(req.params.templateId)) {
+                return sendError(res, 'TEMPLATE_NOT_FOUND');
+            }
+            res.json({ success: true, message: 'Template deleted' });
+        });
 
-                if (!result) {
-                    return res.status(404).json({ error: 'Session not found' });
+        // Preview a template without sending it
+        this.app.post('/status-templates/:templateId/render', (req, res) => {
+            try {
+                const { userId, variables, options } = req.body;
+                if (userId && !this.apiKeys.allowsUser(req.apiKey, userId)) {
+                    return sendError(res, 'API_KEY_FORBIDDEN', 'API key is not allowed to access this user');
+                }
+                if (userId && !this.sessionManager.getUser(userId)) {
+                    return sendError(res, 'USER_NOT_FOUND');
                 }
+                res.json({ success: true, rendered: this.statusTemplates.render(req.params.templateId, { userId, variables, options }) });
+            } catch (error) {
+                handleError(res, error, 'INVALID_REQUEST');
+            }
+        });
 
-                // Check if result contains auth data (for re-authentication scenarios)
-                let automation = result.automation || result;
-                const authData = result.authData;
+        // Recurring status rules
+        this.app.post('/status-rules', (req, res) => {
+            try {
+                const { name, sessionId, userId, schedule, type, content, options = {} } = req.body;
+                const rule = this.statusRules.createRule({ name, sessionId, userId, schedule, type, content, options });
+                res.json({ success: true, rule });
+            } catch (error) {
+                handleError(res, error, 'INVALID_REQUEST');
+            }
+        });
 
-                // Check if session needs re-authentication
-                sessionStatus = this.sessionManager.sessionMetadata.get(req.params.sessionId)?.status;
-                const metadata = this.sessionManager.sessionMetadata.get(req.params.sessionId);
+        this.app.get('/status-rules', (req, res) => {
+            try {
+                const { sessionId, userId, status } = req.query;
+                const rules = this.statusRules.getRules({ sessionId, userId, status })
+                    .filter(rule => this.apiKeys.allowsUser(req.apiKey, rule.userId ||
+                        (this.sessionManager.sessionsCollection.findById(rule.sessionId) || {}).userId));
+                res.json({ success: true, rules });
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
 
-                if (sessionStatus === 'requires_auth') {
-                    // Return auth data immediately if available
-                    if (metadata && metadata.authData) {
-                        return res.status(401).json({
-                            error: 'Session requires re-authentication',
-                            status: sessionStatus,
-                            needsAuth: true,
-                            authData: metadata.authData
-                        });
-                    }
+        this.app.get('/status-rules/:ruleId', (req, res) => {
+            const rule = this.statusRules.getRule(req.params.ruleId);
+            if (!rule) {
+                return sendError(res, 'RULE_NOT_FOUND');
+            }
+            res.json({ success: true, rule });
+        });
 
-                    // Wait a bit for auth data to be generated
-                    await new Promise(resolve => setTimeout(resolve, 3000));
-
-                    // Check again for auth data
-                    const updatedMetadata = this.sessionManager.sessionMetadata.get(req.params.sessionId);
-                    if (updatedMetadata && updatedMetadata.authData) {
-                        return res.status(401).json({
-                            error: 'Session requires re-authentication',
-                            status: sessionStatus,
-                            needsAuth: true,
-                            authData: updatedMetadata.authData
-                        });
-                    }
+        this.app.put('/status-rules/:ruleId', (req, res) => {
+            try {
+                const rule = this.statusRules.updateRule(req.params.ruleId, req.body);
+                if (!rule) {
+                    return sendError(res, 'RULE_NOT_FOUND');
+                }
+                res.json({ success: true, rule });
+            } catch (error) {
+                handleError(res, error, 'INVALID_REQUEST');
+            }
+        });
+
+        this.app.delete('/status-rules/:ruleId', (req, res) => {
+            try {
+                if (!this.statusRules.deleteRule(req.params.ruleId)) {
+                    return sendError(res, 'RULE_NOT_FOUND');
+                }
+                res.json({ success: true, message: 'Rule deleted' });
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
 
-                    const authResult = await this.waitForReAuthentication(req.params.sessionId);
+        this.app.post('/status-rules/:ruleId/pause', (req, res) => {
+            const rule = this.statusRules.pauseRule(req.params.ruleId);
+            if (!rule) {
+                return sendError(res, 'RULE_NOT_FOUND');
+            }
+            res.json({ success: true, rule });
+        });
 
-                    if (!authResult.success) {
-                        return res.status(503).json({
-                            error: authResult.error === 'Re-authentication timeout'
-                                ? 'Re-authentication timeout. Please check WhatsApp and scan the QR code.'
-                                : 'Re-authentication failed. Please try again.',
-                            status: authResult.status,
-                            needsAuth: true
-                        });
-                    }
+        this.app.post('/status-rules/:ruleId/resume', (req, res) => {
+            try {
+                const rule = this.statusRules.resumeRule(req.params.ruleId);
+                if (!rule) {
+                    return sendError(res, 'RULE_NOT_FOUND');
+                }
+                res.json({ success: true, rule });
+            } catch (error) {
+                handleError(res, error, 'INVALID_REQUEST');
+            }
+        });
+
+        this.app.get('/status-rules/:ruleId/runs', (req, res) => {
+            if (!this.statusRules.getRule(req.params.ruleId)) {
+                return sendError(res, 'RULE_NOT_FOUND');
+            }
+            const limit = parseInt(req.query.limit) || 50;
+            res.json({ success: true, runs: this.statusRules.getRuns(req.params.ruleId, { limit }) });
+        });
 
-                    // Re-get the automation instance as it might have been updated
-                    automation = this.sessionManager.getSession(req.params.sessionId);
+        // Webhook endpoints for session lifecycle events
+        this.app.post('/webhooks', (req, res) => {
+            try {
+                const { url, userId, events, secret, description } = req.body;
+                const webhook = this.webhookManager.createWebhook({
+                    url,
+                    userId,
+                    events: events || WebhookManager.EVENTS,
+                    secret,
+                    description
+                });
+                // The secret is only returned here and on rotation
+                res.json({ success: true, webhook });
+            } catch (error) {
+                handleError(res, error, 'INVALID_REQUEST');
+            }
+        });
+
+        this.app.get('/webhooks', (req, res) => {
+            const webhooks = this.webhookManager.getWebhooks({ userId: req.query.userId })
+                .filter(webhook => webhook.userId ? this.apiKeys.allowsUser(req.apiKey, webhook.userId) : !(req.apiKey && req.apiKey.userIds))
+                .map(webhook => this.webhookManager.sanitize(webhook));
+            res.json({ success: true, webhooks, events: WebhookManager.EVENTS });
+        });
+
+        this.app.get('/webhooks/:webhookId', (req, res) => {
+            const webhook = this.webhookManager.getWebhook(req.params.webhookId);
+            if (!webhook) {
+                return sendError(res, 'WEBHOOK_NOT_FOUND');
+            }
+            res.json({ success: true, webhook: this.webhookManager.sanitize(webhook) });
+        });
+
+        this.app.put('/webhooks/:webhookId', (req, res) => {
+            try {
+                const webhook = this.webhookManager.updateWebhook(req.params.webhookId, req.body);
+                if (!webhook) {
+                    return sendError(res, 'WEBHOOK_NOT_FOUND');
                 }
+                res.json({ success: true, webhook: this.webhookManager.sanitize(webhook) });
+            } catch (error) {
+                handleError(res, error, 'INVALID_REQUEST');
+            }
+        });
 
-                // Wait for status handler to be initialized if session was just started
-                // Try up to 20 times with 1 second delays (20 seconds total)
-                let attempts = 0;
-                while (!automation.statusHandler && attempts < 20) {
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    attempts++;
+        this.app.delete('/webhooks/:webhookId', (req, res) => {
+            if (!this.webhookManager.deleteWebhook(req.params.webhookId)) {
+                return sendError(res, 'WEBHOOK_NOT_FOUND');
+            }
+            res.json({ success: true, message: 'Webhook removed' });
+        });
 
-                    // Re-check the automation instance
-                    automation = this.sessionManager.getSession(req.params.sessionId);
+        this.app.post('/webhooks/:webhookId/rotate-secret', (req, res) => {
+            const webhook = this.webhookManager.rotateSecret(req.params.webhookId);
+            if (!webhook) {
+                return sendError(res, 'WEBHOOK_NOT_FOUND');
+            }
+            res.json({ success: true, webhook });
+        });
 
-                    // Also check if WhatsApp is ready
-                    if (automation?.page) {
-                        try {
-                            // Check if WA is loaded and authenticated
-                            const isReady = await automation.page.evaluate(() => {
-                                return window.WPP && window.WPP.isReady && window.WPP.isReady() &&
-                                       window.WPP.conn && window.WPP.conn.isAuthenticated();
-                            });
+        this.app.post('/webhooks/:webhookId/test', async (req, res) => {
+            try {
+                const delivery = await this.webhookManager.sendTestEvent(req.params.webhookId);
+                if (!delivery) {
+                    return sendError(res, 'WEBHOOK_NOT_FOUND');
+                }
+                res.json({ success: delivery.status === 'succeeded', delivery });
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
 
-                            if (isReady && !automation.statusHandler) {
-                                // Initialize status handler if WA is ready but handler is missing
-                                const StatusHandler = require('../core/StatusHandler');
-                                automation.statusHandler = new StatusHandler(automation.page, automation);
-                                console.log(`[${req.params.sessionId}] StatusHandler initialized after ${attempts} attempts`);
-                            }
-                        } catch (e) {
-                            // Page might not be ready yet
-                        }
-                    }
+        this.app.get('/webhooks/:webhookId/deliveries', (req, res) => {
+            if (!this.webhookManager.getWebhook(req.params.webhookId)) {
+                return sendError(res, 'WEBHOOK_NOT_FOUND');
+            }
+            const limit = parseInt(req.query.limit) || 50;
+            const deliveries = this.webhookManager.getDeliveries(req.params.webhookId, { status: req.query.status, limit });
+            res.json({ success: true, deliveries });
+        });
 
-                    // Check if status changed to ready
-                    if (this.sessionManager.sessionMetadata.get(req.params.sessionId)?.status === 'ready') {
-                        // Give it a bit more time for handler initialization
-                        await new Promise(resolve => setTimeout(resolve, 1000));
-                    }
+        this.app.post('/webhooks/:webhookId/deliveries/:deliveryId/redeliver', async (req, res) => {
+            try {
+                const existing = this.webhookManager.getDelivery(req.params.deliveryId);
+                if (!existing || existing.webhookId !== req.params.webhookId) {
+                    return sendError(res, 'DELIVERY_NOT_FOUND');
                 }
+                const delivery = await this.webhookManager.redeliver(req.params.deliveryId);
+                res.json({ success: delivery.status === 'succeeded', delivery });
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
 
-                // Final check
-                if (!automation.statusHandler) {
-                    return res.status(503).json({
-                        error: 'Session is starting up, please try again in a few seconds',
-                        status: this.sessionManager.sessionMetadata.get(req.params.sessionId)?.status
-                    });
+        // ============================================
+        // API Keys
+        // ============================================
+
+        this.app.post('/api-keys', (req, res) => {
+            try {
+                const { name, scopes, userIds, expiresAt } = req.body;
+                const { key, apiKey } = this.apiKeys.createKey({ name, scopes, userIds, expiresAt });
+                // The plaintext key is only returned here
+                res.json({ success: true, key, apiKey });
+            } catch (error) {
+                handleError(res, error, 'INVALID_REQUEST');
+            }
+        });
+
+        this.app.get('/api-keys', (req, res) => {
+            this.apiKeys.flushUsage();
+            res.json({ success: true, apiKeys: this.apiKeys.getKeys(), scopes: ['*', ...ApiKeyManager.SCOPES] });
+        });
+
+        this.app.get('/api-keys/:keyId', (req, res) => {
+            this.apiKeys.flushUsage();
+            const apiKey = this.apiKeys.getKey(req.params.keyId);
+            if (!apiKey) {
+                return sendError(res, 'API_KEY_NOT_FOUND');
+            }
+            res.json({ success: true, apiKey });
+        });
+
+        this.app.put('/api-keys/:keyId', (req, res) => {
+            try {
+                const apiKey = this.apiKeys.updateKey(req.params.keyId, req.body);
+                if (!apiKey) {
+                    return sendError(res, 'API_KEY_NOT_FOUND');
                 }
+                res.json({ success: true, apiKey });
+            } catch (error) {
+                handleError(res, error, 'INVALID_REQUEST');
+            }
+        });
+
+        this.app.delete('/api-keys/:keyId', (req, res) => {
+            if (!this.apiKeys.revokeKey(req.params.keyId)) {
+                return sendError(res, 'API_KEY_NOT_FOUND');
+            }
+            res.json({ success: true, message: 'API key revoked' });
+        });
+
+        this.app.get('/sessions/:sessionId/status/my', async (req, res) => {
+            try {
+                // Hold the request while a session re-authenticates; wait up to 20s for WA-JS after a cold start
+                const automation = await this.getStatusAutomation(req.params.sessionId, { waitSeconds: 20, awaitReauth: true });
 
-                // console.log("Get My Status Fired");
                 const status = await automation.statusHandler.getMyStatus();
-                this.sessionManager.updateSessionStatus(req.params.sessionId, 'active');
+                this.sessionManager.updateSessionStatus(req.params.sessionId, 'active', 'Read own status');
                 res.json({ status, success: true });
 
                 // Don't close browser - keep it open for subsequent operations
                 // await this.sessionManager.closeBrowserIfNotAwaitingAuth(req.params.sessionId);
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error, 'WHATSAPP_ERROR');
             }
         });
 
-        this.app.delete('/sessions/:sessionId/status/:msgId', async (req, res) => {
-            try {
-                // Auto-start session if it exists but not running
-                let result = await this.sessionManager.autoStartSession(req.params.sessionId);
+        // Everything published through this server, kept after WhatsApp drops it
+        this.app.get('/sessions/:sessionId/status/history', (req, res) => {
+            const { sessionId } = req.params;
+            if (!this.sessionManager.sessionsCollection.findById(sessionId)) {
+                return sendError(res, 'SESSION_NOT_FOUND');
+            }
 
-                if (!result) {
-                    return res.status(404).json({ error: 'Session not found' });
-                }
+            const { from, to, type, evergreenId, limit, offset } = req.query;
+            res.json({ success: true, ...this.sessionManager.statusHistory.getHistory(sessionId, { from, to, type, evergreenId, limit, offset }) });
+        });
 
-                // Handle auth data if returned
-                let automation = result.automation || result;
-                const metadata = this.sessionManager.sessionMetadata.get(req.params.sessionId);
+        // Evergreen statuses, republished before they expire
+        this.app.get('/sessions/:sessionId/status/evergreen', (req, res) => {
+            const { sessionId } = req.params;
+            if (!this.sessionManager.sessionsCollection.findById(sessionId)) {
+                return sendError(res, 'SESSION_NOT_FOUND');
+            }
+            res.json({ success: true, evergreens: this.statusEvergreen.getEvergreens(sessionId, { state: req.query.state }) });
+        });
 
-                // If session needs re-auth and we have auth data, return it
-                if (metadata && metadata.status === 'requires_auth' && metadata.authData) {
-                    return res.status(401).json({
-                        error: 'Session requires re-authentication',
-                        status: metadata.status,
-                        needsAuth: true,
-                        authData: metadata.authData
-                    });
-                }
+        this.app.get('/sessions/:sessionId/status/evergreen/:evergreenId', (req, res) => {
+            const { sessionId, evergreenId } = req.params;
+            const evergreen = this.statusEvergreen.getEvergreen(evergreenId);
+            if (!evergreen || evergreen.sessionId !== sessionId) {
+                return sendError(res, 'EVERGREEN_NOT_FOUND');
+            }
 
-                // Wait for status handler to be initialized if session was just started
-                // Try up to 10 times with 1 second delays (10 seconds total)
-                let attempts = 0;
-                while (!automation.statusHandler && attempts < 10) {
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    attempts++;
+            // The first send and every republish, newest first
+            const { statuses } = this.sessionManager.statusHistory.getHistory(sessionId, { evergreenId, limit: 500 });
+            res.json({ success: true, evergreen, publications: statuses });
+        });
 
-                    // Re-check the automation instance
-                    automation = this.sessionManager.getSession(req.params.sessionId);
+        this.app.delete('/sessions/:sessionId/status/evergreen/:evergreenId', (req, res) => {
+            const { sessionId, evergreenId } = req.params;
+            try {
+                const existing = this.statusEvergreen.getEvergreen(evergreenId);
+                if (!existing || existing.sessionId !== sessionId) {
+                    return sendError(res, 'EVERGREEN_NOT_FOUND');
                 }
+                res.json({ success: true, evergreen: this.statusEvergreen.stopEvergreen(evergreenId) });
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
 
-                // Final check
-                if (!automation.statusHandler) {
-                    return res.status(503).json({
-                        error: 'Session is starting up, please try again in a few seconds',
-                        status: this.sessionManager.sessionMetadata.get(req.params.sessionId)?.status
-                    });
+        // Statuses removed early by a deleteAfter timer
+        this.app.get('/sessions/:sessionId/status/deletions', (req, res) => {
+            const { sessionId } = req.params;
+            if (!this.sessionManager.sessionsCollection.findById(sessionId)) {
+                return sendError(res, 'SESSION_NOT_FOUND');
+            }
+            res.json({ success: true, deletions: this.statusDeletions.getDeletions(sessionId, { status: req.query.status }) });
+        });
+
+        this.app.delete('/sessions/:sessionId/status/deletions/:deletionId', (req, res) => {
+            const { sessionId, deletionId } = req.params;
+            try {
+                const existing = this.statusDeletions.getDeletion(deletionId);
+                if (!existing || existing.sessionId !== sessionId) {
+                    return sendError(res, 'DELETION_NOT_FOUND');
                 }
+                res.json({ success: true, deletion: this.statusDeletions.cancel(deletionId) });
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
 
-                const deleteResult = await automation.statusHandler.removeStatus(req.params.msgId);
-                this.sessionManager.updateSessionStatus(req.params.sessionId, 'active');
+        this.app.delete('/sessions/:sessionId/status/:msgId', async (req, res) => {
+            try {
+                const automation = await this.getStatusAutomation(req.params.sessionId, { waitSeconds: 10 });
+
+                const deleteResult = await this.sessionManager.browserPool.whileBusy(req.params.sessionId,
+                    () => automation.statusHandler.removeStatus(req.params.msgId));
+                this.sessionManager.updateSessionStatus(req.params.sessionId, 'active', 'Removed a status');
+                if (deleteResult && deleteResult.success) {
+                    this.sessionManager.statusHistory.markRemoved(req.params.sessionId, req.params.msgId);
+                }
 
                 // Handle the response properly - result might be undefined or have different structure
                 if (deleteResult && typeof deleteResult === 'object') {
@@ -1232,116 +2406,97 @@ class WhatsAppAPI {
                 // Don't close browser - keep it open for subsequent operations
                 // await this.sessionManager.closeBrowserIfNotAwaitingAuth(req.params.sessionId);
             } catch (error) {
-                res.status(500).json({ error: error.message, success: false });
+                handleError(res, error, 'WHATSAPP_ERROR');
             }
         });
 
         // Get viewers for a specific status
         this.app.get('/sessions/:sessionId/status/:msgId/viewers', async (req, res) => {
             try {
-                // Auto-start session if it exists but not running
-                let result = await this.sessionManager.autoStartSession(req.params.sessionId);
-
-                if (!result) {
-                    return res.status(404).json({ error: 'Session not found' });
-                }
-
-                // Handle auth data if returned
-                let automation = result.automation || result;
-                const metadata = this.sessionManager.sessionMetadata.get(req.params.sessionId);
-
-                // If session needs re-auth and we have auth data, return it
-                if (metadata && metadata.status === 'requires_auth' && metadata.authData) {
-                    return res.status(401).json({
-                        error: 'Session requires re-authentication',
-                        status: metadata.status,
-                        needsAuth: true,
-                        authData: metadata.authData
-                    });
-                }
-
-                // Wait a bit for status handler to be initialized if session was just started
-                if (!automation.statusHandler) {
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-
-                    // Check again
-                    if (!automation.statusHandler) {
-                        return res.status(503).json({
-                            error: 'Session is starting up, please try again in a few seconds',
-                            status: this.sessionManager.sessionMetadata.get(req.params.sessionId)?.status
-                        });
-                    }
-                }
+                const automation = await this.getStatusAutomation(req.params.sessionId, { waitSeconds: 2 });
 
                 const viewers = await automation.statusHandler.getStatusViewers(req.params.msgId);
-                this.sessionManager.updateSessionStatus(req.params.sessionId, 'active');
+                this.sessionManager.updateSessionStatus(req.params.sessionId, 'active', 'Read status viewers');
                 res.json(viewers);
 
                 // Don't close browser - keep it open for subsequent operations
                 // await this.sessionManager.closeBrowserIfNotAwaitingAuth(req.params.sessionId);
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error, 'WHATSAPP_ERROR');
             }
         });
 
         // Get total viewers for all statuses
         this.app.get('/sessions/:sessionId/status/viewers/total', async (req, res) => {
             try {
-                // Auto-start session if it exists but not running
-                let result = await this.sessionManager.autoStartSession(req.params.sessionId);
+                const automation = await this.getStatusAutomation(req.params.sessionId, { waitSeconds: 2 });
 
-                if (!result) {
-                    return res.status(404).json({ error: 'Session not found' });
-                }
+                const totalViewers = await automation.statusHandler.getTotalStatusViewers();
+                this.sessionManager.updateSessionStatus(req.params.sessionId, 'active', 'Read viewer totals');
+                res.json(totalViewers);
 
-                // Handle auth data if returned
-                let automation = result.automation || result;
-                const metadata = this.sessionManager.sessionMetadata.get(req.params.sessionId);
+                // Don't close browser - keep it open for subsequent operations
+                // await this.sessionManager.closeBrowserIfNotAwaitingAuth(req.params.sessionId);
+            } catch (error) {
+                handleError(res, error, 'WHATSAPP_ERROR');
+            }
+        });
 
-                // If session needs re-auth and we have auth data, return it
-                if (metadata && metadata.status === 'requires_auth' && metadata.authData) {
-                    return res.status(401).json({
-                        error: 'Session requires re-authentication',
-                        status: metadata.status,
-                        needsAuth: true,
-                        authData: metadata.authData
-                    });
-                }
+        // Viewer analytics collected in the background, kept after statuses expire
+        this.app.get('/sessions/:sessionId/status/analytics', (req, res) => {
+            const { sessionId } = req.params;
+            if (!this.sessionManager.sessionsCollection.findById(sessionId)) {
+                return sendError(res, 'SESSION_NOT_FOUND');
+            }
 
-                // Wait a bit for status handler to be initialized if session was just started
-                if (!automation.statusHandler) {
-                    await new Promise(resolve => setTimeout(resolve, 2000));
+            const { state, from, to } = req.query;
+            res.json({ success: true, statuses: this.viewerCollector.getSummaries(sessionId, { state, from, to }) });
+        });
 
-                    // Check again
-                    if (!automation.statusHandler) {
-                        return res.status(503).json({
-                            error: 'Session is starting up, please try again in a few seconds',
-                            status: this.sessionManager.sessionMetadata.get(req.params.sessionId)?.status
-                        });
-                    }
+        this.app.get('/sessions/:sessionId/status/viewers/export', async (req, res) => {
+            const { sessionId } = req.params;
+            try {
+                if (!this.sessionManager.sessionsCollection.findById(sessionId)) {
+                    return sendError(res, 'SESSION_NOT_FOUND');
                 }
+                await this.sendViewerExport(req, res, { sessionId, from: req.query.from, to: req.query.to });
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
 
-                const totalViewers = await automation.statusHandler.getTotalStatusViewers();
-                this.sessionManager.updateSessionStatus(req.params.sessionId, 'active');
-                res.json(totalViewers);
-
-                // Don't close browser - keep it open for subsequent operations
-                // await this.sessionManager.closeBrowserIfNotAwaitingAuth(req.params.sessionId);
+        this.app.get('/sessions/:sessionId/status/:msgId/viewers/export', async (req, res) => {
+            const { sessionId, msgId } = req.params;
+            try {
+                if (!this.sessionManager.sessionsCollection.findById(sessionId)) {
+                    return sendError(res, 'SESSION_NOT_FOUND');
+                }
+                await this.sendViewerExport(req, res, { sessionId, messageId: msgId });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error);
+            }
+        });
+
+        this.app.get('/sessions/:sessionId/status/:msgId/analytics', (req, res) => {
+            const bucketMinutes = parseInt(req.query.bucketMinutes) || 60;
+            const analytics = this.viewerCollector.getAnalytics(req.params.sessionId, req.params.msgId, { bucketMinutes });
+            if (!analytics) {
+                return sendError(res, 'NOT_FOUND', 'No viewer analytics recorded for this status');
             }
+            res.json({ success: true, analytics });
         });
 
         // User management routes
         this.app.get('/users', (req, res) => {
-            const users = this.sessionManager.getAllUsers();
+            const users = (req.query.tag ? this.sessionManager.getUsersByTags([req.query.tag]) : this.sessionManager.getAllUsers())
+                .filter(user => this.apiKeys.allowsUser(req.apiKey, user.userId));
             res.json({ users });
         });
 
         this.app.get('/users/:userId', (req, res) => {
             const user = this.sessionManager.getUser(req.params.userId);
             if (!user) {
-                return res.status(404).json({ error: 'User not found' });
+                return sendError(res, 'USER_NOT_FOUND');
             }
             res.json(user);
         });
@@ -1356,6 +2511,37 @@ class WhatsAppAPI {
             res.json({ sessions });
         });
 
+        // Variables substituted into status templates
+        this.app.get('/users/:userId/variables', (req, res) => {
+            try {
+                res.json({ success: true, variables: this.statusTemplates.getUserVariables(req.params.userId) });
+            } catch (error) {
+                handleError(res, error);
+            }
+        });
+
+        this.app.put('/users/:userId/variables', (req, res) => {
+            try {
+                const variables = this.statusTemplates.setUserVariables(req.params.userId, req.body.variables);
+                res.json({ success: true, variables });
+            } catch (error) {
+                handleError(res, error, 'INVALID_REQUEST');
+            }
+        });
+
+        // Tags group users for broadcasts
+        this.app.put('/users/:userId/tags', (req, res) => {
+            try {
+                const tags = this.sessionManager.setUserTags(req.params.userId, req.body.tags);
+                if (!tags) {
+                    return sendError(res, 'USER_NOT_FOUND');
+                }
+                res.json({ success: true, tags });
+            } catch (error) {
+                handleError(res, error, 'INVALID_REQUEST');
+            }
+        });
+
         this.app.delete('/users/:userId', async (req, res) => {
             try {
                 const userId = req.params.userId;
@@ -1363,7 +2549,7 @@ class WhatsAppAPI {
                 // Check if user exists
                 const user = this.sessionManager.getUser(userId);
                 if (!user) {
-                    return res.status(404).json({ error: 'User not found' });
+                    return sendError(res, 'USER_NOT_FOUND');
                 }
 
                 // Delete user and their container
@@ -1376,10 +2562,7 @@ class WhatsAppAPI {
                 });
             } catch (error) {
                 console.error('[API] Error deleting user:', error);
-                res.status(500).json({
-                    error: 'Failed to delete user',
-                    details: error.message
-                });
+                sendError(res, 'INTERNAL_ERROR', `Failed to delete user: ${error.message}`);
             }
         });
 
@@ -1390,20 +2573,20 @@ class WhatsAppAPI {
             if (result) {
                 res.json({ success: true, backupPath: result });
             } else {
-                res.status(500).json({ error: 'Backup failed' });
+                sendError(res, 'INTERNAL_ERROR', 'Backup failed');
             }
         });
 
         this.app.post('/database/restore', (req, res) => {
             const { path: backupPath } = req.body;
             if (!backupPath) {
-                return res.status(400).json({ error: 'Backup path is required' });
+                return sendError(res, 'VALIDATION_FAILED', 'Backup path is required');
             }
             const result = this.sessionManager.restoreDatabase(backupPath);
             if (result) {
                 res.json({ success: true });
             } else {
-                res.status(500).json({ error: 'Restore failed' });
+                sendError(res, 'INTERNAL_ERROR', 'Restore failed');
             }
         });
 
@@ -1414,10 +2597,10 @@ class WhatsAppAPI {
                 if (automation) {
                     res.json({ success: true, sessionId: req.params.sessionId });
                 } else {
-                    res.status(404).json({ error: 'Session not found or terminated' });
+                    sendError(res, 'SESSION_NOT_FOUND', 'Session not found or terminated');
                 }
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error);
             }
         });
 
@@ -1431,7 +2614,7 @@ class WhatsAppAPI {
                 const proxies = this.sessionManager.proxyManager.getAllProxies();
                 res.json({ proxies });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error);
             }
         });
 
@@ -1440,11 +2623,11 @@ class WhatsAppAPI {
             try {
                 const proxy = this.sessionManager.proxyManager.getProxyById(req.params.proxyId);
                 if (!proxy) {
-                    return res.status(404).json({ error: 'Proxy not found' });
+                    return sendError(res, 'PROXY_NOT_FOUND');
                 }
                 res.json(proxy);
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error);
             }
         });
 
@@ -1454,13 +2637,13 @@ class WhatsAppAPI {
                 const { proxy, tags = [] } = req.body;
 
                 if (!proxy) {
-                    return res.status(400).json({ error: 'Proxy string is required' });
+                    return sendError(res, 'VALIDATION_FAILED', 'Proxy string is required');
                 }
 
                 const result = await this.sessionManager.proxyManager.addProxy(proxy, tags);
                 res.json({ success: true, proxy: result });
             } catch (error) {
-                res.status(400).json({ error: error.message });
+                handleError(res, error, 'INVALID_REQUEST');
             }
         });
 
@@ -1470,13 +2653,13 @@ class WhatsAppAPI {
                 const { proxies, tags = [] } = req.body;
 
                 if (!proxies || !Array.isArray(proxies)) {
-                    return res.status(400).json({ error: 'Proxies array is required' });
+                    return sendError(res, 'VALIDATION_FAILED', 'Proxies array is required');
                 }
 
                 const result = await this.sessionManager.proxyManager.importProxies(proxies, tags);
                 res.json({ success: true, result });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error);
             }
         });
 
@@ -1486,13 +2669,13 @@ class WhatsAppAPI {
                 const { filePath, tags = [] } = req.body;
 
                 if (!filePath) {
-                    return res.status(400).json({ error: 'File path is required' });
+                    return sendError(res, 'VALIDATION_FAILED', 'File path is required');
                 }
 
                 const result = await this.sessionManager.proxyManager.importProxiesFromFile(filePath, tags);
                 res.json({ success: true, result });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error);
             }
         });
 
@@ -1503,10 +2686,10 @@ class WhatsAppAPI {
                 if (removed) {
                     res.json({ success: true });
                 } else {
-                    res.status(404).json({ error: 'Proxy not found' });
+                    sendError(res, 'PROXY_NOT_FOUND');
                 }
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error);
             }
         });
 
@@ -1522,7 +2705,7 @@ class WhatsAppAPI {
                     message: result ? 'Health check passed' : 'Health check failed'
                 });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error);
             }
         });
 
@@ -1532,7 +2715,7 @@ class WhatsAppAPI {
                 const results = await this.sessionManager.proxyManager.runHealthChecks();
                 res.json({ success: true, results });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error);
             }
         });
 
@@ -1542,7 +2725,7 @@ class WhatsAppAPI {
                 const stats = this.sessionManager.proxyManager.getStatistics();
                 res.json(stats);
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error);
             }
         });
 
@@ -1551,11 +2734,11 @@ class WhatsAppAPI {
             try {
                 const result = this.sessionManager.getUserProxy(req.params.userId);
                 if (!result) {
-                    return res.status(404).json({ error: 'No proxy assigned to user' });
+                    return sendError(res, 'PROXY_NOT_FOUND', 'No proxy assigned to user');
                 }
                 res.json(result);
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error);
             }
         });
 
@@ -1565,7 +2748,7 @@ class WhatsAppAPI {
                 const result = this.sessionManager.rotateUserProxy(req.params.userId);
                 res.json({ success: true, result });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error);
             }
         });
 
@@ -1575,7 +2758,7 @@ class WhatsAppAPI {
                 const assignments = this.sessionManager.proxyManager.assignmentsCollection.find();
                 res.json({ assignments });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                handleError(res, error);
             }
         });
 
@@ -1661,10 +2844,7 @@ class WhatsAppAPI {
                     filteredCount: filteredLogs.length
                 });
             } catch (error) {
-                res.status(500).json({
-                    success: false,
-                    error: 'Failed to fetch logs: ' + error.message
-                });
+                sendError(res, 'INTERNAL_ERROR', 'Failed to fetch logs: ' + error.message);
             }
         });
 
@@ -1677,10 +2857,7 @@ class WhatsAppAPI {
                     message: 'Logs cleared successfully'
                 });
             } catch (error) {
-                res.status(500).json({
-                    success: false,
-                    error: 'Failed to clear logs: ' + error.message
-                });
+                sendError(res, 'INTERNAL_ERROR', 'Failed to clear logs: ' + error.message);
             }
         });
 
@@ -1690,10 +2867,7 @@ class WhatsAppAPI {
                 const { level = 'info', message, source = 'api' } = req.body;
 
                 if (!message) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Message is required'
-                    });
+                    return sendError(res, 'VALIDATION_FAILED', 'Message is required');
                 }
 
                 this.addLog(level, message, source);
@@ -1703,10 +2877,7 @@ class WhatsAppAPI {
                     message: 'Log entry added successfully'
                 });
             } catch (error) {
-                res.status(500).json({
-                    success: false,
-                    error: 'Failed to add log entry: ' + error.message
-                });
+                sendError(res, 'INTERNAL_ERROR', 'Failed to add log entry: ' + error.message);
             }
         });
 
@@ -1715,61 +2886,26 @@ class WhatsAppAPI {
     start() {
         this.server = this.app.listen(this.port, () => {
             console.log(`WhatsApp API Server running on port ${this.port}`);
-            console.log(`API Documentation:`);
-            console.log(`\n📱 Session Management:`);
-            console.log(`  POST   /sessions/create         - Create new WhatsApp session`);
-            console.log(`  GET    /sessions                - List all sessions`);
-            console.log(`  GET    /sessions/:id/status     - Get session status`);
-            console.log(`  GET    /sessions/:id/qr         - Get QR code for session`);
-            console.log(`  DELETE /sessions/:id            - Remove session`);
-            console.log(`  POST   /sessions/:id/recover    - Recover existing session`);
-            console.log(`\n📢 Status Operations:`);
-            console.log(`  POST   /sessions/:id/status/text   - Send text status`);
-            console.log(`  POST   /sessions/:id/status/image  - Send image status`);
-            console.log(`  POST   /sessions/:id/status/video  - Send video status`);
-            console.log(`  GET    /sessions/:id/status/my     - Get my status`);
-            console.log(`  DELETE /sessions/:id/status/:msgId - Remove status`);
-            console.log(`  GET    /sessions/:id/status/:msgId/viewers - Get viewers for specific status`);
-            console.log(`  GET    /sessions/:id/status/viewers/total  - Get total viewers for all statuses`);
-            console.log(`\n👥 User Management:`);
-            console.log(`  GET    /users                   - List all users`);
-            console.log(`  GET    /users/:id               - Get user details`);
-            console.log(`  GET    /users/:id/sessions      - Get user's sessions`);
-            console.log(`  GET    /users/:id/sessions/active - Get user's active sessions`);
-            console.log(`  DELETE /users/:id               - Delete user and their container`);
-            console.log(`\n💾 Database Management:`);
-            console.log(`  POST   /database/backup         - Create database backup`);
-            console.log(`  POST   /database/restore        - Restore from backup`);
-
-            console.log(`\n🌐 Proxy Management:`);
-            console.log(`  GET    /proxies                 - List all proxies`);
-            console.log(`  GET    /proxies/:id             - Get proxy details`);
-            console.log(`  POST   /proxies                 - Add single proxy`);
-            console.log(`  POST   /proxies/import          - Import proxies array`);
-            console.log(`  POST   /proxies/import/file     - Import proxies from file`);
-            console.log(`  DELETE /proxies/:id             - Remove proxy`);
-            console.log(`  POST   /proxies/:id/health-check - Check proxy health`);
-            console.log(`  POST   /proxies/health-check    - Check all proxies health`);
-            console.log(`  GET    /proxies/statistics      - Get proxy statistics`);
-            console.log(`  GET    /users/:id/proxy         - Get user's proxy assignment`);
-            console.log(`  POST   /users/:id/proxy/rotate  - Rotate user's proxy`);
-            console.log(`  GET    /proxy-assignments       - List all proxy assignments`);
-
-            console.log(`\n🚀 Baileys Direct Status (No Browser):`);
-            console.log(`  POST   /baileys/connect/:userId - Connect Baileys for user`);
-            console.log(`  GET    /baileys/qr/:userId      - Get Baileys QR code`);
-            console.log(`  POST   /baileys/status/text/:userId - Send text status via Baileys WebSocket`);
-            console.log(`  POST   /baileys/status/image/:userId - Send image status via Baileys WebSocket`);
-            console.log(`  POST   /baileys/status/video/:userId - Send video status via Baileys WebSocket`);
-            console.log(`  GET    /baileys/status/:userId  - Get Baileys connection status`);
-            console.log(`  DELETE /baileys/disconnect/:userId - Disconnect Baileys`);
-
-            console.log(`\n📊 System:`);
-            console.log(`  GET    /health                  - Health check with statistics`);
+            console.log(`API documentation: http://localhost:${this.port}/docs (OpenAPI spec: /openapi.json)`);
         });
     }
 
     stop() {
+        clearInterval(this.eventStreamHeartbeat);
+        for (const client of this.eventStreamClients) {
+            client.res.end();
+        }
+        this.webhookManager.stop();
+        this.apiKeys.stop();
+        this.idempotency.stop();
+        this.statusJobs.stop();
+        this.viewerCollector.stop();
+        this.statusRules.stop();
+        this.statusEvergreen.stop();
+        this.statusDeletions.stop();
+        this.statusScheduler.stop();
+        this.sessionManager.browserPool.stop();
+        this.sessionManager.restorePlanner.stop();
         if (this.server) {
             this.server.close();
         }
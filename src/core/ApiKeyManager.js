@@ -0,0 +1,477 @@
+const crypto = require('crypto');
+const { sendError } = require('../api/errors');
+
+// Scopes that can be granted to a key; '*' grants everything
+const API_SCOPES = [
+    'sessions:read',
+    'sessions:write',
+    'status:read',
+    'status:write',
+    'users:read',
+    'users:admin',
+    'proxies:read',
+    'proxies:admin',
+    'webhooks:admin',
+    'database:admin',
+    'logs:read',
+    'logs:admin',
+    'keys:admin'
+];
+
+// Routes reachable without a key (dashboard login flow, liveness probe, API docs)
+const PUBLIC_ROUTES = [
+    { method: 'POST', path: /^\/login$/ },
+    { method: 'POST', path: /^\/logout$/ },
+    { method: 'GET', path: /^\/check-auth$/ },
+    { method: 'GET', path: /^\/health$/ },
+    { method: 'GET', path: /^\/openapi\.json$/ },
+    { method: 'GET', path: /^\/docs$/ },
+    // One-time approval links carry their own token
+    { method: 'GET', path: /^\/approve\/[^/]+$/ },
+    { method: 'GET', path: /^\/approvals\/[^/]+(\/media)?$/ },
+    { method: 'POST', path: /^\/approvals\/[^/]+$/ }
+];
+
+// First match wins. `owner` names the path segment identifying the resource owner.
+const ROUTE_SCOPES = [
+    { method: 'POST', path: /^\/sessions\/create$/, scope: 'sessions:write', owner: { bodyUserId: true } },
+    { method: 'GET', path: /^\/sessions$/, scope: 'sessions:read' },
+    { method: 'GET', path: /^\/events$/, scope: 'sessions:read' },
+    { method: 'GET', path: /^\/browser-pool$/, scope: 'sessions:read' },
+    { method: 'GET', path: /^\/session-restore$/, scope: 'sessions:read' },
+    // Bundles carry the WhatsApp login and proxy credentials; imports check the bundle's user
+    { method: 'GET', path: /^\/sessions\/([^/]+)\/export$/, scope: 'sessions:write', owner: { session: 1 } },
+    { method: 'POST', path: /^\/sessions\/import$/, scope: 'sessions:write' },
+    { method: 'GET', path: /^\/sessions\/([^/]+)\/status\/.+/, scope: 'status:read', owner: { session: 1 } },
+    { method: '*', path: /^\/sessions\/([^/]+)\/status\/.+/, scope: 'status:write', owner: { session: 1 } },
+    { method: 'GET', path: /^\/sessions\/([^/]+)(\/.*)?$/, scope: 'sessions:read', owner: { session: 1 } },
+    { method: '*', path: /^\/sessions\/([^/]+)(\/.*)?$/, scope: 'sessions:write', owner: { session: 1 } },
+
+    { method: 'GET', path: /^\/jobs\/([^/]+)$/, scope: 'status:read', owner: { job: 1 } },
+
+    // Restricted keys may broadcast to their own users' sessions; tag matches are narrowed to those users
+    { method: 'POST', path: /^\/broadcast\/status$/, scope: 'status:write', owner: { bodyTargets: true } },
+    { method: 'GET', path: /^\/broadcasts$/, scope: 'status:read' },
+    { method: 'GET', path: /^\/broadcasts\/([^/]+)$/, scope: 'status:read', owner: { broadcast: 1 } },
+
+    // Drafts are reviewed by their approver, who may be another user than the session's
+    { method: 'GET', path: /^\/status-drafts$/, scope: 'status:read' },
+    { method: 'GET', path: /^\/status-drafts\/([^/]+)(\/.*)?$/, scope: 'status:read', owner: { draftReviewer: 1 } },
+    { method: 'POST', path: /^\/status-drafts\/([^/]+)\/(approve|reject)$/, scope: 'status:write', owner: { draftApprover: 1 } },
+    { method: '*', path: /^\/status-drafts\/([^/]+)(\/.*)?$/, scope: 'status:write', owner: { draft: 1 } },
+
+    { method: 'GET', path: /^\/status-rules$/, scope: 'status:read' },
+    { method: 'POST', path: /^\/status-rules$/, scope: 'status:write', owner: { bodyUserId: true, bodySession: true } },
+    { method: 'GET', path: /^\/status-rules\/([^/]+)(\/.*)?$/, scope: 'status:read', owner: { rule: 1 } },
+    { method: '*', path: /^\/status-rules\/([^/]+)(\/.*)?$/, scope: 'status:write', owner: { rule: 1 } },
+
+    // Templates are shared by every user, so restricted keys may use them but not change them
+    { method: 'GET', path: /^\/status-templates(\/.*)?$/, scope: 'status:read' },
+    { method: 'POST', path: /^\/status-templates\/([^/]+)\/render$/, scope: 'status:read' },
+    { method: '*', path: /^\/status-templates(\/.*)?$/, scope: 'status:write', owner: { shared: true } },
+
+    { method: 'GET', path: /^\/users\/([^/]+)\/proxy$/, scope: 'proxies:read', owner: { user: 1 } },
+    { method: '*', path: /^\/users\/([^/]+)\/proxy\/.+/, scope: 'proxies:admin', owner: { user: 1 } },
+    { method: 'GET', path: /^\/users$/, scope: 'users:read' },
+    { method: 'GET', path: /^\/users\/([^/]+)(\/.*)?$/, scope: 'users:read', owner: { user: 1 } },
+    { method: '*', path: /^\/users\/([^/]+)(\/.*)?$/, scope: 'users:admin', owner: { user: 1 } },
+
+    { method: 'GET', path: /^\/(proxies|proxy-assignments)(\/.*)?$/, scope: 'proxies:read' },
+    { method: '*', path: /^\/(proxies|proxy-assignments)(\/.*)?$/, scope: 'proxies:admin' },
+
+    { method: '*', path: /^\/webhooks$/, scope: 'webhooks:admin', owner: { bodyUserId: true } },
+    { method: '*', path: /^\/webhooks\/([^/]+)(\/.*)?$/, scope: 'webhooks:admin', owner: { webhook: 1 } },
+
+    { method: '*', path: /^\/database(\/.*)?$/, scope: 'database:admin' },
+
+    { method: 'GET', path: /^\/logs$/, scope: 'logs:read' },
+    { method: '*', path: /^\/logs$/, scope: 'logs:admin' },
+
+    { method: '*', path: /^\/api-keys(\/.*)?$/, scope: 'keys:admin' },
+
+    { method: 'POST', path: /^\/baileys\/status\/[^/]+\/([^/]+)$/, scope: 'status:write', owner: { user: 1 } },
+    { method: 'GET', path: /^\/baileys\/[^/]+\/([^/]+)$/, scope: 'sessions:read', owner: { user: 1 } },
+    { method: '*', path: /^\/baileys\/[^/]+\/([^/]+)$/, scope: 'sessions:write', owner: { user: 1 } }
+];
+
+// ============================================
+// API Key Authentication with Scopes
+// ============================================
+class ApiKeyManager {
+    constructor(sessionManager, options = {}) {
+        this.sessionManager = sessionManager;
+        this.keysCollection = sessionManager.db.collection('apiKeys');
+
+        // Optional bootstrap key from the environment, never stored in the database
+        this.adminKey = options.adminKey !== undefined ? options.adminKey : process.env.API_ADMIN_KEY || null;
+        this.enabled = options.enabled !== undefined ? options.enabled : process.env.API_AUTH_DISABLED !== 'true';
+
+        // Usage counters are buffered and flushed periodically to avoid a DB write per request
+        this.pendingUsage = new Map(); // keyId -> usage delta
+        this.flushInterval = options.flushInterval || 30 * 1000;
+        this.timer = setInterval(() => this.flushUsage(), this.flushInterval);
+    }
+
+    // ============================================
+    // Key Management
+    // ============================================
+
+    /**
+     * Create a key. The plaintext key is only returned from this call.
+     */
+    createKey({ name, scopes, userIds = null, expiresAt = null }) {
+        if (!name) {
+            throw new Error('name is required');
+        }
+
+        const validScopes = this.validateScopes(scopes);
+        const validUserIds = this.validateUserIds(userIds);
+        const expiry = this.validateExpiry(expiresAt);
+
+        const prefix = crypto.randomBytes(4).toString('hex');
+        const secret = crypto.randomBytes(24).toString('hex');
+        const plaintext = `wa_${prefix}_${secret}`;
+
+        const record = this.keysCollection.insert({
+            name,
+            prefix,
+            keyHash: ApiKeyManager.hash(plaintext),
+            scopes: validScopes,
+            userIds: validUserIds,
+            active: true,
+            expiresAt: expiry,
+            usage: {
+                total: 0,
+                denied: 0,
+                lastUsedAt: null,
+                lastUsedIp: null,
+                byScope: {},
+                byDay: {}
+            },
+            createdAt: new Date(),
+            updatedAt: new Date()
+        });
+
+        console.log(`[ApiKeyManager] Created API key ${record.id} (${name}) with scopes: ${validScopes.join(', ')}`);
+        return { key: plaintext, apiKey: this.sanitize(record) };
+    }
+
+    getKeys() {
+        return this.keysCollection.find().map(key => this.sanitize(key));
+    }
+
+    getKey(keyId) {
+        return this.sanitize(this.keysCollection.findById(keyId));
+    }
+
+    updateKey(keyId, updates = {}) {
+        if (!this.keysCollection.findById(keyId)) {
+            return null;
+        }
+
+        const changes = { updatedAt: new Date() };
+        if (updates.name !== undefined) changes.name = updates.name;
+        if (updates.scopes !== undefined) changes.scopes = this.validateScopes(updates.scopes);
+        if (updates.userIds !== undefined) changes.userIds = this.validateUserIds(updates.userIds);
+        if (updates.expiresAt !== undefined) changes.expiresAt = this.validateExpiry(updates.expiresAt);
+        if (updates.active !== undefined) changes.active = Boolean(updates.active);
+
+        this.keysCollection.updateById(keyId, changes);
+        return this.getKey(keyId);
+    }
+
+    revokeKey(keyId) {
+        if (!this.keysCollection.findById(keyId)) {
+            return false;
+        }
+
+        this.pendingUsage.delete(keyId);
+        this.keysCollection.deleteById(keyId);
+        console.log(`[ApiKeyManager] Revoked API key ${keyId}`);
+        return true;
+    }
+
+    sanitize(key) {
+        if (!key) return null;
+        const { keyHash, ...rest } = key;
+        return { ...rest, hint: `wa_${key.prefix}_…` };
+    }
+
+    validateScopes(scopes) {
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            throw new Error(`scopes must be a non-empty array. Available: *, ${API_SCOPES.join(', ')}`);
+        }
+
+        const unknown = scopes.filter(scope => scope !== '*' && !API_SCOPES.includes(scope));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown scopes: ${unknown.join(', ')}`);
+        }
+        return [...new Set(scopes)];
+    }
+
+    validateUserIds(userIds) {
+        if (userIds === null || userIds === undefined) {
+            return null;
+        }
+        if (!Array.isArray(userIds) || userIds.some(userId => typeof userId !== 'string' || !userId)) {
+            throw new Error('userIds must be an array of user ids');
+        }
+        return userIds.length > 0 ? [...new Set(userIds)] : null;
+    }
+
+    validateExpiry(expiresAt) {
+        if (!expiresAt) return null;
+
+        const expiry = new Date(expiresAt);
+        if (isNaN(expiry.getTime())) {
+            throw new Error(`Invalid expiresAt: ${expiresAt}`);
+        }
+        return expiry.toISOString();
+    }
+
+    // ============================================
+    // Request Authorization
+    // ============================================
+
+    /**
+     * Express middleware. Dashboard sessions act as an admin key; everything
+     * else needs a key via Authorization: Bearer, X-API-Key or ?api_key= (for EventSource).
+     */
+    middleware() {
+        return (req, res, next) => {
+            if (!this.enabled || req.method === 'OPTIONS' || this.isPublic(req)) {
+                return next();
+            }
+
+            if (req.session && req.session.authenticated) {
+                req.apiKey = { id: 'dashboard', scopes: ['*'], userIds: null };
+                return next();
+            }
+
+            const plaintext = this.extractKey(req);
+            if (!plaintext) {
+                return sendError(res, 'API_KEY_REQUIRED');
+            }
+
+            const key = this.findKey(plaintext);
+            if (!key) {
+                return sendError(res, 'API_KEY_INVALID');
+            }
+
+            const rule = this.resolveRoute(req.method, req.path);
+            const scope = rule ? rule.scope : null;
+
+            if (!key.active || (key.expiresAt && new Date(key.expiresAt).getTime() <= Date.now())) {
+                this.recordUsage(key, req, scope, false);
+                return sendError(res, 'API_KEY_INVALID', 'API key is revoked or expired');
+            }
+
+            if (scope && !this.hasScope(key, scope)) {
+                this.recordUsage(key, req, scope, false);
+                return sendError(res, 'API_KEY_FORBIDDEN', `API key lacks required scope: ${scope}`, { requiredScope: scope });
+            }
+
+            if (rule && rule.owner && key.userIds) {
+                let ownerUserIds;
+                try {
+                    ownerUserIds = this.resolveOwners(rule, req, key);
+                } catch (error) {
+                    if (!(error instanceof URIError)) throw error;
+                    this.recordUsage(key, req, scope, false);
+                    return sendError(res, 'VALIDATION_FAILED', 'Request path contains malformed percent-encoding');
+                }
+                const forbidden = ownerUserIds === null
+                    ? true
+                    : ownerUserIds.some(userId => !key.userIds.includes(userId));
+                if (forbidden) {
+                    this.recordUsage(key, req, scope, false);
+                    return sendError(res, 'API_KEY_FORBIDDEN', 'API key is not allowed to access this user');
+                }
+            }
+
+            this.recordUsage(key, req, scope, true);
+            req.apiKey = key;
+            next();
+        };
+    }
+
+    isPublic(req) {
+        return PUBLIC_ROUTES.some(route => route.method === req.method && route.path.test(req.path));
+    }
+
+    extractKey(req) {
+        const authorization = req.headers.authorization || '';
+        if (authorization.startsWith('Bearer ')) {
+            return authorization.slice(7).trim();
+        }
+        return req.headers['x-api-key'] || req.query.api_key || null;
+    }
+
+    findKey(plaintext) {
+        if (this.adminKey && ApiKeyManager.safeEqual(plaintext, this.adminKey)) {
+            return { id: 'admin', name: 'API_ADMIN_KEY', scopes: ['*'], userIds: null, active: true };
+        }
+        return this.keysCollection.findOne({ keyHash: ApiKeyManager.hash(plaintext) }) || null;
+    }
+
+    resolveRoute(method, path) {
+        return ROUTE_SCOPES.find(route =>
+            (route.method === '*' || route.method === method) && route.path.test(path)
+        ) || null;
+    }
+
+    hasScope(key, scope) {
+        return key.scopes.includes('*') || key.scopes.includes(scope);
+    }
+
+    /**
+     * Whether a key may act on a user's resources
+     */
+    allowsUser(key, userId) {
+        return !key || !key.userIds || key.userIds.includes(userId);
+    }
+
+    /**
+     * User ids owning the resource a request targets.
+     * Returns [] when the request names no owner and null when the owner cannot be resolved.
+     * Throws URIError for path segments with malformed percent-encoding.
+     */
+    resolveOwners(rule, req, key = null) {
+        const match = req.path.match(rule.path);
+        const owners = [];
+        const db = this.sessionManager.db;
+
+        // Shared resources have no owning user
+        if (rule.owner.shared) return null;
+
+        const lookups = {
+            session: id => (this.sessionManager.sessionsCollection.findById(id) || {}).userId,
+            user: id => id,
+            rule: id => {
+                const statusRule = db.collection('statusRules').findById(id);
+                if (!statusRule) return undefined;
+                return statusRule.userId || (this.sessionManager.sessionsCollection.findById(statusRule.sessionId) || {}).userId;
+            },
+            webhook: id => (db.collection('webhooks').findById(id) || {}).userId || null,
+            job: id => {
+                const job = db.collection('statusJobs').findById(id);
+                return job ? (this.sessionManager.sessionsCollection.findById(job.sessionId) || {}).userId : undefined;
+            },
+            draft: id => (db.collection('statusDrafts').findById(id) || {}).userId,
+            draftApprover: id => {
+                const draft = db.collection('statusDrafts').findById(id);
+                return draft ? draft.approverUserId || draft.userId : undefined;
+            },
+            // Either the owner or the approver may read a draft; the one the key covers is checked
+            draftReviewer: id => {
+                const draft = db.collection('statusDrafts').findById(id);
+                if (!draft) return undefined;
+                return [draft.approverUserId, draft.userId].find(userId => userId && this.allowsUser(key, userId)) || draft.userId;
+            },
+            // Every user the broadcast reached
+            broadcast: id => {
+                const broadcast = db.collection('broadcasts').findById(id);
+                return broadcast ? [...new Set(broadcast.results.map(result => result.userId).filter(Boolean))] : undefined;
+            }
+        };
+
+        for (const [type, group] of Object.entries(rule.owner)) {
+            if (!lookups[type]) continue;
+            const id = decodeURIComponent(match[group]);
+            // Baileys pseudo sessions carry the user id in their name
+            const userId = type === 'session' && id.startsWith('baileys-') ? id.slice(8) : lookups[type](id);
+            if (!userId) return null;
+            owners.push(...[].concat(userId));
+        }
+
+        const body = req.body || {};
+        if (rule.owner.bodyUserId && req.method !== 'GET') {
+            // Restricted keys may not create global resources
+            if (!body.userId && !(rule.owner.bodySession && body.sessionId)) return null;
+            if (body.userId) owners.push(body.userId);
+        }
+        if (rule.owner.bodySession && body.sessionId) {
+            const userId = lookups.session(body.sessionId);
+            if (!userId) return null;
+            owners.push(userId);
+        }
+        if (rule.owner.bodyTargets) {
+            owners.push(...(body.userIds || []));
+            for (const sessionId of body.sessionIds || []) {
+                const userId = lookups.session(sessionId);
+                if (!userId) return null;
+                owners.push(userId);
+            }
+        }
+
+        return owners;
+    }
+
+    // ============================================
+    // Usage Tracking
+    // ============================================
+
+    recordUsage(key, req, scope, allowed) {
+        if (key.id === 'admin') return;
+
+        const delta = this.pendingUsage.get(key.id) || { total: 0, denied: 0, byScope: {}, byDay: {} };
+        const day = new Date().toISOString().slice(0, 10);
+        const scopeName = scope || 'other';
+
+        delta.total++;
+        if (!allowed) delta.denied++;
+        delta.byScope[scopeName] = (delta.byScope[scopeName] || 0) + 1;
+        delta.byDay[day] = (delta.byDay[day] || 0) + 1;
+        delta.lastUsedAt = new Date();
+        delta.lastUsedIp = req.ip;
+
+        this.pendingUsage.set(key.id, delta);
+    }
+
+    flushUsage() {
+        for (const [keyId, delta] of this.pendingUsage.entries()) {
+            const key = this.keysCollection.findById(keyId);
+            if (!key) continue;
+
+            const usage = key.usage || { total: 0, denied: 0, byScope: {}, byDay: {} };
+            const byScope = { ...usage.byScope };
+            const byDay = { ...usage.byDay };
+            Object.entries(delta.byScope).forEach(([scope, count]) => { byScope[scope] = (byScope[scope] || 0) + count; });
+            Object.entries(delta.byDay).forEach(([day, count]) => { byDay[day] = (byDay[day] || 0) + count; });
+
+            // Keep 90 days of daily counters
+            Object.keys(byDay).sort().slice(0, -90).forEach(day => delete byDay[day]);
+
+            this.keysCollection.updateById(keyId, {
+                usage: {
+                    total: usage.total + delta.total,
+                    denied: usage.denied + delta.denied,
+                    lastUsedAt: delta.lastUsedAt,
+                    lastUsedIp: delta.lastUsedIp,
+                    byScope,
+                    byDay
+                }
+            });
+        }
+        this.pendingUsage.clear();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.flushUsage();
+    }
+
+    static hash(plaintext) {
+        return crypto.createHash('sha256').update(plaintext).digest('hex');
+    }
+
+    static safeEqual(a, b) {
+        const bufferA = Buffer.from(String(a));
+        const bufferB = Buffer.from(String(b));
+        return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+    }
+}
+
+ApiKeyManager.SCOPES = API_SCOPES;
+
+module.exports = ApiKeyManager;
@@ -0,0 +1,238 @@
+const { parseDuration } = require('../utils/duration');
+const { ApiError } = require('../api/errors');
+
+// Logged-in sessions whose browser can be closed and reopened from the profile
+const HIBERNATABLE_STATES = ['authenticated', 'ready', 'active', 'idle'];
+const WAKE_SAMPLES = 100;
+
+// ============================================
+// Live Browser Pool
+// ============================================
+// Every running session holds a full Chromium. The pool caps how many are open
+// at once (MAX_LIVE_BROWSERS): before a browser starts, the least recently used
+// logged-in sessions are hibernated (browser closed, profile kept) to make room.
+// Sessions unused for BROWSER_IDLE_TIMEOUT are hibernated as well, unless they
+// have live statuses whose viewers are still being collected. Sessions with
+// operations in progress (see whileBusy) are never hibernated.
+// SessionManager.autoStartSession wakes them on their next API call.
+class BrowserPoolManager {
+    constructor(sessionManager, options = {}) {
+        this.sessionManager = sessionManager;
+
+        this.maxBrowsers = parseInt(options.maxBrowsers || process.env.MAX_LIVE_BROWSERS || '20', 10);
+        // "off" keeps browsers open until the cap needs their slot
+        const idleTimeout = options.idleTimeout || process.env.BROWSER_IDLE_TIMEOUT || '30m';
+        this.idleTimeout = ['off', '0'].includes(String(idleTimeout)) ? null : parseDuration(idleTimeout);
+        // Sessions used this recently may be mid-operation and are never hibernated
+        this.busyWindow = parseDuration(options.busyWindow || process.env.BROWSER_BUSY_WINDOW || '2m');
+        this.checkInterval = options.checkInterval || 60 * 1000; // 1 minute
+
+        if (!Number.isInteger(this.maxBrowsers) || this.maxBrowsers < 1) {
+            throw new Error('MAX_LIVE_BROWSERS must be a positive integer');
+        }
+
+        this.lastUsed = new Map(); // sessionId -> ms timestamp of the last API use
+        this.starting = new Map(); // sessionId -> ms timestamp the browser start began
+        this.busy = new Map(); // sessionId -> number of operations in progress
+        this.hibernating = new Set();
+        this.wakeSamples = []; // Latest wake durations in ms
+        this.counters = { wakes: 0, idleHibernations: 0, capacityHibernations: 0, exhausted: 0 };
+        this.timer = null;
+
+        this.start();
+    }
+
+    /**
+     * Note that a session was used; hibernation picks the least recently used first
+     */
+    touch(sessionId) {
+        this.lastUsed.set(sessionId, Date.now());
+    }
+
+    /**
+     * Run an operation that needs the session's browser open until it settles
+     * (a send, an upload, a removal)
+     */
+    async whileBusy(sessionId, operation) {
+        this.busy.set(sessionId, (this.busy.get(sessionId) || 0) + 1);
+        try {
+            return await operation();
+        } finally {
+            const remaining = this.busy.get(sessionId) - 1;
+            if (remaining > 0) {
+                this.busy.set(sessionId, remaining);
+            } else {
+                this.busy.delete(sessionId);
+            }
+            this.touch(sessionId);
+        }
+    }
+
+    /**
+     * Sessions with an open browser (or one being started)
+     */
+    liveSessionIds() {
+        const live = new Set(this.starting.keys());
+        for (const [sessionId, automation] of this.sessionManager.sessions.entries()) {
+            if (automation.browser) live.add(sessionId);
+        }
+        return [...live];
+    }
+
+    /**
+     * Reserve a slot before a browser starts, hibernating idle sessions if the
+     * pool is full. Throws BROWSER_POOL_EXHAUSTED when every open browser is in use.
+     */
+    async reserve(sessionId) {
+        this.touch(sessionId);
+
+        const overflow = () => this.liveSessionIds().filter(id => id !== sessionId).length - this.maxBrowsers + 1;
+        while (overflow() > 0) {
+            const [victim] = this.hibernationCandidates(Date.now() - this.busyWindow);
+            if (!victim) {
+                this.counters.exhausted++;
+                throw new ApiError('BROWSER_POOL_EXHAUSTED', null, { maxBrowsers: this.maxBrowsers });
+            }
+            await this.hibernate(victim, 'capacity');
+        }
+
+        this.starting.set(sessionId, Date.now());
+    }
+
+    /**
+     * The browser start finished (or failed); `woke` records how long a
+     * successful auto-start took
+     */
+    release(sessionId, { woke = false } = {}) {
+        const startedAt = this.starting.get(sessionId);
+        this.starting.delete(sessionId);
+        if (startedAt === undefined || !woke) return;
+
+        this.counters.wakes++;
+        this.wakeSamples.push(Date.now() - startedAt);
+        if (this.wakeSamples.length > WAKE_SAMPLES) this.wakeSamples.shift();
+    }
+
+    /**
+     * Open browsers of logged-in sessions not used since `usedBefore`, least recently used first
+     */
+    hibernationCandidates(usedBefore) {
+        return this.liveSessionIds()
+            .filter(sessionId => !this.starting.has(sessionId) && !this.hibernating.has(sessionId) && !this.busy.has(sessionId))
+            .filter(sessionId => HIBERNATABLE_STATES.includes(this.sessionManager.sessionMetadata.get(sessionId)?.status))
+            .map(sessionId => ({ sessionId, lastUsed: this.lastUsed.get(sessionId) || 0 }))
+            .filter(entry => entry.lastUsed < usedBefore)
+            .sort((a, b) => a.lastUsed - b.lastUsed)
+            .map(entry => entry.sessionId);
+    }
+
+    /**
+     * Close a session's browser and keep its profile for the next wake.
+     * Sessions with operations in progress are left open.
+     * @param {string} reason - 'idle', 'capacity' or 'export'
+     * @returns {Promise<boolean>} Whether the browser was closed
+     */
+    async hibernate(sessionId, reason) {
+        const automation = this.sessionManager.sessions.get(sessionId);
+        // Busy is checked again here: an operation may have started since candidates were picked
+        if (!automation || this.hibernating.has(sessionId) || this.busy.has(sessionId)) return false;
+
+        this.hibernating.add(sessionId);
+        try {
+            await automation.cleanup(true);
+        } catch (error) {
+            console.error(`[BrowserPool] Closing browser of ${sessionId} failed:`, error.message);
+        } finally {
+            this.sessionManager.sessions.delete(sessionId);
+            this.hibernating.delete(sessionId);
+        }
+
+        const counter = `${reason}Hibernations`;
+        if (counter in this.counters) this.counters[counter]++;
+        this.sessionManager.updateSessionStatus(sessionId, 'idle', `Hibernated (${reason})`, { hibernatedAt: new Date() });
+        console.log(`[BrowserPool] Hibernated session ${sessionId} (${reason})`);
+        return true;
+    }
+
+    // ============================================
+    // Idle Hibernation
+    // ============================================
+
+    start() {
+        if (this.timer || !this.idleTimeout) return;
+
+        this.timer = setInterval(() => {
+            this.hibernateIdle().catch(error => {
+                console.error('[BrowserPool] Error hibernating idle sessions:', error.message);
+            });
+        }, this.checkInterval);
+
+        console.log(`[BrowserPool] Started (at most ${this.maxBrowsers} browsers, hibernating after ${this.idleTimeout / 60000} idle minutes)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async hibernateIdle() {
+        // Browsers opened before the pool saw any use count from now
+        this.liveSessionIds().forEach(sessionId => {
+            if (!this.lastUsed.has(sessionId)) this.touch(sessionId);
+        });
+
+        // Viewer lists can only be read while a status is alive, so those sessions stay open
+        const collectingViewers = new Set(this.sessionManager.db.collection('statusViews')
+            .find({ state: 'live' }).map(record => record.sessionId));
+
+        const idle = this.hibernationCandidates(Date.now() - Math.max(this.idleTimeout, this.busyWindow))
+            .filter(sessionId => !collectingViewers.has(sessionId));
+        for (const sessionId of idle) {
+            await this.hibernate(sessionId, 'idle');
+        }
+        return idle.length;
+    }
+
+    // ============================================
+    // Metrics
+    // ============================================
+
+    /**
+     * Occupancy, hibernation counters and wake latency percentiles
+     */
+    getMetrics() {
+        const live = this.liveSessionIds();
+        const sorted = [...this.wakeSamples].sort((a, b) => a - b);
+        const percentile = p => sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)] : null;
+
+        return {
+            maxBrowsers: this.maxBrowsers,
+            live: live.length,
+            starting: this.starting.size,
+            available: Math.max(this.maxBrowsers - live.length, 0),
+            utilization: Math.round((live.length / this.maxBrowsers) * 100) / 100,
+            hibernated: this.sessionManager.sessionsCollection.find({ status: 'idle' }).length,
+            idleTimeoutMs: this.idleTimeout,
+            counters: { ...this.counters },
+            wakeLatencyMs: {
+                samples: sorted.length,
+                avg: sorted.length > 0 ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : null,
+                p50: percentile(0.5),
+                p95: percentile(0.95),
+                max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+            },
+            sessions: live.map(sessionId => ({
+                sessionId,
+                userId: this.sessionManager.sessionMetadata.get(sessionId)?.userId || null,
+                status: this.sessionManager.sessionMetadata.get(sessionId)?.status || null,
+                starting: this.starting.has(sessionId),
+                busy: this.busy.get(sessionId) || 0,
+                lastUsedAt: this.lastUsed.has(sessionId) ? new Date(this.lastUsed.get(sessionId)).toISOString() : null
+            }))
+        };
+    }
+}
+
+module.exports = BrowserPoolManager;
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { parseDuration } = require('../utils/duration');
+const { sendError } = require('../api/errors');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * JSON.stringify with sorted object keys so equal bodies always hash the same
+ */
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+// ============================================
+// Idempotency Keys for Non-Repeatable Requests
+// ============================================
+// A client retrying a send after a timeout passes the same Idempotency-Key and
+// gets the original response back instead of publishing the status twice.
+// Only successful responses are stored; failures release the key so the
+// request can be retried.
+class IdempotencyManager {
+    constructor(sessionManager, options = {}) {
+        this.keysCollection = sessionManager.db.collection('idempotencyKeys');
+
+        // How long a key is remembered (IDEMPOTENCY_WINDOW, e.g. "24h")
+        this.window = parseDuration(options.window || process.env.IDEMPOTENCY_WINDOW || '24h');
+        this.inFlight = new Map(); // recordId -> requestHash, requests currently being handled
+
+        this.cleanupInterval = options.cleanupInterval || 60 * 60 * 1000; // 1 hour
+        this.timer = setInterval(() => this.cleanup(), this.cleanupInterval);
+        this.cleanup();
+    }
+
+    /**
+     * Express middleware for a single route. Requests without the header pass through.
+     */
+    middleware() {
+        return (req, res, next) => {
+            const key = req.get(HEADER);
+            if (key === undefined) return next();
+
+            if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+                return sendError(res, 'VALIDATION_FAILED', `${HEADER} must be 1-${MAX_KEY_LENGTH} characters`, {
+                    errors: [{ location: 'header', path: `header.${HEADER}`, message: `must be 1-${MAX_KEY_LENGTH} characters` }]
+                });
+            }
+
+            // Keys are scoped to the caller so two API keys can never see each other's responses
+            const scope = req.apiKey ? req.apiKey.id : 'anonymous';
+            const recordId = IdempotencyManager.hash(`${scope}:${key}`);
+            const requestHash = this.hashRequest(req);
+
+            const stored = this.getRecord(recordId);
+            if (stored) {
+                if (stored.requestHash !== requestHash) {
+                    return sendError(res, 'IDEMPOTENCY_KEY_REUSED');
+                }
+                console.log(`[IdempotencyManager] Replaying response for ${req.method} ${req.path}`);
+                res.set('Idempotency-Replayed', 'true');
+                return res.status(stored.response.statusCode).json(stored.response.body);
+            }
+
+            if (this.inFlight.has(recordId)) {
+                return sendError(res, this.inFlight.get(recordId) === requestHash
+                    ? 'IDEMPOTENCY_KEY_IN_PROGRESS'
+                    : 'IDEMPOTENCY_KEY_REUSED');
+            }
+
+            this.inFlight.set(recordId, requestHash);
+
+            let responseBody;
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                responseBody = body;
+                return json(body);
+            };
+
+            // Settled when the handler sends its response, not when the socket closes:
+            // a client that disconnects mid-send must get the stored result on retry
+            // instead of publishing again
+            const end = res.end.bind(res);
+            res.end = (...args) => {
+                if (this.inFlight.has(recordId)) {
+                    this.inFlight.delete(recordId);
+
+                    if (res.statusCode >= 200 && res.statusCode < 300 && responseBody !== undefined) {
+                        this.saveRecord({
+                            id: recordId,
+                            scope,
+                            method: req.method,
+                            path: req.path,
+                            requestHash,
+                            response: { statusCode: res.statusCode, body: responseBody },
+                            createdAt: new Date(),
+                            expiresAt: new Date(Date.now() + this.window)
+                        });
+                    }
+                }
+                return end(...args);
+            };
+
+            next();
+        };
+    }
+
+    /**
+     * Fingerprint of what the request asks for: method, path, body and uploaded files
+     */
+    hashRequest(req) {
+        const files = {};
+        Object.entries(req.files || {}).forEach(([field, file]) => {
+            files[field] = [].concat(file).map(item => item.md5 || item.size);
+        });
+
+        return IdempotencyManager.hash(stableStringify({
+            method: req.method,
+            path: req.path,
+            body: req.body || {},
+            files
+        }));
+    }
+
+    getRecord(recordId) {
+        const record = this.keysCollection.findById(recordId);
+        if (!record) return null;
+
+        if (new Date(record.expiresAt).getTime() <= Date.now()) {
+            this.keysCollection.deleteById(recordId);
+            return null;
+        }
+        return record;
+    }
+
+    saveRecord(record) {
+        this.keysCollection.deleteById(record.id);
+        this.keysCollection.insert(record);
+    }
+
+    /**
+     * Remove keys whose window has passed
+     */
+    cleanup() {
+        const now = Date.now();
+        const expired = this.keysCollection.find().filter(record => new Date(record.expiresAt).getTime() <= now);
+        expired.forEach(record => this.keysCollection.deleteById(record.id));
+
+        if (expired.length > 0) {
+            console.log(`[IdempotencyManager] Removed ${expired.length} expired idempotency key(s)`);
+        }
+        return expired.length;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+
+    static hash(value) {
+        return crypto.createHash('sha256').update(value).digest('hex');
+    }
+}
+
+IdempotencyManager.HEADER = HEADER;
+
+module.exports = IdempotencyManager;
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const FileType = require('file-type');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const { ApiError } = require('../api/errors');
+
+// Formats WhatsApp shows as a photo status; everything else is converted to JPEG
+const PASSTHROUGH_FORMATS = ['jpg', 'png'];
+// Formats sharp decodes directly (HEIC needs heic-convert, the bundled libheif has no HEVC)
+const SHARP_FORMATS = ['jpg', 'png', 'webp', 'gif', 'tif', 'avif'];
+
+// EXIF tag pointing to the GPS sub-IFD
+const GPS_IFD_TAG = 0x8825;
+
+// ============================================
+// Image Normalization Before Status Sends
+// ============================================
+// Detects the real type, converts unsupported formats (HEIC, WebP, TIFF, ...),
+// downscales to WhatsApp's resolution limit, re-encodes towards a target size
+// and strips EXIF/GPS metadata. Every applied step is reported back to the client.
+class ImagePreprocessor {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== undefined ? options.enabled : process.env.IMAGE_PREPROCESSING !== 'false';
+        this.maxDimension = options.maxDimension || parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 1600;
+        this.targetBytes = options.targetBytes || (parseInt(process.env.IMAGE_TARGET_SIZE_KB, 10) || 1024) * 1024;
+        this.quality = options.quality || 85;
+        this.minQuality = options.minQuality || 50;
+        this.tempDir = options.tempDir || os.tmpdir();
+    }
+
+    /**
+     * Normalize an image status payload
+     * @param {string|object} content - Base64/data URL string, or an upload { filePath, mimeType, fileName }
+     * @returns {Promise<object>} { content, transformations, original, output, cleanup }
+     *   content has the same shape as the input; cleanup() removes any temp file created
+     */
+    async process(content) {
+        const isUpload = Boolean(content && typeof content === 'object' && content.filePath);
+        const noop = { content, transformations: [], original: null, output: null, cleanup: async () => {} };
+        if (!this.enabled) return noop;
+
+        const { buffer, declaredMime } = await this.readInput(content, isUpload);
+        const detected = await FileType.fromBuffer(buffer);
+        if (!detected || !detected.mime.startsWith('image/')) {
+            throw new ApiError('UNSUPPORTED_MEDIA_TYPE', `Content is not a supported image${detected ? ` (detected ${detected.mime})` : ''}`, {
+                declaredType: declaredMime,
+                detectedType: detected ? detected.mime : null
+            });
+        }
+
+        const transformations = [];
+        if (declaredMime && declaredMime !== 'application/octet-stream' && declaredMime !== detected.mime) {
+            transformations.push({ type: 'detect', declared: declaredMime, detected: detected.mime });
+        }
+
+        let input = buffer;
+        if (detected.ext === 'heic') {
+            input = await this.decodeHeic(buffer);
+            transformations.push({ type: 'convert', from: 'heic', to: 'jpeg' });
+        } else if (!SHARP_FORMATS.includes(detected.ext)) {
+            throw new ApiError('UNSUPPORTED_MEDIA_TYPE', `Image format ${detected.ext} is not supported`, {
+                detectedType: detected.mime
+            });
+        }
+
+        let metadata;
+        try {
+            metadata = await sharp(input).metadata();
+        } catch (error) {
+            throw new ApiError('MEDIA_PROCESSING_FAILED', `Image could not be decoded: ${error.message}`);
+        }
+
+        const original = { type: detected.mime, width: metadata.width, height: metadata.height, size: buffer.length };
+        const stripped = this.describeMetadata(metadata);
+        if (metadata.orientation && metadata.orientation > 1) {
+            transformations.push({ type: 'orient', orientation: metadata.orientation });
+        }
+
+        let format = PASSTHROUGH_FORMATS.includes(detected.ext) ? detected.ext : 'jpg';
+        if (format !== detected.ext && detected.ext !== 'heic') {
+            transformations.push({ type: 'convert', from: detected.ext, to: 'jpeg' });
+        }
+
+        // Orientation swaps width and height for values 5-8
+        const rotated = metadata.orientation >= 5;
+        let width = rotated ? metadata.height : metadata.width;
+        let height = rotated ? metadata.width : metadata.height;
+        const scale = Math.min(1, this.maxDimension / Math.max(width, height));
+        if (scale < 1) {
+            const resized = { width: Math.round(width * scale), height: Math.round(height * scale) };
+            transformations.push({ type: 'resize', from: { width, height }, to: resized });
+            width = resized.width;
+            height = resized.height;
+        }
+
+        // Already compliant: send the original bytes rather than re-encode them
+        const untouched = format === detected.ext && scale === 1 && stripped.length === 0
+            && !(metadata.orientation > 1) && buffer.length <= this.targetBytes;
+        if (untouched) {
+            return { ...noop, transformations, original, output: original };
+        }
+
+        let encoded = await this.encode(input, { width, height, format, quality: this.quality });
+
+        // Too big: PNGs become JPEG, then quality steps down, then dimensions shrink
+        if (encoded.length > this.targetBytes && format === 'png') {
+            format = 'jpg';
+            transformations.push({ type: 'convert', from: 'png', to: 'jpeg', reason: 'size' });
+            encoded = await this.encode(input, { width, height, format, quality: this.quality });
+        }
+
+        let quality = this.quality;
+        while (encoded.length > this.targetBytes && format === 'jpg') {
+            if (quality > this.minQuality) {
+                quality = Math.max(this.minQuality, quality - 10);
+            } else if (Math.max(width, height) > 640) {
+                const from = { width, height };
+                width = Math.round(width * 0.8);
+                height = Math.round(height * 0.8);
+                transformations.push({ type: 'resize', from, to: { width, height }, reason: 'size' });
+            } else {
+                break;
+            }
+            encoded = await this.encode(input, { width, height, format, quality });
+        }
+
+        transformations.push({
+            type: 'reencode',
+            format: format === 'jpg' ? 'jpeg' : 'png',
+            ...(format === 'jpg' ? { quality } : {}),
+            from: buffer.length,
+            to: encoded.length
+        });
+        if (stripped.length > 0) {
+            transformations.push({ type: 'strip-metadata', fields: stripped });
+        }
+
+        const mimeType = format === 'jpg' ? 'image/jpeg' : 'image/png';
+        const output = { type: mimeType, width, height, size: encoded.length };
+        const result = await this.writeOutput(encoded, mimeType, content, isUpload);
+
+        console.log(`[ImagePreprocessor] ${original.type} ${original.width}x${original.height} (${original.size} bytes) -> `
+            + `${mimeType} ${width}x${height} (${encoded.length} bytes)`);
+
+        return { ...result, transformations, original, output };
+    }
+
+    async readInput(content, isUpload) {
+        if (isUpload) {
+            return { buffer: await fs.promises.readFile(content.filePath), declaredMime: content.mimeType || null };
+        }
+
+        if (typeof content !== 'string' || content.length === 0) {
+            throw new ApiError('VALIDATION_FAILED', 'Image content must be a base64 string or data URL');
+        }
+
+        const match = content.match(/^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s);
+        if (match) {
+            return { buffer: Buffer.from(match[2], 'base64'), declaredMime: match[1] || null };
+        }
+        return { buffer: Buffer.from(content, 'base64'), declaredMime: null };
+    }
+
+    async writeOutput(buffer, mimeType, content, isUpload) {
+        if (!isUpload) {
+            return {
+                content: `data:${mimeType};base64,${buffer.toString('base64')}`,
+                cleanup: async () => {}
+            };
+        }
+
+        const extension = mimeType === 'image/jpeg' ? '.jpg' : '.png';
+        const filePath = path.join(this.tempDir, `status-image-${crypto.randomBytes(8).toString('hex')}${extension}`);
+        await fs.promises.writeFile(filePath, buffer);
+
+        const baseName = path.parse(content.fileName || 'image').name || 'image';
+        return {
+            content: { filePath, mimeType, fileName: `${baseName}${extension}` },
+            cleanup: () => fs.promises.unlink(filePath).catch(() => {})
+        };
+    }
+
+    async decodeHeic(buffer) {
+        try {
+            return Buffer.from(await heicConvert({ buffer, format: 'JPEG', quality: 0.95 }));
+        } catch (error) {
+            throw new ApiError('MEDIA_PROCESSING_FAILED', `HEIC image could not be converted: ${error.message}`);
+        }
+    }
+
+    /**
+     * Re-encode with EXIF orientation applied. sharp drops all metadata unless asked to keep it.
+     */
+    async encode(input, { width, height, format, quality }) {
+        try {
+            const pipeline = sharp(input).rotate().resize(width, height, { fit: 'inside', withoutEnlargement: true });
+            if (format === 'png') {
+                return await pipeline.png({ compressionLevel: 9 }).toBuffer();
+            }
+            return await pipeline.flatten({ background: '#ffffff' }).jpeg({ quality, mozjpeg: true }).toBuffer();
+        } catch (error) {
+            throw new ApiError('MEDIA_PROCESSING_FAILED', `Image could not be re-encoded: ${error.message}`);
+        }
+    }
+
+    /**
+     * Names of the metadata blocks that re-encoding removes
+     */
+    describeMetadata(metadata) {
+        const fields = [];
+        if (metadata.exif) {
+            fields.push('exif');
+            if (ImagePreprocessor.hasGpsData(metadata.exif)) fields.push('gps');
+        }
+        if (metadata.xmp) fields.push('xmp');
+        if (metadata.iptc) fields.push('iptc');
+        return fields;
+    }
+
+    /**
+     * Whether a raw EXIF block ("Exif\0\0" + TIFF) has a GPS IFD pointer in IFD0
+     */
+    static hasGpsData(exif) {
+        try {
+            const offset = exif.slice(0, 4).toString('latin1') === 'Exif' ? 6 : 0;
+            const littleEndian = exif.slice(offset, offset + 2).toString('latin1') === 'II';
+            const read16 = at => littleEndian ? exif.readUInt16LE(at) : exif.readUInt16BE(at);
+            const read32 = at => littleEndian ? exif.readUInt32LE(at) : exif.readUInt32BE(at);
+
+            const ifd0 = offset + read32(offset + 4);
+            const entries = read16(ifd0);
+            for (let i = 0; i < entries; i++) {
+                if (read16(ifd0 + 2 + i * 12) === GPS_IFD_TAG) return true;
+            }
+        } catch (error) {
+            // Truncated or non-standard EXIF; treat as no GPS
+        }
+        return false;
+    }
+}
+
+module.exports = ImagePreprocessor;
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ============================================
+// Content-addressed storage for queued media payloads
+// ============================================
+class MediaStore {
+    constructor(baseDir = './data/media') {
+        this.baseDir = path.resolve(baseDir);
+        if (!fs.existsSync(this.baseDir)) {
+            fs.mkdirSync(this.baseDir, { recursive: true });
+        }
+    }
+
+    /**
+     * Split a data URL or bare base64 string into its mimetype and bytes
+     */
+    parseContent(content) {
+        if (typeof content !== 'string' || content.length === 0) {
+            throw new Error('Media content must be a base64 string or data URL');
+        }
+
+        const match = content.match(/^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s);
+        if (match) {
+            return {
+                mimetype: match[1] || 'application/octet-stream',
+                buffer: Buffer.from(match[2], 'base64'),
+                format: 'data_url'
+            };
+        }
+
+        return {
+            mimetype: 'application/octet-stream',
+            buffer: Buffer.from(content, 'base64'),
+            format: 'base64'
+        };
+    }
+
+    /**
+     * Persist media content and return its id (sha256 of the bytes)
+     */
+    save(content) {
+        const { mimetype, buffer, format } = this.parseContent(content);
+        return this.store(buffer, mimetype, format);
+    }
+
+    /**
+     * Persist an uploaded file; it loads back as a data URL
+     */
+    saveFile(filePath, mimetype = 'application/octet-stream') {
+        return this.store(fs.readFileSync(filePath), mimetype, 'data_url');
+    }
+
+    /**
+     * Persist status content as prepared by the send routes: a base64 string/data URL
+     * or a temp file { filePath, mimeType }
+     */
+    saveContent(content) {
+        if (content && typeof content === 'object' && content.filePath) {
+            return this.saveFile(content.filePath, content.mimeType);
+        }
+        return this.save(content);
+    }
+
+    store(buffer, mimetype, format) {
+        const mediaId = crypto.createHash('sha256').update(buffer).digest('hex');
+
+        const dataPath = this.getDataPath(mediaId);
+        if (!fs.existsSync(dataPath)) {
+            fs.writeFileSync(dataPath, buffer);
+            fs.writeFileSync(this.getMetaPath(mediaId), JSON.stringify({
+                mimetype,
+                size: buffer.length,
+                format,
+                createdAt: new Date()
+            }));
+        }
+
+        return { mediaId, mimetype, size: buffer.length };
+    }
+
+    /**
+     * Load media back in the format it was saved in (data URL or bare base64)
+     */
+    load(mediaId) {
+        const dataPath = this.getDataPath(mediaId);
+        if (!fs.existsSync(dataPath)) {
+            return null;
+        }
+
+        const meta = this.getMetadata(mediaId) || {};
+        const buffer = fs.readFileSync(dataPath);
+        if (meta.format === 'base64') {
+            return buffer.toString('base64');
+        }
+        return `data:${meta.mimetype || 'application/octet-stream'};base64,${buffer.toString('base64')}`;
+    }
+
+    /**
+     * Raw bytes and mimetype, for serving media previews
+     * @returns {object|null} { buffer, mimetype }
+     */
+    read(mediaId) {
+        const dataPath = this.getDataPath(mediaId);
+        if (!fs.existsSync(dataPath)) {
+            return null;
+        }
+
+        const meta = this.getMetadata(mediaId) || {};
+        return { buffer: fs.readFileSync(dataPath), mimetype: meta.mimetype || 'application/octet-stream' };
+    }
+
+    getMetadata(mediaId) {
+        try {
+            return JSON.parse(fs.readFileSync(this.getMetaPath(mediaId), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    exists(mediaId) {
+        return fs.existsSync(this.getDataPath(mediaId));
+    }
+
+    remove(mediaId) {
+        for (const filePath of [this.getDataPath(mediaId), this.getMetaPath(mediaId)]) {
+            if (fs.existsSync(filePath)) {
+                fs.rmSync(filePath, { force: true });
+            }
+        }
+    }
+
+    getDataPath(mediaId) {
+        if (!/^[a-f0-9]{64}$/.test(mediaId)) {
+            throw new Error(`Invalid media id: ${mediaId}`);
+        }
+        return path.join(this.baseDir, mediaId);
+    }
+
+    getMetaPath(mediaId) {
+        return `${this.getDataPath(mediaId)}.json`;
+    }
+}
+
+module.exports = MediaStore;
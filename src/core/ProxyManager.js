@@ -3,6 +3,7 @@ const path = require('path');
 const https = require('https');
 const http = require('http');
 const { HttpsProxyAgent } = require('https-proxy-agent');
+const { ApiError } = require('../api/errors');
 
 // ============================================
 // Proxy Manager with Health Checks and Rotation
@@ -213,7 +214,7 @@ class ProxyManager {
                     status: { $in: ['healthy', 'degraded', 'unchecked'] }
                 });
                 if (availableProxies.length === 0) {
-                    throw new Error('No proxies available');
+                    throw new ApiError('PROXY_UNAVAILABLE');
                 } else {
                     // Use available proxy but log warning
                     console.warn(`[ProxyManager] No healthy proxies, using available proxy with status: ${availableProxies[0].status}`);
@@ -229,33 +230,7 @@ class ProxyManager {
             });
 
             // Select the proxy with least assignments
-            const selectedProxy = healthyProxies[0];
-
-            // Create assignment
-            const assignment = this.assignmentsCollection.insert({
-                userId,
-                sessionId,
-                proxyId: selectedProxy.id,
-                status: 'active',
-                assignedAt: new Date(),
-                lastRotation: new Date(),
-                rotationCount: 0
-            });
-
-            // Update proxy usage
-            this.proxiesCollection.updateById(selectedProxy.id, {
-                'usage.currentAssignments': selectedProxy.usage.currentAssignments + 1,
-                'usage.totalAssignments': selectedProxy.usage.totalAssignments + 1,
-                'usage.lastUsed': new Date(),
-                updatedAt: new Date()
-            });
-
-            console.log(`[ProxyManager] Assigned proxy ${selectedProxy.host}:${selectedProxy.port} to user ${userId}`);
-
-            return {
-                assignment,
-                proxy: this.proxiesCollection.findById(selectedProxy.id)
-            };
+            return this.assignProxy(userId, healthyProxies[0].id, sessionId);
 
         } catch (error) {
             console.error('[ProxyManager] Error assigning proxy:', error.message);
@@ -263,6 +238,42 @@ class ProxyManager {
         }
     }
 
+    /**
+     * Assign a specific proxy to a user (e.g. the one an imported session used)
+     */
+    assignProxy(userId, proxyId, sessionId = null) {
+        const proxy = this.proxiesCollection.findById(proxyId);
+        if (!proxy) {
+            throw new ApiError('PROXY_NOT_FOUND');
+        }
+
+        // Create assignment
+        const assignment = this.assignmentsCollection.insert({
+            userId,
+            sessionId,
+            proxyId: proxy.id,
+            status: 'active',
+            assignedAt: new Date(),
+            lastRotation: new Date(),
+            rotationCount: 0
+        });
+
+        // Update proxy usage
+        this.proxiesCollection.updateById(proxy.id, {
+            'usage.currentAssignments': proxy.usage.currentAssignments + 1,
+            'usage.totalAssignments': proxy.usage.totalAssignments + 1,
+            'usage.lastUsed': new Date(),
+            updatedAt: new Date()
+        });
+
+        console.log(`[ProxyManager] Assigned proxy ${proxy.host}:${proxy.port} to user ${userId}`);
+
+        return {
+            assignment,
+            proxy: this.proxiesCollection.findById(proxy.id)
+        };
+    }
+
     /**
      * Get proxy assignment for user
      */
@@ -1,10 +1,36 @@
 const fs = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
 const JsonDB = require('../database/JsonDB');
 const WhatsAppStatusHandler = require('./StatusHandler');
 const ProxyManager = require('./ProxyManager');
 const ContainerManager = require('./ContainerManager');
+const StatusHistory = require('./StatusHistory');
+const { SessionStateMachine } = require('./SessionStateMachine');
+const BrowserPoolManager = require('./BrowserPoolManager');
+const SessionRestorePlanner = require('./SessionRestorePlanner');
+const { extractMessageId, describeStatusContent } = require('../utils/statusUtils');
+const { createBundle, readBundle, writeProfile } = require('../utils/sessionBundle');
+const { ApiError } = require('../api/errors');
+
+// Statuses of a session whose profile holds a WhatsApp login
+const LOGGED_IN_STATES = ['authenticated', 'ready', 'active', 'idle'];
+
+// Session fields carried in export bundles; the rest is specific to the host
+const BUNDLE_SESSION_FIELDS = ['id', 'userId', 'phoneNumber', 'authMethod', 'createdAt', 'authenticatedAt'];
+
+// Events emitted by WhatsAppAutomation that are forwarded to this.events
+const LIFECYCLE_EVENTS = [
+    'qr',
+    'authenticated',
+    'ready',
+    'logout',
+    'requireAuth',
+    'pairingCodeGenerated',
+    'phoneNumberCaptured',
+    'authenticationFailed'
+];
 
 // ============================================
 // Multi-User Session Manager with Database Persistence
@@ -12,8 +38,13 @@ const ContainerManager = require('./ContainerManager');
 class SessionManager {
     constructor(dbPath = './data/whatsapp.db.json') {
         this.sessions = new Map(); // sessionId -> WhatsAppAutomation instance
+        this.startingSessions = new Map(); // sessionId -> in-flight autoStartSession promise
         this.sessionMetadata = new Map(); // sessionId -> metadata
 
+        // Server-wide feed of session lifecycle events (webhooks, streams)
+        this.events = new EventEmitter();
+        this.events.setMaxListeners(0);
+
         // Initialize database
         this.db = new JsonDB(dbPath, { autoSave: true, prettify: true });
         this.sessionsCollection = this.db.collection('sessions');
@@ -22,6 +53,18 @@ class SessionManager {
         // Initialize proxy manager
         this.proxyManager = new ProxyManager(this.db);
 
+        // Every successful send is recorded, whichever handler published it
+        this.statusHistory = new StatusHistory(this.db);
+
+        // Validates and records every session status change
+        this.stateMachine = new SessionStateMachine(this.db);
+
+        // Caps live browsers and hibernates idle sessions
+        this.browserPool = new BrowserPoolManager(this);
+
+        // Restores sessions after a restart in prioritized waves
+        this.restorePlanner = new SessionRestorePlanner(this);
+
         // Initialize container manager for individual user containers
         this.containerManager = new ContainerManager();
         this.containerManager.startCleanupInterval();
@@ -51,36 +94,24 @@ class SessionManager {
 
     async restoreActiveSessions() {
         console.log('[SessionManager] Restoring active sessions from database...');
-
-        const activeSessions = this.sessionsCollection.find({
-            status: { $in: ['authenticated', 'pending'] }
-        });
-
-        console.log(`[SessionManager] Found ${activeSessions.length} active sessions to restore`);
-
-        for (const sessionData of activeSessions) {
-            try {
-                await this.restoreSession(sessionData);
-            } catch (error) {
-                console.error(`[SessionManager] Failed to restore session ${sessionData.id}:`, error.message);
-                // Mark session as failed
-                this.sessionsCollection.update(
-                    { id: sessionData.id },
-                    { $set: { status: 'failed', lastActivity: new Date() } }
-                );
-            }
-        }
+        await this.restorePlanner.run();
     }
 
+    /**
+     * Start the browser of a session that was logged in before a restart.
+     * Launch errors are thrown so SessionRestorePlanner can retry them.
+     */
     async restoreSession(sessionData) {
-        const { id: sessionId, userId, phoneNumber } = sessionData;
-        const sessionPath = path.join(__dirname, 'sessions', sessionId);
+        const { id: sessionId, userId } = sessionData;
+        const sessionPath = sessionData.sessionPath || path.join(__dirname, 'sessions', sessionId);
 
         console.log(`[SessionManager] Restoring session ${sessionId} for user ${userId}`);
 
         // Verify session directory exists
         if (!fs.existsSync(sessionPath)) {
-            throw new Error(`Session directory not found: ${sessionPath}`);
+            const error = new Error(`Session directory not found: ${sessionPath}`);
+            error.retryable = false; // Retrying cannot bring the profile back
+            throw error;
         }
 
         // Get or create container for user
@@ -90,30 +121,13 @@ class SessionManager {
             containerInfo = await this.containerManager.createUserContainer(userId);
         }
 
-        // Get proxy assignment
-        let proxyAssignment = null;
-        try {
-            proxyAssignment = this.proxyManager.getUserProxyAssignment(userId);
-            if (proxyAssignment) {
-                console.log(`[SessionManager] Using existing proxy for session ${sessionId}:`, proxyAssignment.proxy.host);
-            }
-        } catch (error) {
-            console.warn(`[SessionManager] No proxy found for restored session ${sessionId}:`, error.message);
+        // Goes through the browser pool like any other start
+        const result = await this.autoStartSession(sessionId, { throwOnError: true });
+        const automation = result && (result.automation || result);
+        if (!automation || !automation.page) {
+            throw new Error('Browser did not start');
         }
 
-        // Import WhatsAppAutomation class
-        const { WhatsAppAutomation } = require('./WhatsAppAutomation');
-        const automation = new WhatsAppAutomation(sessionPath, sessionId, proxyAssignment?.proxy);
-
-        // Add to active sessions
-        this.sessions.set(sessionId, automation);
-
-        // Update last activity
-        this.sessionsCollection.update(
-            { id: sessionId },
-            { $set: { lastActivity: new Date() } }
-        );
-
         console.log(`[SessionManager] Session ${sessionId} restored successfully`);
 
         return automation;
@@ -170,36 +184,18 @@ class SessionManager {
             }
         }
 
+        // Make room for the new browser; the caller releases the slot once it has started
+        await this.browserPool.reserve(sessionId);
+
         // Import WhatsAppAutomation class here to avoid circular dependency
         const { WhatsAppAutomation } = require('./WhatsAppAutomation');
         const automation = new WhatsAppAutomation(sessionPath, sessionId, proxyAssignment?.proxy);
-        this.sessions.set(sessionId, automation);
+        this.registerSession(sessionId, automation);
 
         // Set up event listeners for new session
         automation.on('authenticated', (data) => {
             console.log(`[${sessionId}] Session authenticated - updating database status`);
-
-            // Update session status in database
-            this.sessionsCollection.update(
-                { id: sessionId },
-                {
-                    $set: {
-                        status: 'authenticated',
-                        lastActivity: new Date(),
-                        authenticatedAt: new Date()
-                    }
-                }
-            );
-
-            // Update metadata
-            const meta = this.sessionMetadata.get(sessionId);
-            if (meta) {
-                meta.status = 'authenticated';
-                meta.lastActivity = new Date();
-                meta.authenticatedAt = new Date();
-            }
-
-            console.log(`[${sessionId}] Session status updated to authenticated in database`);
+            this.updateSessionStatus(sessionId, 'authenticated', 'Logged in', { authenticatedAt: new Date() });
         });
 
         // Create session metadata
@@ -229,6 +225,7 @@ class SessionManager {
         // Save to database
         this.sessionsCollection.insert(sessionData);
         this.sessionMetadata.set(sessionId, sessionData);
+        this.stateMachine.transition(sessionId, { to: 'initializing', reason: 'Session created' });
 
         // Update user session count
         this.usersCollection.update(
@@ -246,6 +243,41 @@ class SessionManager {
         return this.sessions.get(sessionId);
     }
 
+    /**
+     * Track a running automation and forward its lifecycle events to this.events
+     */
+    registerSession(sessionId, automation) {
+        this.sessions.set(sessionId, automation);
+
+        if (automation.lifecycleForwarded) return;
+        automation.lifecycleForwarded = true;
+
+        LIFECYCLE_EVENTS.forEach(event => {
+            automation.on(event, (data = {}) => {
+                this.publishEvent(sessionId, event, data);
+            });
+        });
+    }
+
+    /**
+     * Publish a session event to server-wide listeners
+     */
+    publishEvent(sessionId, event, data = {}) {
+        const metadata = this.sessionMetadata.get(sessionId) || this.sessionsCollection.findById(sessionId);
+
+        try {
+            this.events.emit('session-event', {
+                event,
+                sessionId,
+                userId: metadata?.userId || null,
+                data,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error(`[SessionManager] Event listener error for ${event}:`, error.message);
+        }
+    }
+
     getAllSessions() {
         const result = [];
         for (const [sessionId, metadata] of this.sessionMetadata.entries()) {
@@ -258,26 +290,60 @@ class SessionManager {
         return result;
     }
 
-    updateSessionStatus(sessionId, status) {
+    /**
+     * Move a session to a new status. Jumps the state machine does not allow
+     * (e.g. requires_auth -> active) are recorded and ignored.
+     * @param {string} reason - Why the status changed, kept in the transition history
+     * @param {object} changes - Extra fields stored with the new status, e.g. { authenticatedAt }
+     * @returns {boolean} false when the session is unknown or the transition was rejected
+     */
+    updateSessionStatus(sessionId, status, reason = null, changes = {}) {
         const metadata = this.sessionMetadata.get(sessionId);
+        const record = metadata || this.sessionsCollection.findById(sessionId);
+        if (!record) {
+            return false;
+        }
+
+        const previousStatus = record.status;
+        if (previousStatus !== status) {
+            const transition = this.stateMachine.transition(sessionId, { from: previousStatus, to: status, reason });
+            if (!transition.accepted) {
+                return false;
+            }
+        }
+
+        const lastActivity = new Date();
         if (metadata) {
-            metadata.status = status;
-            metadata.lastActivity = new Date();
+            Object.assign(metadata, changes, { status, lastActivity });
+        }
 
-            // Update in database
-            this.sessionsCollection.updateById(sessionId, {
-                status,
-                lastActivity: metadata.lastActivity
-            });
+        // Update in database
+        this.sessionsCollection.updateById(sessionId, {
+            ...changes,
+            status,
+            lastActivity
+        });
 
-            // Also update user's last activity
-            if (metadata.userId) {
-                this.usersCollection.update(
-                    { userId: metadata.userId },
-                    { lastActivity: new Date() }
-                );
-            }
+        // Also update user's last activity
+        if (record.userId) {
+            this.usersCollection.update(
+                { userId: record.userId },
+                { lastActivity: new Date() }
+            );
         }
+
+        if (previousStatus !== status) {
+            this.publishEvent(sessionId, 'status', { status, previousStatus, reason });
+        }
+        return true;
+    }
+
+    /**
+     * Status changes of a session, newest first
+     * @param {object} filters - { since, accepted, limit, offset }
+     */
+    getSessionTransitions(sessionId, filters = {}) {
+        return this.stateMachine.getTransitions(sessionId, filters);
     }
 
     updateSessionPhoneNumber(sessionId, phoneNumber) {
@@ -302,19 +368,8 @@ class SessionManager {
             this.sessions.delete(sessionId);
         }
 
-        // Update status in database but don't terminate
-        this.sessionsCollection.updateById(sessionId, {
-            status: 'authenticated',
-            lastActivity: new Date(),
-            browserClosed: true
-        });
-
-        // Keep metadata for session list display
-        const metadata = this.sessionMetadata.get(sessionId);
-        if (metadata) {
-            metadata.status = 'authenticated';
-            metadata.browserClosed = true;
-        }
+        // Update status in database but don't terminate; metadata stays for the session list
+        this.updateSessionStatus(sessionId, 'authenticated', 'Browser closed', { browserClosed: true });
     }
 
     async removeSession(sessionId) {
@@ -344,10 +399,7 @@ class SessionManager {
         }
 
         // Mark session as terminated in database
-        this.sessionsCollection.updateById(sessionId, {
-            status: 'terminated',
-            terminatedAt: new Date()
-        });
+        this.updateSessionStatus(sessionId, 'terminated', 'Session removed', { terminatedAt: new Date() });
 
         this.sessionMetadata.delete(sessionId);
 
@@ -420,6 +472,11 @@ class SessionManager {
                 const automation = this.sessions.get(sessionId);
                 let shouldRemove = true;
 
+                // Hibernated sessions have no browser to ask but keep their login in the profile
+                if (!automation && metadata.status === 'idle') {
+                    continue;
+                }
+
                 if (automation) {
                     try {
                         // Check if session is authenticated before removing
@@ -468,6 +525,31 @@ class SessionManager {
         });
     }
 
+    /**
+     * Replace a user's tags (used to target broadcasts)
+     * @returns {string[]|null} Normalized tags, or null if the user does not exist
+     */
+    setUserTags(userId, tags) {
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+            throw new Error('tags must be an array of strings');
+        }
+        if (!this.getUser(userId)) {
+            return null;
+        }
+
+        const normalized = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+        this.usersCollection.update({ userId }, { tags: normalized });
+        return normalized;
+    }
+
+    /**
+     * Users carrying at least one of the given tags
+     */
+    getUsersByTags(tags) {
+        return this.usersCollection.find()
+            .filter(user => (user.tags || []).some(tag => tags.includes(tag)));
+    }
+
     // Session recovery methods
     async recoverSession(sessionId) {
         const sessionData = this.sessionsCollection.findById(sessionId);
@@ -476,15 +558,205 @@ class SessionManager {
             const { WhatsAppAutomation } = require('./WhatsAppAutomation');
 
             const automation = new WhatsAppAutomation(sessionData.sessionPath, sessionId);
-            this.sessions.set(sessionId, automation);
+            this.registerSession(sessionId, automation);
             this.sessionMetadata.set(sessionId, sessionData);
             return automation;
         }
         return null;
     }
 
-    // Auto-start session if it exists but isn't running
-    async autoStartSession(sessionId) {
+    // Session export/import (moving a session between hosts)
+
+    /**
+     * Archive a logged-in session's profile, metadata and proxy so another host can
+     * import it. A running browser is hibernated first so the profile on disk is consistent.
+     * @returns {Buffer} Bundle archive
+     */
+    async exportSession(sessionId) {
+        const session = this.sessionsCollection.findById(sessionId);
+        if (!session || session.status === 'terminated') {
+            throw new ApiError('SESSION_NOT_FOUND');
+        }
+        if (!LOGGED_IN_STATES.includes(session.status)) {
+            throw new ApiError('SESSION_REQUIRES_AUTH', 'Only logged-in sessions can be exported', { status: session.status });
+        }
+        if (!session.sessionPath || !fs.existsSync(session.sessionPath)) {
+            throw new ApiError('NOT_FOUND', 'Session profile directory not found');
+        }
+
+        // The profile is only consistent once the browser is closed
+        if (this.sessions.get(sessionId)?.browser && !(await this.browserPool.hibernate(sessionId, 'export'))) {
+            throw new ApiError('INVALID_STATE', 'Session has operations in progress, export it once they finish');
+        }
+
+        const proxy = this.proxyManager.getUserProxy(session.userId)?.proxy;
+        const manifest = {
+            exportedAt: new Date().toISOString(),
+            session: Object.fromEntries(BUNDLE_SESSION_FIELDS.map(field => [field, session[field] ?? null])),
+            proxy: proxy ? {
+                host: proxy.host,
+                port: proxy.port,
+                username: proxy.username,
+                password: proxy.password,
+                tags: proxy.tags || []
+            } : null
+        };
+
+        try {
+            const bundle = createBundle(manifest, session.sessionPath);
+            console.log(`[SessionManager] Exported session ${sessionId} (${Math.round(bundle.length / 1024)}KB)`);
+            return bundle;
+        } catch (error) {
+            throw new ApiError('INVALID_STATE', `Session cannot be exported: ${error.message}`);
+        }
+    }
+
+    /**
+     * Recreate a session from an export bundle under its original id. The session
+     * comes back `idle` (logged in, browser closed) and starts on its next use.
+     * @param {Buffer} buffer - Bundle archive
+     * @param {object} options - { allowsUser(userId) } limiting which users may be imported
+     */
+    async importSession(buffer, { allowsUser = () => true } = {}) {
+        let bundle;
+        try {
+            bundle = readBundle(buffer);
+        } catch (error) {
+            throw new ApiError('INVALID_REQUEST', `Invalid session bundle: ${error.message}`);
+        }
+
+        const { manifest, files } = bundle;
+        const { id: sessionId, userId } = manifest.session;
+        if (typeof sessionId !== 'string' || !/^[\w-]+$/.test(sessionId)) {
+            throw new ApiError('INVALID_REQUEST', 'Invalid session bundle: unsafe session id');
+        }
+        if (!allowsUser(userId)) {
+            throw new ApiError('API_KEY_FORBIDDEN', 'API key is not allowed to access this user');
+        }
+
+        // A terminated session with the same id may be replaced
+        const existing = this.sessionsCollection.findById(sessionId);
+        if (existing && existing.status !== 'terminated') {
+            throw new ApiError('SESSION_EXISTS', null, { sessionId });
+        }
+
+        let user = this.usersCollection.findOne({ userId });
+        if (!user) {
+            user = this.usersCollection.insert({
+                userId,
+                createdAt: new Date(),
+                lastActivity: new Date(),
+                totalSessions: 0
+            });
+        }
+
+        let containerInfo = this.containerManager.getUserContainer(userId);
+        if (!containerInfo) {
+            console.log(`[SessionManager] Creating container for imported session ${sessionId}`);
+            containerInfo = await this.containerManager.createUserContainer(userId);
+        }
+
+        // Write next to the final directory and swap it in, so a failed import leaves nothing behind
+        const sessionPath = path.join(__dirname, 'sessions', sessionId);
+        const stagingPath = `${sessionPath}.import`;
+        try {
+            fs.rmSync(stagingPath, { recursive: true, force: true });
+            writeProfile(stagingPath, files);
+            fs.rmSync(sessionPath, { recursive: true, force: true });
+            fs.renameSync(stagingPath, sessionPath);
+        } catch (error) {
+            fs.rmSync(stagingPath, { recursive: true, force: true });
+            throw error;
+        }
+
+        const proxy = await this.importProxy(userId, sessionId, manifest.proxy);
+
+        const sessionData = {
+            ...Object.fromEntries(BUNDLE_SESSION_FIELDS.map(field => [field, manifest.session[field] ?? null])),
+            status: 'idle',
+            lastActivity: new Date(),
+            sessionPath,
+            proxyId: proxy?.id || null,
+            proxyInfo: proxy ? { host: proxy.host, port: proxy.port, status: proxy.status } : null,
+            containerInfo: {
+                containerId: containerInfo.containerId,
+                containerName: containerInfo.containerName,
+                ip: containerInfo.ip,
+                port: containerInfo.port,
+                endpoint: this.containerManager.getUserEndpoint(userId)
+            },
+            importedAt: new Date(),
+            exportedAt: manifest.exportedAt || null
+        };
+
+        if (existing) {
+            this.sessionsCollection.deleteById(sessionId);
+        }
+        this.sessionsCollection.insert(sessionData);
+        this.sessionMetadata.set(sessionId, sessionData);
+        this.stateMachine.transition(sessionId, { to: 'idle', reason: 'Imported from bundle' });
+
+        this.usersCollection.update(
+            { userId },
+            {
+                lastActivity: new Date(),
+                totalSessions: (user.totalSessions || 0) + 1
+            }
+        );
+
+        console.log(`[SessionManager] Imported session ${sessionId} for user ${userId} (${files.length} profile files)`);
+        return sessionData;
+    }
+
+    /**
+     * Keep an imported session on the proxy it used before, so WhatsApp sees the same
+     * address. A user who already has a proxy on this host keeps theirs.
+     * @returns {object|null} Proxy record
+     */
+    async importProxy(userId, sessionId, bundleProxy) {
+        const current = this.proxyManager.getUserProxy(userId);
+        if (current?.proxy) {
+            return current.proxy;
+        }
+        if (!bundleProxy) {
+            return null;
+        }
+
+        try {
+            const { host, port, username, password, tags } = bundleProxy;
+            const proxy = await this.proxyManager.addProxy(`${username}:${password}@${host}:${port}`, tags || []);
+            return this.proxyManager.assignProxy(userId, proxy.id, sessionId).proxy;
+        } catch (error) {
+            console.warn(`[${sessionId}] Imported without its proxy: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Auto-start session if it exists but isn't running. A failed start marks the
+    // session failed and returns null; with throwOnError the error is thrown instead
+    // and the status is left alone for the caller to retry.
+    async autoStartSession(sessionId, { throwOnError = false } = {}) {
+        this.browserPool.touch(sessionId);
+
+        // Join a start already under way; two browsers must never open the same profile
+        const ongoing = this.startingSessions.get(sessionId);
+        if (ongoing) {
+            return ongoing.catch(error => {
+                if (throwOnError) throw error;
+                return null;
+            });
+        }
+
+        const starting = this.launchSession(sessionId, { throwOnError })
+            .finally(() => this.startingSessions.delete(sessionId));
+        this.startingSessions.set(sessionId, starting);
+        return starting;
+    }
+
+    /**
+     * The start behind autoStartSession(); only ever one per session at a time
+     */
+    async launchSession(sessionId, { throwOnError }) {
         // First check if session is already in memory and running
         let automation = this.sessions.get(sessionId);
         if (automation && automation.page) {
@@ -505,14 +777,20 @@ class SessionManager {
         // Session exists in DB but not in memory - recover and start it
         console.log(`[${sessionId}] Auto-starting session from database`);
 
-        // Import required classes
-        const { WhatsAppAutomation } = require('./WhatsAppAutomation');
-
-        // Create new automation instance
-        automation = new WhatsAppAutomation(sessionData.sessionPath, sessionId);
-        this.sessions.set(sessionId, automation);
+        // Hibernates the least recently used sessions if the pool is full; throws when it cannot.
+        // Once reserved, every path below must reach the release in `finally`.
+        await this.browserPool.reserve(sessionId);
+        let woke = false;
+        automation = null;
 
         try {
+            // Import required classes
+            const { WhatsAppAutomation } = require('./WhatsAppAutomation');
+
+            // Create new automation instance
+            automation = new WhatsAppAutomation(sessionData.sessionPath, sessionId);
+            this.registerSession(sessionId, automation);
+
             // Initialize the browser and page
             await automation.initialize();
 
@@ -539,16 +817,17 @@ class SessionManager {
             if (isAuthenticated) {
                 // Session is authenticated, set up status handler
                 automation.statusHandler = new WhatsAppStatusHandler(automation.page, automation);
-                this.updateSessionStatus(sessionId, 'ready');
+                this.updateSessionStatus(sessionId, 'ready', 'Auto-started with a saved login');
                 console.log(`[${sessionId}] Session auto-started and authenticated`);
 
                 // Mark that this session should NOT auto-close after operations
                 automation.keepAlive = false;
 
+                woke = true;
                 return automation;
             } else {
                 // Session needs re-authentication
-                this.updateSessionStatus(sessionId, 'requires_auth');
+                this.updateSessionStatus(sessionId, 'requires_auth', 'Auto-started but logged out');
                 console.log(`[${sessionId}] Session auto-started but requires authentication`);
 
                 // Store authentication data in session metadata
@@ -577,28 +856,7 @@ class SessionManager {
 
                 automation.on('authenticated', (data) => {
                     console.log(`[${sessionId}] Session authenticated - updating database status`);
-
-                    // Update session status in database
-                    this.sessionsCollection.update(
-                        { id: sessionId },
-                        {
-                            $set: {
-                                status: 'authenticated',
-                                lastActivity: new Date(),
-                                authenticatedAt: new Date()
-                            }
-                        }
-                    );
-
-                    // Update metadata
-                    const meta = this.sessionMetadata.get(sessionId);
-                    if (meta) {
-                        meta.status = 'authenticated';
-                        meta.lastActivity = new Date();
-                        meta.authenticatedAt = new Date();
-                    }
-
-                    console.log(`[${sessionId}] Session status updated to authenticated in database`);
+                    this.updateSessionStatus(sessionId, 'authenticated', 'Logged in again', { authenticatedAt: new Date() });
                 });
 
                 // Start authentication with stored method
@@ -607,30 +865,152 @@ class SessionManager {
                 automation.handleLogin(authMethod, phoneNumber).then(async (loginSuccess) => {
                     if (loginSuccess) {
                         automation.statusHandler = new WhatsAppStatusHandler(automation.page, automation);
-                        this.updateSessionStatus(sessionId, 'ready');
+                        this.updateSessionStatus(sessionId, 'ready', 'Re-authenticated');
                         console.log(`[${sessionId}] Re-authentication successful`);
 
                         // Don't auto-close after re-authentication - let it stay open for the operation
                         automation.keepAlive = false;
                     } else {
-                        this.updateSessionStatus(sessionId, 'failed');
+                        this.updateSessionStatus(sessionId, 'failed', 'Re-authentication failed');
                         console.log(`[${sessionId}] Re-authentication failed`);
                     }
                 }).catch(error => {
                     console.error(`[${sessionId}] Re-authentication error:`, error);
-                    this.updateSessionStatus(sessionId, 'failed');
+                    this.updateSessionStatus(sessionId, 'failed', `Re-authentication error: ${error.message}`);
                 });
 
                 return automation;
             }
         } catch (error) {
             console.error(`[${sessionId}] Auto-start failed:`, error);
-            this.sessions.delete(sessionId);
-            this.updateSessionStatus(sessionId, 'failed');
+            // Don't leave a half-started browser running outside the pool
+            if (automation) {
+                this.sessions.delete(sessionId);
+                await automation.cleanup(true).catch(cleanupError => {
+                    console.error(`[${sessionId}] Closing browser after failed start failed:`, cleanupError.message);
+                });
+            }
+            if (throwOnError) throw error;
+            this.updateSessionStatus(sessionId, 'failed', `Auto-start failed: ${error.message}`);
             return null;
+        } finally {
+            this.browserPool.release(sessionId, { woke });
         }
     }
 
+    /**
+     * Send a status through a session, auto-starting its browser if needed.
+     * Follows the same checks as the /sessions/:id/status/* routes.
+     * @param {object} context - Extra status history fields, e.g. { evergreenId } or { broadcastId }
+     */
+    async sendStatus(sessionId, type, content, options = {}, context = {}) {
+        const sendMethods = {
+            text: 'sendTextStatus',
+            image: 'sendImageStatus',
+            video: 'sendVideoStatus'
+        };
+        if (!sendMethods[type]) {
+            throw new Error(`Unsupported status type: ${type}`);
+        }
+
+        const automation = await this.startStatusAutomation(sessionId);
+        const requestedAt = new Date();
+        const described = await describeStatusContent(type, content);
+
+        let sendResult;
+        try {
+            sendResult = await this.browserPool.whileBusy(sessionId, () => automation.statusHandler[sendMethods[type]](content, options));
+            if (!sendResult || !sendResult.success) {
+                throw new Error('Status send failed - no result returned');
+            }
+        } catch (error) {
+            this.publishSendResult(sessionId, type, null, error);
+            throw error;
+        }
+
+        this.updateSessionStatus(sessionId, 'active', `Sent ${type} status`);
+        this.publishSendResult(sessionId, type, sendResult, null, {
+            content: described,
+            options,
+            handler: automation.statusHandler.constructor.name,
+            requestedAt,
+            ...context
+        });
+        return sendResult;
+    }
+
+    /**
+     * Remove a published status through a session, auto-starting its browser if needed
+     * @returns {Promise<object>} Status handler result
+     */
+    async removeStatus(sessionId, messageId) {
+        const automation = await this.startStatusAutomation(sessionId);
+
+        const result = await this.browserPool.whileBusy(sessionId, () => automation.statusHandler.removeStatus(messageId));
+        if (!result || !result.success) {
+            throw new Error(result?.message || 'Status removal failed');
+        }
+
+        this.updateSessionStatus(sessionId, 'active', 'Removed a status');
+        this.statusHistory.markRemoved(sessionId, messageId);
+        return result;
+    }
+
+    /**
+     * Running automation with a status handler, for background sends and removals
+     */
+    async startStatusAutomation(sessionId) {
+        // Don't attempt to start session if it's waiting for authentication
+        const sessionStatus = this.sessionMetadata.get(sessionId)?.status;
+        if (sessionStatus === 'requires_auth' || sessionStatus === 'waiting_for_authentication') {
+            throw new Error('Session requires authentication. Please log in first.');
+        }
+
+        const result = await this.autoStartSession(sessionId);
+        if (!result) {
+            throw new Error('Session not found');
+        }
+
+        const automation = result.automation || result;
+        if (this.sessionMetadata.get(sessionId)?.status === 'requires_auth') {
+            throw new Error('Session requires re-authentication');
+        }
+
+        if (!automation.statusHandler && automation.page) {
+            automation.statusHandler = new WhatsAppStatusHandler(automation.page, automation);
+        }
+
+        if (!automation.statusHandler) {
+            throw new Error('Status handler not available - session may not be ready');
+        }
+
+        return automation;
+    }
+
+    /**
+     * Publish the outcome of a status send as a 'statusSent' event. Successful sends
+     * are also recorded in the status history when `sent` describes what was sent.
+     * @param {object} sent - { content, options, handler, requestedAt, evergreenId, broadcastId }; content from describeStatusContent()
+     */
+    publishSendResult(sessionId, type, sendResult, error = null, sent = null) {
+        if (!error && sendResult?.success && sent) {
+            try {
+                const metadata = this.sessionMetadata.get(sessionId) || this.sessionsCollection.findById(sessionId);
+                this.statusHistory.record({ sessionId, userId: metadata?.userId, type, result: sendResult, ...sent });
+            } catch (historyError) {
+                console.error(`[SessionManager] Failed to record status history for ${sessionId}:`, historyError.message);
+            }
+        }
+
+        this.publishEvent(sessionId, 'statusSent', {
+            type,
+            success: !error && Boolean(sendResult?.success),
+            method: sendResult?.method || null,
+            messageId: extractMessageId(sendResult),
+            error: error ? error.message : null
+        });
+    }
+
     // Database management
     backupDatabase(backupPath) {
         return this.db.backup(backupPath);
@@ -691,7 +1071,7 @@ class SessionManager {
             this.sessions.delete(sessionId);
 
             // Update status to indicate browser is closed but session persists
-            this.updateSessionStatus(sessionId, 'idle');
+            this.updateSessionStatus(sessionId, 'idle', 'Browser closed after job');
 
             return true;
         } catch (error) {
@@ -814,6 +1194,8 @@ class SessionManager {
 
         // Get proxy statistics
         const proxyStats = this.proxyManager.getStatistics();
+        const pool = this.browserPool.getMetrics();
+        const restore = this.restorePlanner.getProgress();
 
         return {
             totalUsers,
@@ -821,6 +1203,13 @@ class SessionManager {
             activeSessions,
             readySessions,
             memoryActiveSessions: this.sessions.size,
+            browserPool: {
+                maxBrowsers: pool.maxBrowsers,
+                live: pool.live,
+                available: pool.available,
+                hibernated: pool.hibernated
+            },
+            restore,
             proxies: proxyStats
         };
     }
@@ -860,7 +1249,7 @@ class SessionManager {
                     // Create new automation instance with new proxy
                     const { WhatsAppAutomation } = require('./WhatsAppAutomation');
                     const newAutomation = new WhatsAppAutomation(metadata.sessionPath, sessionId, proxyResult?.proxy);
-                    this.sessions.set(sessionId, newAutomation);
+                    this.registerSession(sessionId, newAutomation);
 
                     // Update metadata
                     metadata.proxyRotationPending = false;
@@ -876,10 +1265,9 @@ class SessionManager {
                     // Update in database
                     this.sessionsCollection.updateById(sessionId, {
                         proxyId: metadata.proxyId,
-                        proxyInfo: metadata.proxyInfo,
-                        lastActivity: new Date(),
-                        status: 'initializing' // Reset status as session is restarting
+                        proxyInfo: metadata.proxyInfo
                     });
+                    this.updateSessionStatus(sessionId, 'initializing', 'Restarted for proxy rotation');
 
                     console.log(`[SessionManager] Session ${sessionId} restarted with new proxy: ${metadata.proxyInfo?.host}:${metadata.proxyInfo?.port}`);
 
@@ -0,0 +1,250 @@
+const { parseDuration } = require('../utils/duration');
+
+// Statuses restored after a restart
+const RESTORABLE_STATES = ['authenticated', 'pending'];
+
+// ============================================
+// Session Restore on Startup
+// ============================================
+// Restarts the browsers of sessions that were logged in before a restart in
+// waves of RESTORE_PARALLELISM, pausing RESTORE_WAVE_DELAY between waves so
+// Chromium instances are not all launched at once. Sessions with scheduled work
+// (due soonest first) and users tagged with RESTORE_PRIORITY_TAGS go first.
+// Launch failures are retried with a doubling delay unless the error says they
+// cannot succeed (`retryable: false`, e.g. a missing profile directory). Once
+// the browser pool is full, the remaining sessions are deferred: they stay
+// hibernated and start on first use.
+class SessionRestorePlanner {
+    constructor(sessionManager, options = {}) {
+        this.sessionManager = sessionManager;
+        this.db = sessionManager.db;
+
+        this.parallelism = parseInt(options.parallelism || process.env.RESTORE_PARALLELISM || '3', 10);
+        this.waveDelay = parseDuration(options.waveDelay || process.env.RESTORE_WAVE_DELAY || '5s');
+        this.maxAttempts = parseInt(options.maxAttempts || process.env.RESTORE_MAX_ATTEMPTS || '3', 10);
+        this.retryDelay = parseDuration(options.retryDelay || process.env.RESTORE_RETRY_DELAY || '30s');
+        this.priorityTags = (options.priorityTags || process.env.RESTORE_PRIORITY_TAGS || 'paid,premium')
+            .split(',').map(tag => tag.trim()).filter(Boolean);
+
+        if (!Number.isInteger(this.parallelism) || this.parallelism < 1) {
+            throw new Error('RESTORE_PARALLELISM must be a positive integer');
+        }
+        if (!Number.isInteger(this.maxAttempts) || this.maxAttempts < 1) {
+            throw new Error('RESTORE_MAX_ATTEMPTS must be a positive integer');
+        }
+
+        this.entries = []; // Restore order with per-session progress
+        this.state = 'idle'; // idle -> running -> done
+        this.startedAt = null;
+        this.finishedAt = null;
+        this.wave = 0;
+        this.stopped = false;
+        this.wakeUp = null; // Ends the current pause early on stop()
+    }
+
+    /**
+     * Restorable sessions, most urgent first
+     */
+    plan() {
+        const sessions = this.sessionManager.sessionsCollection.find({ status: { $in: RESTORABLE_STATES } });
+
+        return sessions
+            .map(session => {
+                const workDueAt = this.nextScheduledWork(session);
+                const priorityUser = this.isPriorityUser(session.userId);
+                return {
+                    sessionId: session.id,
+                    userId: session.userId,
+                    // 0: scheduled work and priority user, 1: scheduled work, 2: priority user, 3: the rest
+                    rank: (workDueAt ? 0 : 2) + (priorityUser ? 0 : 1),
+                    workDueAt,
+                    priorityUser,
+                    lastActivity: new Date(session.lastActivity || 0).getTime(),
+                    state: 'queued',
+                    attempts: 0,
+                    nextAttemptAt: null,
+                    error: null,
+                    restoredAt: null
+                };
+            })
+            .sort((a, b) => a.rank - b.rank
+                || (a.workDueAt || '').localeCompare(b.workDueAt || '')
+                || b.lastActivity - a.lastActivity);
+    }
+
+    /**
+     * Earliest pending scheduled status, status removal, evergreen republish or
+     * recurring rule run for a session, as an ISO string (null if none)
+     */
+    nextScheduledWork(session) {
+        const due = [
+            ...this.db.collection('scheduledStatuses').find({ sessionId: session.id, status: 'scheduled' })
+                .map(job => job.scheduledAt),
+            ...this.db.collection('statusDeletions').find({ sessionId: session.id, status: 'scheduled' })
+                .map(deletion => deletion.deleteAt),
+            ...this.db.collection('evergreenStatuses').find({ sessionId: session.id, state: 'active' })
+                .map(evergreen => evergreen.nextRepublishAt),
+            // Rules without a session run for every session of their user
+            ...this.db.collection('statusRules').find({ status: 'active' })
+                .filter(rule => rule.sessionId === session.id || (!rule.sessionId && rule.userId === session.userId))
+                .map(rule => rule.nextRunAt)
+        ].filter(Boolean).map(at => new Date(at).toISOString());
+
+        return due.length > 0 ? due.sort()[0] : null;
+    }
+
+    isPriorityUser(userId) {
+        const user = this.sessionManager.getUser(userId);
+        return (user?.tags || []).some(tag => this.priorityTags.includes(tag));
+    }
+
+    /**
+     * Restore every planned session; resolves once each is restored or has failed for good
+     */
+    async run() {
+        this.entries = this.plan();
+        this.state = 'running';
+        this.startedAt = new Date();
+        this.finishedAt = null;
+        this.wave = 0;
+
+        console.log(`[SessionRestore] Restoring ${this.entries.length} sessions, ${this.parallelism} at a time`);
+
+        while (!this.stopped) {
+            const now = Date.now();
+            const ready = this.entries
+                .filter(entry => (entry.state === 'queued' || entry.state === 'retrying') && (entry.nextAttemptAt || 0) <= now)
+                .slice(0, this.parallelism);
+
+            if (ready.length === 0) {
+                const waiting = this.entries.filter(entry => entry.state === 'retrying');
+                if (waiting.length === 0) break;
+
+                await this.pause(Math.min(...waiting.map(entry => entry.nextAttemptAt)) - now);
+                continue;
+            }
+
+            this.wave++;
+            await Promise.all(ready.map(entry => this.restore(entry)));
+
+            if (this.entries.some(entry => entry.state === 'queued' || entry.state === 'retrying')) {
+                await this.pause(this.waveDelay);
+            }
+        }
+
+        this.state = 'done';
+        this.finishedAt = new Date();
+
+        const { restored, failed } = this.getProgress();
+        console.log(`[SessionRestore] Finished: ${restored} restored, ${failed} failed`);
+    }
+
+    async restore(entry) {
+        const sessionData = this.sessionManager.sessionsCollection.findById(entry.sessionId);
+        // Removed or logged out while waiting for its turn
+        if (!sessionData || !RESTORABLE_STATES.includes(sessionData.status)) {
+            entry.state = 'skipped';
+            return;
+        }
+
+        if (this.poolIsFull()) {
+            this.defer(entry, sessionData);
+            return;
+        }
+
+        entry.state = 'restoring';
+        entry.attempts++;
+
+        try {
+            await this.sessionManager.restoreSession(sessionData);
+            entry.state = 'restored';
+            entry.error = null;
+            entry.restoredAt = new Date().toISOString();
+        } catch (error) {
+            // Every open browser is in use; restoring would only push another session out
+            if (error.code === 'BROWSER_POOL_EXHAUSTED') {
+                this.defer(entry, sessionData);
+                return;
+            }
+
+            entry.error = error.message;
+
+            if (error.retryable !== false && entry.attempts < this.maxAttempts) {
+                const delay = this.retryDelay * 2 ** (entry.attempts - 1);
+                entry.state = 'retrying';
+                entry.nextAttemptAt = Date.now() + delay;
+                console.warn(`[SessionRestore] Restoring session ${entry.sessionId} failed (attempt ${entry.attempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+                return;
+            }
+
+            entry.state = 'failed';
+            console.error(`[SessionRestore] Failed to restore session ${entry.sessionId}:`, error.message);
+            this.sessionManager.updateSessionStatus(entry.sessionId, 'failed', `Restore failed: ${error.message}`);
+        }
+    }
+
+    poolIsFull() {
+        const pool = this.sessionManager.browserPool;
+        return pool.liveSessionIds().length >= pool.maxBrowsers;
+    }
+
+    defer(entry, sessionData) {
+        entry.state = 'deferred';
+        // Logged-in sessions without a browser are hibernated; pending ones have no login to keep
+        if (sessionData.status === 'authenticated') {
+            this.sessionManager.updateSessionStatus(entry.sessionId, 'idle', 'Restore deferred: browser pool is full');
+        }
+        console.log(`[SessionRestore] Deferred session ${entry.sessionId} until first use (browser pool is full)`);
+    }
+
+    pause(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, Math.max(ms, 0));
+            this.wakeUp = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.wakeUp) {
+            this.wakeUp();
+            this.wakeUp = null;
+        }
+    }
+
+    /**
+     * Restore counts; `sessions` adds the per-session order and outcome
+     */
+    getProgress({ sessions = false } = {}) {
+        const count = state => this.entries.filter(entry => entry.state === state).length;
+
+        const progress = {
+            state: this.state,
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            total: this.entries.length,
+            restored: count('restored'),
+            restoring: count('restoring'),
+            queued: count('queued'),
+            retrying: count('retrying'),
+            failed: count('failed'),
+            skipped: count('skipped'),
+            deferred: count('deferred'),
+            wave: this.wave,
+            parallelism: this.parallelism
+        };
+
+        if (sessions) {
+            progress.sessions = this.entries.map(({ lastActivity, nextAttemptAt, ...entry }) => ({
+                ...entry,
+                nextAttemptAt: nextAttemptAt ? new Date(nextAttemptAt).toISOString() : null
+            }));
+        }
+        return progress;
+    }
+}
+
+module.exports = SessionRestorePlanner;
@@ -0,0 +1,116 @@
+// ============================================
+// Session Lifecycle State Machine
+// ============================================
+// Every session status change goes through SessionManager.updateSessionStatus,
+// which asks this class whether the jump is allowed and records it. Rejected
+// jumps (e.g. a send marking a logged-out session `active`) are recorded too,
+// so a flapping session can be debugged from GET /sessions/:id/transitions.
+//
+//   initializing -> waiting_for_authentication -> authenticated -> ready <-> active
+//   ready/active -> idle (browser closed) -> ready (auto-started)
+//   any live state -> requires_auth (logged out) -> waiting_for_authentication
+//   any state -> failed; any state -> terminated (final)
+
+// Allowed targets for each state; staying in the same state is not a transition
+const TRANSITIONS = {
+    initializing: ['pending', 'waiting_for_authentication', 'authenticated', 'ready', 'requires_auth', 'failed', 'terminated'],
+    pending: ['waiting_for_authentication', 'authenticated', 'ready', 'requires_auth', 'failed', 'terminated'],
+    waiting_for_authentication: ['authenticated', 'ready', 'requires_auth', 'failed', 'terminated'],
+    requires_auth: ['waiting_for_authentication', 'authenticated', 'ready', 'failed', 'terminated'],
+    authenticated: ['initializing', 'ready', 'active', 'idle', 'requires_auth', 'failed', 'terminated'],
+    ready: ['initializing', 'authenticated', 'active', 'idle', 'requires_auth', 'failed', 'terminated'],
+    active: ['initializing', 'authenticated', 'ready', 'idle', 'requires_auth', 'failed', 'terminated'],
+    idle: ['initializing', 'authenticated', 'ready', 'active', 'requires_auth', 'failed', 'terminated'],
+    failed: ['initializing', 'pending', 'waiting_for_authentication', 'authenticated', 'ready', 'requires_auth', 'terminated'],
+    terminated: []
+};
+
+const SESSION_STATES = Object.keys(TRANSITIONS);
+const MAX_PAGE_SIZE = 500;
+
+class SessionStateMachine {
+    constructor(dbInstance, options = {}) {
+        this.db = dbInstance;
+        this.transitionsCollection = this.db.collection('sessionTransitions');
+
+        // Oldest entries are dropped past this many per session
+        this.maxTransitionsPerSession = options.maxTransitionsPerSession || 500;
+    }
+
+    /**
+     * Whether a session may move from one status to another. Sessions stored
+     * before this check existed may carry a status it does not know; they may
+     * move to any known status.
+     */
+    static canTransition(from, to) {
+        if (!TRANSITIONS[to]) return false;
+        if (!from || !TRANSITIONS[from]) return true;
+        return TRANSITIONS[from].includes(to);
+    }
+
+    /**
+     * Validate and record a status change
+     * @param {string} sessionId
+     * @param {object} change - { from, to, reason }
+     * @returns {object} Recorded transition; `accepted` is false when the change must not be applied
+     */
+    transition(sessionId, { from = null, to, reason = null }) {
+        const accepted = SessionStateMachine.canTransition(from, to);
+
+        const transition = this.transitionsCollection.insert({
+            sessionId,
+            from,
+            to,
+            reason,
+            accepted,
+            at: new Date().toISOString()
+        });
+        this.pruneTransitions(sessionId);
+
+        if (!accepted) {
+            console.warn(`[SessionState] Rejected ${from} -> ${to} for session ${sessionId}${reason ? ` (${reason})` : ''}`);
+        }
+        return transition;
+    }
+
+    /**
+     * Transitions of a session, newest first
+     * @param {object} filters - { since, accepted, limit, offset }; accepted filters on true/false
+     * @returns {object} { transitions, total, limit, offset }
+     */
+    getTransitions(sessionId, { since, accepted, limit = 100, offset = 0 } = {}) {
+        const query = { sessionId };
+        if (since) query.at = { $gte: new Date(since).toISOString() };
+        if (accepted !== undefined) query.accepted = accepted;
+
+        // Reversed first so transitions within the same millisecond also come newest first
+        const matches = this.transitionsCollection.find(query)
+            .reverse()
+            .sort((a, b) => b.at.localeCompare(a.at));
+
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_PAGE_SIZE);
+        const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+        return {
+            transitions: matches.slice(start, start + pageSize),
+            total: matches.length,
+            limit: pageSize,
+            offset: start
+        };
+    }
+
+    pruneTransitions(sessionId) {
+        const transitions = this.transitionsCollection.find({ sessionId });
+        if (transitions.length <= this.maxTransitionsPerSession) return;
+
+        transitions
+            .sort((a, b) => a.at.localeCompare(b.at))
+            .slice(0, transitions.length - this.maxTransitionsPerSession)
+            .forEach(transition => this.transitionsCollection.deleteById(transition.id));
+    }
+}
+
+module.exports = {
+    SessionStateMachine,
+    SESSION_STATES
+};
@@ -0,0 +1,283 @@
+const { parseDuration } = require('../utils/duration');
+const { describeStatusContent, extractMessageId } = require('../utils/statusUtils');
+
+const STATUS_TYPES = ['text', 'image', 'video'];
+const AUTH_STATES = ['requires_auth', 'waiting_for_authentication'];
+const MAX_CONCURRENCY = 10;
+const FINISHED_RESULTS = ['sent', 'skipped', 'failed'];
+
+// ============================================
+// One Status Broadcast to Many Sessions
+// ============================================
+// Publishes the same status to every target session through
+// SessionManager.sendStatus (which auto-starts idle sessions), a few sessions
+// at a time with a random pause between sends. Each broadcast keeps a
+// per-session report: sent, skipped (session needs to log in again) or failed.
+class StatusBroadcastManager {
+    constructor(sessionManager, statusDeletions, options = {}) {
+        this.sessionManager = sessionManager;
+        this.statusDeletions = statusDeletions;
+        this.broadcastsCollection = sessionManager.db.collection('broadcasts');
+
+        this.defaultConcurrency = options.concurrency || 3;
+        this.runs = new Map(); // broadcastId -> promise resolving when every session is done
+
+        this.recoverInterrupted();
+    }
+
+    /**
+     * Resolve the targets and start sending in the background
+     * @param {object} params - { type, content, options, sessionIds, userIds, tags, concurrency, jitter, deleteAfterMs, allowsUser, cleanup }
+     *   jitter is a maximum pause ("10s") or { min, max } between two sends of one worker;
+     *   deleteAfterMs removes each copy that long after it was sent;
+     *   allowsUser limits tag matches to users the caller may act for; cleanup runs once the broadcast finishes
+     * @returns {Promise<object>} Broadcast record with the initial report
+     */
+    async create({ type, content, options = {}, sessionIds = [], userIds = [], tags = [], concurrency, jitter, deleteAfterMs = null, allowsUser = () => true, cleanup = null }) {
+        if (!STATUS_TYPES.includes(type)) {
+            throw new Error(`type must be one of: ${STATUS_TYPES.join(', ')}`);
+        }
+        if (!content) {
+            throw new Error('content is required');
+        }
+
+        const workers = concurrency === undefined ? this.defaultConcurrency : parseInt(concurrency, 10);
+        if (!Number.isInteger(workers) || workers < 1 || workers > MAX_CONCURRENCY) {
+            throw new Error(`concurrency must be between 1 and ${MAX_CONCURRENCY}`);
+        }
+
+        const results = this.resolveTargets({ sessionIds, userIds, tags }, allowsUser);
+        if (!results.some(result => result.status === 'pending')) {
+            throw new Error('No sessions match the broadcast targets');
+        }
+
+        const broadcast = this.broadcastsCollection.insert({
+            type,
+            content: await describeStatusContent(type, content),
+            options,
+            targets: { sessionIds, userIds, tags },
+            concurrency: workers,
+            jitter: this.normalizeJitter(jitter),
+            deleteAfterMs,
+            status: 'running',
+            results,
+            counts: this.countResults(results),
+            createdAt: new Date(),
+            finishedAt: null,
+            updatedAt: new Date()
+        });
+
+        console.log(`[Broadcast] ${broadcast.id}: sending ${type} status to ${broadcast.counts.pending} session(s), ${workers} at a time`);
+
+        const run = this.run(broadcast, content)
+            .catch(error => console.error(`[Broadcast] ${broadcast.id} failed:`, error.message))
+            .finally(() => {
+                this.runs.delete(broadcast.id);
+                if (cleanup) cleanup();
+            });
+        this.runs.set(broadcast.id, run);
+
+        return broadcast;
+    }
+
+    /**
+     * One report entry per target session. Users without sessions and unknown
+     * sessions are reported rather than dropped.
+     */
+    resolveTargets({ sessionIds = [], userIds = [], tags = [] }, allowsUser) {
+        const results = [];
+        const seen = new Set();
+        const entry = (sessionId, userId, status = 'pending', reason = null) => ({
+            sessionId,
+            userId,
+            status,
+            reason,
+            method: null,
+            messageId: null,
+            error: null,
+            startedAt: null,
+            finishedAt: null
+        });
+
+        sessionIds.forEach(sessionId => {
+            if (seen.has(sessionId)) return;
+            seen.add(sessionId);
+
+            const session = this.sessionManager.sessionsCollection.findById(sessionId);
+            if (!session || session.status === 'terminated') {
+                results.push({ ...entry(sessionId, session ? session.userId : null, 'failed'), error: 'Session not found' });
+            } else {
+                results.push(entry(sessionId, session.userId));
+            }
+        });
+
+        const taggedUserIds = tags.length > 0
+            ? this.sessionManager.getUsersByTags(tags).map(user => user.userId).filter(allowsUser)
+            : [];
+
+        [...new Set([...userIds, ...taggedUserIds])].forEach(userId => {
+            const sessions = this.sessionManager.getActiveUserSessions(userId)
+                .filter(session => !seen.has(session.id));
+            if (sessions.length === 0 && !results.some(result => result.userId === userId)) {
+                results.push(entry(null, userId, 'skipped', 'no_sessions'));
+            }
+            sessions.forEach(session => {
+                seen.add(session.id);
+                results.push(entry(session.id, userId));
+            });
+        });
+
+        return results;
+    }
+
+    /**
+     * Accepts a maximum pause ("10s", or seconds) or { min, max }
+     * @returns {object} { minMs, maxMs }
+     */
+    normalizeJitter(jitter) {
+        if (!jitter) {
+            return { minMs: 0, maxMs: 0 };
+        }
+        if (typeof jitter !== 'object') {
+            return { minMs: 0, maxMs: parseDuration(jitter) };
+        }
+
+        const minMs = jitter.min ? parseDuration(jitter.min) : 0;
+        const maxMs = jitter.max ? parseDuration(jitter.max) : minMs;
+        if (maxMs < minMs) {
+            throw new Error('jitter.max must not be shorter than jitter.min');
+        }
+        return { minMs, maxMs };
+    }
+
+    getBroadcast(broadcastId) {
+        return this.broadcastsCollection.findById(broadcastId) || null;
+    }
+
+    getBroadcasts({ status, limit = 50 } = {}) {
+        const query = status ? { status } : {};
+        return this.broadcastsCollection.find(query)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .slice(0, limit);
+    }
+
+    /**
+     * Resolve with the broadcast once every session has been handled
+     */
+    async waitForBroadcast(broadcastId) {
+        await this.runs.get(broadcastId);
+        return this.getBroadcast(broadcastId);
+    }
+
+    // ============================================
+    // Sending
+    // ============================================
+
+    async run(broadcast, content) {
+        const queue = broadcast.results.filter(result => result.status === 'pending').map(result => result.sessionId);
+        const results = broadcast.results.map(result => ({ ...result }));
+        const { minMs, maxMs } = broadcast.jitter;
+
+        const worker = async () => {
+            for (let first = true; queue.length > 0; first = false) {
+                const sessionId = queue.shift();
+                if (!first && maxMs > 0) {
+                    await new Promise(resolve => setTimeout(resolve, minMs + Math.random() * (maxMs - minMs)));
+                }
+                await this.sendTo(broadcast, results, sessionId, content);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(broadcast.concurrency, queue.length) }, worker));
+
+        const counts = this.countResults(results);
+        this.broadcastsCollection.updateById(broadcast.id, {
+            status: 'completed',
+            counts,
+            finishedAt: new Date(),
+            updatedAt: new Date()
+        });
+        console.log(`[Broadcast] ${broadcast.id} completed: ${counts.sent} sent, ${counts.skipped} skipped, ${counts.failed} failed`);
+    }
+
+    async sendTo(broadcast, results, sessionId, content) {
+        const update = (changes) => {
+            const index = results.findIndex(result => result.sessionId === sessionId);
+            results[index] = { ...results[index], ...changes };
+            this.broadcastsCollection.updateById(broadcast.id, {
+                results: [...results],
+                counts: this.countResults(results),
+                updatedAt: new Date()
+            });
+        };
+        const sessionState = () => {
+            const metadata = this.sessionManager.sessionMetadata.get(sessionId) || this.sessionManager.sessionsCollection.findById(sessionId);
+            return metadata ? metadata.status : null;
+        };
+
+        // Sessions waiting for a QR scan or pairing code cannot send
+        if (AUTH_STATES.includes(sessionState())) {
+            return update({ status: 'skipped', reason: 'requires_auth', finishedAt: new Date() });
+        }
+
+        update({ status: 'sending', startedAt: new Date() });
+        try {
+            const sendResult = await this.sessionManager.sendStatus(sessionId, broadcast.type, content, broadcast.options || {}, {
+                broadcastId: broadcast.id
+            });
+            update({
+                status: 'sent',
+                method: sendResult.method || null,
+                messageId: extractMessageId(sendResult),
+                finishedAt: new Date()
+            });
+            if (broadcast.deleteAfterMs) {
+                this.statusDeletions.schedule({
+                    sessionId,
+                    messageId: extractMessageId(sendResult),
+                    deleteAfterMs: broadcast.deleteAfterMs,
+                    source: { broadcastId: broadcast.id }
+                });
+            }
+        } catch (error) {
+            // Auto-starting an idle session is what reveals that it was logged out
+            if (AUTH_STATES.includes(sessionState())) {
+                return update({ status: 'skipped', reason: 'requires_auth', error: error.message, finishedAt: new Date() });
+            }
+            console.error(`[Broadcast] ${broadcast.id}: send to ${sessionId} failed:`, error.message);
+            update({ status: 'failed', error: error.message, finishedAt: new Date() });
+        }
+    }
+
+    countResults(results) {
+        const counts = { total: results.length, pending: 0, sending: 0, sent: 0, skipped: 0, failed: 0 };
+        results.forEach(result => { counts[result.status]++; });
+        return counts;
+    }
+
+    /**
+     * Broadcasts run in memory, so sessions not reached before a restart are failed
+     */
+    recoverInterrupted() {
+        const interrupted = this.broadcastsCollection.find({ status: 'running' });
+
+        interrupted.forEach(broadcast => {
+            const results = broadcast.results.map(result => FINISHED_RESULTS.includes(result.status)
+                ? result
+                : { ...result, status: 'failed', error: 'Interrupted by server restart', finishedAt: new Date() });
+            this.broadcastsCollection.updateById(broadcast.id, {
+                status: 'interrupted',
+                results,
+                counts: this.countResults(results),
+                finishedAt: new Date(),
+                updatedAt: new Date()
+            });
+        });
+
+        if (interrupted.length > 0) {
+            console.log(`[Broadcast] Marked ${interrupted.length} interrupted broadcasts`);
+        }
+    }
+}
+
+module.exports = StatusBroadcastManager;
@@ -0,0 +1,244 @@
+const { parseDuration, formatDuration } = require('../utils/duration');
+const { ApiError } = require('../api/errors');
+
+const STATUS_LIFETIME_MS = 24 * 60 * 60 * 1000;
+const MIN_DELETE_AFTER_MS = 60 * 1000; // 1 minute
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000, 30 * 60 * 1000];
+
+// ============================================
+// Persistent Timers Removing Statuses Early
+// ============================================
+// A status sent with `deleteAfter` gets a deletion record that survives
+// restarts. When it comes due, the status is removed through
+// SessionManager.removeStatus (auto-starting the session), retried with
+// backoff on failure, and the outcome is kept on the record.
+class StatusDeletionManager {
+    constructor(sessionManager, statusScheduler, options = {}) {
+        this.sessionManager = sessionManager;
+        this.deletionsCollection = sessionManager.db.collection('statusDeletions');
+
+        this.checkInterval = options.checkInterval || 15 * 1000; // 15 seconds
+        this.runningSessions = new Set(); // One removal at a time per session
+        this.timer = null;
+
+        // Scheduled sends carry their deleteAfter until they are published
+        statusScheduler.onJobCompleted(job => this.scheduleForJob(job));
+
+        this.recoverInterrupted();
+        this.start();
+    }
+
+    /**
+     * Read the `deleteAfter` request field ("2h", "90m", or seconds)
+     * @returns {number|null} Milliseconds, or null when not given
+     */
+    static parseDeleteAfter(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+
+        const ms = parseDuration(value);
+        if (ms < MIN_DELETE_AFTER_MS || ms >= STATUS_LIFETIME_MS) {
+            throw new Error('deleteAfter must be at least 1 minute and shorter than 24 hours');
+        }
+        return ms;
+    }
+
+    // ============================================
+    // Deletion Management
+    // ============================================
+
+    /**
+     * Plan the removal of a published status
+     * @param {object} params - { sessionId, messageId, deleteAfterMs, publishedAt, source }
+     *   source records what sent the status (e.g. { jobId } or { broadcastId })
+     */
+    schedule({ sessionId, messageId, deleteAfterMs, publishedAt = new Date(), source = {} }) {
+        const session = this.sessionManager.sessionsCollection.findById(sessionId);
+        const published = new Date(publishedAt);
+        const deleteAt = new Date(published.getTime() + deleteAfterMs).toISOString();
+
+        const deletion = {
+            sessionId,
+            userId: session ? session.userId : null,
+            messageId: messageId || null,
+            source,
+            deleteAfter: formatDuration(deleteAfterMs),
+            publishedAt: published.toISOString(),
+            deleteAt,
+            status: 'scheduled',
+            nextAttemptAt: deleteAt,
+            attempts: 0,
+            attemptLog: [],
+            lastError: null,
+            deletedAt: null,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        // Without the message id there is nothing to remove; keep the failure visible
+        if (!messageId) {
+            Object.assign(deletion, {
+                status: 'failed',
+                nextAttemptAt: null,
+                lastError: 'The status handler did not report a message id'
+            });
+        }
+
+        const saved = this.deletionsCollection.insert(deletion);
+        console.log(`[StatusDeletion] Status ${messageId} of session ${sessionId} will be removed at ${deleteAt}`);
+        return saved;
+    }
+
+    scheduleForJob(job) {
+        if (!job || !job.deleteAfterMs || job.status !== 'sent') return;
+
+        this.schedule({
+            sessionId: job.sessionId,
+            messageId: job.result?.msgId,
+            deleteAfterMs: job.deleteAfterMs,
+            publishedAt: job.completedAt || new Date(),
+            source: { scheduledJobId: job.id }
+        });
+    }
+
+    getDeletions(sessionId, { status } = {}) {
+        const query = { sessionId };
+        if (status) query.status = status;
+
+        return this.deletionsCollection.find(query)
+            .sort((a, b) => a.deleteAt.localeCompare(b.deleteAt));
+    }
+
+    getDeletion(deletionId) {
+        return this.deletionsCollection.findById(deletionId) || null;
+    }
+
+    /**
+     * Keep the status up after all; it then expires after 24 hours as usual
+     */
+    cancel(deletionId) {
+        const deletion = this.getDeletion(deletionId);
+        if (!deletion) {
+            return null;
+        }
+        if (deletion.status !== 'scheduled') {
+            throw new ApiError('INVALID_STATE', `Cannot cancel a deletion with status '${deletion.status}'`);
+        }
+
+        this.deletionsCollection.updateById(deletionId, {
+            status: 'cancelled',
+            nextAttemptAt: null,
+            updatedAt: new Date()
+        });
+        return this.getDeletion(deletionId);
+    }
+
+    /**
+     * Removing a status twice is harmless, so interrupted removals simply run again
+     */
+    recoverInterrupted() {
+        const interrupted = this.deletionsCollection.find({ status: 'running' });
+
+        interrupted.forEach(deletion => {
+            this.deletionsCollection.updateById(deletion.id, {
+                status: 'scheduled',
+                nextAttemptAt: new Date().toISOString(),
+                updatedAt: new Date()
+            });
+        });
+
+        if (interrupted.length > 0) {
+            console.log(`[StatusDeletion] Requeued ${interrupted.length} interrupted deletions`);
+        }
+    }
+
+    // ============================================
+    // Execution
+    // ============================================
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.processDue().catch(error => {
+                console.error('[StatusDeletion] Error processing due deletions:', error.message);
+            });
+        }, this.checkInterval);
+
+        console.log(`[StatusDeletion] Started (checks every ${this.checkInterval / 1000} seconds)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async processDue() {
+        const now = new Date().toISOString();
+        const due = this.deletionsCollection.find({ status: 'scheduled' })
+            .filter(deletion => deletion.nextAttemptAt <= now)
+            .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+
+        const runs = [];
+        for (const deletion of due) {
+            if (this.runningSessions.has(deletion.sessionId)) {
+                continue; // Picked up on a later tick
+            }
+            this.runningSessions.add(deletion.sessionId);
+            runs.push(this.execute(deletion).finally(() => {
+                this.runningSessions.delete(deletion.sessionId);
+            }));
+        }
+
+        await Promise.all(runs);
+    }
+
+    async execute(deletion) {
+        const startedAt = new Date();
+
+        // WhatsApp already dropped it (e.g. the server was down past the 24h mark)
+        if (startedAt.getTime() >= new Date(deletion.publishedAt).getTime() + STATUS_LIFETIME_MS) {
+            this.deletionsCollection.updateById(deletion.id, { status: 'expired', nextAttemptAt: null, updatedAt: new Date() });
+            console.log(`[StatusDeletion] Status ${deletion.messageId} expired before it could be removed`);
+            return this.getDeletion(deletion.id);
+        }
+
+        this.deletionsCollection.updateById(deletion.id, { status: 'running', updatedAt: new Date() });
+
+        try {
+            await this.sessionManager.removeStatus(deletion.sessionId, deletion.messageId);
+
+            this.deletionsCollection.updateById(deletion.id, {
+                status: 'deleted',
+                attempts: deletion.attempts + 1,
+                attemptLog: [...deletion.attemptLog, { at: startedAt, success: true, error: null }],
+                nextAttemptAt: null,
+                lastError: null,
+                deletedAt: new Date(),
+                updatedAt: new Date()
+            });
+            console.log(`[StatusDeletion] Removed status ${deletion.messageId} of session ${deletion.sessionId}`);
+        } catch (error) {
+            const attempts = deletion.attempts + 1;
+            const retryDelay = RETRY_DELAYS_MS[attempts - 1];
+            const retryAt = retryDelay ? new Date(Date.now() + retryDelay) : null;
+
+            this.deletionsCollection.updateById(deletion.id, {
+                status: retryAt ? 'scheduled' : 'failed',
+                attempts,
+                attemptLog: [...deletion.attemptLog, { at: startedAt, success: false, error: error.message }],
+                nextAttemptAt: retryAt ? retryAt.toISOString() : null,
+                lastError: error.message,
+                updatedAt: new Date()
+            });
+            console.error(`[StatusDeletion] Removing status ${deletion.messageId} failed (attempt ${attempts}):`, error.message);
+        }
+
+        return this.getDeletion(deletion.id);
+    }
+}
+
+module.exports = StatusDeletionManager;
@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const { parseDuration } = require('../utils/duration');
+const { ApiError } = require('../api/errors');
+
+const STATUS_TYPES = ['text', 'image', 'video'];
+const EDITABLE_STATES = ['draft', 'pending_approval', 'rejected', 'failed'];
+const SUBMITTABLE_STATES = ['draft', 'rejected', 'failed'];
+
+// ============================================
+// Status Drafts with Client Approval
+// ============================================
+// A status sent with `draft` is stored instead of published. Once submitted,
+// the approver (by default the session's user) accepts or rejects it from the
+// dashboard, the API, or a one-time approval link. Approved drafts are handed
+// to the scheduler, which publishes them right away or at their scheduledAt.
+//
+//   draft -> pending_approval -> approved -> published
+//                             -> rejected -> (edit) draft
+// A failed publish leaves the draft `failed`; it can be edited and resubmitted.
+class StatusDraftManager {
+    constructor(sessionManager, statusScheduler, options = {}) {
+        this.sessionManager = sessionManager;
+        this.statusScheduler = statusScheduler;
+        this.draftsCollection = sessionManager.db.collection('statusDrafts');
+
+        // How long a one-time approval link stays valid (APPROVAL_LINK_TTL, e.g. "72h")
+        this.linkTtl = parseDuration(options.linkTtl || process.env.APPROVAL_LINK_TTL || '72h');
+        // Base of approval links; falls back to the URL the submit request came in on
+        this.publicUrl = options.publicUrl || process.env.PUBLIC_URL || null;
+
+        // Draft media lives until the draft is published or deleted
+        this.statusScheduler.registerMediaOwner(mediaId =>
+            this.draftsCollection.find({ mediaId }).some(draft => draft.state !== 'published')
+        );
+        this.statusScheduler.onJobCompleted(job => this.recordPublish(job));
+    }
+
+    /**
+     * Read the `draft` request field: true, "true", { submit, approverUserId, scheduledAt } or its JSON form
+     * @returns {object|null} { submit, approverUserId, scheduledAt } or null to send right away
+     */
+    static parseRequest(value) {
+        if (value === undefined || value === null || value === false || value === 'false' || value === '') {
+            return null;
+        }
+        if (value === true || value === 'true') {
+            return { submit: false, approverUserId: null, scheduledAt: null };
+        }
+
+        let spec = value;
+        if (typeof spec === 'string') {
+            try {
+                spec = JSON.parse(spec);
+            } catch (error) {
+                spec = null;
+            }
+        }
+        if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+            throw new Error('draft must be true or an object like { "submit": true, "scheduledAt": "..." }');
+        }
+        return {
+            submit: spec.submit === true || spec.submit === 'true',
+            approverUserId: spec.approverUserId || null,
+            scheduledAt: spec.scheduledAt || null
+        };
+    }
+
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    // ============================================
+    // Draft Management
+    // ============================================
+
+    /**
+     * Store a status for review
+     * @param {object} params - { sessionId, type, content, mediaId, options, scheduledAt, deleteAfterMs, createdBy }
+     *   media is given either as content (base64/data URL, or an upload { filePath, mimeType })
+     *   or as the id of media already in the scheduler's media store
+     */
+    create({ sessionId, type, content, mediaId, options = {}, scheduledAt = null, deleteAfterMs = null, createdBy = null }) {
+        const session = this.sessionManager.sessionsCollection.findById(sessionId);
+        if (!session || session.status === 'terminated') {
+            throw new ApiError('SESSION_NOT_FOUND');
+        }
+        if (!STATUS_TYPES.includes(type)) {
+            throw new Error(`type must be one of: ${STATUS_TYPES.join(', ')}`);
+        }
+
+        const draft = {
+            sessionId,
+            userId: session.userId,
+            type,
+            content: null,
+            mediaId: null,
+            options,
+            scheduledAt: scheduledAt ? this.statusScheduler.parseScheduledAt(scheduledAt).toISOString() : null,
+            deleteAfterMs,
+            state: 'draft',
+            approverUserId: null,
+            approval: null, // { tokenHash, expiresAt } while a link is outstanding
+            reviews: [],
+            publishJobId: null,
+            messageId: null,
+            publishedAt: null,
+            lastError: null,
+            createdBy,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        if (type === 'text') {
+            if (!content) {
+                throw new Error('content is required');
+            }
+            draft.content = content;
+        } else if (mediaId) {
+            draft.mediaId = mediaId;
+        } else if (content) {
+            draft.mediaId = this.statusScheduler.mediaStore.saveContent(content).mediaId;
+        } else {
+            throw new Error('content is required');
+        }
+
+        const saved = this.draftsCollection.insert(draft);
+        console.log(`[StatusDraft] Saved ${type} draft ${saved.id} for session ${sessionId}`);
+        return saved;
+    }
+
+    getDrafts({ sessionId, state } = {}) {
+        const query = {};
+        if (sessionId) query.sessionId = sessionId;
+        if (state) query.state = state;
+
+        return this.draftsCollection.find(query)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    getDraft(draftId) {
+        return this.draftsCollection.findById(draftId) || null;
+    }
+
+    /**
+     * Draft as returned by the API; the approval token hash never leaves the server
+     */
+    sanitize(draft) {
+        if (!draft) return null;
+        const { approval, ...rest } = draft;
+        return { ...rest, approvalExpiresAt: approval ? approval.expiresAt : null };
+    }
+
+    /**
+     * Change content, options or timing. Editing a submitted draft withdraws it
+     * (the outstanding approval link stops working).
+     * @param {object} changes - { content, options, scheduledAt, deleteAfterMs }; content replaces text or media
+     */
+    update(draftId, { content, options, scheduledAt, deleteAfterMs }) {
+        const draft = this.requireDraft(draftId, EDITABLE_STATES, 'edit');
+
+        const changes = { state: 'draft', approval: null, lastError: null, updatedAt: new Date() };
+        if (options !== undefined) changes.options = options || {};
+        if (scheduledAt !== undefined) {
+            changes.scheduledAt = scheduledAt ? this.statusScheduler.parseScheduledAt(scheduledAt).toISOString() : null;
+        }
+        if (deleteAfterMs !== undefined) changes.deleteAfterMs = deleteAfterMs;
+
+        let replacedMediaId = null;
+        if (content !== undefined) {
+            if (!content) {
+                throw new Error('content must not be empty');
+            }
+            if (draft.type === 'text') {
+                changes.content = content;
+            } else {
+                changes.mediaId = this.statusScheduler.mediaStore.saveContent(content).mediaId;
+                if (changes.mediaId !== draft.mediaId) replacedMediaId = draft.mediaId;
+            }
+        }
+
+        this.draftsCollection.updateById(draftId, changes);
+        if (replacedMediaId) this.statusScheduler.releaseMediaId(replacedMediaId);
+        return this.getDraft(draftId);
+    }
+
+    /**
+     * Ask the approver to review the draft
+     * @param {object} params - { approverUserId, publicUrl } approverUserId defaults to the previous
+     *   approver, then the session's user;
+     *   publicUrl is the base of the link when PUBLIC_URL is not configured
+     * @returns {object} { draft, approvalUrl, expiresAt } the link is only returned here and in the event
+     */
+    submit(draftId, { approverUserId = null, publicUrl = null } = {}) {
+        const draft = this.requireDraft(draftId, SUBMITTABLE_STATES, 'submit');
+
+        const approver = approverUserId || draft.approverUserId || draft.userId;
+        if (!this.sessionManager.getUser(approver)) {
+            throw new ApiError('USER_NOT_FOUND', `Approver ${approver} does not exist`);
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+        const expiresAt = new Date(Date.now() + this.linkTtl).toISOString();
+        this.draftsCollection.updateById(draftId, {
+            state: 'pending_approval',
+            approverUserId: approver,
+            approval: { tokenHash: StatusDraftManager.hashToken(token), expiresAt },
+            submittedAt: new Date(),
+            lastError: null,
+            updatedAt: new Date()
+        });
+
+        const approvalUrl = `${(this.publicUrl || publicUrl || '').replace(/\/$/, '')}/approve/${token}`;
+        this.sessionManager.publishEvent(draft.sessionId, 'draftPendingApproval', {
+            draftId,
+            type: draft.type,
+            approverUserId: approver,
+            approvalUrl,
+            expiresAt
+        });
+
+        console.log(`[StatusDraft] Draft ${draftId} submitted to ${approver} for approval`);
+        return { draft: this.getDraft(draftId), approvalUrl, expiresAt };
+    }
+
+    /**
+     * Approve or reject a submitted draft. Approval hands it to the scheduler.
+     * @param {object} params - { approve, comment, by } by records who decided (e.g. "dashboard", "link")
+     */
+    decide(draftId, { approve, comment = null, by = null }) {
+        const draft = this.requireDraft(draftId, ['pending_approval'], approve ? 'approve' : 'reject');
+
+        const review = { decision: approve ? 'approved' : 'rejected', comment, by, at: new Date().toISOString() };
+        const reviews = [...draft.reviews, review];
+
+        if (!approve) {
+            this.draftsCollection.updateById(draftId, { state: 'rejected', approval: null, reviews, updatedAt: new Date() });
+            this.sessionManager.publishEvent(draft.sessionId, 'draftRejected', { draftId, comment, by });
+            console.log(`[StatusDraft] Draft ${draftId} rejected by ${by || 'unknown'}`);
+            return this.getDraft(draftId);
+        }
+
+        // Queued before the state changes so a missing session leaves the draft pending
+        const job = this.statusScheduler.enqueue(draft.sessionId, {
+            type: draft.type,
+            content: draft.content,
+            mediaId: draft.mediaId,
+            options: draft.options || {},
+            scheduledAt: draft.scheduledAt && new Date(draft.scheduledAt) > new Date() ? draft.scheduledAt : new Date(),
+            deleteAfterMs: draft.deleteAfterMs,
+            draftId
+        });
+
+        this.draftsCollection.updateById(draftId, {
+            state: 'approved',
+            approval: null,
+            reviews,
+            publishJobId: job.id,
+            updatedAt: new Date()
+        });
+        console.log(`[StatusDraft] Draft ${draftId} approved by ${by || 'unknown'}, publishing at ${job.scheduledAt}`);
+        return this.getDraft(draftId);
+    }
+
+    /**
+     * Draft behind a one-time approval link, or null when the link is unknown, used or expired
+     */
+    findByToken(token) {
+        if (!token) return null;
+
+        const tokenHash = StatusDraftManager.hashToken(token);
+        const draft = this.draftsCollection.find({ state: 'pending_approval' })
+            .find(candidate => candidate.approval && candidate.approval.tokenHash === tokenHash);
+        if (!draft || new Date(draft.approval.expiresAt) <= new Date()) {
+            return null;
+        }
+        return draft;
+    }
+
+    /**
+     * Delete a draft that has not been published. An approved draft waiting
+     * for its scheduled time is withdrawn from the scheduler.
+     */
+    remove(draftId) {
+        const draft = this.getDraft(draftId);
+        if (!draft) {
+            return false;
+        }
+        if (draft.state === 'published') {
+            throw new ApiError('INVALID_STATE', 'A published draft cannot be deleted; remove the status instead');
+        }
+
+        if (draft.state === 'approved') {
+            const job = this.statusScheduler.getJob(draft.publishJobId);
+            if (job && job.status !== 'scheduled') {
+                throw new ApiError('INVALID_STATE', 'The draft is being published');
+            }
+            if (job) this.statusScheduler.cancel(job.id);
+        }
+
+        this.draftsCollection.deleteById(draftId);
+        if (draft.mediaId) this.statusScheduler.releaseMediaId(draft.mediaId);
+        console.log(`[StatusDraft] Deleted draft ${draftId}`);
+        return true;
+    }
+
+    requireDraft(draftId, states, action) {
+        const draft = this.getDraft(draftId);
+        if (!draft) {
+            throw new ApiError('DRAFT_NOT_FOUND');
+        }
+        if (!states.includes(draft.state)) {
+            throw new ApiError('INVALID_STATE', `Cannot ${action} a draft in state '${draft.state}'`);
+        }
+        return draft;
+    }
+
+    // ============================================
+    // Publishing
+    // ============================================
+
+    /**
+     * Mark the draft published (or failed) once its scheduler job ran
+     */
+    recordPublish(job) {
+        if (!job || !job.draftId) return;
+
+        const draft = this.getDraft(job.draftId);
+        if (!draft || draft.publishJobId !== job.id) return;
+
+        if (job.status !== 'sent') {
+            this.draftsCollection.updateById(draft.id, {
+                state: 'failed',
+                lastError: job.result?.error || 'Publishing failed',
+                updatedAt: new Date()
+            });
+            console.error(`[StatusDraft] Publishing draft ${draft.id} failed:`, job.result?.error);
+            return;
+        }
+
+        this.draftsCollection.updateById(draft.id, {
+            state: 'published',
+            messageId: job.result.msgId,
+            publishedAt: new Date(job.completedAt || Date.now()).toISOString(),
+            lastError: null,
+            updatedAt: new Date()
+        });
+        if (draft.mediaId) this.statusScheduler.releaseMediaId(draft.mediaId);
+
+        this.sessionManager.publishEvent(draft.sessionId, 'draftPublished', { draftId: draft.id, messageId: job.result.msgId });
+        console.log(`[StatusDraft] Draft ${draft.id} published`);
+    }
+}
+
+module.exports = StatusDraftManager;
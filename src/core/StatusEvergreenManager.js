@@ -0,0 +1,337 @@
+const { parseDuration } = require('../utils/duration');
+const { ApiError } = require('../api/errors');
+
+const STATUS_LIFETIME_MS = 24 * 60 * 60 * 1000;
+const STATUS_TYPES = ['text', 'image', 'video'];
+
+// ============================================
+// Evergreen Statuses (republished before they expire)
+// ============================================
+// A status sent with `evergreen` is reposted through the scheduler shortly
+// before WhatsApp drops it after 24 hours, optionally removing the previous
+// copy once the new one is up, so the same content is always visible.
+// Every republish goes through SessionManager.sendStatus and is recorded in
+// the status history with the evergreen id.
+class StatusEvergreenManager {
+    constructor(sessionManager, statusScheduler, options = {}) {
+        this.sessionManager = sessionManager;
+        this.statusScheduler = statusScheduler;
+        this.evergreenCollection = sessionManager.db.collection('evergreenStatuses');
+
+        // Republish this long before expiry (EVERGREEN_REPUBLISH_LEAD, e.g. "30m")
+        this.lead = parseDuration(options.lead || process.env.EVERGREEN_REPUBLISH_LEAD || '30m');
+        this.retryDelay = options.retryDelay || 5 * 60 * 1000; // 5 minutes
+        this.checkInterval = options.checkInterval || 30 * 1000; // 30 seconds
+        this.timer = null;
+
+        if (this.lead >= STATUS_LIFETIME_MS) {
+            throw new Error('EVERGREEN_REPUBLISH_LEAD must be shorter than 24 hours');
+        }
+
+        // Evergreen media is reused for every republish until the status is stopped
+        this.statusScheduler.registerMediaOwner(mediaId =>
+            this.evergreenCollection.find({ mediaId, state: { $in: ['pending', 'active'] } }).length > 0
+        );
+        this.statusScheduler.onJobCompleted(job => this.recordRepublish(job));
+
+        this.recoverPending();
+        this.start();
+    }
+
+    /**
+     * Read the `evergreen` request field: true, "true", { deletePrevious } or its JSON form
+     * @returns {object|null} { deletePrevious } or null when the status is not evergreen
+     */
+    static parseRequest(value) {
+        if (value === undefined || value === null || value === false || value === 'false' || value === '') {
+            return null;
+        }
+        if (value === true || value === 'true') {
+            return { deletePrevious: false };
+        }
+
+        let spec = value;
+        if (typeof spec === 'string') {
+            try {
+                spec = JSON.parse(spec);
+            } catch (error) {
+                spec = null;
+            }
+        }
+        if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+            throw new Error('evergreen must be true or an object like { "deletePrevious": true }');
+        }
+        return { deletePrevious: spec.deletePrevious === true || spec.deletePrevious === 'true' };
+    }
+
+    // ============================================
+    // Evergreen Management
+    // ============================================
+
+    /**
+     * Register a status about to be sent. It stays pending until activate() or fail()
+     * reports the outcome of the first send.
+     * @param {object} params - { sessionId, type, content, mediaId, options, deletePrevious }
+     *   media is given either as content (base64/data URL, or an upload { filePath, mimeType })
+     *   or as the id of media already in the scheduler's media store
+     */
+    create({ sessionId, type, content, mediaId, options = {}, deletePrevious = false }) {
+        const session = this.sessionManager.sessionsCollection.findById(sessionId);
+        if (!session || session.status === 'terminated') {
+            throw new ApiError('SESSION_NOT_FOUND');
+        }
+        if (!STATUS_TYPES.includes(type)) {
+            throw new Error(`type must be one of: ${STATUS_TYPES.join(', ')}`);
+        }
+
+        const evergreen = {
+            sessionId,
+            userId: session.userId,
+            type,
+            options,
+            deletePrevious: Boolean(deletePrevious),
+            state: 'pending',
+            currentMessageId: null,
+            publishedAt: null,
+            nextRepublishAt: null,
+            republishJobId: null,
+            republishCount: 0,
+            lastRepublishedAt: null,
+            lastError: null,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        if (type === 'text') {
+            if (!content) {
+                throw new Error('content is required');
+            }
+            evergreen.content = content;
+            evergreen.mediaId = null;
+        } else if (mediaId) {
+            evergreen.mediaId = mediaId;
+        } else if (content) {
+            evergreen.mediaId = this.statusScheduler.mediaStore.saveContent(content).mediaId;
+        } else {
+            throw new Error('content is required');
+        }
+
+        const saved = this.evergreenCollection.insert(evergreen);
+        console.log(`[Evergreen] Registered ${type} status ${saved.id} for session ${sessionId}`);
+        return saved;
+    }
+
+    /**
+     * The first send succeeded: plan the republish before it expires
+     */
+    activate(evergreenId, { messageId = null, publishedAt = new Date() } = {}) {
+        const published = new Date(publishedAt);
+        this.evergreenCollection.updateById(evergreenId, {
+            state: 'active',
+            currentMessageId: messageId,
+            publishedAt: published.toISOString(),
+            nextRepublishAt: this.republishTime(published).toISOString(),
+            updatedAt: new Date()
+        });
+
+        const evergreen = this.getEvergreen(evergreenId);
+        console.log(`[Evergreen] Status ${evergreenId} is live, republishing at ${evergreen.nextRepublishAt}`);
+        return evergreen;
+    }
+
+    /**
+     * The first send failed: nothing is visible, so there is nothing to keep alive
+     */
+    fail(evergreenId, error) {
+        const evergreen = this.getEvergreen(evergreenId);
+        if (!evergreen) return;
+
+        this.evergreenCollection.updateById(evergreenId, {
+            state: 'failed',
+            lastError: error ? error.message || String(error) : null,
+            updatedAt: new Date()
+        });
+        this.releaseMedia(evergreen);
+    }
+
+    getEvergreens(sessionId, { state } = {}) {
+        const query = { sessionId };
+        if (state) query.state = state;
+
+        return this.evergreenCollection.find(query)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    getEvergreen(evergreenId) {
+        return this.evergreenCollection.findById(evergreenId) || null;
+    }
+
+    /**
+     * Stop republishing. The current copy stays up until WhatsApp expires it.
+     */
+    stopEvergreen(evergreenId, reason = 'Stopped by request') {
+        const evergreen = this.getEvergreen(evergreenId);
+        if (!evergreen) {
+            return null;
+        }
+        if (!['pending', 'active'].includes(evergreen.state)) {
+            throw new ApiError('INVALID_STATE', `Evergreen status is already ${evergreen.state}`);
+        }
+
+        const queued = evergreen.republishJobId && this.statusScheduler.getJob(evergreen.republishJobId);
+        if (queued && queued.status === 'scheduled') {
+            this.statusScheduler.cancel(queued.id);
+        }
+
+        this.evergreenCollection.updateById(evergreenId, {
+            state: 'stopped',
+            nextRepublishAt: null,
+            stoppedAt: new Date(),
+            stoppedReason: reason,
+            updatedAt: new Date()
+        });
+        this.releaseMedia(evergreen);
+
+        console.log(`[Evergreen] Stopped status ${evergreenId}: ${reason}`);
+        return this.getEvergreen(evergreenId);
+    }
+
+    republishTime(publishedAt) {
+        return new Date(new Date(publishedAt).getTime() + STATUS_LIFETIME_MS - this.lead);
+    }
+
+    releaseMedia(evergreen) {
+        if (evergreen.mediaId) {
+            this.statusScheduler.releaseMediaId(evergreen.mediaId);
+        }
+    }
+
+    /**
+     * First sends run in memory, so a restart loses them; their outcome is unknown
+     */
+    recoverPending() {
+        const pending = this.evergreenCollection.find({ state: 'pending' });
+        pending.forEach(evergreen => this.fail(evergreen.id, new Error('Interrupted by server restart')));
+
+        if (pending.length > 0) {
+            console.log(`[Evergreen] Marked ${pending.length} interrupted evergreen statuses as failed`);
+        }
+    }
+
+    // ============================================
+    // Republishing
+    // ============================================
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            try {
+                this.processDue();
+            } catch (error) {
+                console.error('[Evergreen] Error processing due statuses:', error.message);
+            }
+        }, this.checkInterval);
+
+        console.log(`[Evergreen] Started (republishing ${this.lead / 60000} minutes before expiry)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    processDue() {
+        const now = Date.now();
+        this.evergreenCollection.find({ state: 'active' })
+            .filter(evergreen => evergreen.nextRepublishAt && new Date(evergreen.nextRepublishAt).getTime() <= now)
+            .forEach(evergreen => this.republish(evergreen));
+    }
+
+    /**
+     * Queue the next copy through the scheduler; the outcome arrives in recordRepublish()
+     */
+    republish(evergreen) {
+        let job;
+        try {
+            job = this.statusScheduler.enqueue(evergreen.sessionId, {
+                type: evergreen.type,
+                content: evergreen.content,
+                mediaId: evergreen.mediaId,
+                options: evergreen.options || {},
+                evergreenId: evergreen.id,
+                replacesMessageId: evergreen.currentMessageId
+            });
+        } catch (error) {
+            if (error instanceof ApiError && error.code === 'SESSION_NOT_FOUND') {
+                return this.stopEvergreen(evergreen.id, 'Session no longer exists');
+            }
+            console.error(`[Evergreen] Could not queue republish of ${evergreen.id}:`, error.message);
+            this.evergreenCollection.updateById(evergreen.id, {
+                lastError: error.message,
+                nextRepublishAt: new Date(Date.now() + this.retryDelay).toISOString(),
+                updatedAt: new Date()
+            });
+            return null;
+        }
+
+        // Cleared so the status is not queued twice while the job waits its turn
+        this.evergreenCollection.updateById(evergreen.id, {
+            nextRepublishAt: null,
+            republishJobId: job.id,
+            updatedAt: new Date()
+        });
+        console.log(`[Evergreen] Republishing status ${evergreen.id} (job ${job.id})`);
+        return job;
+    }
+
+    /**
+     * Move the evergreen to the new copy, or retry later if the send failed
+     */
+    recordRepublish(job) {
+        if (!job || !job.evergreenId) return;
+
+        const evergreen = this.getEvergreen(job.evergreenId);
+        if (!evergreen || evergreen.state !== 'active' || evergreen.republishJobId !== job.id) return;
+
+        if (job.status !== 'sent') {
+            console.error(`[Evergreen] Republish of ${evergreen.id} failed:`, job.result?.error);
+            this.evergreenCollection.updateById(evergreen.id, {
+                lastError: job.result?.error || 'Republish failed',
+                nextRepublishAt: new Date(Date.now() + this.retryDelay).toISOString(),
+                updatedAt: new Date()
+            });
+            return;
+        }
+
+        const publishedAt = new Date(job.completedAt || Date.now());
+        this.evergreenCollection.updateById(evergreen.id, {
+            currentMessageId: job.result.msgId,
+            publishedAt: publishedAt.toISOString(),
+            nextRepublishAt: this.republishTime(publishedAt).toISOString(),
+            republishCount: (evergreen.republishCount || 0) + 1,
+            lastRepublishedAt: publishedAt.toISOString(),
+            lastError: null,
+            updatedAt: new Date()
+        });
+
+        if (evergreen.deletePrevious && job.replacesMessageId) {
+            this.removePrevious(evergreen, job.replacesMessageId).catch(error => {
+                console.error(`[Evergreen] Could not remove previous copy of ${evergreen.id}:`, error.message);
+                this.evergreenCollection.updateById(evergreen.id, {
+                    lastError: `Previous copy not removed: ${error.message}`,
+                    updatedAt: new Date()
+                });
+            });
+        }
+    }
+
+    async removePrevious(evergreen, messageId) {
+        await this.sessionManager.removeStatus(evergreen.sessionId, messageId);
+        console.log(`[Evergreen] Removed previous copy ${messageId} of ${evergreen.id}`);
+    }
+}
+
+module.exports = StatusEvergreenManager;
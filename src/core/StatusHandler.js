@@ -1,4 +1,5 @@
 const { STATUS_BROADCAST_JID } = require('../utils/statusUtils');
+const { stageUploadInPage, releaseUploadInPage } = require('../utils/uploads');
 
 class WhatsAppStatusHandler {
     constructor(page, whatsappAutomation) {
@@ -291,6 +292,7 @@ class WhatsAppStatusHandler {
     async sendStatus(type, content, options = {}) {
         console.log(`[${new Date().toISOString()}] Sending ${type} status with ultra-fast method...`);
 
+        let uploadToken = null;
         try {
             // CRITICAL: Wait for WA-JS to be fully ready before proceeding
             await this.waitForWAJS(type === 'text' ? 'sendTextStatus' : type === 'image' ? 'sendImageStatus' : type === 'video' ? 'sendVideoStatus' : null);
@@ -356,10 +358,24 @@ class WhatsAppStatusHandler {
             // Increase timeout for users with large contact lists (they need more time to process)
             this.page.setDefaultTimeout(5000);
 
+            // Uploaded files ({ filePath, mimeType, fileName }) are handed to the browser by path
+            if (content && content.filePath) {
+                uploadToken = await stageUploadInPage(this.page, content);
+                content = { uploadToken };
+            }
+
             const result = await this.page.evaluate(async ({ statusType, statusContent, statusOptions }) => {
                 try {
                     console.log(`[${new Date().toISOString()}] Sending ${statusType} NOW...`);
 
+                    // Swap the upload token for the File staged by stageUploadInPage()
+                    if (statusContent && statusContent.uploadToken) {
+                        statusContent = window.__statusUploads && window.__statusUploads[statusContent.uploadToken];
+                        if (!statusContent) {
+                            throw new Error('Uploaded file is no longer available in the page');
+                        }
+                    }
+
                     // Method 0: Skip WPP.status methods - they're undefined in current WhatsApp Web version
                     console.log(`[${new Date().toISOString()}] Skipping WPP.status methods (undefined in current version)...`);
 
@@ -807,6 +823,10 @@ class WhatsAppStatusHandler {
         } catch (error) {
             console.error(`[${new Date().toISOString()}] ERROR sending ${type} status:`, error.message);
             throw error;
+        } finally {
+            if (uploadToken) {
+                await releaseUploadInPage(this.page, uploadToken);
+            }
         }
     }
 
@@ -1949,9 +1969,30 @@ class WhatsAppStatusHandler {
                             console.log('Error getting MsgInfo:', error.message);
                         }
 
+                        viewerInfo.viewerContacts = getViewerContacts(viewerInfo.viewers);
                         return viewerInfo;
                     };
 
+                    // Push name and phone number of each viewer; @lid viewers only expose a number through their contact
+                    const getViewerContacts = (viewerIds) => {
+                        const contacts = {};
+                        viewerIds.map(String).forEach(viewerId => {
+                            const [user, server] = viewerId.split('@');
+                            let contact = null;
+                            try {
+                                contact = window.WPP.whatsapp.ContactStore.get(viewerId);
+                            } catch (error) {
+                                // Contact not loaded yet
+                            }
+                            const phoneNumber = contact && contact.phoneNumber ? contact.phoneNumber.user || null : null;
+                            contacts[viewerId] = {
+                                pushName: contact ? contact.pushname || contact.verifiedName || contact.name || null : null,
+                                number: phoneNumber || (server === 'c.us' || server === 's.whatsapp.net' ? user : null)
+                            };
+                        });
+                        return contacts;
+                    };
+
                     // If statusId is not provided, return all messages with view counts
                     if (!statusId) {
                         const allMessages = await Promise.all(messages.map(async msg => {
@@ -1967,6 +2008,7 @@ class WhatsAppStatusHandler {
                                 timestamp: msg.t,
                                 viewCount: viewerInfo.viewCount,
                                 viewers: viewerInfo.viewers,
+                                viewerContacts: viewerInfo.viewerContacts,
                                 readReceipts: viewerInfo.readReceipts,
                                 ack: msg.ack || 0,
                                 caption: msg.caption || null
@@ -2018,6 +2060,7 @@ class WhatsAppStatusHandler {
                         caption: msg.caption || null,
                         viewCount: viewerInfo.viewCount,
                         viewers: viewerInfo.viewers,
+                        viewerContacts: viewerInfo.viewerContacts,
                         readReceipts: viewerInfo.readReceipts,
                         ack: msg.ack || 0,
 
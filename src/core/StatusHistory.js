@@ -0,0 +1,85 @@
+const { extractMessageId } = require('../utils/statusUtils');
+
+const MAX_PAGE_SIZE = 500;
+
+// ============================================
+// Persistent Record of Published Statuses
+// ============================================
+// WhatsApp Web drops statuses from StatusV3Store after 24 hours; every
+// successful send is kept here so the history outlives the status itself.
+class StatusHistory {
+    constructor(dbInstance) {
+        this.db = dbInstance;
+        this.statusesCollection = this.db.collection('statuses');
+    }
+
+    /**
+     * Record a successful send
+     * @param {object} entry - { sessionId, userId, type, content, options, handler, result, requestedAt, evergreenId, broadcastId }
+     *   content is the output of describeStatusContent(); evergreenId is set for evergreen sends and republishes,
+     *   broadcastId for sends made by a broadcast
+     */
+    record({ sessionId, userId, type, content = {}, options = {}, handler = null, result, requestedAt = null, evergreenId = null, broadcastId = null, draftId = null }) {
+        const sentAt = new Date().toISOString();
+
+        return this.statusesCollection.insert({
+            sessionId,
+            userId: userId || null,
+            type,
+            text: content.text !== undefined ? content.text : null,
+            mediaHash: content.mediaHash || null,
+            mimeType: content.mimeType || null,
+            size: content.size !== undefined ? content.size : null,
+            options,
+            handler,
+            method: result?.method || null,
+            messageId: extractMessageId(result),
+            evergreenId,
+            broadcastId,
+            draftId,
+            requestedAt: requestedAt ? new Date(requestedAt).toISOString() : sentAt,
+            sentAt,
+            removedAt: null
+        });
+    }
+
+    /**
+     * Note that a status was taken down before it expired
+     */
+    markRemoved(sessionId, messageId, removedAt = new Date()) {
+        if (!messageId) return;
+        this.statusesCollection.update({ sessionId, messageId }, { removedAt: new Date(removedAt).toISOString() });
+    }
+
+    /**
+     * Statuses of a session, newest first
+     * @param {string} sessionId
+     * @param {object} filters - { from, to, type, evergreenId, limit, offset }; from is inclusive, to exclusive
+     * @returns {object} { statuses, total, limit, offset }
+     */
+    getHistory(sessionId, { from, to, type, evergreenId, limit = 50, offset = 0 } = {}) {
+        const query = { sessionId };
+        if (type) query.type = type;
+        if (evergreenId) query.evergreenId = evergreenId;
+        if (from || to) {
+            query.sentAt = {};
+            if (from) query.sentAt.$gte = new Date(from).toISOString();
+            if (to) query.sentAt.$lt = new Date(to).toISOString();
+        }
+
+        const matches = this.statusesCollection.find(query)
+            .sort((a, b) => b.sentAt.localeCompare(a.sentAt));
+
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+        const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+        return {
+            statuses: matches.slice(start, start + pageSize),
+            total: matches.length,
+            limit: pageSize,
+            offset: start
+        };
+    }
+}
+
+module.exports = StatusHistory;
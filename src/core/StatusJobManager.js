@@ -0,0 +1,161 @@
+const { v4: uuidv4 } = require('uuid');
+const { extractMessageId } = require('../utils/statusUtils');
+
+const FINISHED_STATES = ['succeeded', 'failed'];
+
+// ============================================
+// Background Jobs for Media Status Sends
+// ============================================
+// Image and video uploads can take minutes, so the API answers with a job id
+// right away and GET /jobs/:jobId reports the outcome. Sends for one session
+// run one at a time, in the order they were requested.
+class StatusJobManager {
+    constructor(sessionManager, options = {}) {
+        this.sessionManager = sessionManager;
+        this.jobsCollection = sessionManager.db.collection('statusJobs');
+
+        // Finished jobs are kept for a while so clients can still poll them
+        this.retention = options.retention || 7 * 24 * 60 * 60 * 1000; // 7 days
+        this.sessionQueues = new Map(); // sessionId -> tail of that session's send chain
+        this.completions = new Map(); // jobId -> promise resolving with the finished job
+
+        this.recoverInterruptedJobs();
+        this.timer = setInterval(() => this.cleanup(), 60 * 60 * 1000);
+    }
+
+    /**
+     * Queue a send. `send` is called when the job's turn comes and must resolve
+     * with the status handler result. `details` is stored on the job as-is;
+     * `content` (from describeStatusContent), `options`, `handler` and `evergreenId`
+     * in it are recorded in the status history once the send succeeds.
+     */
+    create(sessionId, type, send, details = {}) {
+        const session = this.sessionManager.sessionsCollection.findById(sessionId);
+
+        const job = this.jobsCollection.insert({
+            ...details,
+            id: uuidv4(),
+            sessionId,
+            userId: session ? session.userId : null,
+            type,
+            status: 'queued',
+            method: null,
+            messageId: null,
+            error: null,
+            createdAt: new Date(),
+            startedAt: null,
+            finishedAt: null,
+            updatedAt: new Date()
+        });
+
+        const previous = this.sessionQueues.get(sessionId) || Promise.resolve();
+        const completion = previous.then(() => this.run(job.id, send));
+        this.completions.set(job.id, completion);
+
+        const tail = completion.catch(() => {});
+        this.sessionQueues.set(sessionId, tail);
+        tail.then(() => {
+            this.completions.delete(job.id);
+            if (this.sessionQueues.get(sessionId) === tail) {
+                this.sessionQueues.delete(sessionId);
+            }
+        });
+
+        console.log(`[StatusJobManager] Queued ${type} status job ${job.id} for session ${sessionId}`);
+        return job;
+    }
+
+    async run(jobId, send) {
+        const job = this.jobsCollection.findById(jobId);
+        this.update(jobId, { status: 'running', startedAt: new Date() });
+
+        let result = null;
+        try {
+            result = await send();
+            if (!result || !result.success) {
+                throw new Error('Status send failed - no result returned');
+            }
+        } catch (error) {
+            console.error(`[StatusJobManager] ${job.type} status job ${jobId} failed:`, error.message);
+            this.sessionManager.publishSendResult(job.sessionId, job.type, result, error);
+            return this.update(jobId, {
+                status: 'failed',
+                method: result ? result.method || null : null,
+                error: { code: error.code || 'SEND_FAILED', message: error.message },
+                finishedAt: new Date()
+            });
+        }
+
+        this.sessionManager.updateSessionStatus(job.sessionId, 'active', `Sent ${job.type} status`);
+        this.sessionManager.publishSendResult(job.sessionId, job.type, result, null, job.content ? {
+            content: job.content,
+            options: job.options,
+            handler: job.handler,
+            requestedAt: job.createdAt,
+            evergreenId: job.evergreenId || null
+        } : null);
+        console.log(`[StatusJobManager] ${job.type} status job ${jobId} succeeded (${result.method})`);
+        return this.update(jobId, {
+            status: 'succeeded',
+            method: result.method || null,
+            messageId: extractMessageId(result),
+            finishedAt: new Date()
+        });
+    }
+
+    update(jobId, updates) {
+        this.jobsCollection.updateById(jobId, { ...updates, updatedAt: new Date() });
+        return this.getJob(jobId);
+    }
+
+    getJob(jobId) {
+        return this.jobsCollection.findById(jobId) || null;
+    }
+
+    /**
+     * Resolve with the job once it has succeeded or failed
+     */
+    async waitForJob(jobId) {
+        const job = this.getJob(jobId);
+        if (!job || FINISHED_STATES.includes(job.status)) {
+            return job;
+        }
+        await this.completions.get(jobId);
+        return this.getJob(jobId);
+    }
+
+    /**
+     * Jobs left queued or running by a crash lost their content with the
+     * process, so they are failed rather than silently dropped
+     */
+    recoverInterruptedJobs() {
+        const interrupted = this.jobsCollection.find({ status: { $in: ['queued', 'running'] } });
+
+        interrupted.forEach(job => {
+            this.jobsCollection.updateById(job.id, {
+                status: 'failed',
+                error: { code: 'SEND_FAILED', message: 'Interrupted by server restart' },
+                finishedAt: new Date(),
+                updatedAt: new Date()
+            });
+        });
+
+        if (interrupted.length > 0) {
+            console.log(`[StatusJobManager] Marked ${interrupted.length} interrupted jobs as failed`);
+        }
+    }
+
+    cleanup() {
+        const cutoff = Date.now() - this.retention;
+        const expired = this.jobsCollection.find({ status: { $in: FINISHED_STATES } })
+            .filter(job => new Date(job.finishedAt).getTime() < cutoff);
+        expired.forEach(job => this.jobsCollection.deleteById(job.id));
+        return expired.length;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+}
+
+module.exports = StatusJobManager;
@@ -0,0 +1,409 @@
+const { getNextCronRun, assertValidTimezone } = require('../utils/cronSchedule');
+const { parseDuration, formatDuration } = require('../utils/duration');
+const { ApiError } = require('../api/errors');
+
+const STATUS_TYPES = ['text', 'image', 'video'];
+const MIN_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// ============================================
+// Recurring Status Rules (cron expressions or fixed intervals)
+// ============================================
+class StatusRuleManager {
+    constructor(sessionManager, statusScheduler, options = {}) {
+        this.sessionManager = sessionManager;
+        this.statusScheduler = statusScheduler;
+        this.rulesCollection = sessionManager.db.collection('statusRules');
+        this.runsCollection = sessionManager.db.collection('statusRuleRuns');
+
+        this.checkInterval = options.checkInterval || 30 * 1000; // 30 seconds
+        this.timer = null;
+
+        // Rule media lives in the shared media store and must outlive individual jobs
+        this.statusScheduler.registerMediaOwner(mediaId =>
+            this.rulesCollection.find({ mediaId }).length > 0
+        );
+        this.statusScheduler.onJobCompleted(job => this.recordJobResult(job));
+
+        this.start();
+    }
+
+    // ============================================
+    // Rule Management
+    // ============================================
+
+    /**
+     * Create a rule targeting a single session or every active session of a user
+     */
+    createRule({ name, sessionId, userId, schedule, type, content, options = {} }) {
+        if (!sessionId && !userId) {
+            throw new Error('sessionId or userId is required');
+        }
+        if (sessionId && userId) {
+            throw new Error('Provide either sessionId or userId, not both');
+        }
+
+        if (sessionId) {
+            const session = this.sessionManager.sessionsCollection.findById(sessionId);
+            if (!session || session.status === 'terminated') {
+                throw new ApiError('SESSION_NOT_FOUND');
+            }
+        } else if (!this.sessionManager.getUser(userId)) {
+            throw new ApiError('USER_NOT_FOUND');
+        }
+
+        if (!STATUS_TYPES.includes(type)) {
+            throw new Error(`type must be one of: ${STATUS_TYPES.join(', ')}`);
+        }
+        if (!content) {
+            throw new Error('content is required');
+        }
+
+        const normalizedSchedule = this.normalizeSchedule(schedule);
+
+        const rule = {
+            name: name || `${type} rule`,
+            sessionId: sessionId || null,
+            userId: userId || null,
+            schedule: normalizedSchedule,
+            type,
+            options,
+            status: 'active',
+            nextRunAt: this.computeNextRun(normalizedSchedule, new Date()).toISOString(),
+            lastRunAt: null,
+            lastRun: null,
+            runCount: 0,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        if (type === 'text') {
+            rule.content = content;
+        } else {
+            rule.mediaId = this.statusScheduler.mediaStore.save(content).mediaId;
+        }
+
+        const saved = this.rulesCollection.insert(rule);
+        console.log(`[StatusRules] Created rule ${saved.id} (${this.describeSchedule(normalizedSchedule)}), next run ${saved.nextRunAt}`);
+        return saved;
+    }
+
+    getRules({ sessionId, userId, status } = {}) {
+        const query = {};
+        if (sessionId) query.sessionId = sessionId;
+        if (userId) query.userId = userId;
+        if (status) query.status = status;
+
+        return this.rulesCollection.find(query)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    getRule(ruleId) {
+        return this.rulesCollection.findById(ruleId) || null;
+    }
+
+    /**
+     * Update name, schedule, content or options of an existing rule
+     */
+    updateRule(ruleId, updates = {}) {
+        const rule = this.getRule(ruleId);
+        if (!rule) {
+            return null;
+        }
+
+        const changes = { updatedAt: new Date() };
+
+        if (updates.name !== undefined) {
+            changes.name = updates.name;
+        }
+        if (updates.options !== undefined) {
+            changes.options = updates.options;
+        }
+        if (updates.schedule !== undefined) {
+            changes.schedule = this.normalizeSchedule(updates.schedule);
+            changes.nextRunAt = this.computeNextRun(changes.schedule, new Date()).toISOString();
+        }
+
+        const type = updates.type || rule.type;
+        if (!STATUS_TYPES.includes(type)) {
+            throw new Error(`type must be one of: ${STATUS_TYPES.join(', ')}`);
+        }
+        if (type !== rule.type && !updates.content) {
+            throw new Error('content is required when changing type');
+        }
+
+        let previousMediaId = null;
+        if (updates.content) {
+            changes.type = type;
+            if (type === 'text') {
+                changes.content = updates.content;
+                changes.mediaId = null;
+            } else {
+                changes.mediaId = this.statusScheduler.mediaStore.save(updates.content).mediaId;
+                changes.content = null;
+            }
+            previousMediaId = rule.mediaId !== changes.mediaId ? rule.mediaId : null;
+        }
+
+        this.rulesCollection.updateById(ruleId, changes);
+        if (previousMediaId) {
+            this.statusScheduler.releaseMediaId(previousMediaId);
+        }
+
+        return this.getRule(ruleId);
+    }
+
+    pauseRule(ruleId) {
+        const rule = this.getRule(ruleId);
+        if (!rule) {
+            return null;
+        }
+
+        this.rulesCollection.updateById(ruleId, {
+            status: 'paused',
+            nextRunAt: null,
+            pausedAt: new Date(),
+            updatedAt: new Date()
+        });
+
+        console.log(`[StatusRules] Paused rule ${ruleId}`);
+        return this.getRule(ruleId);
+    }
+
+    /**
+     * Resume a paused rule; runs missed while paused are skipped
+     */
+    resumeRule(ruleId) {
+        const rule = this.getRule(ruleId);
+        if (!rule) {
+            return null;
+        }
+
+        this.rulesCollection.updateById(ruleId, {
+            status: 'active',
+            nextRunAt: this.computeNextRun(rule.schedule, new Date()).toISOString(),
+            pausedAt: null,
+            updatedAt: new Date()
+        });
+
+        console.log(`[StatusRules] Resumed rule ${ruleId}`);
+        return this.getRule(ruleId);
+    }
+
+    /**
+     * Delete a rule, cancelling its queued jobs and releasing its media
+     */
+    deleteRule(ruleId) {
+        const rule = this.getRule(ruleId);
+        if (!rule) {
+            return false;
+        }
+
+        this.statusScheduler.jobsCollection.find({ ruleId, status: 'scheduled' })
+            .forEach(job => this.statusScheduler.cancel(job.id));
+
+        this.rulesCollection.deleteById(ruleId);
+        if (rule.mediaId) {
+            this.statusScheduler.releaseMediaId(rule.mediaId);
+        }
+
+        console.log(`[StatusRules] Deleted rule ${ruleId}`);
+        return true;
+    }
+
+    getRuns(ruleId, { limit = 50 } = {}) {
+        return this.runsCollection.find({ ruleId })
+            .sort((a, b) => new Date(b.firedAt) - new Date(a.firedAt))
+            .slice(0, limit);
+    }
+
+    // ============================================
+    // Schedules
+    // ============================================
+
+    /**
+     * Accepts a cron string, { cron, timezone } or { every: '6h' }
+     */
+    normalizeSchedule(schedule) {
+        if (typeof schedule === 'string') {
+            schedule = { cron: schedule };
+        }
+
+        if (!schedule || typeof schedule !== 'object') {
+            throw new Error('schedule is required (cron expression or { every })');
+        }
+
+        if (schedule.cron) {
+            if (schedule.timezone) {
+                assertValidTimezone(schedule.timezone);
+            }
+            // Throws on invalid expressions
+            getNextCronRun(schedule.cron, new Date(), schedule.timezone || null);
+            return { cron: schedule.cron.trim(), timezone: schedule.timezone || null };
+        }
+
+        if (schedule.every) {
+            const intervalMs = parseDuration(schedule.every);
+            if (intervalMs < MIN_INTERVAL_MS) {
+                throw new Error('Recurring interval must be at least 1 minute');
+            }
+            return { every: formatDuration(intervalMs), intervalMs };
+        }
+
+        throw new Error('schedule must contain cron or every');
+    }
+
+    computeNextRun(schedule, after, previousRunAt = null) {
+        if (schedule.cron) {
+            return getNextCronRun(schedule.cron, after, schedule.timezone);
+        }
+
+        // Intervals are anchored to the previous planned run to avoid drift
+        let next = previousRunAt
+            ? new Date(new Date(previousRunAt).getTime() + schedule.intervalMs)
+            : new Date(after.getTime() + schedule.intervalMs);
+        if (next.getTime() <= after.getTime()) {
+            next = new Date(after.getTime() + schedule.intervalMs);
+        }
+        return next;
+    }
+
+    describeSchedule(schedule) {
+        if (schedule.cron) {
+            return `cron "${schedule.cron}"${schedule.timezone ? ` ${schedule.timezone}` : ''}`;
+        }
+        return `every ${schedule.every}`;
+    }
+
+    // ============================================
+    // Execution
+    // ============================================
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            try {
+                this.processDueRules();
+            } catch (error) {
+                console.error('[StatusRules] Error processing due rules:', error.message);
+            }
+        }, this.checkInterval);
+
+        console.log(`[StatusRules] Started (checks every ${this.checkInterval / 1000} seconds)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    processDueRules() {
+        const now = new Date();
+        const dueRules = this.rulesCollection.find({ status: 'active' })
+            .filter(rule => rule.nextRunAt && new Date(rule.nextRunAt).getTime() <= now.getTime());
+
+        dueRules.forEach(rule => this.fireRule(rule, now));
+    }
+
+    /**
+     * Queue one job per target session and record the run.
+     * Runs missed during downtime fire once, then the schedule moves forward.
+     */
+    fireRule(rule, now = new Date()) {
+        const targets = rule.sessionId
+            ? [this.sessionManager.sessionsCollection.findById(rule.sessionId)]
+                .filter(session => session && session.status !== 'terminated')
+            : this.sessionManager.getActiveUserSessions(rule.userId);
+
+        const run = this.runsCollection.insert({
+            ruleId: rule.id,
+            scheduledFor: rule.nextRunAt,
+            firedAt: now,
+            status: 'queued',
+            jobs: [],
+            completedAt: null
+        });
+
+        const jobs = [];
+        for (const session of targets) {
+            try {
+                const job = this.statusScheduler.enqueue(session.id, {
+                    type: rule.type,
+                    content: rule.content,
+                    mediaId: rule.mediaId,
+                    options: rule.options || {},
+                    scheduledAt: now,
+                    ruleId: rule.id,
+                    ruleRunId: run.id
+                });
+                jobs.push({ jobId: job.id, sessionId: session.id, status: 'scheduled', method: null, msgId: null, error: null });
+            } catch (error) {
+                jobs.push({ jobId: null, sessionId: session.id, status: 'failed', method: null, msgId: null, error: error.message });
+            }
+        }
+
+        const runUpdate = { jobs };
+        if (jobs.length === 0) {
+            runUpdate.status = 'skipped';
+            runUpdate.error = 'No active sessions for this rule';
+            runUpdate.completedAt = now;
+        } else if (jobs.every(job => job.status === 'failed')) {
+            runUpdate.status = 'failed';
+            runUpdate.completedAt = now;
+        }
+        this.runsCollection.updateById(run.id, runUpdate);
+
+        this.rulesCollection.updateById(rule.id, {
+            lastRunAt: now.toISOString(),
+            lastRun: { runId: run.id, status: runUpdate.status || 'queued' },
+            runCount: (rule.runCount || 0) + 1,
+            nextRunAt: this.computeNextRun(rule.schedule, now, rule.nextRunAt).toISOString(),
+            updatedAt: new Date()
+        });
+
+        console.log(`[StatusRules] Rule ${rule.id} fired for ${jobs.length} session(s)`);
+        return this.runsCollection.findById(run.id);
+    }
+
+    /**
+     * Copy a finished scheduler job's result into its rule run
+     */
+    recordJobResult(job) {
+        if (!job || !job.ruleRunId) return;
+
+        const run = this.runsCollection.findById(job.ruleRunId);
+        if (!run) return;
+
+        const jobs = run.jobs.map(entry => entry.jobId === job.id
+            ? {
+                ...entry,
+                status: job.status,
+                method: job.result?.method || null,
+                msgId: job.result?.msgId || null,
+                error: job.result?.error || null
+            }
+            : entry);
+
+        const runUpdate = { jobs };
+        if (jobs.every(entry => ['sent', 'failed', 'cancelled'].includes(entry.status))) {
+            const sent = jobs.filter(entry => entry.status === 'sent').length;
+            runUpdate.status = sent === jobs.length ? 'succeeded' : sent > 0 ? 'partial' : 'failed';
+            runUpdate.completedAt = new Date();
+        }
+        this.runsCollection.updateById(run.id, runUpdate);
+
+        if (runUpdate.status) {
+            const rule = this.getRule(run.ruleId);
+            if (rule && rule.lastRun && rule.lastRun.runId === run.id) {
+                this.rulesCollection.updateById(rule.id, {
+                    lastRun: { runId: run.id, status: runUpdate.status },
+                    updatedAt: new Date()
+                });
+            }
+        }
+    }
+}
+
+module.exports = StatusRuleManager;
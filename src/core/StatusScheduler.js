@@ -0,0 +1,341 @@
+const MediaStore = require('./MediaStore');
+const { extractMessageId } = require('../utils/statusUtils');
+const { ApiError } = require('../api/errors');
+
+const STATUS_TYPES = ['text', 'image', 'video'];
+
+// ============================================
+// Persistent Queue for Scheduled Status Publishing
+// ============================================
+class StatusScheduler {
+    constructor(sessionManager, options = {}) {
+        this.sessionManager = sessionManager;
+        this.jobsCollection = sessionManager.db.collection('scheduledStatuses');
+        this.mediaStore = options.mediaStore || new MediaStore();
+
+        // Scheduler configuration
+        this.checkInterval = options.checkInterval || 15 * 1000; // 15 seconds
+        this.runningSessions = new Set(); // One send at a time per session
+        this.completionHandlers = [];
+        this.mediaOwners = [];
+        this.timer = null;
+
+        this.recoverInterruptedJobs();
+        this.start();
+    }
+
+    // ============================================
+    // Queue Management
+    // ============================================
+
+    /**
+     * Queue a status for publishing at a future time
+     * @param {object} params - { type, content, options, scheduledAt, deleteAfterMs }
+     *   deleteAfterMs removes the status that long after it is published
+     */
+    schedule(sessionId, { type, content, options = {}, scheduledAt, deleteAfterMs = null }) {
+        if (!content) {
+            throw new Error('content is required');
+        }
+
+        const fireAt = this.parseScheduledAt(scheduledAt);
+        return this.enqueue(sessionId, { type, content, options, scheduledAt: fireAt, deleteAfterMs });
+    }
+
+    /**
+     * Insert a job without the future-time check. Used by schedule() and by
+     * components that fire work immediately (e.g. recurring rules).
+     * A caller-owned mediaId may be passed instead of content; such media is
+     * never released by the scheduler.
+     */
+    enqueue(sessionId, { type, content, mediaId, options = {}, scheduledAt = new Date(), ...extra }) {
+        const session = this.sessionManager.sessionsCollection.findById(sessionId);
+        if (!session || session.status === 'terminated') {
+            throw new ApiError('SESSION_NOT_FOUND');
+        }
+
+        if (!STATUS_TYPES.includes(type)) {
+            throw new Error(`type must be one of: ${STATUS_TYPES.join(', ')}`);
+        }
+
+        const job = {
+            ...extra,
+            sessionId,
+            userId: session.userId,
+            type,
+            options,
+            scheduledAt: new Date(scheduledAt).toISOString(),
+            status: 'scheduled',
+            attempts: 0,
+            result: null,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        // Keep media payloads out of the JSON database
+        if (type === 'text') {
+            if (!content) {
+                throw new Error('content is required');
+            }
+            job.content = content;
+        } else if (mediaId) {
+            job.mediaId = mediaId;
+            job.retainMedia = true;
+        } else if (content) {
+            job.mediaId = this.mediaStore.save(content).mediaId;
+        } else {
+            throw new Error('content is required');
+        }
+
+        const saved = this.jobsCollection.insert(job);
+        console.log(`[StatusScheduler] Scheduled ${type} status ${saved.id} for session ${sessionId} at ${job.scheduledAt}`);
+        return saved;
+    }
+
+    /**
+     * Register a callback invoked with the final job record after every run
+     */
+    onJobCompleted(handler) {
+        this.completionHandlers.push(handler);
+    }
+
+    getJobs(sessionId, { status } = {}) {
+        const query = { sessionId };
+        if (status) {
+            query.status = status;
+        }
+
+        return this.jobsCollection.find(query)
+            .sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+    }
+
+    getJob(jobId) {
+        return this.jobsCollection.findById(jobId) || null;
+    }
+
+    /**
+     * Cancel a job that has not fired yet
+     */
+    cancel(jobId) {
+        const job = this.getJob(jobId);
+        if (!job) {
+            return null;
+        }
+
+        if (job.status !== 'scheduled') {
+            throw new ApiError('INVALID_STATE', `Cannot cancel a job with status '${job.status}'`);
+        }
+
+        this.jobsCollection.updateById(jobId, {
+            status: 'cancelled',
+            cancelledAt: new Date(),
+            updatedAt: new Date()
+        });
+        this.releaseMedia(job);
+
+        return this.getJob(jobId);
+    }
+
+    /**
+     * Move a pending (or failed) job to a new fire time
+     */
+    reschedule(jobId, scheduledAt) {
+        const job = this.getJob(jobId);
+        if (!job) {
+            return null;
+        }
+
+        if (!['scheduled', 'failed'].includes(job.status)) {
+            throw new ApiError('INVALID_STATE', `Cannot reschedule a job with status '${job.status}'`);
+        }
+
+        if (job.mediaId && !this.mediaStore.exists(job.mediaId)) {
+            throw new ApiError('INVALID_STATE', 'Media for this job is no longer available');
+        }
+
+        const fireAt = this.parseScheduledAt(scheduledAt);
+        this.jobsCollection.updateById(jobId, {
+            scheduledAt: fireAt.toISOString(),
+            status: 'scheduled',
+            updatedAt: new Date()
+        });
+
+        return this.getJob(jobId);
+    }
+
+    parseScheduledAt(scheduledAt) {
+        if (!scheduledAt) {
+            throw new Error('scheduledAt is required');
+        }
+
+        const fireAt = new Date(scheduledAt);
+        if (isNaN(fireAt.getTime())) {
+            throw new Error(`Invalid scheduledAt: ${scheduledAt}`);
+        }
+
+        if (fireAt.getTime() <= Date.now()) {
+            throw new Error('scheduledAt must be in the future');
+        }
+
+        return fireAt;
+    }
+
+    // ============================================
+    // Execution
+    // ============================================
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.processDueJobs().catch(error => {
+                console.error('[StatusScheduler] Error processing due jobs:', error.message);
+            });
+        }, this.checkInterval);
+
+        console.log(`[StatusScheduler] Started (checks every ${this.checkInterval / 1000} seconds)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Jobs left 'running' by a crash may or may not have been published,
+     * so they are failed rather than retried to avoid double posts
+     */
+    recoverInterruptedJobs() {
+        const interrupted = this.jobsCollection.find({ status: 'running' });
+
+        interrupted.forEach(job => {
+            this.jobsCollection.updateById(job.id, {
+                status: 'failed',
+                result: { success: false, error: 'Interrupted by server restart' },
+                completedAt: new Date(),
+                updatedAt: new Date()
+            });
+        });
+
+        if (interrupted.length > 0) {
+            console.log(`[StatusScheduler] Marked ${interrupted.length} interrupted jobs as failed`);
+        }
+    }
+
+    async processDueJobs() {
+        const now = Date.now();
+        const dueJobs = this.jobsCollection.find({ status: 'scheduled' })
+            .filter(job => new Date(job.scheduledAt).getTime() <= now)
+            .sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+
+        const runs = [];
+        for (const job of dueJobs) {
+            if (this.runningSessions.has(job.sessionId)) {
+                continue; // Picked up on a later tick
+            }
+            this.runningSessions.add(job.sessionId);
+            runs.push(this.executeJob(job).finally(() => {
+                this.runningSessions.delete(job.sessionId);
+            }));
+        }
+
+        await Promise.all(runs);
+    }
+
+    async executeJob(job) {
+        console.log(`[StatusScheduler] Firing ${job.type} status job ${job.id} for session ${job.sessionId}`);
+
+        this.jobsCollection.updateById(job.id, {
+            status: 'running',
+            attempts: (job.attempts || 0) + 1,
+            startedAt: new Date(),
+            updatedAt: new Date()
+        });
+
+        try {
+            const content = job.type === 'text' ? job.content : this.mediaStore.load(job.mediaId);
+            if (!content) {
+                throw new Error('Scheduled media is no longer available');
+            }
+
+            const sendResult = await this.sessionManager.sendStatus(job.sessionId, job.type, content, job.options || {}, {
+                evergreenId: job.evergreenId || null,
+                draftId: job.draftId || null
+            });
+
+            this.jobsCollection.updateById(job.id, {
+                status: 'sent',
+                result: {
+                    success: true,
+                    method: sendResult.method || null,
+                    msgId: extractMessageId(sendResult),
+                    error: null
+                },
+                completedAt: new Date(),
+                updatedAt: new Date()
+            });
+            this.releaseMedia(job);
+
+            console.log(`[StatusScheduler] Job ${job.id} sent via ${sendResult.method}`);
+        } catch (error) {
+            console.error(`[StatusScheduler] Job ${job.id} failed:`, error.message);
+
+            this.jobsCollection.updateById(job.id, {
+                status: 'failed',
+                result: {
+                    success: false,
+                    method: null,
+                    msgId: null,
+                    error: error.message
+                },
+                completedAt: new Date(),
+                updatedAt: new Date()
+            });
+        }
+
+        const finished = this.getJob(job.id);
+        for (const handler of this.completionHandlers) {
+            try {
+                handler(finished);
+            } catch (error) {
+                console.error('[StatusScheduler] Completion handler error:', error.message);
+            }
+        }
+
+        return finished;
+    }
+
+    /**
+     * Release a job's media unless the job borrowed it from another owner
+     */
+    releaseMedia(job) {
+        if (!job.mediaId || job.retainMedia) return;
+        this.releaseMediaId(job.mediaId, job.id);
+    }
+
+    /**
+     * Remove stored media once no other pending job or registered owner references it
+     */
+    releaseMediaId(mediaId, excludeJobId = null) {
+        // Failed jobs keep their own media for rescheduling; borrowed media is not pinned
+        const referencedByJob = this.jobsCollection.find({ mediaId })
+            .some(other => other.id !== excludeJobId && (['scheduled', 'running'].includes(other.status)
+                || (other.status === 'failed' && !other.retainMedia)));
+        const referencedByOwner = this.mediaOwners.some(isReferenced => isReferenced(mediaId));
+
+        if (!referencedByJob && !referencedByOwner) {
+            this.mediaStore.remove(mediaId);
+        }
+    }
+
+    /**
+     * Register a predicate reporting whether another component still uses a media id
+     */
+    registerMediaOwner(isReferenced) {
+        this.mediaOwners.push(isReferenced);
+    }
+}
+
+module.exports = StatusScheduler;
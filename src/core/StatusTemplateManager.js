@@ -0,0 +1,250 @@
+const { ApiError } = require('../api/errors');
+const { extractPlaceholders, renderTemplate } = require('../utils/template');
+
+const STATUS_TYPES = ['text', 'image', 'video'];
+
+// ============================================
+// Status Templates with Per-User Variables
+// ============================================
+// Templates hold the text (or media plus caption) and styling of a status with
+// {{placeholders}}. Rendering fills them from the target user's variables
+// (stored on the users collection), overridden by variables given per request.
+class StatusTemplateManager {
+    constructor(sessionManager, statusScheduler) {
+        this.sessionManager = sessionManager;
+        this.statusScheduler = statusScheduler;
+        this.templatesCollection = sessionManager.db.collection('statusTemplates');
+
+        // Template media lives in the shared media store and must outlive the jobs using it
+        this.statusScheduler.registerMediaOwner(mediaId =>
+            this.templatesCollection.find({ mediaId }).length > 0
+        );
+    }
+
+    // ============================================
+    // Template Management
+    // ============================================
+
+    createTemplate({ name, description, type = 'text', content, options = {} }) {
+        if (!name) {
+            throw new Error('name is required');
+        }
+        this.assertUniqueName(name);
+        if (!STATUS_TYPES.includes(type)) {
+            throw new Error(`type must be one of: ${STATUS_TYPES.join(', ')}`);
+        }
+        if (!content) {
+            throw new Error('content is required');
+        }
+
+        const template = {
+            name,
+            description: description || null,
+            type,
+            options,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        if (type === 'text') {
+            template.content = content;
+            template.mediaId = null;
+        } else {
+            template.content = null;
+            template.mediaId = this.statusScheduler.mediaStore.save(content).mediaId;
+        }
+        template.placeholders = this.collectPlaceholders(template);
+
+        const saved = this.templatesCollection.insert(template);
+        console.log(`[StatusTemplates] Created ${type} template ${saved.id} (${name})`);
+        return saved;
+    }
+
+    getTemplates({ type } = {}) {
+        const query = type ? { type } : {};
+        return this.templatesCollection.find(query)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getTemplate(templateId) {
+        return this.templatesCollection.findById(templateId) || null;
+    }
+
+    /**
+     * Update name, description, content or options; content is required when changing type
+     */
+    updateTemplate(templateId, updates = {}) {
+        const template = this.getTemplate(templateId);
+        if (!template) {
+            return null;
+        }
+
+        const changes = { updatedAt: new Date() };
+
+        if (updates.name !== undefined && updates.name !== template.name) {
+            if (!updates.name) {
+                throw new Error('name cannot be empty');
+            }
+            this.assertUniqueName(updates.name);
+            changes.name = updates.name;
+        }
+        if (updates.description !== undefined) {
+            changes.description = updates.description || null;
+        }
+        if (updates.options !== undefined) {
+            changes.options = updates.options;
+        }
+
+        const type = updates.type || template.type;
+        if (!STATUS_TYPES.includes(type)) {
+            throw new Error(`type must be one of: ${STATUS_TYPES.join(', ')}`);
+        }
+        if (type !== template.type && !updates.content) {
+            throw new Error('content is required when changing type');
+        }
+
+        let previousMediaId = null;
+        if (updates.content) {
+            changes.type = type;
+            if (type === 'text') {
+                changes.content = updates.content;
+                changes.mediaId = null;
+            } else {
+                changes.mediaId = this.statusScheduler.mediaStore.save(updates.content).mediaId;
+                changes.content = null;
+            }
+            previousMediaId = template.mediaId !== changes.mediaId ? template.mediaId : null;
+        }
+
+        changes.placeholders = this.collectPlaceholders({ ...template, ...changes });
+        this.templatesCollection.updateById(templateId, changes);
+        if (previousMediaId) {
+            this.statusScheduler.releaseMediaId(previousMediaId);
+        }
+
+        return this.getTemplate(templateId);
+    }
+
+    deleteTemplate(templateId) {
+        const template = this.getTemplate(templateId);
+        if (!template) {
+            return false;
+        }
+
+        this.templatesCollection.deleteById(templateId);
+        if (template.mediaId) {
+            this.statusScheduler.releaseMediaId(template.mediaId);
+        }
+
+        console.log(`[StatusTemplates] Deleted template ${templateId} (${template.name})`);
+        return true;
+    }
+
+    assertUniqueName(name) {
+        if (this.templatesCollection.findOne({ name })) {
+            throw new Error(`A template named "${name}" already exists`);
+        }
+    }
+
+    /**
+     * Placeholders used in the text and in every string option (e.g. the caption)
+     */
+    collectPlaceholders(template) {
+        const strings = [template.content, ...Object.values(template.options || {})];
+        return [...new Set(strings.flatMap(extractPlaceholders))];
+    }
+
+    // ============================================
+    // User Variables
+    // ============================================
+
+    getUserVariables(userId) {
+        const user = this.sessionManager.getUser(userId);
+        if (!user) {
+            throw new ApiError('USER_NOT_FOUND');
+        }
+        return user.variables || {};
+    }
+
+    /**
+     * Replace a user's variables. Values must be strings, numbers or booleans.
+     */
+    setUserVariables(userId, variables) {
+        if (!this.sessionManager.getUser(userId)) {
+            throw new ApiError('USER_NOT_FOUND');
+        }
+        if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+            throw new Error('variables must be an object');
+        }
+
+        const invalid = Object.entries(variables)
+            .filter(([, value]) => !['string', 'number', 'boolean'].includes(typeof value))
+            .map(([name]) => name);
+        if (invalid.length > 0) {
+            throw new Error(`Variable values must be strings, numbers or booleans: ${invalid.join(', ')}`);
+        }
+
+        this.sessionManager.usersCollection.update({ userId }, { variables });
+        return variables;
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * Render a template for a user
+     * @param {string} templateId
+     * @param {object} params - { userId, variables, options } request variables override the user's,
+     *   request options override the template's
+     * @returns {object} { template, type, content, mediaId, options, variables }
+     */
+    render(templateId, { userId = null, variables = {}, options = {} } = {}) {
+        const template = this.getTemplate(templateId);
+        if (!template) {
+            throw new ApiError('TEMPLATE_NOT_FOUND');
+        }
+
+        const user = userId ? this.sessionManager.getUser(userId) : null;
+        const values = {
+            ...(user && user.variables),
+            ...variables,
+            userId
+        };
+
+        const missing = new Set();
+        const fill = (value) => {
+            if (typeof value !== 'string') return value;
+            const rendered = renderTemplate(value, values);
+            rendered.missing.forEach(name => missing.add(name));
+            return rendered.text;
+        };
+
+        const renderedOptions = {};
+        Object.entries({ ...template.options, ...options }).forEach(([key, value]) => {
+            renderedOptions[key] = fill(value);
+        });
+        const content = template.type === 'text' ? fill(template.content) : null;
+
+        if (missing.size > 0) {
+            throw new ApiError('INVALID_REQUEST', `Missing template variables: ${[...missing].join(', ')}`, {
+                templateId,
+                missing: [...missing]
+            });
+        }
+
+        return {
+            template: { id: template.id, name: template.name },
+            type: template.type,
+            content,
+            mediaId: template.mediaId,
+            options: renderedOptions,
+            variables: template.placeholders.reduce((used, name) => {
+                if (values[name] !== undefined) used[name] = values[name];
+                return used;
+            }, {})
+        };
+    }
+}
+
+module.exports = StatusTemplateManager;
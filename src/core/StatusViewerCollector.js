@@ -0,0 +1,299 @@
+const { parseDuration } = require('../utils/duration');
+const WhatsAppStatusHandler = require('./StatusHandler');
+
+const STATUS_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// Viewer Snapshots for Live Statuses
+// ============================================
+// WhatsApp only answers "who viewed this status" while the status is alive.
+// Every interval the collector asks each session with live statuses for its
+// viewer lists and folds them into one record per status: a snapshot series
+// (reach curve), the first time each viewer was seen, and the final total,
+// which stays queryable after the status expires.
+class StatusViewerCollector {
+    constructor(sessionManager, options = {}) {
+        this.sessionManager = sessionManager;
+        this.viewsCollection = sessionManager.db.collection('statusViews');
+
+        // How often live statuses are snapshotted (VIEWER_SNAPSHOT_INTERVAL, e.g. "15m")
+        this.interval = parseDuration(options.interval || process.env.VIEWER_SNAPSHOT_INTERVAL || '15m');
+        this.timer = null;
+        this.collecting = false;
+
+        // Start tracking as soon as a status is published
+        this.onSessionEvent = (event) => {
+            if (event.event === 'statusSent' && event.data.success && event.data.messageId) {
+                this.track(event.sessionId, event.data.messageId, { type: event.data.type });
+            }
+        };
+        this.sessionManager.events.on('session-event', this.onSessionEvent);
+
+        if (options.autoStart !== false) {
+            this.start();
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.collect().catch(error => {
+                console.error('[ViewerCollector] Snapshot round failed:', error.message);
+            });
+        }, this.interval);
+
+        console.log(`[ViewerCollector] Started (snapshots every ${this.interval / 1000} seconds)`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.sessionManager.events.removeListener('session-event', this.onSessionEvent);
+    }
+
+    // ============================================
+    // Collection
+    // ============================================
+
+    /**
+     * Create the record for a status if it is not tracked yet
+     */
+    track(sessionId, messageId, { type = null, publishedAt = new Date() } = {}) {
+        const existing = this.viewsCollection.findOne({ sessionId, messageId });
+        if (existing) return existing;
+
+        const session = this.sessionManager.sessionsCollection.findById(sessionId);
+        const published = new Date(publishedAt);
+
+        return this.viewsCollection.insert({
+            sessionId,
+            userId: session ? session.userId : null,
+            messageId,
+            type,
+            state: 'live',
+            publishedAt: published.toISOString(),
+            expiresAt: new Date(published.getTime() + STATUS_LIFETIME_MS).toISOString(),
+            totalViewers: 0,
+            viewers: {}, // viewer id -> first seen
+            contacts: {}, // viewer id -> { pushName, number }
+            snapshots: [],
+            lastSnapshotAt: null,
+            finalizedAt: null
+        });
+    }
+
+    /**
+     * Snapshot every session with live statuses; overlapping rounds are skipped
+     */
+    async collect() {
+        if (this.collecting) return;
+        this.collecting = true;
+
+        try {
+            this.expireFinished();
+
+            const sessionIds = [...new Set(this.viewsCollection.find({ state: 'live' }).map(record => record.sessionId))];
+            for (const sessionId of sessionIds) {
+                try {
+                    await this.snapshotSession(sessionId);
+                } catch (error) {
+                    console.error(`[ViewerCollector] Snapshot failed for ${sessionId}:`, error.message);
+                }
+            }
+        } finally {
+            this.collecting = false;
+        }
+    }
+
+    /**
+     * Snapshot the viewers of one session's statuses. Sessions without an open
+     * browser are skipped rather than started just for analytics.
+     * @returns {Promise<boolean>} Whether a snapshot was taken
+     */
+    async snapshotSession(sessionId) {
+        const automation = this.sessionManager.sessions.get(sessionId);
+        const reader = automation && this.viewerReader(automation);
+        if (!reader) {
+            return false;
+        }
+
+        const { messages = [] } = await this.sessionManager.browserPool.whileBusy(sessionId, () => reader.getStatusViewers(null));
+        const takenAt = new Date();
+        const seen = new Set();
+
+        messages.filter(message => message.id).forEach(message => {
+            seen.add(message.id);
+            this.recordSnapshot(sessionId, message, takenAt);
+        });
+
+        // Live statuses WhatsApp no longer returns were deleted before they expired
+        this.viewsCollection.find({ sessionId, state: 'live' })
+            .filter(record => !seen.has(record.messageId))
+            .forEach(record => this.finalize(record, new Date(record.expiresAt) <= takenAt ? 'expired' : 'removed'));
+
+        return true;
+    }
+
+    /**
+     * Handler that reads viewer lists for a logged-in session. Sessions logged in
+     * through POST /sessions/create send with a WebSocketStatusHandler, which has
+     * no viewer reads, so their page is read through a WhatsAppStatusHandler.
+     */
+    viewerReader(automation) {
+        const { statusHandler, page } = automation;
+        if (!statusHandler) return null;
+        if (typeof statusHandler.getStatusViewers === 'function') return statusHandler;
+        if (!page) return null;
+
+        if (!automation.viewerReader || automation.viewerReader.page !== page) {
+            automation.viewerReader = new WhatsAppStatusHandler(page, automation);
+        }
+        return automation.viewerReader;
+    }
+
+    recordSnapshot(sessionId, message, takenAt) {
+        const record = this.track(sessionId, message.id, {
+            type: message.type || null,
+            publishedAt: message.timestamp ? new Date(message.timestamp * 1000) : takenAt
+        });
+        if (record.state !== 'live') return;
+
+        // Prefer the read receipt time; otherwise the viewer was first seen now
+        const receiptTimes = new Map((message.readReceipts || [])
+            .filter(receipt => receipt && receipt.id && receipt.timestamp)
+            .map(receipt => [String(receipt.id), new Date(receipt.timestamp * 1000).toISOString()]));
+
+        const viewers = { ...record.viewers };
+        (message.viewers || []).map(String).forEach(viewerId => {
+            if (!viewers[viewerId]) {
+                viewers[viewerId] = receiptTimes.get(viewerId) || takenAt.toISOString();
+            }
+        });
+
+        // Contacts can load after the first sighting, so known names are only ever filled in
+        const contacts = { ...record.contacts };
+        Object.entries(message.viewerContacts || {}).forEach(([viewerId, contact]) => {
+            const known = contacts[viewerId] || {};
+            contacts[viewerId] = {
+                pushName: contact.pushName || known.pushName || null,
+                number: contact.number || known.number || null
+            };
+        });
+
+        // viewCount is -1 when WhatsApp reports a view without saying who
+        const views = Math.max(Object.keys(viewers).length, message.viewCount || 0);
+
+        // WhatsApp's own timestamp wins over the time the send was recorded
+        const published = message.timestamp ? new Date(message.timestamp * 1000) : new Date(record.publishedAt);
+
+        this.viewsCollection.updateById(record.id, {
+            type: record.type || message.type || null,
+            publishedAt: published.toISOString(),
+            expiresAt: new Date(published.getTime() + STATUS_LIFETIME_MS).toISOString(),
+            viewers,
+            contacts,
+            totalViewers: Math.max(record.totalViewers, views),
+            snapshots: [...record.snapshots, { at: takenAt.toISOString(), views }],
+            lastSnapshotAt: takenAt.toISOString()
+        });
+    }
+
+    /**
+     * Close records past their 24h lifetime, including those of sessions that went offline
+     */
+    expireFinished(now = new Date()) {
+        this.viewsCollection.find({ state: 'live' })
+            .filter(record => new Date(record.expiresAt) <= now)
+            .forEach(record => this.finalize(record, 'expired'));
+    }
+
+    finalize(record, state) {
+        this.viewsCollection.updateById(record.id, { state, finalizedAt: new Date().toISOString() });
+        console.log(`[ViewerCollector] Status ${record.messageId} ${state} with ${record.totalViewers} viewers`);
+    }
+
+    // ============================================
+    // Queries
+    // ============================================
+
+    /**
+     * Tracked statuses of a session without the per-viewer detail, newest first
+     */
+    getSummaries(sessionId, { state, from, to } = {}) {
+        const query = { sessionId };
+        if (state) query.state = state;
+
+        return this.viewsCollection.find(query)
+            .filter(record => (!from || record.publishedAt >= new Date(from).toISOString())
+                && (!to || record.publishedAt < new Date(to).toISOString()))
+            .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt))
+            .map(({ viewers, contacts, snapshots, ...summary }) => ({ ...summary, snapshotCount: snapshots.length }));
+    }
+
+    /**
+     * Full analytics for one status
+     * @param {number} bucketMinutes - Width of the reach curve buckets
+     * @returns {object|null} Record plus `reach` (cumulative viewers per bucket since publishing)
+     *   and `viewers` as a list ordered by first seen
+     */
+    getAnalytics(sessionId, messageId, { bucketMinutes = 60 } = {}) {
+        const record = this.viewsCollection.findOne({ sessionId, messageId });
+        if (!record) return null;
+
+        const publishedAt = new Date(record.publishedAt).getTime();
+        const bucketMs = bucketMinutes * 60 * 1000;
+        const end = record.state === 'live' ? Math.min(Date.now(), publishedAt + STATUS_LIFETIME_MS) : publishedAt + STATUS_LIFETIME_MS;
+        const bucketCount = Math.max(1, Math.ceil((end - publishedAt) / bucketMs));
+
+        const contacts = record.contacts || {};
+        const viewers = Object.entries(record.viewers)
+            .map(([viewerId, firstSeenAt]) => ({
+                viewerId,
+                number: contacts[viewerId] ? contacts[viewerId].number : null,
+                pushName: contacts[viewerId] ? contacts[viewerId].pushName : null,
+                firstSeenAt,
+                minutesAfterPublish: Math.max(0, Math.round((new Date(firstSeenAt).getTime() - publishedAt) / 60000))
+            }))
+            .sort((a, b) => a.firstSeenAt.localeCompare(b.firstSeenAt));
+
+        const reach = [];
+        for (let bucket = 1, index = 0; bucket <= bucketCount; bucket++) {
+            const bucketEnd = publishedAt + bucket * bucketMs;
+            while (index < viewers.length && new Date(viewers[index].firstSeenAt).getTime() < bucketEnd) index++;
+            reach.push({ minutes: bucket * bucketMinutes, at: new Date(Math.min(bucketEnd, end)).toISOString(), viewers: index });
+        }
+
+        const { viewers: _firstSeen, contacts: _contacts, ...summary } = record;
+        return { ...summary, reach, viewers };
+    }
+
+    /**
+     * One row per viewer per status, for spreadsheet exports
+     * @param {string} sessionId
+     * @param {object} filters - { messageId } for a single status, or { from, to } on the publish time
+     * @returns {object[]} { statusId, publishedAt, viewerId, number, pushName, viewedAt } ordered by status, then view time
+     */
+    getViewerRows(sessionId, { messageId, from, to } = {}) {
+        const records = messageId
+            ? [this.viewsCollection.findOne({ sessionId, messageId })].filter(Boolean)
+            : this.getSummaries(sessionId, { from, to }).reverse()
+                .map(summary => this.viewsCollection.findById(summary.id));
+
+        return records.flatMap(record => {
+            const contacts = record.contacts || {};
+            return Object.entries(record.viewers)
+                .sort(([, a], [, b]) => a.localeCompare(b))
+                .map(([viewerId, viewedAt]) => ({
+                    statusId: record.messageId,
+                    publishedAt: record.publishedAt,
+                    viewerId,
+                    number: contacts[viewerId] ? contacts[viewerId].number : null,
+                    pushName: contacts[viewerId] ? contacts[viewerId].pushName : null,
+                    viewedAt
+                }));
+        });
+    }
+}
+
+module.exports = StatusViewerCollector;
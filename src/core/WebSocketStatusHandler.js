@@ -3,6 +3,7 @@
  * This implementation bypasses browser UI and DOM manipulation for better reliability
  */
 const { STATUS_BROADCAST_JID } = require('../utils/statusUtils');
+const { stageUploadInPage, releaseUploadInPage } = require('../utils/uploads');
 
 class WebSocketStatusHandler {
     constructor(page, whatsappAutomation) {
@@ -84,6 +85,26 @@ class WebSocketStatusHandler {
             ...options
         };
 
+        // Uploaded files ({ filePath, mimeType, fileName }) are handed to the browser by path
+        let uploadToken = null;
+        if (content && content.filePath) {
+            uploadToken = await stageUploadInPage(this.page, content);
+            content = { uploadToken };
+        }
+
+        try {
+            return await this.sendWithFallbacks(type, content, options);
+        } finally {
+            if (uploadToken) {
+                await releaseUploadInPage(this.page, uploadToken);
+            }
+        }
+    }
+
+    /**
+     * Try each send method in turn until one succeeds
+     */
+    async sendWithFallbacks(type, content, options) {
         let lastError;
 
         // Method 1: Direct WebSocket encryption and send (most reliable)
@@ -151,6 +172,14 @@ class WebSocketStatusHandler {
 
                 console.log('Using direct WebSocket encryption method...');
 
+                // Swap the upload token for the File staged by stageUploadInPage()
+                if (statusContent && statusContent.uploadToken) {
+                    statusContent = window.__statusUploads && window.__statusUploads[statusContent.uploadToken];
+                    if (!statusContent) {
+                        throw new Error('Uploaded file is no longer available in the page');
+                    }
+                }
+
                 // Generate unique message ID
                 const messageId = window.WPP.whatsapp.functions.generateId ?
                     window.WPP.whatsapp.functions.generateId() :
@@ -249,6 +278,14 @@ class WebSocketStatusHandler {
 
                     console.log('Using enhanced Store.StatusV3 method...');
 
+                    // Swap the upload token for the File staged by stageUploadInPage()
+                    if (statusContent && statusContent.uploadToken) {
+                        statusContent = window.__statusUploads && window.__statusUploads[statusContent.uploadToken];
+                        if (!statusContent) {
+                            throw new Error('Uploaded file is no longer available in the page');
+                        }
+                    }
+
                     let statusMsg;
 
                     if (statusType === 'text') {
@@ -361,6 +398,14 @@ class WebSocketStatusHandler {
 
                     console.log('Using enhanced WPP.status method...');
 
+                    // Swap the upload token for the File staged by stageUploadInPage()
+                    if (statusContent && statusContent.uploadToken) {
+                        statusContent = window.__statusUploads && window.__statusUploads[statusContent.uploadToken];
+                        if (!statusContent) {
+                            throw new Error('Uploaded file is no longer available in the page');
+                        }
+                    }
+
                     let result;
                     const timeout = 8000;
 
@@ -0,0 +1,450 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const { ApiError } = require('../api/errors');
+
+// Lifecycle events that can be delivered to webhook endpoints
+const WEBHOOK_EVENTS = [
+    'qr',
+    'authenticated',
+    'ready',
+    'logout',
+    'pairingCodeGenerated',
+    'phoneNumberCaptured',
+    'authenticationFailed',
+    'draftPendingApproval',
+    'draftRejected',
+    'draftPublished'
+];
+
+// Delay before each retry; a delivery fails permanently after the last one
+const RETRY_DELAYS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+
+// ============================================
+// Signed Webhook Delivery for Session Lifecycle Events
+// ============================================
+class WebhookManager {
+    constructor(sessionManager, options = {}) {
+        this.sessionManager = sessionManager;
+        this.webhooksCollection = sessionManager.db.collection('webhooks');
+        this.deliveriesCollection = sessionManager.db.collection('webhookDeliveries');
+
+        // Delivery configuration
+        this.requestTimeout = options.requestTimeout || 10 * 1000; // 10 seconds
+        this.retryInterval = options.retryInterval || 10 * 1000; // 10 seconds
+        this.maxDeliveriesPerWebhook = options.maxDeliveriesPerWebhook || 500;
+        this.inFlight = new Set(); // Delivery ids currently being attempted
+        this.timer = null;
+
+        this.onSessionEvent = (event) => this.dispatch(event);
+        this.sessionManager.events.on('session-event', this.onSessionEvent);
+
+        this.start();
+    }
+
+    // ============================================
+    // Endpoint Management
+    // ============================================
+
+    /**
+     * Register an endpoint. Without userId it receives events for every session.
+     */
+    createWebhook({ url, userId = null, events = WEBHOOK_EVENTS, secret, description = '' }) {
+        this.validateUrl(url);
+        const subscribedEvents = this.validateEvents(events);
+
+        if (userId && !this.sessionManager.getUser(userId)) {
+            throw new ApiError('USER_NOT_FOUND');
+        }
+
+        const webhook = this.webhooksCollection.insert({
+            url,
+            userId: userId || null,
+            events: subscribedEvents,
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            description,
+            active: true,
+            stats: {
+                delivered: 0,
+                failed: 0,
+                lastDeliveryAt: null,
+                lastError: null
+            },
+            createdAt: new Date(),
+            updatedAt: new Date()
+        });
+
+        console.log(`[WebhookManager] Registered webhook ${webhook.id} -> ${url}${userId ? ` (user ${userId})` : ' (global)'}`);
+        return webhook;
+    }
+
+    getWebhooks({ userId } = {}) {
+        const query = userId ? { userId } : {};
+        return this.webhooksCollection.find(query);
+    }
+
+    getWebhook(webhookId) {
+        return this.webhooksCollection.findById(webhookId) || null;
+    }
+
+    updateWebhook(webhookId, updates = {}) {
+        const webhook = this.getWebhook(webhookId);
+        if (!webhook) {
+            return null;
+        }
+
+        const changes = { updatedAt: new Date() };
+        if (updates.url !== undefined) {
+            this.validateUrl(updates.url);
+            changes.url = updates.url;
+        }
+        if (updates.events !== undefined) {
+            changes.events = this.validateEvents(updates.events);
+        }
+        if (updates.active !== undefined) {
+            changes.active = Boolean(updates.active);
+        }
+        if (updates.description !== undefined) {
+            changes.description = updates.description;
+        }
+
+        this.webhooksCollection.updateById(webhookId, changes);
+        return this.getWebhook(webhookId);
+    }
+
+    /**
+     * Replace the signing secret and return the new one
+     */
+    rotateSecret(webhookId) {
+        if (!this.getWebhook(webhookId)) {
+            return null;
+        }
+
+        this.webhooksCollection.updateById(webhookId, {
+            secret: crypto.randomBytes(32).toString('hex'),
+            updatedAt: new Date()
+        });
+        return this.getWebhook(webhookId);
+    }
+
+    deleteWebhook(webhookId) {
+        if (!this.getWebhook(webhookId)) {
+            return false;
+        }
+
+        this.webhooksCollection.deleteById(webhookId);
+        this.deliveriesCollection.delete({ webhookId });
+        console.log(`[WebhookManager] Removed webhook ${webhookId}`);
+        return true;
+    }
+
+    /**
+     * Hide the secret in listings; it is only returned on create/rotate
+     */
+    sanitize(webhook) {
+        if (!webhook) return webhook;
+        const { secret, ...rest } = webhook;
+        return { ...rest, secretHint: secret ? `${secret.slice(0, 4)}…` : null };
+    }
+
+    getDeliveries(webhookId, { status, limit = 50 } = {}) {
+        const query = { webhookId };
+        if (status) {
+            query.status = status;
+        }
+
+        return this.deliveriesCollection.find(query)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .slice(0, limit);
+    }
+
+    getDelivery(deliveryId) {
+        return this.deliveriesCollection.findById(deliveryId) || null;
+    }
+
+    validateUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new Error(`Invalid webhook url: ${url}`);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new Error('Webhook url must use http or https');
+        }
+    }
+
+    validateEvents(events) {
+        if (!Array.isArray(events) || events.length === 0) {
+            throw new Error('events must be a non-empty array');
+        }
+        if (events.includes('*')) {
+            return [...WEBHOOK_EVENTS];
+        }
+
+        const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown events: ${unknown.join(', ')}. Supported: ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+        return [...new Set(events)];
+    }
+
+    // ============================================
+    // Dispatch
+    // ============================================
+
+    /**
+     * Fan a session event out to every matching active endpoint
+     */
+    dispatch({ event, sessionId, userId, data, timestamp }) {
+        if (!WEBHOOK_EVENTS.includes(event)) return;
+
+        const targets = this.webhooksCollection.find({ active: true })
+            .filter(webhook => webhook.events.includes(event))
+            .filter(webhook => !webhook.userId || webhook.userId === userId);
+
+        targets.forEach(webhook => {
+            const delivery = this.createDelivery(webhook, { event, sessionId, userId, data, timestamp });
+            this.attemptDelivery(delivery.id).catch(error => {
+                console.error(`[WebhookManager] Delivery ${delivery.id} error:`, error.message);
+            });
+        });
+    }
+
+    /**
+     * Send a test event to a single endpoint
+     */
+    async sendTestEvent(webhookId) {
+        const webhook = this.getWebhook(webhookId);
+        if (!webhook) {
+            return null;
+        }
+
+        const delivery = this.createDelivery(webhook, {
+            event: 'ping',
+            sessionId: null,
+            userId: webhook.userId,
+            data: { message: 'Webhook test event' },
+            timestamp: new Date().toISOString()
+        });
+        return this.attemptDelivery(delivery.id);
+    }
+
+    /**
+     * Queue a failed or exhausted delivery for another immediate attempt
+     */
+    async redeliver(deliveryId) {
+        const delivery = this.getDelivery(deliveryId);
+        if (!delivery) {
+            return null;
+        }
+
+        this.deliveriesCollection.updateById(deliveryId, {
+            status: 'pending',
+            nextAttemptAt: new Date().toISOString(),
+            updatedAt: new Date()
+        });
+        return this.attemptDelivery(deliveryId);
+    }
+
+    createDelivery(webhook, { event, sessionId, userId, data, timestamp }) {
+        // The delivery id doubles as the idempotency key for receivers
+        const id = uuidv4();
+
+        const delivery = this.deliveriesCollection.insert({
+            id,
+            webhookId: webhook.id,
+            event,
+            sessionId,
+            userId,
+            payload: { id, event, sessionId, userId, timestamp, data },
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: new Date().toISOString(),
+            lastStatusCode: null,
+            lastError: null,
+            attemptLog: [],
+            createdAt: new Date(),
+            updatedAt: new Date(),
+            deliveredAt: null
+        });
+        this.pruneDeliveries(webhook.id);
+
+        return delivery;
+    }
+
+    pruneDeliveries(webhookId) {
+        const deliveries = this.deliveriesCollection.find({ webhookId });
+        if (deliveries.length <= this.maxDeliveriesPerWebhook) return;
+
+        deliveries
+            .filter(delivery => delivery.status !== 'pending')
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .slice(0, deliveries.length - this.maxDeliveriesPerWebhook)
+            .forEach(delivery => this.deliveriesCollection.deleteById(delivery.id));
+    }
+
+    // ============================================
+    // Delivery
+    // ============================================
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.processRetries().catch(error => {
+                console.error('[WebhookManager] Error processing retries:', error.message);
+            });
+        }, this.retryInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.sessionManager.events.off('session-event', this.onSessionEvent);
+    }
+
+    async processRetries() {
+        const now = Date.now();
+        const due = this.deliveriesCollection.find({ status: 'pending' })
+            .filter(delivery => new Date(delivery.nextAttemptAt).getTime() <= now);
+
+        for (const delivery of due) {
+            await this.attemptDelivery(delivery.id);
+        }
+    }
+
+    async attemptDelivery(deliveryId) {
+        if (this.inFlight.has(deliveryId)) {
+            return this.getDelivery(deliveryId);
+        }
+
+        const delivery = this.getDelivery(deliveryId);
+        const webhook = delivery && this.getWebhook(delivery.webhookId);
+        if (!delivery || !webhook || delivery.status !== 'pending') {
+            return delivery;
+        }
+
+        this.inFlight.add(deliveryId);
+        const attempt = delivery.attempts + 1;
+        const startTime = Date.now();
+
+        let statusCode = null;
+        let error = null;
+        try {
+            const body = JSON.stringify(delivery.payload);
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+
+            statusCode = await this.post(webhook.url, body, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'wa-auto-webhooks/1.0',
+                'X-Webhook-Id': webhook.id,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': `sha256=${WebhookManager.sign(webhook.secret, timestamp, body)}`
+            });
+
+            if (statusCode < 200 || statusCode >= 300) {
+                error = `Endpoint responded with HTTP ${statusCode}`;
+            }
+        } catch (requestError) {
+            error = requestError.message;
+        } finally {
+            this.inFlight.delete(deliveryId);
+        }
+
+        const attemptLog = [...(delivery.attemptLog || []), {
+            attempt,
+            at: new Date(),
+            statusCode,
+            error,
+            durationMs: Date.now() - startTime
+        }];
+
+        if (!error) {
+            this.deliveriesCollection.updateById(deliveryId, {
+                status: 'succeeded',
+                attempts: attempt,
+                lastStatusCode: statusCode,
+                lastError: null,
+                nextAttemptAt: null,
+                attemptLog,
+                deliveredAt: new Date(),
+                updatedAt: new Date()
+            });
+            this.recordStats(webhook, { delivered: true });
+        } else {
+            const retryDelay = RETRY_DELAYS[attempt - 1];
+            const exhausted = retryDelay === undefined;
+
+            this.deliveriesCollection.updateById(deliveryId, {
+                status: exhausted ? 'failed' : 'pending',
+                attempts: attempt,
+                lastStatusCode: statusCode,
+                lastError: error,
+                nextAttemptAt: exhausted ? null : new Date(Date.now() + retryDelay).toISOString(),
+                attemptLog,
+                updatedAt: new Date()
+            });
+
+            if (exhausted) {
+                this.recordStats(webhook, { delivered: false, error });
+                console.warn(`[WebhookManager] Delivery ${deliveryId} to ${webhook.url} failed permanently: ${error}`);
+            } else {
+                console.warn(`[WebhookManager] Delivery ${deliveryId} attempt ${attempt} failed (${error}), retrying in ${retryDelay / 1000}s`);
+            }
+        }
+
+        return this.getDelivery(deliveryId);
+    }
+
+    recordStats(webhook, { delivered, error = null }) {
+        const stats = webhook.stats || { delivered: 0, failed: 0 };
+        this.webhooksCollection.updateById(webhook.id, {
+            stats: {
+                delivered: stats.delivered + (delivered ? 1 : 0),
+                failed: stats.failed + (delivered ? 0 : 1),
+                lastDeliveryAt: delivered ? new Date() : stats.lastDeliveryAt,
+                lastError: delivered ? stats.lastError : error
+            }
+        });
+    }
+
+    /**
+     * POST a body and resolve with the HTTP status code
+     */
+    post(url, body, headers) {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = client.request(target, {
+                method: 'POST',
+                headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+                timeout: this.requestTimeout
+            }, (res) => {
+                res.resume(); // Response body is not needed
+                res.on('end', () => resolve(res.statusCode));
+            });
+
+            req.on('error', reject);
+            req.on('timeout', () => req.destroy(new Error('Request timeout')));
+            req.end(body);
+        });
+    }
+
+    /**
+     * HMAC-SHA256 over "<timestamp>.<body>", hex encoded
+     */
+    static sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+}
+
+WebhookManager.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookManager;
@@ -0,0 +1,237 @@
+/**
+ * Minimal five-field cron expression support (minute hour day-of-month month day-of-week)
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const parseValue = (token, field) => {
+    const upper = token.toUpperCase();
+    if (field.names && field.names.includes(upper)) {
+        return field.names.indexOf(upper) + (field.name === 'month' ? 1 : 0);
+    }
+
+    if (!/^\d+$/.test(token)) {
+        throw new Error(`Invalid ${field.name} value: ${token}`);
+    }
+
+    const value = parseInt(token, 10);
+    if (value < field.min || value > field.max) {
+        throw new Error(`${field.name} value ${value} out of range ${field.min}-${field.max}`);
+    }
+    return value;
+};
+
+const parseField = (expression, field) => {
+    const values = new Set();
+
+    for (const part of expression.split(',')) {
+        const [rangePart, stepPart] = part.split('/');
+        const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in ${field.name}: ${part}`);
+        }
+
+        let start;
+        let end;
+        if (rangePart === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (rangePart.includes('-')) {
+            const [from, to] = rangePart.split('-');
+            start = parseValue(from, field);
+            end = parseValue(to, field);
+            if (start > end) {
+                throw new Error(`Invalid range in ${field.name}: ${rangePart}`);
+            }
+        } else {
+            start = parseValue(rangePart, field);
+            end = stepPart === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    // Both 0 and 7 mean Sunday
+    if (field.name === 'dayOfWeek' && values.has(7)) {
+        values.delete(7);
+        values.add(0);
+    }
+
+    return values;
+};
+
+/**
+ * Parse a cron expression into sets of allowed values per field
+ * @param {string} expression - e.g. "0 9 * * 1-5" or "@daily"
+ * @returns {object} Parsed schedule
+ */
+const parseCronExpression = (expression) => {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('Cron expression is required');
+    }
+
+    const normalized = ALIASES[expression.trim().toLowerCase()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression must have 5 fields: ${expression}`);
+    }
+
+    const parsed = {};
+    FIELDS.forEach((field, index) => {
+        parsed[field.name] = parseField(parts[index], field);
+    });
+
+    // Standard cron: when both day fields are restricted, either may match
+    parsed.dayOfMonthRestricted = parts[2] !== '*';
+    parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+    return parsed;
+};
+
+/**
+ * Validate an IANA timezone name
+ * @param {string} timezone - e.g. "Asia/Jerusalem"
+ */
+const assertValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+        throw new Error(`Invalid timezone: ${timezone}`);
+    }
+};
+
+// Wall-clock time is represented as a Date whose UTC fields hold the local fields
+const toWallClock = (date, timezone) => {
+    if (!timezone) {
+        return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds()));
+    }
+
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = parseInt(part.value, 10);
+    });
+
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+};
+
+const fromWallClock = (wall, timezone) => {
+    if (!timezone) {
+        return new Date(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(),
+            wall.getUTCHours(), wall.getUTCMinutes());
+    }
+
+    const guess = wall.getTime();
+    const offset = toWallClock(new Date(guess), timezone).getTime() - guess;
+    let instant = guess - offset;
+
+    // Correct once more when the guess crossed a DST boundary
+    const correctedOffset = toWallClock(new Date(instant), timezone).getTime() - instant;
+    if (correctedOffset !== offset) {
+        const corrected = guess - correctedOffset;
+        // Wall times skipped by a DST jump keep the first estimate (shifted forward)
+        if (toWallClock(new Date(corrected), timezone).getTime() === guess) {
+            instant = corrected;
+        }
+    }
+
+    return new Date(instant);
+};
+
+const dayMatches = (cron, wall) => {
+    const domMatch = cron.dayOfMonth.has(wall.getUTCDate());
+    const dowMatch = cron.dayOfWeek.has(wall.getUTCDay());
+
+    if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+};
+
+/**
+ * Compute the next time a cron expression fires after a given instant
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Search starts strictly after this instant
+ * @param {string|null} timezone - IANA timezone, or null for server local time
+ * @returns {Date} Next fire time
+ */
+const getNextCronRun = (expression, after = new Date(), timezone = null) => {
+    const cron = parseCronExpression(expression);
+    if (timezone) {
+        assertValidTimezone(timezone);
+    }
+
+    const wall = toWallClock(after, timezone);
+    wall.setUTCSeconds(0, 0);
+    wall.setTime(wall.getTime() + MINUTE_MS);
+
+    // Five years covers any valid expression (e.g. Feb 29)
+    const limit = wall.getTime() + 5 * 366 * 24 * 60 * MINUTE_MS;
+
+    while (wall.getTime() < limit) {
+        if (!cron.month.has(wall.getUTCMonth() + 1)) {
+            wall.setUTCMonth(wall.getUTCMonth() + 1, 1);
+            wall.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+
+        if (!dayMatches(cron, wall)) {
+            wall.setUTCDate(wall.getUTCDate() + 1);
+            wall.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+
+        if (!cron.hour.has(wall.getUTCHours())) {
+            wall.setUTCHours(wall.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+
+        if (!cron.minute.has(wall.getUTCMinutes())) {
+            wall.setTime(wall.getTime() + MINUTE_MS);
+            continue;
+        }
+
+        const instant = fromWallClock(wall, timezone);
+        if (instant.getTime() > after.getTime()) {
+            return instant;
+        }
+        wall.setTime(wall.getTime() + MINUTE_MS);
+    }
+
+    throw new Error(`Cron expression never fires: ${expression}`);
+};
+
+module.exports = {
+    parseCronExpression,
+    getNextCronRun,
+    assertValidTimezone
+};
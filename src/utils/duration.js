@@ -0,0 +1,76 @@
+/**
+ * Duration parsing helpers
+ */
+
+const UNIT_MS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration such as "90s", "30m", "6h", "1d" or "1h30m" into milliseconds
+ * @param {string|number} value - Duration string, or a number of seconds
+ * @returns {number} Duration in milliseconds
+ */
+const parseDuration = (value) => {
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new Error(`Invalid duration: ${value}`);
+        }
+        return Math.round(value * 1000);
+    }
+
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new Error(`Invalid duration: ${value}`);
+    }
+
+    const normalized = value.trim().toLowerCase();
+    if (/^\d+(\.\d+)?$/.test(normalized)) {
+        return parseDuration(parseFloat(normalized));
+    }
+
+    const pattern = /(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)/g;
+    let total = 0;
+    let consumed = '';
+    let match;
+
+    while ((match = pattern.exec(normalized)) !== null) {
+        total += parseFloat(match[1]) * UNIT_MS[match[2]];
+        consumed += match[0];
+    }
+
+    if (total <= 0 || consumed.replace(/\s/g, '') !== normalized.replace(/\s/g, '')) {
+        throw new Error(`Invalid duration: ${value}`);
+    }
+
+    return Math.round(total);
+};
+
+/**
+ * Format milliseconds as a compact duration string (e.g. "1h30m")
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+const formatDuration = (ms) => {
+    let remaining = Math.round(ms);
+    let result = '';
+
+    for (const unit of ['d', 'h', 'm', 's']) {
+        const amount = Math.floor(remaining / UNIT_MS[unit]);
+        if (amount > 0) {
+            result += `${amount}${unit}`;
+            remaining -= amount * UNIT_MS[unit];
+        }
+    }
+
+    return result || `${remaining}ms`;
+};
+
+module.exports = {
+    parseDuration,
+    formatDuration
+};
@@ -0,0 +1,470 @@
+/**
+ * Minimal QR code encoder (byte mode, versions 1-40) with PNG and SVG output,
+ * so API clients get a scannable image of WhatsApp's login code without
+ * bundling their own encoder. Follows ISO/IEC 18004.
+ */
+
+const zlib = require('zlib');
+const { crc32 } = require('./zip');
+
+// Error correction levels with the bits stored in the format information
+const ERROR_CORRECTION = {
+    L: { index: 0, formatBits: 1 },
+    M: { index: 1, formatBits: 0 },
+    Q: { index: 2, formatBits: 3 },
+    H: { index: 3, formatBits: 2 }
+};
+
+// Per level (L, M, Q, H) and version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// ============================================
+// Reed-Solomon error correction over GF(256)
+// ============================================
+
+const gfMultiply = (x, y) => {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+};
+
+const reedSolomonDivisor = (degree) => {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+};
+
+const reedSolomonRemainder = (data, divisor) => {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+};
+
+// ============================================
+// Symbol layout
+// ============================================
+
+// Modules available for data and error correction once function patterns are placed
+const rawDataModules = (version) => {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        result -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+};
+
+const dataCodewords = (version, level) =>
+    Math.floor(rawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[level.index][version] * ERROR_CORRECTION_BLOCKS[level.index][version];
+
+const alignmentPositions = (version, size) => {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const result = [6];
+    for (let position = size - 7; result.length < count; position -= step) {
+        result.splice(1, 0, position);
+    }
+    return result;
+};
+
+class QrMatrix {
+    constructor(version, level) {
+        this.version = version;
+        this.level = level;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinder(3, 3);
+        this.drawFinder(this.size - 4, 3);
+        this.drawFinder(3, this.size - 4);
+
+        const positions = alignmentPositions(this.version, this.size);
+        const last = positions.length - 1;
+        positions.forEach((x, i) => positions.forEach((y, j) => {
+            // Finder pattern corners have no alignment pattern
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this.setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        // Reserve the format areas; the real bits are drawn once the mask is chosen
+        this.drawFormatBits(0);
+        this.drawVersion();
+    }
+
+    // Finder pattern with its light separator
+    drawFinder(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                    this.setFunction(xx, yy, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    drawFormatBits(mask) {
+        const data = (this.level.formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+
+        // Around the top left finder
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, getBit(bits, i));
+        this.setFunction(8, 7, getBit(bits, 6));
+        this.setFunction(8, 8, getBit(bits, 7));
+        this.setFunction(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, getBit(bits, i));
+
+        // Split between the other two finders
+        for (let i = 0; i < 8; i++) this.setFunction(this.size - 1 - i, 8, getBit(bits, i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, this.size - 15 + i, getBit(bits, i));
+        this.setFunction(8, this.size - 8, true);
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const a = this.size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            this.setFunction(a, b, getBit(bits, i));
+            this.setFunction(b, a, getBit(bits, i));
+        }
+    }
+
+    // Zigzag placement in two-module columns from the bottom right
+    drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    // Masking twice restores the original, which lets every mask be scored in place
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && MASKS[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    penalty() {
+        const { size, modules } = this;
+        let score = 0;
+        let dark = 0;
+
+        const line = (get) => {
+            // Runs of five or more modules of one color
+            let runColor = get(0);
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                const color = i < size ? get(i) : null;
+                if (color === runColor) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) score += runLength - 2;
+                    runColor = color;
+                    runLength = 1;
+                }
+            }
+            // Finder-like 1:1:3:1:1 patterns next to four light modules
+            for (let i = 0; i + 7 <= size; i++) {
+                const finderLike = get(i) && !get(i + 1) && get(i + 2) && get(i + 3) && get(i + 4) && !get(i + 5) && get(i + 6);
+                if (!finderLike) continue;
+                const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !get(i - k));
+                const lightAfter = [7, 8, 9, 10].every(k => i + k >= size || !get(i + k));
+                if (lightBefore || lightAfter) score += 40;
+            }
+        };
+
+        for (let i = 0; i < size; i++) {
+            line(x => modules[i][x]);
+            line(y => modules[y][i]);
+        }
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x + 1 < size && y + 1 < size) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) score += 3;
+                }
+            }
+        }
+
+        // Deviation of the dark share from 50%, in steps of 5%
+        const total = size * size;
+        score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return score;
+    }
+}
+
+// ============================================
+// Encoding
+// ============================================
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Encoded as UTF-8 bytes
+ * @param {object} options - { errorCorrection: 'L'|'M'|'Q'|'H' (default M) }
+ * @returns {{version: number, size: number, modules: boolean[][]}} modules[y][x], true is dark
+ */
+const encodeQr = (text, { errorCorrection = 'M' } = {}) => {
+    const level = ERROR_CORRECTION[errorCorrection];
+    if (!level) {
+        throw new Error(`Unknown error correction level: ${errorCorrection}`);
+    }
+
+    const bytes = Buffer.from(String(text), 'utf8');
+    let version = 1;
+    for (; version <= 40; version++) {
+        const countBits = version <= 9 ? 8 : 16;
+        if (4 + countBits + bytes.length * 8 <= dataCodewords(version, level) * 8) break;
+    }
+    if (version > 40) {
+        throw new Error('Text is too long for a QR code');
+    }
+
+    // Byte mode segment, terminator and padding
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    append(0b0100, 4);
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    const capacity = dataCodewords(version, level) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    // Split into blocks, add error correction and interleave
+    const blockCount = ERROR_CORRECTION_BLOCKS[level.index][version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[level.index][version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const shortBlocks = blockCount - (rawCodewords % blockCount);
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = reedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const blockData = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+        offset += blockData.length;
+        const ecc = reedSolomonRemainder(blockData, divisor);
+        if (i < shortBlocks) blockData.push(0); // Placeholder so every block has the same length
+        blocks.push(blockData.concat(ecc));
+    }
+
+    const codewords = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - eccLength || j >= shortBlocks) codewords.push(block[i]);
+        });
+    }
+
+    const matrix = new QrMatrix(version, level);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(codewords);
+
+    // Keep the mask that is easiest to scan
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        matrix.applyMask(mask);
+        matrix.drawFormatBits(mask);
+        const penalty = matrix.penalty();
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        matrix.applyMask(mask);
+    }
+    matrix.applyMask(bestMask);
+    matrix.drawFormatBits(bestMask);
+
+    return { version, size: matrix.size, modules: matrix.modules };
+};
+
+// ============================================
+// Rendering
+// ============================================
+
+/**
+ * Pixels per module so the image (including the quiet zone) fits `size`, at least 1
+ */
+const moduleScale = (qr, { size, margin }) => Math.max(1, Math.floor(size / (qr.size + margin * 2)));
+
+/**
+ * Render as an SVG document scaled to `size` pixels
+ * @param {object} options - { size (px, default 256), margin (modules of quiet zone, default 4) }
+ */
+const toSvg = (text, { size = 256, margin = 4, errorCorrection } = {}) => {
+    const qr = encodeQr(text, { errorCorrection });
+    const dimension = qr.size + margin * 2;
+
+    const path = [];
+    qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+    }));
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n`
+        + `<svg xmlns="http://www.w3.org/2000/svg" version="1.1" width="${size}" height="${size}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">\n`
+        + `<rect width="100%" height="100%" fill="#ffffff"/>\n`
+        + `<path d="${path.join('')}" fill="#000000"/>\n`
+        + '</svg>\n';
+};
+
+const pngChunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body), 0);
+    return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Render as a black and white PNG. Modules are whole pixels, so the image is
+ * the largest multiple of the symbol size that fits `size`.
+ * @param {object} options - { size (px, default 256), margin (modules of quiet zone, default 4) }
+ * @returns {Buffer}
+ */
+const toPng = (text, { size = 256, margin = 4, errorCorrection } = {}) => {
+    const qr = encodeQr(text, { errorCorrection });
+    const scale = moduleScale(qr, { size, margin });
+    const width = (qr.size + margin * 2) * scale;
+
+    // 8-bit grayscale rows, each starting with filter type 0
+    const rowLength = width + 1;
+    const pixels = Buffer.alloc(rowLength * width, 0xff);
+    for (let y = 0; y < width; y++) {
+        pixels[y * rowLength] = 0;
+        const moduleY = Math.floor(y / scale) - margin;
+        if (moduleY < 0 || moduleY >= qr.size) continue;
+        for (let x = 0; x < width; x++) {
+            const moduleX = Math.floor(x / scale) - margin;
+            if (moduleX >= 0 && moduleX < qr.size && qr.modules[moduleY][moduleX]) {
+                pixels[y * rowLength + 1 + x] = 0;
+            }
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(width, 4);
+    header[8] = 8; // bit depth
+    header[9] = 0; // grayscale
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(pixels)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+};
+
+/**
+ * Render as a data: URL for an <img> tag
+ * @param {string} format - 'png' or 'svg'
+ */
+const toDataUrl = (text, format, options = {}) => {
+    if (format === 'svg') {
+        return `data:image/svg+xml;base64,${Buffer.from(toSvg(text, options), 'utf8').toString('base64')}`;
+    }
+    return `data:image/png;base64,${toPng(text, options).toString('base64')}`;
+};
+
+module.exports = {
+    encodeQr,
+    toSvg,
+    toPng,
+    toDataUrl
+};
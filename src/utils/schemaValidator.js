@@ -0,0 +1,178 @@
+/**
+ * Minimal JSON Schema validation for the subset used by the OpenAPI document
+ * (type, enum, required, properties, items, oneOf/anyOf, string/number bounds, $ref)
+ */
+
+const FORMATS = {
+    'date-time': value => !isNaN(new Date(value).getTime()),
+    uri: value => {
+        try {
+            new URL(value);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const resolveRef = (schema, components) => {
+    if (!schema || !schema.$ref) return schema;
+
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    const resolved = components && components.schemas && components.schemas[name];
+    if (!resolved) {
+        throw new Error(`Unknown schema reference: ${schema.$ref}`);
+    }
+    return resolveRef(resolved, components);
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {object} schema - JSON Schema (OpenAPI flavour)
+ * @param {object} options - { path, components }
+ * @returns {Array<{path: string, message: string}>} Errors, empty when valid
+ */
+const validateSchema = (value, schema, { path = 'value', components = {} } = {}) => {
+    schema = resolveRef(schema, components);
+    if (!schema) return [];
+
+    const errors = [];
+    const fail = (message, at = path) => errors.push({ path: at, message });
+
+    if (value === null && schema.nullable) {
+        return errors;
+    }
+
+    if (schema.oneOf || schema.anyOf) {
+        const options = schema.oneOf || schema.anyOf;
+        const results = options.map(option => validateSchema(value, option, { path, components }));
+        const passing = results.filter(result => result.length === 0).length;
+
+        if (passing === 0) {
+            // Report the closest alternative of the right type rather than every branch
+            const sameType = results.filter((result, index) => {
+                const option = resolveRef(options[index], components);
+                const types = option.type ? [].concat(option.type) : null;
+                return !types || types.some(type => matchesType(value, type));
+            });
+            const candidates = sameType.length > 0 ? sameType : results;
+            const closest = candidates.reduce((best, result) => result.length < best.length ? result : best);
+            errors.push(...closest);
+        } else if (schema.oneOf && passing > 1) {
+            fail('must match exactly one allowed shape');
+        }
+        return errors;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`must be ${types.join(' or ')}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(schema['x-pattern-message'] || `must match pattern ${schema.pattern}`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            fail(`must be a valid ${schema.format}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must contain at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must contain at most ${schema.maxItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateSchema(item, schema.items, { path: `${path}[${index}]`, components }));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null || value[key] === '') {
+                fail('is required', `${path}.${key}`);
+            }
+        });
+
+        const properties = schema.properties || {};
+        Object.entries(value).forEach(([key, propertyValue]) => {
+            if (propertyValue === undefined) return;
+            const at = `${path}.${key}`;
+
+            if (properties[key]) {
+                // Empty required fields were already reported above
+                if ((propertyValue === null || propertyValue === '') && (schema.required || []).includes(key)) return;
+                errors.push(...validateSchema(propertyValue, properties[key], { path: at, components }));
+            } else if (schema.additionalProperties === false) {
+                fail('is not an allowed property', at);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(propertyValue, schema.additionalProperties, { path: at, components }));
+            }
+        });
+    }
+
+    return errors;
+};
+
+/**
+ * Convert a string from the query string or path into the type its schema expects
+ */
+const coerceValue = (value, schema, components) => {
+    schema = resolveRef(schema, components) || {};
+    if (typeof value !== 'string') return value;
+
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+};
+
+module.exports = {
+    validateSchema,
+    coerceValue,
+    resolveRef
+};
@@ -0,0 +1,141 @@
+/**
+ * Session bundles: a ZIP holding `session.json` (metadata and proxy) and the
+ * Chromium profile under `profile/`, used to move a logged-in session between
+ * hosts. Caches are left out; Chromium rebuilds them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createZip, readZip } = require('./zip');
+
+const BUNDLE_FORMAT = 'wa-session-bundle';
+const BUNDLE_VERSION = 1;
+const MANIFEST_NAME = 'session.json';
+const PROFILE_PREFIX = 'profile/';
+
+// Bundles are built in memory; matches the upload limit so an export can be imported
+const MAX_PROFILE_BYTES = 100 * 1024 * 1024;
+
+// Directories Chromium regenerates, skipped at any depth
+const SKIPPED_DIRECTORIES = new Set([
+    'Cache',
+    'Code Cache',
+    'GPUCache',
+    'DawnCache',
+    'DawnGraphiteCache',
+    'DawnWebGPUCache',
+    'GraphiteDawnCache',
+    'GrShaderCache',
+    'ShaderCache',
+    'CacheStorage',
+    'ScriptCache',
+    'Crashpad',
+    'component_crx_cache',
+    'optimization_guide_model_store'
+]);
+
+/**
+ * Files of a profile directory, with paths relative to it
+ * @returns {Array<{name: string, data: Buffer}>}
+ */
+const readProfile = (profileDir) => {
+    const files = [];
+    let total = 0;
+
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (!SKIPPED_DIRECTORIES.has(entry.name)) walk(fullPath);
+                continue;
+            }
+            // Singleton* lock symlinks and sockets belong to the running browser
+            if (!entry.isFile() || entry.name.startsWith('Singleton')) continue;
+
+            const data = fs.readFileSync(fullPath);
+            total += data.length;
+            if (total > MAX_PROFILE_BYTES) {
+                throw new Error(`Profile is larger than ${MAX_PROFILE_BYTES / 1024 / 1024}MB`);
+            }
+            files.push({ name: path.relative(profileDir, fullPath).split(path.sep).join('/'), data });
+        }
+    };
+
+    walk(profileDir);
+    return files;
+};
+
+/**
+ * Build a bundle archive
+ * @param {object} manifest - Serialized to session.json next to format and version
+ * @param {string} profileDir - Chromium profile directory
+ * @returns {Buffer}
+ */
+const createBundle = (manifest, profileDir) => {
+    const files = readProfile(profileDir);
+    return createZip([
+        {
+            name: MANIFEST_NAME,
+            data: JSON.stringify({ format: BUNDLE_FORMAT, version: BUNDLE_VERSION, ...manifest, files: files.length }, null, 2)
+        },
+        ...files.map(file => ({ name: PROFILE_PREFIX + file.name, data: file.data }))
+    ]);
+};
+
+/**
+ * Parse and check a bundle archive
+ * @returns {{manifest: object, files: Array<{name: string, data: Buffer}>}} Profile files relative to the profile directory
+ */
+const readBundle = (buffer) => {
+    const entries = readZip(buffer);
+
+    const manifestEntry = entries.find(entry => entry.name === MANIFEST_NAME);
+    if (!manifestEntry) {
+        throw new Error(`Bundle has no ${MANIFEST_NAME}`);
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(manifestEntry.data.toString('utf8'));
+    } catch (error) {
+        throw new Error(`${MANIFEST_NAME} is not valid JSON`);
+    }
+    if (manifest.format !== BUNDLE_FORMAT || manifest.version !== BUNDLE_VERSION) {
+        throw new Error(`Unsupported bundle format: ${manifest.format} v${manifest.version}`);
+    }
+    if (!manifest.session || !manifest.session.id || !manifest.session.userId) {
+        throw new Error(`${MANIFEST_NAME} is missing the session id or user`);
+    }
+
+    const files = entries
+        .filter(entry => entry.name.startsWith(PROFILE_PREFIX) && !entry.name.endsWith('/'))
+        .map(entry => ({ name: entry.name.slice(PROFILE_PREFIX.length), data: entry.data }));
+
+    // Entries must stay inside the profile directory
+    const unsafe = files.find(file => path.isAbsolute(file.name) || file.name.split(/[\\/]/).some(part => part === '..' || part === ''));
+    if (unsafe) {
+        throw new Error(`Bundle contains an unsafe path: ${unsafe.name}`);
+    }
+    if (files.length === 0) {
+        throw new Error('Bundle contains no profile files');
+    }
+
+    return { manifest, files };
+};
+
+/**
+ * Write profile files into a new directory
+ */
+const writeProfile = (profileDir, files) => {
+    for (const file of files) {
+        const target = path.join(profileDir, ...file.name.split('/'));
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, file.data);
+    }
+};
+
+module.exports = {
+    createBundle,
+    readBundle,
+    writeProfile
+};
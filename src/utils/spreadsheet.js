@@ -0,0 +1,107 @@
+/**
+ * CSV and XLSX output for tabular exports.
+ * Every cell is written as text so phone numbers keep their digits.
+ */
+
+const { createZip } = require('./zip');
+
+// Spreadsheet apps run CSV cells starting with these as formulas (XLSX inline strings are never evaluated)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const cellText = (value) => {
+    if (value === null || value === undefined) return '';
+    return value instanceof Date ? value.toISOString() : String(value);
+};
+
+/**
+ * @param {Array<{key: string, header: string}>} columns
+ * @param {object[]} rows
+ * @returns {string} CSV with a header row and CRLF line endings
+ */
+const toCsv = (columns, rows) => {
+    const escape = (value) => {
+        let text = cellText(value);
+        if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.map(column => escape(column.header)).join(',')];
+    rows.forEach(row => lines.push(columns.map(column => escape(row[column.key])).join(',')));
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+const escapeXml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+
+const columnName = (index) => {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+};
+
+/**
+ * @param {Array<{key: string, header: string}>} columns
+ * @param {object[]} rows
+ * @param {string} sheetName - At most 31 characters
+ * @returns {Buffer} XLSX workbook with a single sheet
+ */
+const toXlsx = (columns, rows, sheetName = 'Sheet1') => {
+    const cell = (value, column, row) =>
+        `<c r="${columnName(column)}${row}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(cellText(value))}</t></is></c>`;
+
+    const sheetRows = [columns.map(column => column.header), ...rows.map(row => columns.map(column => row[column.key]))]
+        .map((values, index) => `<row r="${index + 1}">${values.map((value, column) => cell(value, column, index + 1)).join('')}</row>`)
+        .join('');
+
+    const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `<sheetData>${sheetRows}</sheetData></worksheet>`;
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '
+                + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+                + `<sheets><sheet name="${escapeXml(sheetName.replace(/[:\\/?*[\]]/g, ' ').slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+                + '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+                + '</Relationships>'
+        },
+        { name: 'xl/worksheets/sheet1.xml', data: sheet }
+    ]);
+};
+
+module.exports = {
+    toCsv,
+    toXlsx
+};
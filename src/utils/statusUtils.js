@@ -2,6 +2,9 @@
  * Status utility functions for WhatsApp automation
  */
 
+const fs = require('fs');
+const crypto = require('crypto');
+
 /**
  * Check if a JID is the status broadcast channel
  * @param {string} jid - The JID to check
@@ -14,13 +17,69 @@ const isJidStatusBroadcast = (jid) => jid === 'status@broadcast';
  */
 const STATUS_BROADCAST_JID = 'status@broadcast';
 
+/**
+ * Pull the WhatsApp message id out of a status handler result
+ * @param {object} result - The value returned by sendTextStatus/sendImageStatus/sendVideoStatus
+ * @returns {string|null} The serialized message id, if the handler reported one
+ */
+const extractMessageId = (result) => {
+    if (!result) return null;
+    if (result.messageId) return result.messageId;
+
+    const id = result.result?.id || result.result?.msgId || null;
+    if (!id) return null;
+    return typeof id === 'object' ? (id._serialized || id.id || null) : String(id);
+};
+
+/**
+ * Summarize what a status send carried: the text itself, or a hash of the media bytes.
+ * The hash matches MediaStore ids, so media can be looked up by it.
+ * @param {string} type - text, image or video
+ * @param {string|Buffer|object} content - Text, base64/data URL, Buffer or an upload { filePath, mimeType }
+ * @returns {Promise<object>} { text } or { mediaHash, mimeType, size }
+ */
+const describeStatusContent = async (type, content) => {
+    if (type === 'text') {
+        return { text: String(content) };
+    }
+
+    const hash = crypto.createHash('sha256');
+    let mimeType = null;
+    let size;
+
+    if (Buffer.isBuffer(content)) {
+        hash.update(content);
+        size = content.length;
+    } else if (content && typeof content === 'object' && content.filePath) {
+        // Uploads are hashed as a stream so large videos are never held in memory
+        size = 0;
+        for await (const chunk of fs.createReadStream(content.filePath)) {
+            hash.update(chunk);
+            size += chunk.length;
+        }
+        mimeType = content.mimeType || null;
+    } else {
+        const match = String(content).match(/^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s);
+        const buffer = Buffer.from(match ? match[2] : String(content), 'base64');
+        hash.update(buffer);
+        size = buffer.length;
+        mimeType = match ? match[1] || null : null;
+    }
+
+    return { mediaHash: hash.digest('hex'), mimeType, size };
+};
+
 module.exports = {
     isJidStatusBroadcast,
+    extractMessageId,
+    describeStatusContent,
     STATUS_BROADCAST_JID
 };
 
 // TypeScript-style export for compatibility
 if (typeof exports !== 'undefined') {
     exports.isJidStatusBroadcast = isJidStatusBroadcast;
+    exports.extractMessageId = extractMessageId;
+    exports.describeStatusContent = describeStatusContent;
     exports.STATUS_BROADCAST_JID = STATUS_BROADCAST_JID;
 }
\ No newline at end of file
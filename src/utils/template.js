@@ -0,0 +1,47 @@
+/**
+ * Placeholder substitution for status templates.
+ * Syntax: {{name}} or {{name|fallback}}; whitespace inside the braces is ignored.
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)\s*(?:\|([^}]*))?\}\}/g;
+
+/**
+ * List the distinct placeholder names used in a string
+ * @param {string} text
+ * @returns {string[]}
+ */
+const extractPlaceholders = (text) => {
+    if (typeof text !== 'string') return [];
+    const names = new Set();
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+        names.add(match[1]);
+    }
+    return [...names];
+};
+
+/**
+ * Substitute placeholders in a string
+ * @param {string} text
+ * @param {object} variables - name -> value; null/undefined/'' count as missing
+ * @returns {{text: string, missing: string[]}} missing lists placeholders with no value and no fallback
+ */
+const renderTemplate = (text, variables = {}) => {
+    const missing = new Set();
+    const rendered = String(text).replace(PLACEHOLDER_PATTERN, (placeholder, name, fallback) => {
+        const value = variables[name];
+        if (value !== undefined && value !== null && value !== '') {
+            return String(value);
+        }
+        if (fallback !== undefined) {
+            return fallback.trim();
+        }
+        missing.add(name);
+        return placeholder;
+    });
+    return { text: rendered, missing: [...missing] };
+};
+
+module.exports = {
+    extractPlaceholders,
+    renderTemplate
+};
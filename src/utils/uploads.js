@@ -0,0 +1,133 @@
+/**
+ * Helpers for multipart uploads handled by express-fileupload.
+ * Files are written to temp files, so handlers work with paths instead of buffers.
+ */
+
+const fs = require('fs');
+
+/**
+ * Get a single uploaded file from a form field (the first one if the field was repeated)
+ * @param {object} req - Express request
+ * @param {string} field - Form field name
+ * @returns {object|null} express-fileupload file object
+ */
+const getUploadedFile = (req, field) => {
+    const file = req.files && req.files[field];
+    if (!file) return null;
+    return Array.isArray(file) ? file[0] || null : file;
+};
+
+/**
+ * Read an upload into memory (only for consumers that need a Buffer)
+ */
+const readUploadedFile = async (file) => {
+    if (file.tempFilePath) {
+        return fs.promises.readFile(file.tempFilePath);
+    }
+    return file.data;
+};
+
+/**
+ * Keep an upload's temp file after the response; the caller must remove it
+ */
+const retainUpload = (file) => {
+    file.retained = true;
+    return file;
+};
+
+const removeUpload = (file) => {
+    if (!file || !file.tempFilePath) return;
+    fs.promises.unlink(file.tempFilePath).catch(error => {
+        if (error.code !== 'ENOENT') {
+            console.error('[Uploads] Failed to remove temp file:', error.message);
+        }
+    });
+};
+
+/**
+ * Express middleware removing temp files that no handler retained once the response is done
+ */
+const cleanupUploads = () => (req, res, next) => {
+    let done = false;
+    const cleanup = () => {
+        if (done || !req.files) return;
+        done = true;
+        Object.values(req.files).forEach(entry => {
+            [].concat(entry).filter(file => !file.retained).forEach(removeUpload);
+        });
+    };
+    res.on('finish', cleanup);
+    res.on('close', cleanup);
+    next();
+};
+
+/**
+ * Parse the `options` form field, which multipart clients send as a JSON string
+ * @returns {object} Parsed options
+ */
+const parseFormOptions = (value) => {
+    if (value === undefined || value === '') return {};
+    if (typeof value === 'object') return value;
+
+    const parsed = JSON.parse(value);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('options must be a JSON object');
+    }
+    return parsed;
+};
+
+/**
+ * Load an upload into a browser page as a File object without passing its bytes
+ * through Node: Playwright gives Chromium the path and the browser reads it itself.
+ * Page code swaps { uploadToken } content for window.__statusUploads[uploadToken].
+ * @param {object} page - Playwright page
+ * @param {object} upload - { filePath, mimeType, fileName }
+ * @returns {Promise<string>} Token under which the File is kept on window.__statusUploads
+ */
+const stageUploadInPage = async (page, { filePath, mimeType, fileName }) => {
+    const token = `status-upload-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    await page.evaluate((inputId) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.id = inputId;
+        input.style.display = 'none';
+        document.body.appendChild(input);
+    }, token);
+
+    try {
+        await page.setInputFiles(`#${token}`, filePath, { timeout: 60000 });
+
+        await page.evaluate(({ inputId, type, name }) => {
+            const input = document.getElementById(inputId);
+            const file = input.files[0];
+            window.__statusUploads = window.__statusUploads || {};
+            // Temp files have no extension, so restore the uploaded name and MIME type
+            window.__statusUploads[inputId] = new File([file], name || file.name, { type: type || file.type });
+        }, { inputId: token, type: mimeType, name: fileName });
+    } finally {
+        await page.evaluate((inputId) => {
+            const input = document.getElementById(inputId);
+            if (input) input.remove();
+        }, token).catch(() => {});
+    }
+
+    return token;
+};
+
+const releaseUploadInPage = async (page, token) => {
+    await page.evaluate((inputId) => {
+        if (window.__statusUploads) delete window.__statusUploads[inputId];
+    }, token).catch(() => {});
+};
+
+module.exports = {
+    getUploadedFile,
+    readUploadedFile,
+    retainUpload,
+    removeUpload,
+    cleanupUploads,
+    parseFormOptions,
+    stageUploadInPage,
+    releaseUploadInPage
+};
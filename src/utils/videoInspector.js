@@ -0,0 +1,305 @@
+/**
+ * MP4/MOV inspection without ffmpeg: walks the ISO BMFF box tree to read
+ * duration, resolution, codecs and size. Only box headers and the moov box are
+ * read, so large files are never loaded into memory.
+ */
+
+const fs = require('fs');
+
+// moov is metadata only; anything bigger is not a file we want to send as a status
+const MAX_MOOV_SIZE = 64 * 1024 * 1024;
+
+const CODEC_NAMES = {
+    avc1: 'h264',
+    avc3: 'h264',
+    hvc1: 'hevc',
+    hev1: 'hevc',
+    vp09: 'vp9',
+    av01: 'av1',
+    mp4v: 'mpeg4',
+    mp4a: 'aac',
+    'ac-3': 'ac3',
+    'ec-3': 'eac3',
+    Opus: 'opus',
+    alac: 'alac'
+};
+
+/**
+ * Limits WhatsApp applies to status videos
+ */
+const STATUS_VIDEO_LIMITS = {
+    maxDuration: 60, // seconds
+    maxSize: 16 * 1024 * 1024, // bytes
+    maxDimension: 1920, // longest edge, larger clips are downscaled by WhatsApp
+    videoCodecs: ['h264'],
+    audioCodecs: ['aac']
+};
+
+/**
+ * Random access over either a Buffer or an open file
+ */
+const createReader = async (source) => {
+    if (Buffer.isBuffer(source)) {
+        return {
+            size: source.length,
+            read: async (offset, length) => source.subarray(offset, Math.min(offset + length, source.length)),
+            close: async () => {}
+        };
+    }
+
+    const handle = await fs.promises.open(source, 'r');
+    const { size } = await handle.stat();
+    return {
+        size,
+        read: async (offset, length) => {
+            const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - offset)));
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, offset);
+            return buffer.subarray(0, bytesRead);
+        },
+        close: () => handle.close()
+    };
+};
+
+/**
+ * Parse a box header at `offset`; returns null when the data is not a valid box
+ */
+const readBoxHeader = (buffer, offset, end) => {
+    if (offset + 8 > end) return null;
+
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+        if (offset + 16 > end) return null;
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        headerSize = 16;
+    } else if (size === 0) {
+        size = end - offset;
+    }
+
+    if (size < headerSize || !/^[\x20-\x7e]{4}$/.test(type)) return null;
+    return { type, size, headerSize };
+};
+
+/**
+ * Iterate child boxes of buffer[start, end)
+ */
+const childBoxes = (buffer, start, end) => {
+    const boxes = [];
+    let offset = start;
+    while (offset < end) {
+        const header = readBoxHeader(buffer, offset, end);
+        if (!header) break;
+        boxes.push({ ...header, start: offset + header.headerSize, end: Math.min(offset + header.size, end) });
+        offset += header.size;
+    }
+    return boxes;
+};
+
+const findBox = (buffer, box, path) => {
+    let current = box;
+    for (const type of path) {
+        current = childBoxes(buffer, current.start, current.end).find(child => child.type === type);
+        if (!current) return null;
+    }
+    return current;
+};
+
+// Version 1 boxes use 64-bit times and durations
+const readTimes = (buffer, box) => {
+    const version = buffer.readUInt8(box.start);
+    if (version === 1) {
+        return {
+            timescale: buffer.readUInt32BE(box.start + 20),
+            duration: Number(buffer.readBigUInt64BE(box.start + 24))
+        };
+    }
+    return {
+        timescale: buffer.readUInt32BE(box.start + 12),
+        duration: buffer.readUInt32BE(box.start + 16)
+    };
+};
+
+const parseTrack = (buffer, trak) => {
+    const hdlr = findBox(buffer, trak, ['mdia', 'hdlr']);
+    const mdhd = findBox(buffer, trak, ['mdia', 'mdhd']);
+    const stsd = findBox(buffer, trak, ['mdia', 'minf', 'stbl', 'stsd']);
+    if (!hdlr || !mdhd || !stsd) return null;
+
+    const handler = buffer.toString('latin1', hdlr.start + 8, hdlr.start + 12);
+    const { timescale, duration } = readTimes(buffer, mdhd);
+    const seconds = timescale ? duration / timescale : 0;
+
+    // First sample description: size(4) fourcc(4) reserved(6) data reference index(2)
+    const entry = stsd.start + 8;
+    const fourcc = buffer.toString('latin1', entry + 4, entry + 8);
+    const track = { handler, fourcc, codec: CODEC_NAMES[fourcc] || fourcc.trim(), duration: seconds };
+
+    if (handler === 'vide') {
+        track.width = buffer.readUInt16BE(entry + 32);
+        track.height = buffer.readUInt16BE(entry + 34);
+
+        const tkhd = findBox(buffer, trak, ['tkhd']);
+        if (tkhd) {
+            // Matrix starts after the times, ids and layer/volume fields; a and b give the rotation
+            const matrix = tkhd.start + (buffer.readUInt8(tkhd.start) === 1 ? 52 : 40);
+            const a = buffer.readInt32BE(matrix) / 65536;
+            const b = buffer.readInt32BE(matrix + 4) / 65536;
+            track.rotation = (Math.round(Math.atan2(b, a) * 180 / Math.PI) + 360) % 360;
+        }
+
+        const stsz = findBox(buffer, trak, ['mdia', 'minf', 'stbl', 'stsz']);
+        if (stsz && seconds > 0) {
+            const frames = buffer.readUInt32BE(stsz.start + 8);
+            track.frameRate = Math.round(frames / seconds * 100) / 100;
+        }
+    } else if (handler === 'soun') {
+        track.channels = buffer.readUInt16BE(entry + 24);
+        track.sampleRate = buffer.readUInt32BE(entry + 32) >>> 16;
+    }
+
+    return track;
+};
+
+/**
+ * Inspect an MP4 or MOV file
+ * @param {Buffer|string} source - File contents or a path to the file
+ * @returns {Promise<object>} { container, brand, size, duration, bitrate, fastStart, video, audio }
+ */
+const inspectVideo = async (source) => {
+    const reader = await createReader(source);
+
+    try {
+        let brand = null;
+        let moov = null;
+        let mdatOffset = null;
+        let offset = 0;
+
+        // Walk top-level boxes by reading only their headers
+        while (offset < reader.size) {
+            const headerBytes = await reader.read(offset, 16);
+            const header = readBoxHeader(headerBytes, 0, reader.size - offset);
+            if (!header) break;
+            const { size } = header;
+
+            if (header.type === 'ftyp') {
+                brand = (await reader.read(offset + header.headerSize, 4)).toString('latin1');
+            } else if (header.type === 'moov') {
+                if (size > MAX_MOOV_SIZE) {
+                    throw new Error('moov box is too large');
+                }
+                moov = { offset, headerSize: header.headerSize, buffer: await reader.read(offset, size) };
+                if (moov.buffer.length < size) {
+                    throw new Error('moov box is truncated');
+                }
+            } else if (header.type === 'mdat' && mdatOffset === null) {
+                mdatOffset = offset;
+            }
+            offset += size;
+        }
+
+        if (!brand && !moov) {
+            throw new Error('Not an MP4/MOV file');
+        }
+        if (!moov) {
+            throw new Error('Missing moov box (file may be truncated)');
+        }
+
+        const root = { start: moov.headerSize, end: moov.buffer.length };
+        let movieTimes;
+        let tracks;
+        try {
+            const mvhd = findBox(moov.buffer, root, ['mvhd']);
+            movieTimes = mvhd ? readTimes(moov.buffer, mvhd) : { timescale: 0, duration: 0 };
+            tracks = childBoxes(moov.buffer, root.start, root.end)
+                .filter(box => box.type === 'trak')
+                .map(trak => parseTrack(moov.buffer, trak))
+                .filter(Boolean);
+        } catch (error) {
+            // Boxes pointing past their parent
+            throw new Error(`Malformed moov box: ${error.message}`);
+        }
+
+        const videoTrack = tracks.find(track => track.handler === 'vide') || null;
+        const audioTrack = tracks.find(track => track.handler === 'soun') || null;
+        const duration = movieTimes.timescale
+            ? movieTimes.duration / movieTimes.timescale
+            : Math.max(0, ...tracks.map(track => track.duration));
+
+        let video = null;
+        if (videoTrack) {
+            const rotated = videoTrack.rotation === 90 || videoTrack.rotation === 270;
+            video = {
+                codec: videoTrack.codec,
+                fourcc: videoTrack.fourcc,
+                width: videoTrack.width,
+                height: videoTrack.height,
+                displayWidth: rotated ? videoTrack.height : videoTrack.width,
+                displayHeight: rotated ? videoTrack.width : videoTrack.height,
+                rotation: videoTrack.rotation || 0,
+                frameRate: videoTrack.frameRate || null
+            };
+        }
+
+        return {
+            container: brand && brand.startsWith('qt') ? 'mov' : 'mp4',
+            brand: brand ? brand.trim() : null,
+            size: reader.size,
+            duration: Math.round(duration * 1000) / 1000,
+            bitrate: duration > 0 ? Math.round(reader.size * 8 / duration) : null,
+            fastStart: mdatOffset === null || moov.offset < mdatOffset,
+            video,
+            audio: audioTrack ? {
+                codec: audioTrack.codec,
+                fourcc: audioTrack.fourcc,
+                channels: audioTrack.channels,
+                sampleRate: audioTrack.sampleRate
+            } : null
+        };
+    } finally {
+        await reader.close();
+    }
+};
+
+/**
+ * Check inspected metadata against status limits
+ * @returns {{errors: string[], warnings: string[]}} errors block the send, warnings are reported
+ */
+const checkStatusVideo = (metadata, limits = STATUS_VIDEO_LIMITS) => {
+    const errors = [];
+    const warnings = [];
+
+    if (!metadata.video) {
+        errors.push('file has no video track');
+    }
+    if (metadata.duration > limits.maxDuration) {
+        errors.push(`duration ${metadata.duration}s exceeds the ${limits.maxDuration}s status limit`);
+    }
+    if (metadata.size > limits.maxSize) {
+        errors.push(`size ${(metadata.size / 1024 / 1024).toFixed(1)}MB exceeds the ${(limits.maxSize / 1024 / 1024).toFixed(0)}MB status limit`);
+    }
+
+    if (metadata.video) {
+        if (!limits.videoCodecs.includes(metadata.video.codec)) {
+            warnings.push(`video codec ${metadata.video.codec} may not play on all devices (expected ${limits.videoCodecs.join('/')})`);
+        }
+        if (Math.max(metadata.video.width, metadata.video.height) > limits.maxDimension) {
+            warnings.push(`resolution ${metadata.video.width}x${metadata.video.height} will be downscaled by WhatsApp`);
+        }
+    }
+    if (metadata.audio && !limits.audioCodecs.includes(metadata.audio.codec)) {
+        warnings.push(`audio codec ${metadata.audio.codec} may not play on all devices (expected ${limits.audioCodecs.join('/')})`);
+    }
+    if (!metadata.fastStart) {
+        warnings.push('moov box is after the media data; the browser must read the whole file before sending');
+    }
+
+    return { errors, warnings };
+};
+
+module.exports = {
+    inspectVideo,
+    checkStatusVideo,
+    STATUS_VIDEO_LIMITS
+};
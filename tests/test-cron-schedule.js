@@ -0,0 +1,53 @@
+// Server-local rules are checked in a zone with DST; set before any Date is used
+process.env.TZ = 'America/New_York';
+
+const assert = require('assert');
+const { parseCronExpression, getNextCronRun } = require('../src/utils/cronSchedule');
+
+const NEW_YORK = 'America/New_York';
+
+const expectNextRun = (expression, after, timezone, expected, label) => {
+    const next = getNextCronRun(expression, new Date(after), timezone).toISOString();
+    assert.strictEqual(next, expected, `${label}: "${expression}" after ${after}`);
+    console.log(`  - ${label}: ${next}`);
+};
+
+async function testCronSchedule() {
+    console.log('🧪 Testing Cron Schedule...\n');
+
+    console.log('🌸 Spring forward (New York, 2026-03-08 02:00 -> 03:00):');
+    // 02:30 does not exist that night; the run moves to 03:30 EDT instead of being skipped
+    expectNextRun('30 2 * * *', '2026-03-07T12:00:00Z', NEW_YORK, '2026-03-08T07:30:00.000Z', 'skipped wall time runs an hour later');
+    expectNextRun('30 2 * * *', '2026-03-08T07:30:00Z', NEW_YORK, '2026-03-09T06:30:00.000Z', 'next day is back on 02:30 EDT');
+    expectNextRun('0 * * * *', '2026-03-08T06:30:00Z', NEW_YORK, '2026-03-08T07:00:00.000Z', 'hourly after 01:30 EST');
+    expectNextRun('0 * * * *', '2026-03-08T07:00:00Z', NEW_YORK, '2026-03-08T08:00:00.000Z', 'hourly does not fire twice at 03:00');
+    expectNextRun('0 9 * * 1-5', '2026-03-06T15:00:00Z', NEW_YORK, '2026-03-09T13:00:00.000Z', 'weekday 09:00 keeps local time');
+
+    console.log('\n🍂 Fall back (New York, 2026-11-01 02:00 -> 01:00):');
+    // 01:30 happens twice that night; the rule runs once, at the first one
+    expectNextRun('30 1 * * *', '2026-11-01T00:00:00Z', NEW_YORK, '2026-11-01T05:30:00.000Z', 'repeated wall time runs at the first');
+    expectNextRun('30 1 * * *', '2026-11-01T05:30:00Z', NEW_YORK, '2026-11-02T06:30:00.000Z', 'and not again at 01:30 EST');
+
+    console.log('\n🌍 Other zones:');
+    // Israel moves its clocks on the Friday before the last Sunday of March
+    expectNextRun('0 9 * * *', '2026-03-26T12:00:00Z', 'Asia/Jerusalem', '2026-03-27T06:00:00.000Z', 'Jerusalem on its change day');
+    expectNextRun('0 9 * * *', '2026-03-26T12:00:00Z', 'UTC', '2026-03-27T09:00:00.000Z', 'UTC has no DST');
+
+    console.log('\n🖥️ Server local time (TZ=America/New_York):');
+    expectNextRun('30 2 * * *', '2026-03-07T12:00:00Z', null, '2026-03-08T07:30:00.000Z', 'spring forward');
+    expectNextRun('30 1 * * *', '2026-11-01T05:30:00Z', null, '2026-11-02T06:30:00.000Z', 'fall back');
+
+    console.log('\n⚠️ Testing invalid rules:');
+    assert.throws(() => parseCronExpression('0 9 * *'), /5 fields/);
+    assert.throws(() => getNextCronRun('0 9 * * *', new Date(), 'Mars/Olympus'), /Invalid timezone/);
+    assert.throws(() => getNextCronRun('0 0 31 2 *', new Date()), /never fires/);
+    console.log('  - Short expressions, unknown zones and impossible dates are rejected');
+
+    console.log('\n✨ All cron schedule tests passed!');
+}
+
+// Run tests
+testCronSchedule().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,227 @@
+const assert = require('assert');
+const zlib = require('zlib');
+const { encodeQr, toPng, toSvg, toDataUrl } = require('../src/utils/qrCode');
+
+// Reference values from ISO/IEC 18004 for error correction level M, versions 1-10:
+// total codewords, error correction blocks and ECC codewords per block
+const LEVEL_M = {
+    1: [26, 1, 10], 2: [44, 1, 16], 3: [70, 1, 26], 4: [100, 2, 18], 5: [134, 2, 24],
+    6: [172, 4, 16], 7: [196, 4, 18], 8: [242, 4, 22], 9: [292, 5, 22], 10: [346, 5, 26]
+};
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const EXP = new Array(512);
+const LOG = new Array(256);
+for (let i = 0, value = 1; i < 255; i++) {
+    EXP[i] = value;
+    LOG[value] = i;
+    value = (value << 1) ^ (value & 0x80 ? 0x11d : 0);
+}
+for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+// A block is a valid Reed-Solomon codeword when its polynomial vanishes at α^0 .. α^(ecc-1)
+const syndromesAreZero = (block, eccLength) => {
+    for (let i = 0; i < eccLength; i++) {
+        let sum = 0;
+        for (const codeword of block) {
+            sum = (sum === 0 ? 0 : EXP[LOG[sum] + i]) ^ codeword;
+        }
+        if (sum !== 0) return false;
+    }
+    return true;
+};
+
+const functionModules = (version, size) => {
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const mark = (x0, y0, width, height) => {
+        for (let y = y0; y < y0 + height; y++) {
+            for (let x = x0; x < x0 + width; x++) isFunction[y][x] = true;
+        }
+    };
+
+    // Finders with separators and format areas, timing patterns
+    mark(0, 0, 9, 9);
+    mark(size - 8, 0, 8, 9);
+    mark(0, size - 8, 9, 8);
+    mark(6, 0, 1, size);
+    mark(0, 6, size, 1);
+
+    if (version > 1) {
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+        const positions = [6];
+        for (let i = count - 2; i >= 0; i--) positions.push(size - 7 - i * step);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => positions.forEach((cx, j) => {
+            // Except where the finder patterns sit
+            if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) mark(cx - 2, cy - 2, 5, 5);
+        }));
+    }
+    if (version >= 7) {
+        mark(size - 11, 0, 3, 6);
+        mark(0, size - 11, 6, 3);
+    }
+    return isFunction;
+};
+
+/**
+ * Decode a byte-mode, level M symbol the way a scanner would
+ */
+const decodeQr = (modules) => {
+    const size = modules.length;
+    const version = (size - 17) / 4;
+    assert.ok(LEVEL_M[version], `unexpected symbol size ${size}`);
+
+    // Format information (first copy), BCH(15,5) with the fixed XOR mask
+    let format = 0;
+    const formatCells = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+    formatCells.forEach(([x, y], i) => {
+        if (modules[y][x]) format |= 1 << i;
+    });
+    const data = (format ^ 0x5412) >>> 10;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    assert.strictEqual(format, ((data << 10) | remainder) ^ 0x5412, 'format information fails its BCH check');
+    assert.strictEqual(data >>> 3, 0, 'error correction level is not M');
+    const mask = MASKS[data & 7];
+
+    // Read the codewords in the zigzag order, skipping function modules
+    const isFunction = functionModules(version, size);
+    const bits = [];
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!isFunction[y][x]) bits.push(modules[y][x] !== mask(x, y) ? 1 : 0);
+            }
+        }
+    }
+
+    const [total, blockCount, eccLength] = LEVEL_M[version];
+    const codewords = [];
+    for (let i = 0; i < total; i++) {
+        codewords.push(bits.slice(i * 8, i * 8 + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    // De-interleave: short blocks come first and carry one data codeword less
+    const shortBlocks = blockCount - (total % blockCount);
+    const shortDataLength = Math.floor(total / blockCount) - eccLength;
+    const blocks = Array.from({ length: blockCount }, (_, i) => ({ data: [], ecc: [], dataLength: shortDataLength + (i < shortBlocks ? 0 : 1) }));
+    let next = 0;
+    for (let i = 0; i <= shortDataLength; i++) {
+        blocks.forEach(block => {
+            if (i < block.dataLength) block.data.push(codewords[next++]);
+        });
+    }
+    for (let i = 0; i < eccLength; i++) {
+        blocks.forEach(block => block.ecc.push(codewords[next++]));
+    }
+    blocks.forEach((block, i) => {
+        assert.ok(syndromesAreZero([...block.data, ...block.ecc], eccLength), `block ${i} fails its Reed-Solomon check`);
+    });
+
+    // Byte mode segment
+    const stream = blocks.flatMap(block => block.data).flatMap(byte => [7, 6, 5, 4, 3, 2, 1, 0].map(i => (byte >>> i) & 1));
+    let position = 0;
+    const read = length => {
+        let value = 0;
+        for (let i = 0; i < length; i++) value = (value << 1) | stream[position++];
+        return value;
+    };
+    assert.strictEqual(read(4), 0b0100, 'segment is not in byte mode');
+    const length = read(version <= 9 ? 8 : 16);
+    const bytes = [];
+    for (let i = 0; i < length; i++) bytes.push(read(8));
+    return { version, text: Buffer.from(bytes).toString('utf8') };
+};
+
+/**
+ * Grayscale PNG from toPng() back to a module matrix, sampling module centres
+ */
+const readPng = (png, { margin }) => {
+    assert.strictEqual(png.toString('latin1', 1, 4), 'PNG');
+    let offset = 8;
+    let width;
+    const idat = [];
+    while (offset < png.length) {
+        const length = png.readUInt32BE(offset);
+        const type = png.toString('latin1', offset + 4, offset + 8);
+        const data = png.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') width = data.readUInt32BE(0);
+        if (type === 'IDAT') idat.push(data);
+        offset += 12 + length;
+    }
+
+    const pixels = zlib.inflateSync(Buffer.concat(idat));
+    const pixel = (x, y) => pixels[y * (width + 1) + 1 + x];
+
+    // The quiet zone is white, so the first dark pixel on the diagonal is the finder corner
+    let start = 0;
+    while (pixel(start, start) !== 0) start++;
+    const scale = start / margin;
+    const size = width / scale - margin * 2;
+
+    return Array.from({ length: size }, (_, y) => Array.from({ length: size }, (_, x) =>
+        pixel(Math.floor((x + margin + 0.5) * scale), Math.floor((y + margin + 0.5) * scale)) === 0));
+};
+
+async function testQrCode() {
+    console.log('🧪 Testing QR Code Encoder...\n');
+
+    const samples = [
+        'hello',
+        'שלום 👋 status',
+        // Shaped like WhatsApp's login code: ref, public key, identity key and secret
+        `2@${'Qm9vdHN0cmFwUmVmZXJlbmNl'.repeat(3)},${'k5VhFjA2mYt0r1q3ZzXwB8nQ4sLp6oDc+eGiH7uJ9y8='},${'c2VydmVyIGlkZW50aXR5IGtleSBzYW1wbGU0NTY3OA=='},${'YWR2U2VjcmV0S2V5U2FtcGxl'.repeat(2)}`
+    ];
+
+    console.log('🔁 Round-tripping through the PNG renderer:');
+    for (const text of samples) {
+        const qr = encodeQr(text);
+        const modules = readPng(toPng(text, { size: 400, margin: 2 }), { margin: 2 });
+        assert.deepStrictEqual(modules, qr.modules, 'PNG pixels do not match the encoded modules');
+
+        const decoded = decodeQr(modules);
+        assert.strictEqual(decoded.text, text);
+        assert.strictEqual(decoded.version, qr.version);
+        console.log(`  - ${Buffer.byteLength(text)} bytes -> version ${qr.version} (${qr.size}x${qr.size}) decoded`);
+    }
+    assert.ok(encodeQr(samples[2]).version >= 10, 'long sample should need a 16-bit length field');
+
+    console.log('\n🖼️ Testing SVG and data URLs:');
+    const svg = toSvg('hello', { size: 128, margin: 4 });
+    const qr = encodeQr('hello');
+    const darkModules = qr.modules.flat().filter(Boolean).length;
+    assert.strictEqual((svg.match(/h1v1h-1z/g) || []).length, darkModules);
+    assert.ok(svg.includes(`viewBox="0 0 ${qr.size + 8} ${qr.size + 8}"`));
+    assert.ok(toDataUrl('hello', 'png').startsWith('data:image/png;base64,iVBORw0KGgo'));
+    assert.ok(toDataUrl('hello', 'svg').startsWith('data:image/svg+xml;base64,'));
+    console.log(`  - SVG draws all ${darkModules} dark modules; data URLs have the right types`);
+
+    console.log('\n⚠️ Testing invalid input:');
+    assert.throws(() => encodeQr('hello', { errorCorrection: 'X' }), /Unknown error correction level/);
+    assert.throws(() => encodeQr('x'.repeat(3000)), /too long/);
+    console.log('  - Unknown levels and oversized text are rejected');
+
+    console.log('\n✨ All QR code tests passed!');
+}
+
+// Run tests
+testQrCode().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,133 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { inspectVideo, checkStatusVideo } = require('../src/utils/videoInspector');
+
+// ============================================
+// Minimal ISO BMFF writer for test clips
+// ============================================
+
+const box = (type, ...parts) => {
+    const payload = Buffer.concat(parts);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(payload.length + 8, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, payload]);
+};
+
+const uint32 = (...values) => {
+    const buffer = Buffer.alloc(values.length * 4);
+    values.forEach((value, i) => buffer.writeUInt32BE(value >>> 0, i * 4));
+    return buffer;
+};
+
+// version/flags, creation and modification times, then timescale and duration
+const timesBox = (type, timescale, duration, padding) => box(type, uint32(0, 0, 0, timescale, duration), Buffer.alloc(padding));
+
+const tkhd = (rotation) => {
+    const payload = Buffer.alloc(80);
+    const [a, b] = rotation === 90 ? [0, 1] : [1, 0];
+    payload.writeInt32BE(a * 65536, 40);
+    payload.writeInt32BE(b * 65536, 44);
+    return box('tkhd', payload);
+};
+
+const sampleEntry = (fourcc, fill) => {
+    const entry = Buffer.alloc(86);
+    entry.writeUInt32BE(entry.length, 0);
+    entry.write(fourcc, 4, 'latin1');
+    fill(entry);
+    return box('stsd', uint32(0, 1), entry);
+};
+
+const track = (handler, stsd, { rotation = 0, frames = null } = {}) => box('trak',
+    tkhd(rotation),
+    box('mdia',
+        timesBox('mdhd', 90000, 90000 * 12.5, 4),
+        box('hdlr', uint32(0, 0), Buffer.from(handler, 'latin1'), Buffer.alloc(13)),
+        box('minf', box('stbl', stsd, ...(frames ? [box('stsz', uint32(0, 0, frames))] : []))))
+);
+
+const buildClip = ({ seconds = 12.5, mdatFirst = false } = {}) => {
+    const ftyp = box('ftyp', Buffer.from('isom', 'latin1'), uint32(512), Buffer.from('isomavc1mp41', 'latin1'));
+    const moov = box('moov',
+        timesBox('mvhd', 1000, seconds * 1000, 80),
+        track('vide', sampleEntry('avc1', entry => {
+            entry.writeUInt16BE(1920, 32);
+            entry.writeUInt16BE(1080, 34);
+        }), { rotation: 90, frames: 375 }),
+        track('soun', sampleEntry('mp4a', entry => {
+            entry.writeUInt16BE(2, 24);
+            entry.writeUInt32BE(44100 * 65536, 32);
+        }))
+    );
+    const mdat = box('mdat', Buffer.alloc(4096, 0xaa));
+    return mdatFirst ? Buffer.concat([ftyp, mdat, moov]) : Buffer.concat([ftyp, moov, mdat]);
+};
+
+async function testVideoInspector() {
+    console.log('🧪 Testing Video Inspector...\n');
+
+    console.log('🎬 Testing a complete clip:');
+    const clip = buildClip();
+    const metadata = await inspectVideo(clip);
+    assert.strictEqual(metadata.container, 'mp4');
+    assert.strictEqual(metadata.brand, 'isom');
+    assert.strictEqual(metadata.size, clip.length);
+    assert.strictEqual(metadata.duration, 12.5);
+    assert.strictEqual(metadata.fastStart, true);
+    assert.deepStrictEqual(metadata.video, {
+        codec: 'h264', fourcc: 'avc1', width: 1920, height: 1080,
+        displayWidth: 1080, displayHeight: 1920, rotation: 90, frameRate: 30
+    });
+    assert.deepStrictEqual(metadata.audio, { codec: 'aac', fourcc: 'mp4a', channels: 2, sampleRate: 44100 });
+    console.log(`  - ${metadata.duration}s ${metadata.video.codec} ${metadata.video.displayWidth}x${metadata.video.displayHeight} @ ${metadata.video.frameRate}fps, ${metadata.audio.codec}`);
+
+    console.log('\n📁 Testing a clip on disk with moov after mdat:');
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'video-inspector-'));
+    try {
+        const filePath = path.join(tempDir, 'clip.mp4');
+        fs.writeFileSync(filePath, buildClip({ mdatFirst: true }));
+        const fromDisk = await inspectVideo(filePath);
+        assert.strictEqual(fromDisk.duration, 12.5);
+        assert.strictEqual(fromDisk.fastStart, false);
+        assert.ok(checkStatusVideo(fromDisk).warnings.some(warning => warning.includes('moov box is after the media data')));
+        console.log('  - Read from a path; the late moov box is reported as a warning');
+
+        console.log('\n✂️ Testing truncated files:');
+        // An interrupted recording: mdat was written but moov never was
+        const lateMoov = buildClip({ mdatFirst: true });
+        const moovOffset = lateMoov.indexOf(Buffer.from('moov', 'latin1')) - 4;
+        await assert.rejects(inspectVideo(lateMoov.subarray(0, moovOffset - 1000)), /Missing moov box \(file may be truncated\)/);
+        console.log('  - Cut inside mdat before moov: missing moov box');
+
+        // An upload cut off partway through moov, both in memory and on disk
+        const cut = lateMoov.subarray(0, moovOffset + 60);
+        await assert.rejects(inspectVideo(cut), /moov box is truncated/);
+        fs.writeFileSync(filePath, cut);
+        await assert.rejects(inspectVideo(filePath), /moov box is truncated/);
+        console.log('  - Cut inside moov: moov box is truncated');
+
+        // Only part of the first box header arrived
+        await assert.rejects(inspectVideo(clip.subarray(0, 6)), /Not an MP4\/MOV file/);
+        console.log('  - Cut inside the first box header: not an MP4/MOV file');
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n📏 Testing status limits:');
+    const long = await inspectVideo(buildClip({ seconds: 75 }));
+    const { errors } = checkStatusVideo(long);
+    assert.deepStrictEqual(errors, ['duration 75s exceeds the 60s status limit']);
+    assert.deepStrictEqual(checkStatusVideo(metadata), { errors: [], warnings: [] });
+    console.log(`  - ${errors[0]}`);
+
+    console.log('\n✨ All video inspector tests passed!');
+}
+
+// Run tests
+testVideoInspector().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,131 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createZip, readZip, crc32 } = require('../src/utils/zip');
+const { createBundle, readBundle, writeProfile } = require('../src/utils/sessionBundle');
+const { toCsv, toXlsx } = require('../src/utils/spreadsheet');
+
+// Offset of the first central directory record, from the end of central directory record
+const centralDirectoryOffset = (archive) => archive.readUInt32LE(archive.length - 22 + 16);
+
+const bundleManifest = { session: { id: 'session_test', userId: 'user123' } };
+
+const bundleWith = (names) => createZip([
+    { name: 'session.json', data: JSON.stringify({ format: 'wa-session-bundle', version: 1, ...bundleManifest }) },
+    ...names.map(name => ({ name, data: 'payload' }))
+]);
+
+async function testZip() {
+    console.log('🧪 Testing ZIP Archives...\n');
+
+    console.log('📦 Testing createZip/readZip round-trip:');
+    const entries = [
+        { name: 'notes.txt', data: 'hello\nworld' },
+        { name: 'nested/dir/random.bin', data: crypto.randomBytes(64 * 1024) },
+        { name: 'empty.txt', data: Buffer.alloc(0) },
+        { name: 'שלום/статус.json', data: JSON.stringify({ ok: true }) }
+    ];
+    const archive = createZip(entries);
+    const read = readZip(archive);
+    assert.deepStrictEqual(read.map(entry => entry.name), entries.map(entry => entry.name));
+    read.forEach((entry, i) => {
+        const expected = Buffer.isBuffer(entries[i].data) ? entries[i].data : Buffer.from(entries[i].data, 'utf8');
+        assert.ok(entry.data.equals(expected), `${entry.name} changed in the round-trip`);
+    });
+    assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+    console.log(`  - ${read.length} entries (text, binary, empty, UTF-8 names) survive the round-trip`);
+
+    console.log('\n🛡️ Testing damaged archives:');
+    assert.throws(() => readZip(Buffer.from('definitely not a zip archive')), /Not a ZIP archive/);
+
+    const badCrc = Buffer.from(archive);
+    badCrc.writeUInt32LE(0xdeadbeef, centralDirectoryOffset(badCrc) + 16);
+    assert.throws(() => readZip(badCrc), /ZIP entry failed its checksum: notes\.txt/);
+
+    // A declared size far below the real one must not be inflated past it
+    const bomb = createZip([{ name: 'bomb.txt', data: 'x'.repeat(100000) }]);
+    bomb.writeUInt32LE(10, centralDirectoryOffset(bomb) + 24);
+    assert.throws(() => readZip(bomb), RangeError);
+
+    const badOffset = Buffer.from(archive);
+    badOffset.writeUInt32LE(archive.length, archive.length - 22 + 16);
+    assert.throws(() => readZip(badOffset), /Corrupt ZIP central directory/);
+    console.log('  - Non-archives, bad checksums, understated sizes and bad offsets are rejected');
+
+    console.log('\n💼 Testing session bundles:');
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-'));
+    try {
+        const profileDir = path.join(tempDir, 'profile');
+        fs.mkdirSync(path.join(profileDir, 'Default', 'Local Storage'), { recursive: true });
+        fs.mkdirSync(path.join(profileDir, 'Default', 'Cache'), { recursive: true });
+        fs.writeFileSync(path.join(profileDir, 'Local State'), '{"profile":{}}');
+        fs.writeFileSync(path.join(profileDir, 'Default', 'Local Storage', 'leveldb.log'), crypto.randomBytes(2048));
+        fs.writeFileSync(path.join(profileDir, 'Default', 'Cache', 'data_0'), 'regenerated by Chromium');
+
+        const bundle = readBundle(createBundle(bundleManifest, profileDir));
+        assert.strictEqual(bundle.manifest.session.id, 'session_test');
+        assert.strictEqual(bundle.manifest.files, 2);
+        assert.deepStrictEqual(bundle.files.map(file => file.name).sort(), ['Default/Local Storage/leveldb.log', 'Local State']);
+
+        const restoredDir = path.join(tempDir, 'restored');
+        writeProfile(restoredDir, bundle.files);
+        assert.ok(fs.readFileSync(path.join(restoredDir, 'Default', 'Local Storage', 'leveldb.log'))
+            .equals(fs.readFileSync(path.join(profileDir, 'Default', 'Local Storage', 'leveldb.log'))));
+        assert.ok(!fs.existsSync(path.join(restoredDir, 'Default', 'Cache')));
+        console.log('  - Profile files round-trip; Chromium caches are left out');
+
+        console.log('\n🚫 Testing unsafe bundle paths:');
+        const unsafe = [
+            'profile/../../etc/cron.d/evil',
+            'profile/Default/../../outside',
+            'profile//etc/passwd',
+            'profile/Default\\..\\..\\outside',
+            'profile/Default//Preferences'
+        ];
+        unsafe.forEach(name => {
+            assert.throws(() => readBundle(bundleWith(['profile/Local State', name])), /Bundle contains an unsafe path/, name);
+        });
+        assert.ok(!fs.existsSync(path.join(tempDir, 'outside')));
+        console.log(`  - ${unsafe.length} traversal and absolute paths are rejected before anything is written`);
+
+        assert.throws(() => readBundle(createZip([{ name: 'profile/Local State', data: '{}' }])), /Bundle has no session\.json/);
+        assert.throws(() => readBundle(createZip([{ name: 'session.json', data: '{"format":"other","version":1}' }])), /Unsupported bundle format/);
+        assert.throws(() => readBundle(bundleWith([])), /Bundle contains no profile files/);
+        console.log('  - Missing manifests, foreign formats and empty profiles are rejected');
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n📊 Testing spreadsheet exports:');
+    const columns = [{ key: 'phone', header: 'Phone' }, { key: 'name', header: 'Name' }, { key: 'seenAt', header: 'Seen at' }];
+    const rows = [
+        { phone: '+15551234567', name: 'Ann "A" <Lee>', seenAt: new Date('2026-03-08T07:30:00Z') },
+        { phone: '0044', name: '=HYPERLINK("http://x")', seenAt: null }
+    ];
+
+    const csv = toCsv(columns, rows);
+    assert.strictEqual(csv, 'Phone,Name,Seen at\r\n'
+        + '\'+15551234567,"Ann ""A"" <Lee>",2026-03-08T07:30:00.000Z\r\n'
+        + '0044,"\'=HYPERLINK(""http://x"")",\r\n');
+
+    const workbook = readZip(toXlsx(columns, rows, 'Viewers: March'));
+    assert.deepStrictEqual(workbook.map(entry => entry.name), [
+        '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml'
+    ]);
+    const sheet = workbook.find(entry => entry.name === 'xl/worksheets/sheet1.xml').data.toString('utf8');
+    assert.ok(sheet.includes('<c r="A2" t="inlineStr"><is><t xml:space="preserve">+15551234567</t></is></c>'));
+    assert.ok(sheet.includes('Ann &quot;A&quot; &lt;Lee&gt;'));
+    assert.ok(sheet.includes('<c r="C3" t="inlineStr"><is><t xml:space="preserve"></t></is></c>'));
+    assert.ok(workbook[2].data.toString('utf8').includes('<sheet name="Viewers  March"'));
+    console.log('  - CSV escapes quotes and formulas; XLSX is a readable archive of inline strings');
+
+    console.log('\n✨ All ZIP tests passed!');
+}
+
+// Run tests
+testZip().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});